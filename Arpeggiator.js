@@ -0,0 +1,180 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * ARPEGGIATOR - HELD KEYS PLAYED ONE NOTE AT A TIME
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Keeps the keys being held and hands out the next note of the pattern on every
+ * step. The arpeggiator only does bookkeeping - app.js runs the steps on
+ * Tone.Transport and plays each note through noteOn/noteOff.
+ *
+ * The class has no dependencies so generateCode() can embed its source in the
+ * exported patch, giving exported code exactly the same arpeggio.
+ *
+ * MODES:
+ * ───────────────────────────────────────────────────────────────────────────────
+ * • up     - lowest to highest, then the next octave up
+ * • down   - highest to lowest
+ * • updown - up then back down, without repeating the top and bottom notes
+ * • random - any note of the pattern on each step
+ * • played - in the order the keys were pressed
+ *
+ * LATCH keeps the notes sounding after the keys are released; the next key
+ * pressed with no keys down starts a new chord.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+class Arpeggiator {
+    /**
+     * Create an arpeggiator
+     * @param {Object} settings - { mode, octaves, rate, latch }
+     */
+    constructor(settings = {}) {
+        this.mode = 'up';
+        this.octaves = 1;
+        this.rate = '16n';
+        this.latch = false;
+        this.notes = [];              // Pattern notes in the order they were pressed
+        this.velocities = new Map();  // Note → velocity it was pressed with
+        this.pressed = new Set();     // Keys currently held down
+        this.step = -1;
+        this.set(settings);
+    }
+
+    /**
+     * Change mode, octave range, rate or latch
+     * @param {Object} settings - { mode, octaves, rate, latch } (any may be omitted)
+     */
+    set(settings) {
+        if (settings.mode !== undefined) this.mode = settings.mode;
+        if (settings.octaves !== undefined) this.octaves = Math.max(1, parseInt(settings.octaves) || 1);
+        if (settings.rate !== undefined) this.rate = settings.rate;
+        if (settings.latch !== undefined) {
+            this.latch = !!settings.latch;
+            // Without latch only the keys still held keep playing
+            if (!this.latch) {
+                this.notes.filter(note => !this.pressed.has(note)).forEach(note => this.removeNote(note));
+            }
+        }
+    }
+
+    /**
+     * A key was pressed
+     * @param {string} note - Note name (e.g., 'C4')
+     * @param {number} velocity - Velocity from 0 to 1
+     */
+    noteOn(note, velocity = 1) {
+        // With latch, the first key of a new hand replaces the latched chord
+        if (this.latch && this.pressed.size === 0) {
+            this.notes = [];
+            this.velocities.clear();
+        }
+
+        this.pressed.add(note);
+        this.velocities.set(note, velocity);
+        if (!this.notes.includes(note)) {
+            this.notes.push(note);
+        }
+    }
+
+    /**
+     * A key was released
+     * @param {string} note - Note name
+     */
+    noteOff(note) {
+        this.pressed.delete(note);
+        if (!this.latch) {
+            this.removeNote(note);
+        }
+    }
+
+    /**
+     * Forget every note, latched or held
+     */
+    releaseAll() {
+        this.notes = [];
+        this.velocities.clear();
+        this.pressed.clear();
+        this.step = -1;
+    }
+
+    /**
+     * Drop a note from the pattern - an empty pattern starts again from the first step
+     * @param {string} note - Note name
+     */
+    removeNote(note) {
+        this.notes = this.notes.filter(other => other !== note);
+        this.velocities.delete(note);
+        if (this.notes.length === 0) {
+            this.step = -1;
+        }
+    }
+
+    /**
+     * The full pattern for the current notes, mode and octave range
+     * @returns {Array} Steps in playing order - { note, velocity }
+     */
+    getPattern() {
+        const ordered = this.mode === 'played'
+            ? [...this.notes]
+            : [...this.notes].sort((a, b) => Arpeggiator.noteToMidi(a) - Arpeggiator.noteToMidi(b));
+
+        const pattern = [];
+        for (let octave = 0; octave < this.octaves; octave++) {
+            ordered.forEach(note => pattern.push({
+                note: Arpeggiator.transpose(note, octave * 12),
+                velocity: this.velocities.get(note) ?? 1
+            }));
+        }
+
+        if (this.mode === 'down') {
+            return pattern.reverse();
+        }
+        if (this.mode === 'updown' && pattern.length > 2) {
+            return [...pattern, ...pattern.slice(1, -1).reverse()];
+        }
+        return pattern;
+    }
+
+    /**
+     * Advance to the next step
+     * @returns {Object|null} { note, velocity }, or null when no notes are held
+     */
+    next() {
+        const pattern = this.getPattern();
+        if (pattern.length === 0) return null;
+
+        this.step = this.mode === 'random'
+            ? Math.floor(Math.random() * pattern.length)
+            : (this.step + 1) % pattern.length;
+
+        return pattern[this.step];
+    }
+
+    /**
+     * MIDI number of a note name ('C4' → 60)
+     * @param {string} note - Note name with sharps (e.g., 'F#3')
+     * @returns {number} MIDI note number
+     */
+    static noteToMidi(note) {
+        const match = /^([A-G])(#?)(-?\d+)$/.exec(note);
+        if (!match) return 0;
+        const semitone = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }[match[1]] + (match[2] ? 1 : 0);
+        return (parseInt(match[3]) + 1) * 12 + semitone;
+    }
+
+    /**
+     * Shift a note name by a number of semitones ('C4', 12 → 'C5')
+     * @param {string} note - Note name
+     * @param {number} semitones - Interval
+     * @returns {string} Note name
+     */
+    static transpose(note, semitones) {
+        const midi = Arpeggiator.noteToMidi(note) + semitones;
+        const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        return `${names[midi % 12]}${Math.floor(midi / 12) - 1}`;
+    }
+}
+
+// Export for use in main application
+window.Arpeggiator = Arpeggiator;
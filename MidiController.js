@@ -0,0 +1,305 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MIDICONTROLLER - WEB MIDI INPUT & CC LEARN
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Listens to every connected Web MIDI input and turns raw messages into
+ * application callbacks: note on/off with velocity, and control changes bound
+ * to module parameters. The controller never touches Tone.js or the DOM -
+ * app.js decides what a note or a CC does.
+ *
+ * MIDI LEARN:
+ * ───────────────────────────────────────────────────────────────────────────────
+ * • startLearn(moduleId, param) arms a parameter
+ * • The next CC message received binds that controller number to it
+ * • Mappings are plain objects { channel, cc, moduleId, param } so they can
+ *   be saved with the patch
+ *
+ * HEADLESS TESTING:
+ * ───────────────────────────────────────────────────────────────────────────────
+ * FakeMIDIAccess mimics the parts of MIDIAccess the controller uses. Pass it to
+ * connect() and call its noteOn/noteOff/controlChange methods to simulate a
+ * controller without hardware or browser support.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const MIDI_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+class MidiController {
+    /**
+     * Initialize the MIDI controller
+     * @param {Object} callbacks - Application callbacks
+     * @param {Function} callbacks.onNoteOn - (note, velocity 0-1)
+     * @param {Function} callbacks.onNoteOff - (note)
+     * @param {Function} callbacks.onControlChange - (mapping, value 0-1) for mapped CCs
+     * @param {Function} callbacks.onLearn - (mapping) after a CC is bound
+     * @param {Function} callbacks.onStateChange - (controller) when inputs connect or disconnect
+     */
+    constructor(callbacks = {}) {
+        this.onNoteOn = callbacks.onNoteOn || null;
+        this.onNoteOff = callbacks.onNoteOff || null;
+        this.onControlChange = callbacks.onControlChange || null;
+        this.onLearn = callbacks.onLearn || null;
+        this.onStateChange = callbacks.onStateChange || null;
+
+        this.access = null;
+        this.mappings = [];
+
+        // Parameter waiting for a CC while MIDI learn is armed
+        this.learnTarget = null;
+
+        console.log('🎹 MidiController initialized');
+    }
+
+    /**
+     * Connect to Web MIDI
+     * @param {Object} access - Optional MIDIAccess (e.g. FakeMIDIAccess); requested from the browser if omitted
+     * @returns {Promise<boolean>} True if MIDI is available
+     */
+    async connect(access = null) {
+        try {
+            if (!access) {
+                if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+                    console.log('🎹 Web MIDI is not supported in this browser');
+                    return false;
+                }
+                access = await navigator.requestMIDIAccess();
+            }
+        } catch (error) {
+            console.warn('⚠️ MIDI access denied:', error);
+            return false;
+        }
+
+        this.access = access;
+        this.access.onstatechange = () => {
+            this.attachInputs();
+            this.notifyStateChange();
+        };
+        this.attachInputs();
+        this.notifyStateChange();
+
+        console.log(`🎹 MIDI connected: ${this.getInputNames().join(', ') || 'no inputs'}`);
+        return true;
+    }
+
+    /**
+     * Listen to every input currently available
+     */
+    attachInputs() {
+        if (!this.access) return;
+
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = (event) => this.handleMessage(event.data);
+        });
+    }
+
+    /**
+     * Names of the connected MIDI inputs
+     * @returns {Array<string>} Input names
+     */
+    getInputNames() {
+        if (!this.access) return [];
+
+        const names = [];
+        this.access.inputs.forEach(input => names.push(input.name || input.id));
+        return names;
+    }
+
+    /**
+     * Decode a raw MIDI message and dispatch it
+     * @param {Uint8Array|Array<number>} data - Status byte followed by data bytes
+     */
+    handleMessage(data) {
+        if (!data || data.length < 2) return;
+
+        const command = data[0] & 0xF0;
+        const channel = data[0] & 0x0F;
+        const data1 = data[1];
+        const data2 = data.length > 2 ? data[2] : 0;
+
+        if (command === 0x90 && data2 > 0) {
+            this.onNoteOn?.(MidiController.noteName(data1), data2 / 127);
+        } else if (command === 0x80 || command === 0x90) {
+            // Note on with velocity 0 is a note off (running status)
+            this.onNoteOff?.(MidiController.noteName(data1));
+        } else if (command === 0xB0) {
+            this.handleControlChange(channel, data1, data2);
+        }
+    }
+
+    /**
+     * Bind or dispatch a control change
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} cc - Controller number
+     * @param {number} value - Controller value (0-127)
+     */
+    handleControlChange(channel, cc, value) {
+        if (this.learnTarget) {
+            const mapping = { channel, cc, ...this.learnTarget };
+            this.addMapping(mapping);
+            this.learnTarget = null;
+
+            console.log(`🎹 MIDI LEARN: CC ${cc} (ch ${channel + 1}) → ${mapping.moduleId}/${mapping.param}`);
+            this.onLearn?.(mapping);
+        }
+
+        this.mappings
+            .filter(mapping => mapping.channel === channel && mapping.cc === cc)
+            .forEach(mapping => this.onControlChange?.(mapping, value / 127));
+    }
+
+    /**
+     * Arm MIDI learn for a parameter - the next CC received is bound to it
+     * @param {string} moduleId - Module identifier
+     * @param {string} param - Parameter name
+     */
+    startLearn(moduleId, param) {
+        this.learnTarget = { moduleId, param };
+        console.log(`🎹 MIDI LEARN: waiting for a controller for ${moduleId}/${param}`);
+    }
+
+    /**
+     * Disarm MIDI learn without binding anything
+     */
+    cancelLearn() {
+        this.learnTarget = null;
+    }
+
+    /**
+     * Bind a controller to a parameter
+     * A parameter follows one controller and a controller drives one parameter,
+     * so mappings already using either are replaced
+     * @param {Object} mapping - { channel, cc, moduleId, param }
+     */
+    addMapping(mapping) {
+        this.mappings = this.mappings.filter(existing =>
+            !(existing.moduleId === mapping.moduleId && existing.param === mapping.param) &&
+            !(existing.channel === mapping.channel && existing.cc === mapping.cc)
+        );
+        this.mappings.push({ ...mapping });
+    }
+
+    /**
+     * Drop every mapping of a module (e.g. when it is deleted)
+     * @param {string} moduleId - Module identifier
+     * @returns {Array} The removed mappings
+     */
+    removeMappings(moduleId) {
+        const removed = this.mappings.filter(mapping => mapping.moduleId === moduleId);
+        this.mappings = this.mappings.filter(mapping => mapping.moduleId !== moduleId);
+        return removed;
+    }
+
+    /**
+     * Replace all CC mappings (e.g. when a patch is loaded)
+     * @param {Array} mappings - Mapping objects { channel, cc, moduleId, param }
+     */
+    setMappings(mappings = []) {
+        this.mappings = mappings
+            .filter(mapping => mapping && Number.isInteger(mapping.cc) &&
+                typeof mapping.moduleId === 'string' && typeof mapping.param === 'string')
+            .map(mapping => ({
+                channel: Number.isInteger(mapping.channel) ? mapping.channel : 0,
+                cc: mapping.cc,
+                moduleId: mapping.moduleId,
+                param: mapping.param
+            }));
+    }
+
+    /**
+     * Get a copy of the current CC mappings
+     * @returns {Array} Mapping objects
+     */
+    getMappings() {
+        return this.mappings.map(mapping => ({ ...mapping }));
+    }
+
+    /**
+     * Notify the application that inputs changed
+     */
+    notifyStateChange() {
+        this.onStateChange?.(this);
+    }
+
+    /**
+     * Convert a MIDI note number to a note name (60 → 'C4')
+     * @param {number} number - MIDI note number
+     * @returns {string} Note name
+     */
+    static noteName(number) {
+        return `${MIDI_NOTE_NAMES[number % 12]}${Math.floor(number / 12) - 1}`;
+    }
+}
+
+/**
+ * Minimal stand-in for the browser's MIDIAccess object
+ * Lets MIDI handling run headlessly and in browsers without Web MIDI
+ */
+class FakeMIDIAccess {
+    /**
+     * Create a fake MIDIAccess with a single input
+     */
+    constructor() {
+        this.inputs = new Map();
+        this.outputs = new Map();
+        this.onstatechange = null;
+        this.addInput('fake-input-1', 'Fake MIDI Input');
+    }
+
+    /**
+     * Plug in another input
+     * @param {string} id - Input id
+     * @param {string} name - Input name
+     * @returns {Object} The new input
+     */
+    addInput(id, name) {
+        const input = { id, name, type: 'input', state: 'connected', onmidimessage: null };
+        this.inputs.set(id, input);
+        this.onstatechange?.({ port: input });
+        return input;
+    }
+
+    /**
+     * Deliver a raw MIDI message from an input
+     * @param {Array<number>} data - MIDI bytes
+     * @param {string} inputId - Input to send from (defaults to the first input)
+     */
+    send(data, inputId = null) {
+        const input = inputId ? this.inputs.get(inputId) : this.inputs.values().next().value;
+        input?.onmidimessage?.({ data: Uint8Array.from(data) });
+    }
+
+    /**
+     * Simulate a note on
+     * @param {number} number - MIDI note number
+     * @param {number} velocity - Velocity (1-127)
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    noteOn(number, velocity = 100, channel = 0) {
+        this.send([0x90 | channel, number, velocity]);
+    }
+
+    /**
+     * Simulate a note off
+     * @param {number} number - MIDI note number
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    noteOff(number, channel = 0) {
+        this.send([0x80 | channel, number, 0]);
+    }
+
+    /**
+     * Simulate a control change
+     * @param {number} cc - Controller number
+     * @param {number} value - Controller value (0-127)
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    controlChange(cc, value, channel = 0) {
+        this.send([0xB0 | channel, cc, value]);
+    }
+}
+
+// Export for use in main application
+window.MidiController = MidiController;
+window.FakeMIDIAccess = FakeMIDIAccess;
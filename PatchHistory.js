@@ -0,0 +1,174 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PATCHHISTORY - UNDO/REDO COMMAND STACK
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every user edit (knob turn, selector change, cable, module add/delete) is
+ * recorded as a command object with an undo() and a redo() function. The
+ * manager only keeps the stacks - the commands themselves know how to restore
+ * node parameters and keep the Tone.js graph in sync.
+ *
+ * DESIGN PRINCIPLES:
+ * ───────────────────────────────────────────────────────────────────────────────
+ * • Commands are plain objects: { label, undo(), redo() }
+ * • Edits made while a command is being applied are never re-recorded
+ * • Recording a new command clears the redo stack
+ * • Commands sharing a mergeKey recorded in quick succession (a MIDI controller
+ *   sweep) collapse into one step
+ * • Bounded history so long sessions don't grow without limit
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+class HistoryManager {
+    /**
+     * Initialize the history manager
+     * @param {Object} options - Optional settings
+     * @param {number} options.limit - Maximum number of undo steps kept
+     * @param {Function} options.onChange - Called after every undo, redo or record
+     * @param {number} options.mergeWindow - Milliseconds within which commands with the same mergeKey merge
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 100;
+        this.onChange = options.onChange || null;
+        this.mergeWindow = options.mergeWindow ?? 1000;
+
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Most recent record(), which the next command with the same mergeKey may merge into
+        this.lastRecorded = null;
+        this.lastRecordTime = 0;
+
+        // True while a command is being applied or recording is suspended
+        this.isApplying = false;
+
+        console.log('↩️ HistoryManager initialized');
+    }
+
+    /**
+     * Record a command that has already been performed
+     * A command with the same mergeKey as the previous one, recorded within mergeWindow,
+     * replaces it: the step undoes to before the first and redoes to after the last
+     * @param {Object} command - Command with label, undo and redo functions, and an optional mergeKey
+     */
+    record(command) {
+        if (this.isApplying) return;
+
+        const now = Date.now();
+        const previous = this.lastRecorded;
+        if (command.mergeKey && previous?.mergeKey === command.mergeKey &&
+            this.undoStack[this.undoStack.length - 1] === previous && now - this.lastRecordTime < this.mergeWindow) {
+            command = { ...command, undo: previous.undo };
+            this.undoStack[this.undoStack.length - 1] = command;
+        } else {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+        this.redoStack = [];
+        this.lastRecorded = command;
+        this.lastRecordTime = now;
+
+        console.log(`↩️ Recorded: ${command.label}`);
+        this.notifyChange();
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {boolean} True if a command was undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        this.apply(() => command.undo());
+        this.redoStack.push(command);
+        this.lastRecorded = null;
+
+        console.log(`↩️ Undo: ${command.label}`);
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {boolean} True if a command was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        this.apply(() => command.redo());
+        this.undoStack.push(command);
+        this.lastRecorded = null;
+
+        console.log(`↪️ Redo: ${command.label}`);
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * Run a function without recording any of the edits it makes
+     * Used for compound operations (e.g. loading a patch) that record themselves
+     * @param {Function} fn - Function to run
+     * @returns {*} Return value of fn
+     */
+    suspend(fn) {
+        return this.apply(fn);
+    }
+
+    /**
+     * Run a function with recording disabled, restoring the previous state afterwards
+     * @param {Function} fn - Function to run
+     * @returns {*} Return value of fn
+     */
+    apply(fn) {
+        const wasApplying = this.isApplying;
+        this.isApplying = true;
+        try {
+            return fn();
+        } finally {
+            this.isApplying = wasApplying;
+        }
+    }
+
+    /**
+     * Check whether an undo step is available
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether a redo step is available
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all recorded commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastRecorded = null;
+        this.notifyChange();
+    }
+
+    /**
+     * Notify the application that the history changed
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
+
+// Export for use in main application
+window.HistoryManager = HistoryManager;
@@ -0,0 +1,263 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PATCHMODEL - OBSERVABLE MODULES AND CONNECTIONS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Owns the synth nodes, patch connections and patch-wide settings (voices,
+ * arpeggiator, export format) of the current patch. Every edit
+ * goes through the model, which emits an event describing it; the audio engine,
+ * cable renderer, code panel, module controls and P5 visuals subscribe instead
+ * of being called by each feature.
+ *
+ * EVENTS:
+ * ───────────────────────────────────────────────────────────────────────────────
+ * • nodeAdded         { node }
+ * • nodeRemoved       { node }
+ * • paramChanged      { node, param, value, previousValue }
+ * • connectionAdded   { connection }
+ * • connectionRemoved { connection }
+ * • settingsChanged   { group, settings, previousSettings }
+ * • changed           { events } - once per edit, after its own events; edits
+ *                                  made inside batch() share a single one
+ *
+ * DESIGN PRINCIPLES:
+ * ───────────────────────────────────────────────────────────────────────────────
+ * • nodes and connections are plain arrays that callers read but never mutate
+ * • Settings groups are plain objects, changed in place so callers may keep them
+ * • Listeners run synchronously, in the order they subscribed
+ * • Whole-patch work (recompiling audio, redrawing cables, regenerating code)
+ *   listens to 'changed' so a batch of edits does it once
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+class PatchModel {
+    /**
+     * Create an empty patch model
+     */
+    constructor() {
+        this.nodes = [];
+        this.connections = [];
+        this.settings = {}; // group name → settings object
+
+        this.listeners = new Map(); // event name → listener functions
+        this.batchDepth = 0;
+        this.pendingEvents = [];
+
+        console.log('🧩 PatchModel initialized');
+    }
+
+    /**
+     * Subscribe to a model event
+     * @param {string} event - Event name (e.g., 'paramChanged')
+     * @param {Function} listener - Called with the event detail
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Unsubscribe from a model event
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            this.listeners.set(event, listeners.filter(existing => existing !== listener));
+        }
+    }
+
+    /**
+     * Make several edits that share one 'changed' event
+     * @param {Function} fn - Function making the edits
+     * @returns {*} Return value of fn
+     */
+    batch(fn) {
+        this.batchDepth++;
+        try {
+            return fn();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0 && this.pendingEvents.length > 0) {
+                const events = this.pendingEvents;
+                this.pendingEvents = [];
+                this.notify('changed', { events });
+            }
+        }
+    }
+
+    /**
+     * Find a node by module ID
+     * @param {string} moduleId - Module identifier
+     * @returns {Object|null} Synth node
+     */
+    getNode(moduleId) {
+        return this.nodes.find(node => node.id === moduleId) || null;
+    }
+
+    /**
+     * Add a synth node to the patch
+     * @param {Object} node - Synth node with id, type and parameters
+     * @returns {boolean} True if the node was added
+     */
+    addNode(node) {
+        if (this.getNode(node.id)) {
+            console.warn(`🧩 Node ${node.id} is already in the patch`);
+            return false;
+        }
+
+        this.nodes.push(node);
+        this.emit('nodeAdded', { node });
+        return true;
+    }
+
+    /**
+     * Remove a synth node and every connection to or from it
+     * @param {string} moduleId - Module identifier
+     * @returns {Object|null} The removed node
+     */
+    removeNode(moduleId) {
+        const node = this.getNode(moduleId);
+        if (!node) return null;
+
+        this.batch(() => {
+            this.connections
+                .filter(conn => conn.source.startsWith(moduleId + '/') || conn.target.startsWith(moduleId + '/'))
+                .forEach(conn => this.removeConnection(conn.source, conn.target));
+
+            this.nodes.splice(this.nodes.indexOf(node), 1);
+            this.emit('nodeRemoved', { node });
+        });
+        return node;
+    }
+
+    /**
+     * Set one parameter of a node
+     * @param {string} moduleId - Module identifier
+     * @param {string} param - Parameter name
+     * @param {*} value - New value
+     * @returns {boolean} True if the node exists
+     */
+    setParameter(moduleId, param, value) {
+        return this.setParameters(moduleId, { [param]: value });
+    }
+
+    /**
+     * Set several parameters of a node together
+     * All values are in place before the first paramChanged, so parameters that
+     * only make sense together (a sample and its region) are never seen half-set
+     * @param {string} moduleId - Module identifier
+     * @param {Object} values - Parameter name → new value
+     * @returns {boolean} True if the node exists
+     */
+    setParameters(moduleId, values) {
+        const node = this.getNode(moduleId);
+        if (!node) return false;
+
+        const changes = Object.keys(values)
+            .filter(param => !Object.is(node.parameters[param], values[param]))
+            .map(param => ({ node, param, value: values[param], previousValue: node.parameters[param] }));
+
+        changes.forEach(({ param, value }) => {
+            node.parameters[param] = value;
+        });
+        this.batch(() => changes.forEach(change => this.emit('paramChanged', change)));
+        return true;
+    }
+
+    /**
+     * Add a connection between two ports
+     * @param {Object} connection - { source, target, type }
+     * @returns {boolean} True if the connection was added (false if it already exists)
+     */
+    addConnection({ source, target, type }) {
+        if (this.connections.some(conn => conn.source === source && conn.target === target)) {
+            return false;
+        }
+
+        const connection = { source, target, type };
+        this.connections.push(connection);
+        this.emit('connectionAdded', { connection });
+        return true;
+    }
+
+    /**
+     * Remove the connection between two ports
+     * @param {string} source - Source port ID
+     * @param {string} target - Target port ID
+     * @returns {Object|null} The removed connection
+     */
+    removeConnection(source, target) {
+        const index = this.connections.findIndex(conn => conn.source === source && conn.target === target);
+        if (index === -1) return null;
+
+        const [connection] = this.connections.splice(index, 1);
+        this.emit('connectionRemoved', { connection });
+        return connection;
+    }
+
+    /**
+     * Register a group of patch-wide settings
+     * @param {string} group - Group name (e.g., 'voices')
+     * @param {Object} defaults - Initial values
+     * @returns {Object} The group's settings object, updated in place by setSettings()
+     */
+    defineSettings(group, defaults) {
+        this.settings[group] = { ...defaults };
+        return this.settings[group];
+    }
+
+    /**
+     * Change some values of a settings group
+     * @param {string} group - Group name
+     * @param {Object} values - Setting name → new value
+     * @returns {boolean} True if any value changed
+     */
+    setSettings(group, values) {
+        const settings = this.settings[group];
+        if (!settings) {
+            console.warn(`🧩 Unknown settings group ${group}`);
+            return false;
+        }
+
+        const previousSettings = { ...settings };
+        const changed = Object.keys(values).filter(key => !Object.is(settings[key], values[key]));
+        if (changed.length === 0) return false;
+
+        changed.forEach(key => {
+            settings[key] = values[key];
+        });
+        this.emit('settingsChanged', { group, settings, previousSettings });
+        return true;
+    }
+
+    /**
+     * Tell the listeners of an event, then queue it for the next 'changed'
+     * @param {string} type - Event name
+     * @param {Object} detail - Event detail
+     */
+    emit(type, detail) {
+        this.batch(() => {
+            this.notify(type, detail);
+            this.pendingEvents.push({ type, ...detail });
+        });
+    }
+
+    /**
+     * Call every listener of an event
+     * @param {string} type - Event name
+     * @param {Object} detail - Event detail
+     */
+    notify(type, detail) {
+        (this.listeners.get(type) || []).forEach(listener => listener(detail));
+    }
+}
+
+// Export for use in main application
+window.PatchModel = PatchModel;
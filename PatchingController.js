@@ -20,7 +20,8 @@
  * • PatchingController class manages all UI state
  * • Ghost cable system for visual feedback during drag
  * • Connection validation ensures signal type compatibility
- * • Clean integration with existing Tone.js compilation system
+ * • Cable edits go through the PatchModel, whose subscribers recompile the
+ *   Tone.js routing and redraw the cables
  * 
  * ═══════════════════════════════════════════════════════════════════════════════
  */
@@ -28,17 +29,18 @@
 class PatchingController {
     /**
      * Initialize the patching controller with necessary dependencies
-     * @param {Array} currentPatchConnections - Global connections array
-     * @param {Function} compilePatching - Function to recompile audio connections
+     * @param {PatchModel} patchModel - Patch model owning the connections
      * @param {Function} getPortCoordinates - Function to get port screen coordinates
      * @param {HTMLElement} svgElement - SVG container for cable visualization
+     * @param {HistoryManager} history - Optional undo/redo history for cable edits
      */
-    constructor(currentPatchConnections, compilePatching, getPortCoordinates, svgElement) {
+    constructor(patchModel, getPortCoordinates, svgElement, history = null) {
         // Store references to global functions and data
-        this.connections = currentPatchConnections;
-        this.compilePatching = compilePatching;
+        this.model = patchModel;
+        this.connections = patchModel.connections;
         this.getPortCoordinates = getPortCoordinates;
         this.svg = svgElement;
+        this.history = history;
         
         // Drag state management
         this.isDragging = false;
@@ -276,17 +278,15 @@ class PatchingController {
     validateConnection(sourcePort, targetPort) {
         if (!sourcePort || !targetPort) return false;
         
-        const sourceType = sourcePort.getAttribute('data-port-type');
-        const targetType = targetPort.getAttribute('data-port-type');
-        const sourceSignal = sourcePort.getAttribute('data-signal');
-        const targetSignal = targetPort.getAttribute('data-signal');
+        const sourceId = this.getPortId(sourcePort);
+        const targetId = this.getPortId(targetPort);
+        const source = getModulePort(sourceId);
+        const target = getModulePort(targetId);
         
-        console.log(`🔌 Validating: ${sourceType}(${sourceSignal}) → ${targetType}(${targetSignal})`);
+        console.log(`🔌 Validating: ${sourceId}(${source?.signal}) → ${targetId}(${target?.signal})`);
         
-        // Rule 1: Source must be output, target must be input
-        const isSourceOutput = sourceType?.includes('-out');
-        const isTargetInput = targetType?.includes('-in') || targetType === 'input';
-        if (!isSourceOutput || !isTargetInput) {
+        // Rule 1: Source must be an output, target an input - as the module schemas declare them
+        if (source?.direction !== 'out' || target?.direction !== 'in') {
             console.log('🔌 FAIL Rule 1: source must be output, target must be input');
             return false;
         }
@@ -295,21 +295,22 @@ class PatchingController {
         // Rule 2: Signal types must be compatible
         const compatibilityMatrix = {
             'audio': ['audio'],
-            'cv': ['cv', 'gate'], // CV can connect to CV or gate inputs
+            'cv': ['cv', 'gate'], // CV can connect to CV or gate inputs (see getGateSourcePort)
             'gate': ['gate']
         };
         
-        const compatibleTypes = compatibilityMatrix[sourceSignal];
-        if (!compatibleTypes?.includes(targetSignal)) {
-            console.log(`🔌 FAIL Rule 2: incompatible signals: ${sourceSignal} → ${targetSignal}`);
+        if (!compatibilityMatrix[source.signal]?.includes(target.signal)) {
+            console.log(`🔌 FAIL Rule 2: incompatible signals: ${source.signal} → ${target.signal}`);
+            return false;
+        }
+        // A CV output gates only if its schema names a gate list for it
+        if (target.signal === 'gate' && !getGateSourcePort(source)) {
+            console.log(`🔌 FAIL Rule 2: ${sourceId} cannot drive a gate input`);
             return false;
         }
         console.log('🔌 PASS Rule 2: signal compatibility');
         
         // Rule 3: Check for duplicate connections
-        const sourceId = this.getPortId(sourcePort);
-        const targetId = this.getPortId(targetPort);
-        
         console.log(`🔌 Checking duplicate: ${sourceId} → ${targetId}`);
         
         const isDuplicate = this.connections.some(conn => 
@@ -346,27 +347,28 @@ class PatchingController {
      */
     createConnection(sourcePort, targetPort) {
         const sourceId = this.getPortId(sourcePort);
-        let targetId = this.getPortId(targetPort);
-        const signalType = sourcePort.getAttribute('data-signal');
-        
-        // Translate CV visual ports to actual Tone.js parameters
-        if (signalType === 'cv' && targetId.endsWith('/cv_in')) {
-            targetId = targetId.replace('/cv_in', '/frequency');
-        }
+        const targetId = this.getPortId(targetPort);
+        const signalType = getModulePort(sourceId).signal;
         
         console.log(`🔌 Creating connection: ${sourceId} → ${targetId} (${signalType})`);
         
-        // Add to global connections array
+        // Add to the patch
         const connection = {
             source: sourceId,
             target: targetId,
             type: signalType
         };
         
-        this.connections.push(connection);
+        this.model.addConnection(connection);
         
-        // Trigger audio recompilation
-        this.compilePatching();
+        // Record for undo/redo
+        if (this.history) {
+            this.history.record({
+                label: `Connect ${sourceId} → ${targetId}`,
+                undo: () => this.removeConnection(sourceId, targetId),
+                redo: () => this.addConnection(connection)
+            });
+        }
         
         // Visual feedback
         this.showConnectionFeedback(sourcePort, targetPort);
@@ -399,40 +401,52 @@ class PatchingController {
     removeConnection(source, target) {
         console.log(`🗑️ Removing connection: ${source} → ${target}`);
         
-        const index = this.connections.findIndex(conn => 
-            conn.source === source && conn.target === target
-        );
+        const removed = this.model.removeConnection(source, target);
         
-        if (index !== -1) {
-            this.connections.splice(index, 1);
+        if (removed) {
             console.log('🗑️ Connection removed from data structure');
             
-            // Recompile patching
-            this.compilePatching();
+            // Record for undo/redo
+            if (this.history) {
+                this.history.record({
+                    label: `Disconnect ${source} → ${target}`,
+                    undo: () => this.addConnection(removed),
+                    redo: () => this.removeConnection(source, target)
+                });
+            }
         } else {
             console.warn('🗑️ Connection not found in data structure');
         }
     }
     
+    /**
+     * Add an existing connection object back into the patch
+     * Used when undoing a removal or redoing a creation
+     * @param {Object} connection - Connection with source, target and type
+     */
+    addConnection(connection) {
+        // The model ignores connections that already exist
+        this.model.addConnection(connection);
+    }
+    
     /**
      * Get a standardized port ID for a port element
      * @param {HTMLElement} port - Port element
-     * @returns {string} - Port ID in format "module-id/port-type"
+     * @returns {string} - Port ID in format "module-id/port-id" (see PORT SCHEMA in modules.js)
      */
     getPortId(port) {
         const module = port.closest('[data-module-id]');
         const moduleId = module?.getAttribute('data-module-id');
-        const portType = port.getAttribute('data-port-type');
-        const inputId = port.getAttribute('data-input-id');
         
-        // Handle mixer inputs with specific input IDs
-        if (moduleId === 'mixer-1' && inputId && portType === 'input') {
-            return `${moduleId}/input/${inputId}`;
+        // Ports named differently from their type carry their ID (mixer-2/input/3, filter-1/frequency)
+        const portId = port.getAttribute('data-port-id');
+        if (portId) {
+            return `${moduleId}/${portId}`;
         }
         
         // Convert dash format to underscore format to match connection data
-        // audio-out -> audio_out, cv-in -> cv_in, etc.
-        const standardPortType = portType.replace('-', '_');
+        // audio-out -> audio_out, gate-in -> gate_in, etc.
+        const standardPortType = port.getAttribute('data-port-type').replace('-', '_');
         
         return `${moduleId}/${standardPortType}`;
     }
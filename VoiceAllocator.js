@@ -0,0 +1,118 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * VOICEALLOCATOR - POLYPHONIC VOICE ASSIGNMENT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Decides which voice plays each note. The allocator only does bookkeeping -
+ * app.js owns the per-voice Tone.js objects and triggers them.
+ *
+ * The class has no dependencies so generateCode() can embed its source in the
+ * exported patch, giving exported code exactly the same voice behavior.
+ *
+ * STEAL POLICIES (used when every voice is busy):
+ * ───────────────────────────────────────────────────────────────────────────────
+ * • oldest - take the voice that has been held the longest
+ * • newest - take the most recently started voice
+ * • none   - ignore the new note
+ *
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+class VoiceAllocator {
+    /**
+     * Create an allocator
+     * @param {number} voiceCount - Number of voices available
+     * @param {string} stealPolicy - 'oldest', 'newest' or 'none'
+     */
+    constructor(voiceCount = 1, stealPolicy = 'oldest') {
+        this.stealPolicy = stealPolicy;
+        this.clock = 0;
+        this.setVoiceCount(voiceCount);
+    }
+
+    /**
+     * Change the number of voices - releases every held note
+     * @param {number} voiceCount - Number of voices available
+     */
+    setVoiceCount(voiceCount) {
+        this.voices = Array.from({ length: Math.max(1, voiceCount) }, () => ({
+            note: null,
+            startedAt: 0,
+            releasedAt: 0
+        }));
+    }
+
+    /**
+     * Assign a voice to a note
+     * @param {string} note - Note name (e.g., 'C4')
+     * @returns {number|null} Voice index, or null when the note is dropped
+     */
+    noteOn(note) {
+        this.clock++;
+
+        // Retrigger the voice already playing this note
+        let index = this.voices.findIndex(voice => voice.note === note);
+
+        // Otherwise use the free voice that has been silent the longest
+        if (index === -1) {
+            index = this.pickVoice(voice => voice.note === null, voice => -voice.releasedAt);
+        }
+
+        // Otherwise steal a busy voice
+        if (index === -1) {
+            if (this.stealPolicy === 'none') return null;
+            const newest = this.stealPolicy === 'newest';
+            index = this.pickVoice(() => true, voice => newest ? voice.startedAt : -voice.startedAt);
+        }
+
+        this.voices[index].note = note;
+        this.voices[index].startedAt = this.clock;
+        return index;
+    }
+
+    /**
+     * Release the voice playing a note
+     * @param {string} note - Note name
+     * @returns {number|null} Voice index that was released, or null if the note wasn't held
+     */
+    noteOff(note) {
+        this.clock++;
+
+        const index = this.voices.findIndex(voice => voice.note === note);
+        if (index === -1) return null;
+
+        this.voices[index].note = null;
+        this.voices[index].releasedAt = this.clock;
+        return index;
+    }
+
+    /**
+     * Release every held note
+     */
+    releaseAll() {
+        this.voices.forEach(voice => {
+            if (voice.note !== null) {
+                this.noteOff(voice.note);
+            }
+        });
+    }
+
+    /**
+     * Find the best voice matching a filter
+     * @param {Function} filter - Which voices are candidates
+     * @param {Function} score - Higher score wins
+     * @returns {number} Voice index or -1
+     */
+    pickVoice(filter, score) {
+        let bestIndex = -1;
+        this.voices.forEach((voice, index) => {
+            if (filter(voice) && (bestIndex === -1 || score(voice) > score(this.voices[bestIndex]))) {
+                bestIndex = index;
+            }
+        });
+        return bestIndex;
+    }
+}
+
+// Export for use in main application
+window.VoiceAllocator = VoiceAllocator;
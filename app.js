@@ -66,6 +66,9 @@
  */
 async function setupSynth() {
     try {
+        // Undo/redo history must exist before any edit can be recorded
+        initializeHistory();
+
         // Auto-start audio context on first user interaction
         document.addEventListener('click', async () => {
             if (Tone.context.state !== 'running') {
@@ -74,68 +77,11 @@ async function setupSynth() {
             }
         }, { once: true });
 
-        // Create oscillator module instance using new module factory
-        // NOTE: Transition to modular architecture - oscillator now created via ModuleFactory
-        oscillatorModuleInstance = ModuleFactory.create('oscillator', oscillatorNode.id, oscillatorNode.parameters);
-        vco1ToneObject = oscillatorModuleInstance.toneObject;
-
-        // Create filter module instance using new module factory
-        // NOTE: Transition to modular architecture - filter now created via ModuleFactory
-        filterModuleInstance = ModuleFactory.create('filter', filterNode.id, filterNode.parameters);
-        filterToneObject = filterModuleInstance.toneObject;
-
-        // Create envelope module instance using new module factory
-        // NOTE: Transition to modular architecture - envelope now created via ModuleFactory
-        envelopeModuleInstance = ModuleFactory.create('envelope', envelopeNode.id, envelopeNode.parameters);
-        envelopeToneObject = envelopeModuleInstance.toneObject;
-
-        // Create LFO module instance using new module factory
-        // NOTE: Transition to modular architecture - LFO now created via ModuleFactory
-        lfoModuleInstance = ModuleFactory.create('lfo', lfoNode.id, lfoNode.parameters);
-        lfoToneObject = lfoModuleInstance.toneObject;
-
-        // Create reverb module instance using new module factory
-        // NOTE: Transition to modular architecture - reverb now created via ModuleFactory
-        reverbModuleInstance = ModuleFactory.create('reverb', reverbNode.id, reverbNode.parameters);
-        reverbToneObject = reverbModuleInstance.toneObject;
-
-        // Create EQ8 module instance using new module factory
-        // NOTE: 8-band parametric equalizer with spectrum visualization
-        const eq8Node = { 
-            id: 'eq8-1',
-            type: 'EQ8',
-            parameters: {
-                band1Gain: 0,     // 60Hz
-                band2Gain: 0,     // 170Hz  
-                band3Gain: 0,     // 350Hz
-                band4Gain: 0,     // 1kHz
-                band5Gain: 0,     // 2.8kHz
-                band6Gain: 0,     // 7kHz
-                band7Gain: 0,     // 10kHz
-                band8Gain: 0,     // 15kHz
-                masterGain: 1.0
-            }
-        };
-        window.eq8Node = eq8Node; // Make available globally for parameter sync
-        eq8ModuleInstance = ModuleFactory.create('eq8', eq8Node.id, eq8Node.parameters);
-        eq8ToneObject = eq8ModuleInstance.toneObject;
-
-        // Create mixer module instance using new module factory
-        // NOTE: Multi-input mixer with proper architecture
-        mixerModuleInstance = ModuleFactory.create('mixer', mixerNode.id, mixerNode.parameters);
-        mixerToneObject = mixerModuleInstance.toneObject;
-
-        // Register all original modules for dynamic audio routing
-        registerModuleInstance(oscillatorNode.id, oscillatorModuleInstance);
-        registerModuleInstance(filterNode.id, filterModuleInstance);
-        registerModuleInstance(envelopeNode.id, envelopeModuleInstance);
-        registerModuleInstance(lfoNode.id, lfoModuleInstance);
-        registerModuleInstance(reverbNode.id, reverbModuleInstance);
-        registerModuleInstance(eq8Node.id, eq8ModuleInstance);
-        registerModuleInstance(mixerNode.id, mixerModuleInstance);
-
-        // DYNAMIC PATCHING LOGIC - Use the new compilation system
-        compilePatching();
+        // Render the empty module grid and keyboard, then build the starter patch into it
+        // The starter modules are ordinary modules - they can be deleted, duplicated or replaced
+        initializeModules();
+        initializeP5Manager();
+        withoutHistory(() => rebuildPatch(migratePatchDocument(STARTER_PATCH)));
 
         // Add window resize handler for cable position tracking
         window.addEventListener('resize', () => {
@@ -148,37 +94,21 @@ async function setupSynth() {
             }, 100); // Small delay to ensure layout has updated
         });
 
-        // Start the oscillator and LFO immediately
-        vco1ToneObject.start();
-        lfoToneObject.start();
-
-
-        // Initialize global synth nodes array
-        synthNodes = [oscillatorNode, filterNode, envelopeNode, lfoNode, reverbNode, eq8Node, mixerNode];
-
-        // Initial sync to ensure Tone.js objects match data structures
-        syncToneEngine(oscillatorNode);
-        syncToneEngine(filterNode);
-        syncToneEngine(envelopeNode);
-        syncToneEngine(lfoNode);
-        syncToneEngine(reverbNode);
-        syncToneEngine(mixerNode); // Re-enabled with proper multi-input architecture
-
-        // Initialize modules UI - render both modules side by side
-        initializeModules();
-
         // Initialize add module button (after DOM is ready)
         initializeAddModuleButton();
 
-        // Setup interactive knob functionality (call after DOM is ready)
-        setTimeout(() => {
-            setupKnobInteraction();
-            setupSelectorInteraction();
-        }, 0);
+        // Setup selector functionality - delegated, so it covers every module
+        setupSelectorInteraction();
 
         // Setup multiplier functionality
         setupMultiplierInteraction();
 
+        // Setup sequencer step, accent and RUN controls
+        setupSequencerInteraction();
+
+        // Setup sampler file picker and drag-and-drop
+        setupSamplerInteraction();
+
         // Setup virtual keyboard
         setupVirtualKeyboard();
 
@@ -188,12 +118,27 @@ async function setupSynth() {
         // Setup code copy functionality
         setupCopyCode();
 
+        // Setup patch save/load functionality
+        setupPatchFileControls();
+
+        // Setup code import functionality
+        setupImportCode();
+
+        // Setup polyphonic voice settings
+        setupVoiceSettings();
+
+        // Setup arpeggiator controls
+        setupArpeggiatorControls();
+
+        // Setup script / ES module export selector
+        setupExportFormat();
+
+        // Setup MIDI input and CC learn
+        setupMidi();
+
         // Initial code display update
         updateCodeDisplay();
 
-        // Initialize P5 Canvas Manager
-        initializeP5Manager();
-
         // Initialize PatchingController AFTER DOM is fully ready
         setTimeout(() => {
             const svgElement = document.getElementById('patch-svg');
@@ -203,10 +148,10 @@ async function setupSynth() {
 
             if (svgElement && ports.length > 0) {
                 window.patchingController = new PatchingController(
-                    currentPatchConnections,
-                    compilePatching,
+                    patchModel,
                     getPortCoordinates,
-                    svgElement
+                    svgElement,
+                    patchHistory
                 );
                 window.patchingController.initializeListeners();
 
@@ -230,224 +175,99 @@ async function setupSynth() {
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════════
- * OSCILLATOR MODULE - SYNTH NODE DATA STRUCTURE & TONE.JS INTEGRATION
+ * PATCH MODEL - MODULES AND CABLES
  * ═══════════════════════════════════════════════════════════════════════════════
+ * Every edit to the patch goes through patchModel (see PatchModel.js). The views
+ * below subscribe to its events - features never call them directly.
  */
 
 /**
- * Oscillator Synth Node - Core data structure following the Synth Node Pattern
- * This object represents the module's state and serves as input for both
- * Tone.js object creation and the Code Compiler
- */
-const oscillatorNode = {
-    id: "oscillator-1",
-    type: "OmniOscillator",
-    parameters: {
-        waveform: "sine",
-        frequency: 440,
-        detune: 0
-    }
-};
-
-/**
- * Global Tone.js oscillator instance
- * This is the actual audio engine object that corresponds to the oscillatorNode
+ * The current patch - owns every synth node and patch connection
  */
-let vco1ToneObject;
+const patchModel = new PatchModel();
 
 /**
- * Global oscillator module instance (NEW MODULAR SYSTEM)
- * This stores the complete module created by the ModuleFactory
+ * Global Synth Nodes Array - For tracking all modules
+ * Read-only view of patchModel.nodes, used for code generation and module management
  */
-let oscillatorModuleInstance;
+const synthNodes = patchModel.nodes;
 
 /**
- * ═══════════════════════════════════════════════════════════════════════════════
- * FILTER MODULE - SYNTH NODE DATA STRUCTURE & TONE.JS INTEGRATION
- * ═══════════════════════════════════════════════════════════════════════════════
+ * Model events that change which modules exist or how they are wired
  */
+const PATCH_STRUCTURE_EVENTS = ['nodeAdded', 'nodeRemoved', 'connectionAdded', 'connectionRemoved'];
 
 /**
- * Filter Synth Node - VCF (Voltage Controlled Filter)
- * This object represents the filter's state and serves as input for both
- * Tone.js object creation and the Code Compiler
+ * Does a model event need the cables re-applied to the Tone.js objects?
+ * Structure edits do, so does a new voice count (other clones) and a mode switch
+ * that rebuilt its module's Tone.js object
+ * @param {Object} event - Event from a 'changed' batch
+ * @returns {boolean} True if compilePatching should run
  */
-const filterNode = {
-    id: "filter-1",
-    type: "Filter",
-    parameters: {
-        type: "lowpass",
-        frequency: 8000,
-        Q: 1
+function changesAudioRouting(event) {
+    if (PATCH_STRUCTURE_EVENTS.includes(event.type)) return true;
+    if (event.type === 'settingsChanged') {
+        return event.group === 'voices' && event.settings.voiceCount !== event.previousSettings.voiceCount;
     }
-};
-
-/**
- * Global Tone.js filter instance
- * This is the actual audio engine object that corresponds to the filterNode
- */
-let filterToneObject;
-
-/**
- * Global filter module instance (NEW MODULAR SYSTEM)
- * This stores the complete module created by the ModuleFactory
- */
-let filterModuleInstance;
-
-/**
- * ═══════════════════════════════════════════════════════════════════════════════
- * ENVELOPE MODULE - SYNTH NODE DATA STRUCTURE & TONE.JS INTEGRATION
- * ═══════════════════════════════════════════════════════════════════════════════
- */
+    return event.type === 'paramChanged' && event.param === 'mode' &&
+        getToneObjectById(event.node.id)?.mode !== undefined;
+}
 
-/**
- * Envelope Synth Node - ENV/VCA (Voltage Controlled Amplifier)
- * This object represents the envelope's state and serves as input for both
- * Tone.js object creation and the Code Compiler
- */
-// Make envelope node globally accessible for ADSR visualization
-window.envelopeNode = {
-    id: "envelope-1",
-    type: "AmplitudeEnvelope",
-    parameters: {
-        attack: 0.1,
-        decay: 0.2,
-        sustain: 0.5,
-        release: 1.0,
-        noteMode: true  // true = musical notes, false = gate only
+// P5 visuals: canvases come and go with their module; LFO and filter visuals draw the selected shape
+patchModel.on('nodeAdded', ({ node }) => {
+    setTimeout(() => initializeP5VisualsForModule(node.id, node.type), 100); // Give DOM time to update
+});
+patchModel.on('nodeRemoved', ({ node }) => removeP5Canvas(node.id));
+patchModel.on('paramChanged', ({ node, param, value }) => {
+    if (param === 'type' && (node.type === 'LFO' || node.type === 'Filter')) {
+        updateModuleWaveVisual(node.id, value);
     }
-};
 
-// Local reference for backward compatibility
-const envelopeNode = window.envelopeNode;
-
-/**
- * Global Tone.js envelope instance
- * This is the actual audio engine object that corresponds to the envelopeNode
- */
-let envelopeToneObject;
-
-/**
- * Global envelope module instance (NEW MODULAR SYSTEM)
- * This stores the complete module created by the ModuleFactory
- */
-let envelopeModuleInstance;
-
-/**
- * ═══════════════════════════════════════════════════════════════════════════════
- * LFO MODULE - SYNTH NODE DATA STRUCTURE & TONE.JS INTEGRATION
- * ═══════════════════════════════════════════════════════════════════════════════
- */
-
-/**
- * LFO Synth Node - Low Frequency Oscillator for modulation
- * This object represents the LFO's state and serves as input for both
- * Tone.js object creation and the Code Compiler
- */
-const lfoNode = {
-    id: "lfo-1",
-    type: "LFO",
-    parameters: {
-        frequency: 1,      // Speed of modulation in Hz
-        type: "sine",      // Waveform of control signal
-        min: 200,          // Minimum filter frequency
-        max: 5000,         // Maximum filter frequency
-        multiplier: 1      // Frequency multiplier (1x or 10x)
+    // Trigger visual redraw for modules with visuals when parameters change
+    if (node.type === 'Filter' || node.type === 'AmplitudeEnvelope') {
+        p5Manager?.canvases.get(`${node.id}-visual`)?.instance?.redraw?.();
     }
-};
-
-/**
- * Global Tone.js LFO instance
- * This is the actual audio engine object that corresponds to the lfoNode
- */
-let lfoToneObject;
-
-/**
- * Global LFO module instance (NEW MODULAR SYSTEM)
- * This stores the complete module created by the ModuleFactory
- */
-let lfoModuleInstance;
+});
 
-/**
- * ═══════════════════════════════════════════════════════════════════════════════
- * REVERB MODULE - SYNTH NODE DATA STRUCTURE & TONE.JS INTEGRATION
- * ═══════════════════════════════════════════════════════════════════════════════
- */
+// Module grid and controls: render added modules, remove deleted ones, show parameter values
+patchModel.on('nodeAdded', ({ node }) => {
+    const moduleInstance = moduleInstances.get(node.id);
+    addModuleToGrid(moduleInstance);
+    initializeNewModuleListeners(moduleInstance);
+});
+patchModel.on('nodeRemoved', ({ node }) => {
+    document.querySelector(`[data-module-id="${node.id}"]`)?.remove();
+});
+patchModel.on('paramChanged', ({ node, param, value }) => refreshParameterControl(node.id, param, value));
 
-/**
- * Reverb Synth Node - Effects/Post-processing
- * This object represents the reverb's state and serves as input for both
- * Tone.js object creation and the Code Compiler
- */
-// Make reverb node globally accessible for visualization
-window.reverbNode = {
-    id: "reverb-1",
-    type: "Reverb",
-    parameters: {
-        decay: 1.5,        // Length of reverb tail in seconds
-        wet: 0.5           // Mix level (0 = dry, 1 = wet)
+// Audio engine: Tone.js objects follow their node, routing follows the cables
+patchModel.on('nodeAdded', ({ node }) => syncToneEngine(node));
+patchModel.on('paramChanged', ({ node, param }) => syncToneEngine(node, param));
+patchModel.on('changed', ({ events }) => {
+    if (events.some(changesAudioRouting)) {
+        compilePatching();
     }
-};
-
-// Local reference for backward compatibility
-const reverbNode = window.reverbNode;
-
-/**
- * Global Tone.js Reverb instance
- * This is the actual audio engine object that corresponds to the reverbNode
- */
-let reverbToneObject;
-
-/**
- * Global reverb module instance (NEW MODULAR SYSTEM)
- * This stores the complete module created by the ModuleFactory
- */
-let reverbModuleInstance;
+});
 
-/**
- * ═══════════════════════════════════════════════════════════════════════════════
- * MIXER MODULE - DATA STRUCTURE AND TONE.JS OBJECT
- * ═══════════════════════════════════════════════════════════════════════════════
- */
+// Note engine: the voice allocator and the arpeggiator follow the patch-wide settings
+patchModel.on('settingsChanged', ({ group, previousSettings }) => {
+    if (group === 'voices') applyVoiceSettings();
+    if (group === 'arpeggiator') applyArpeggiatorSettings(previousSettings);
+});
 
-/**
- * Mixer Node - Data Structure for 8-Channel Mixer
- * This object stores the module's state and serves as the source of truth for
- * the visual module, Tone.js object creation and the Code Compiler
- */
-const mixerNode = {
-    id: "mixer-1",
-    type: "Mixer",
-    parameters: {
-        channel1Gain: 0.7,
-        channel2Gain: 0.7,
-        channel3Gain: 0.7,
-        channel4Gain: 0.7,
-        channel5Gain: 0.7,
-        channel6Gain: 0.7,
-        channel7Gain: 0.7,
-        channel8Gain: 0.7,
-        masterGain: 0.8
+// Cable renderer: modules moving on the grid move the cables too, and so does
+// a mode switch that shows other controls and resizes its module
+patchModel.on('changed', ({ events }) => {
+    if (events.some(event => PATCH_STRUCTURE_EVENTS.includes(event.type) || event.param === 'mode')) {
+        drawPatchCables();
     }
-};
-
-/**
- * Global Tone.js Mixer instance
- * This is the actual audio engine object that corresponds to the mixerNode
- */
-let mixerToneObject;
+});
 
-/**
- * Global mixer module instance (NEW MODULAR SYSTEM)
- * This stores the complete module created by the ModuleFactory
- */
-let mixerModuleInstance;
+// Code panel: regenerate the exported code once per edit
+patchModel.on('changed', () => updateCodeDisplay());
 
-/**
- * Global Synth Nodes Array - For tracking all modules
- * Used for code generation and module management
- */
-let synthNodes = [];
+// MIDI: a deleted module's CC mappings go with it, so a module that later reuses its ID starts unmapped
+patchModel.on('nodeRemoved', ({ node }) => midiController?.removeMappings(node.id));
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════════
@@ -465,6 +285,8 @@ let synthNodes = [];
 class P5CanvasManager {
     constructor() {
         this.canvases = new Map();
+        this.reductionHistory = new Map(); // containerId → recent compressor gain reduction (dB)
+        this.samplePeaks = new WeakMap(); // AudioBuffer → peak level per pixel column, for the sampler
     }
 
     /**
@@ -522,6 +344,16 @@ class P5CanvasManager {
                 this.drawWaveform(p, waveTypeRef.current, canvasWidth, canvasHeight, config);
             };
 
+            // Drawable visuals (waveshaper curve) get the pointer as 0-1 fractions of the canvas
+            const handlePointer = () => {
+                if (!config.onPointerDraw || p.mouseX < 0 || p.mouseY < 0 ||
+                    p.mouseX > canvasWidth || p.mouseY > canvasHeight) return;
+                config.onPointerDraw(p.mouseX / canvasWidth, p.mouseY / canvasHeight);
+            };
+            p.mousePressed = handlePointer;
+            p.mouseDragged = handlePointer;
+            p.mouseReleased = () => config.onPointerRelease?.();
+
             // Handle window resize
             p.windowResized = () => {
                 const rect = container.getBoundingClientRect();
@@ -601,6 +433,8 @@ class P5CanvasManager {
         const pixelSize = 4; // Bigger pixel dots (2x size)
         const pixelSpacing = 1; // Solid line - no gaps between pixels
 
+        const lfoNode = getModuleNodeById(config.containerId?.replace('-visual', ''));
+
         // LFO waveform rendering using pixel dots
         for (let i = 0; i < resolution; i += pixelSpacing) {
             const x = p.map(i, 0, resolution, 0, width);
@@ -681,6 +515,12 @@ class P5CanvasManager {
             return;
         }
 
+        // Sampler - peak level bars of the loaded sample
+        if (waveType === 'sampler') {
+            this.drawSamplePixels(p, config.containerId, gridSize, pixelWidth, pixelHeight);
+            return;
+        }
+
         // Create a 2D array to track which pixels should be lit
         const pixelMap = Array(gridSize).fill().map(() => Array(gridSize).fill(false));
 
@@ -693,7 +533,8 @@ class P5CanvasManager {
             const module = container?.closest('.synth-module');
             const isLFO = module && module.dataset.moduleId && module.dataset.moduleId.includes('lfo');
 
-            if (isLFO && lfoNode && lfoNode.parameters) {
+            const lfoNode = isLFO && getModuleNodeById(module.dataset.moduleId);
+            if (lfoNode && lfoNode.parameters) {
                 const lfoFreq = parseFloat(lfoNode.parameters.frequency) || 1;
                 cycles = lfoFreq * 2; // Convert frequency to cycles
             }
@@ -719,21 +560,33 @@ class P5CanvasManager {
                         waveValue = 3 - 2 * phase / p.PI;
                     }
                     break;
+                case 'oscillator':
+                    // VCO in its current mode - scrolls like the basic waveforms
+                    waveValue = this.calculateOscillatorWave(col, gridSize, config.containerId, p);
+                    break;
                 case 'adsr':
                     // ADSR envelope visualization - reflects actual knob values
                     waveValue = this.calculateADSRValue(col, gridSize, config.containerId);
                     break;
                 case 'reverb':
                     // Reverb visualization - static impulse response display
-                    waveValue = this.calculateReverbStatic(col, gridSize);
+                    waveValue = this.calculateReverbStatic(col, gridSize, config.containerId);
                     break;
                 case 'mixer':
                     // 8-band frequency analyzer visualization
-                    waveValue = this.calculateMixerFrequencyBand(col, gridSize);
+                    waveValue = this.calculateMixerFrequencyBand(col, gridSize, config.containerId);
                     break;
                 case 'eq8':
                     // EQ8 frequency response curve visualization
-                    waveValue = this.calculateEQ8FrequencyResponse(col, gridSize);
+                    waveValue = this.calculateEQ8FrequencyResponse(col, gridSize, config.containerId);
+                    break;
+                case 'waveshaper':
+                    // Drive transfer curve - input level left to right, output level up
+                    waveValue = this.calculateDriveTransfer(col, gridSize, config.containerId);
+                    break;
+                case 'gain-reduction':
+                    // Compressor gain reduction scrolling right to left - 0dB at the top
+                    waveValue = this.calculateGainReduction(col, gridSize, config.containerId);
                     break;
                 case 'lowpass':
                 case 'highpass':
@@ -755,7 +608,8 @@ class P5CanvasManager {
                     waveValue = this.calculateBrownNoise(col, gridSize);
                     break;
                 default:
-                    waveValue = 0;
+                    // Plugin modules draw their own curve
+                    waveValue = this.calculatePluginVisual(col, gridSize, waveType, config.containerId);
             }
 
             // Convert wave value to row position
@@ -899,20 +753,61 @@ class P5CanvasManager {
         return Math.max(-1, Math.min(1, waveValue)); // Clamp to -1 to 1 range
     }
 
+    /**
+     * Calculate the drive module's transfer curve for the current mode
+     * @param {number} col - Current column (0 to gridSize-1)
+     * @param {number} gridSize - Size of the pixel grid
+     * @param {string} containerId - Container ID of the canvas (e.g., "drive-1-visual")
+     * @returns {number} - Wave value (-1 to 1)
+     */
+    calculateDriveTransfer(col, gridSize, containerId) {
+        const driveNode = containerId && getModuleNodeById(containerId.replace('-visual', ''));
+        const input = col / (gridSize - 1) * 2 - 1;
+        if (!driveNode || !driveNode.parameters) return input;
+
+        // getDriveTransfer (modules.js) mirrors the curve the Tone.js node applies
+        return Math.max(-1, Math.min(1, getDriveTransfer(driveNode.parameters, input)));
+    }
+
+    /**
+     * Calculate the compressor's recent gain reduction, newest in the rightmost column
+     * Samples the live reduction once per frame (on the first column)
+     * @param {number} col - Current column (0 to gridSize-1)
+     * @param {number} gridSize - Size of the pixel grid
+     * @param {string} containerId - Container ID of the canvas (e.g., "compressor-1-visual")
+     * @returns {number} - Wave value (-1 to 1), 1 = no reduction, -1 = 24dB or more
+     */
+    calculateGainReduction(col, gridSize, containerId) {
+        let history = this.reductionHistory.get(containerId);
+        if (!history) {
+            history = Array(gridSize).fill(0);
+            this.reductionHistory.set(containerId, history);
+        }
+
+        if (col === 0) {
+            history.shift();
+            history.push(getCompressorReduction(containerId.replace('-visual', '')));
+        }
+
+        return 1 - 2 * Math.min(24, -history[col]) / 24;
+    }
+
     /**
      * Calculate static reverb decay visualization
      * @param {number} col - Current column (0 to gridSize-1)
      * @param {number} gridSize - Size of the pixel grid
+     * @param {string} containerId - Visual container ID (e.g., "reverb-1-visual")
      * @returns {number} - Wave value (-1 to 1)
      */
-    calculateReverbStatic(col, gridSize) {
+    calculateReverbStatic(col, gridSize, containerId) {
         // Get actual reverb parameters from the reverb node
         let decay = 1.5, wet = 0.5;
 
-        // Get real values from the reverb node
-        if (window.reverbNode && window.reverbNode.parameters) {
-            decay = parseFloat(window.reverbNode.parameters.decay) || 1.5;
-            wet = parseFloat(window.reverbNode.parameters.wet) || 0.5;
+        // Get real values from the reverb node this visual belongs to
+        const reverbNode = containerId && getModuleNodeById(containerId.replace('-visual', ''));
+        if (reverbNode && reverbNode.parameters) {
+            decay = parseFloat(reverbNode.parameters.decay) || 1.5;
+            wet = parseFloat(reverbNode.parameters.wet) || 0.5;
         }
 
         // Simple exponential decay from left to right
@@ -930,52 +825,57 @@ class P5CanvasManager {
     }
 
     /**
-     * Calculate 8-band frequency analyzer visualization for mixer
+     * Calculate the VCO's waveform in its current mode - two cycles across the grid
      * @param {number} col - Current column (0 to gridSize-1)
      * @param {number} gridSize - Size of the pixel grid
+     * @param {string} containerId - Container ID of the canvas (e.g., "oscillator-1-visual")
+     * @param {Object} p - P5.js instance
      * @returns {number} - Wave value (-1 to 1)
      */
-    calculateEQ8FrequencyResponse(col, gridSize) {
-        const eq8Object = eq8ToneObject || eq8ModuleInstance?.toneObject;
-
-        if (eq8Object && eq8Object.eq3) {
-            // Get current EQ settings
-            const lowGain = eq8Object.eq3.low.value || 0;    // dB
-            const midGain = eq8Object.eq3.mid.value || 0;    // dB  
-            const highGain = eq8Object.eq3.high.value || 0;  // dB
-
-            // Map column position to frequency band
-            // col 0 = low frequencies, col gridSize-1 = high frequencies
-            const freqPosition = col / (gridSize - 1); // 0 to 1
-
-            let gainAtFreq = 0;
-            if (freqPosition < 0.33) {
-                // Low frequency range (0-33%)
-                const blend = freqPosition / 0.33;
-                gainAtFreq = lowGain * (1 - blend * 0.5); // Full low, fading to mid influence
-            } else if (freqPosition < 0.67) {
-                // Mid frequency range (33-67%)
-                const blend = (freqPosition - 0.33) / 0.34;
-                gainAtFreq = lowGain * (0.3 * (1 - blend)) + midGain + highGain * (0.3 * blend);
-            } else {
-                // High frequency range (67-100%)
-                const blend = (freqPosition - 0.67) / 0.33;
-                gainAtFreq = midGain * (0.5 * (1 - blend)) + highGain;
-            }
+    calculateOscillatorWave(col, gridSize, containerId, p) {
+        const vcoNode = containerId && getModuleNodeById(containerId.replace('-visual', ''));
+        if (!vcoNode || !vcoNode.parameters) return 0;
 
-            // Convert dB to visual amplitude with more dramatic range (-12dB to +12dB -> -1 to +1)
-            // Scale up the visual response for more dramatic movement
-            const normalizedGain = Math.max(-1, Math.min(1, gainAtFreq)); // Changed from /12 to /6 for double the sensitivity
+        // Same scroll speed as the other waveforms: 0.05 radians per frame
+        const phase = col / (gridSize - 1) * 2 + p.frameCount * 0.05 / p.TWO_PI;
+        return getOscillatorSample(vcoNode.parameters, phase, p.millis() / 1000);
+    }
 
-            return normalizedGain;
-        }
+    /**
+     * Calculate a plugin module's own visual curve
+     * @param {number} col - Current column (0 to gridSize-1)
+     * @param {number} gridSize - Size of the pixel grid
+     * @param {string} waveType - Plugin module type
+     * @param {string} containerId - Container ID of the canvas (e.g., "trim-1-visual")
+     * @returns {number} - Wave value (-1 to 1)
+     */
+    calculatePluginVisual(col, gridSize, waveType, containerId) {
+        const plugin = ModulePlugins.get(waveType);
+        const node = containerId && getModuleNodeById(containerId.replace('-visual', ''));
+        if (!plugin?.visual || !node) return 0;
 
-        // Fallback: flat response (0dB = 0 visual offset)
-        return 0;
+        return Math.max(-1, Math.min(1, plugin.visual(col / (gridSize - 1), node) || 0));
     }
 
-    calculateMixerFrequencyBand(col, gridSize) {
-        const mixerObject = mixerToneObject || mixerModuleInstance?.toneObject;
+    /**
+     * Calculate the EQ8's combined response curve - 20Hz on the left to 20kHz on the right
+     * @param {number} col - Current column (0 to gridSize-1)
+     * @param {number} gridSize - Size of the pixel grid
+     * @param {string} containerId - Container ID of the canvas (e.g., "eq8-1-visual")
+     * @returns {number} - Wave value (-1 to 1), ±1 = ±12dB
+     */
+    calculateEQ8FrequencyResponse(col, gridSize, containerId) {
+        const eq8Node = containerId && getModuleNodeById(containerId.replace('-visual', ''));
+        if (!eq8Node || !eq8Node.parameters) return 0;
+
+        // Logarithmic frequency axis, like the band frequency knobs
+        const frequency = 20 * Math.pow(1000, col / (gridSize - 1));
+        const sampleRate = Tone.context?.sampleRate || 44100;
+        return Math.max(-1, Math.min(1, getEQ8Response(eq8Node.parameters, frequency, sampleRate) / 12));
+    }
+
+    calculateMixerFrequencyBand(col, gridSize, containerId) {
+        const mixerObject = containerId && getToneObjectById(containerId.replace('-visual', ''));
 
         if (mixerObject && mixerObject.analyzer) {
             const fftData = mixerObject.analyzer.getValue();
@@ -1234,6 +1134,55 @@ class P5CanvasManager {
         }
     }
 
+    /**
+     * Draw a sampler's loaded sample as peak level bars, one per column
+     * Columns inside the START-END region are black, the rest of the sample gray
+     * @param {Object} p - P5.js instance
+     * @param {string} containerId - Container ID of the canvas (e.g., "sampler-1-visual")
+     * @param {number} gridSize - Size of the pixel grid
+     * @param {number} pixelWidth - Width of one pixel
+     * @param {number} pixelHeight - Height of one pixel
+     */
+    drawSamplePixels(p, containerId, gridSize, pixelWidth, pixelHeight) {
+        const moduleId = containerId?.replace('-visual', '');
+        const samplerNode = moduleId && getModuleNodeById(moduleId);
+        const length = getSampleLength(moduleId);
+        const audioBuffer = length > 0 ? getToneObjectById(moduleId).buffer.get() : null;
+
+        // Peaks only change with the sample - measure each buffer once
+        let peaks = audioBuffer && this.samplePeaks.get(audioBuffer);
+        if (audioBuffer && !peaks) {
+            const samples = audioBuffer.getChannelData(0);
+            const columnSize = Math.ceil(samples.length / gridSize);
+            peaks = Array.from({ length: gridSize }, (_, col) => {
+                let peak = 0;
+                for (let index = col * columnSize; index < Math.min(samples.length, (col + 1) * columnSize); index++) {
+                    peak = Math.max(peak, Math.abs(samples[index]));
+                }
+                return peak;
+            });
+            this.samplePeaks.set(audioBuffer, peaks);
+        }
+
+        const { start = 0, end = 0 } = samplerNode?.parameters || {};
+        const regionEnd = end > start ? end : length;
+        const centerRow = gridSize / 2;
+
+        p.stroke(200); // Light gray grid lines
+        p.strokeWeight(0.5);
+        for (let col = 0; col < gridSize; col++) {
+            const columnTime = (col + 0.5) / gridSize * length;
+            const inRegion = columnTime >= start && columnTime <= regionEnd;
+            const barHeight = peaks ? Math.max(0.5, peaks[col] * centerRow) : 0;
+
+            for (let row = 0; row < gridSize; row++) {
+                const isLit = Math.abs(row + 0.5 - centerRow) <= barHeight;
+                p.fill(isLit ? (inRegion ? 0 : 160) : 248);
+                p.rect(col * pixelWidth, row * pixelHeight, pixelWidth, pixelHeight);
+            }
+        }
+    }
+
     /**
      * Update waveform configuration
      * @param {string} containerId - Container ID
@@ -1322,20 +1271,10 @@ let p5Manager;
  */
 
 /**
- * Dynamic Patch Connections - Single source of truth for all active connections
- * Used by both the audio engine (compilePatching) and visual system (PatchCableManager)
+ * Dynamic Patch Connections - Read-only view of patchModel.connections
+ * Used by both the audio engine (compilePatching) and visual system (drawPatchCables)
  */
-const currentPatchConnections = [
-    // Audio signal chain: VCO → VCF → ENV → REVERB → EQ8 → MIXER → Destination
-    { source: 'oscillator-1/audio_out', target: 'filter-1/audio_in', type: 'audio' },
-    { source: 'filter-1/audio_out', target: 'envelope-1/audio_in', type: 'audio' },
-    { source: 'envelope-1/audio_out', target: 'reverb-1/audio_in', type: 'audio' },
-    { source: 'reverb-1/audio_out', target: 'eq8-1/audio_in', type: 'audio' },
-    { source: 'eq8-1/audio_out', target: 'mixer-1/input/1', type: 'audio' },
-    { source: 'mixer-1/audio_out', target: 'destination', type: 'audio' },
-    // CV modulation: LFO → VCF Frequency Parameter
-    { source: 'lfo-1/cv_out', target: 'filter-1/frequency', type: 'cv' }
-];
+const currentPatchConnections = patchModel.connections;
 
 // Legacy patchConnections array removed - now using currentPatchConnections with dynamic conversion
 
@@ -1365,10 +1304,11 @@ function compilePatching() {
         }
     });
 
-    console.log(`🔌 Patch compilation complete: ${currentPatchConnections.length} connections applied`);
+    // STEP 2b: Clone the per-voice part of the patch and wire the extra voices
+    refreshVoiceClones();
+    applyVoiceConnections();
 
-    // STEP 3: Update visual cable representation
-    drawPatchCables();
+    console.log(`🔌 Patch compilation complete: ${currentPatchConnections.length} connections applied`);
 }
 
 /**
@@ -1378,154 +1318,77 @@ function compilePatching() {
 function disconnectAllModules() {
     console.log('🔌 Disconnecting all modules...');
 
-    // Disconnect all module instances created by ModuleFactory
-    if (oscillatorModuleInstance?.toneObject) {
-        oscillatorModuleInstance.toneObject.disconnect();
-    }
-    if (filterModuleInstance?.toneObject) {
-        filterModuleInstance.toneObject.disconnect();
-    }
-    if (envelopeModuleInstance?.toneObject) {
-        envelopeModuleInstance.toneObject.disconnect();
-    }
-    if (lfoModuleInstance?.toneObject) {
-        lfoModuleInstance.toneObject.disconnect();
-    }
-    if (reverbModuleInstance?.toneObject) {
-        reverbModuleInstance.toneObject.disconnect();
-    }
-    if (eq8ModuleInstance?.toneObject) {
-        eq8ModuleInstance.toneObject.disconnect();
-        // EQ bands are now simple objects, not Tone.js nodes, so no need to disconnect them
-        console.log('🎛️ EQ8 disconnected');
-    }
-    if (mixerModuleInstance?.toneObject) {
-        mixerModuleInstance.toneObject.disconnect();
-        // Also disconnect all channel gain nodes
-        if (mixerModuleInstance.toneObject.channelGains) {
-            mixerModuleInstance.toneObject.channelGains.forEach(gain => gain.disconnect());
-        }
-    }
-
-    // Disconnect all dynamically created modules
+    // Disconnect every module - the band filters of an EQ8 stay chained into its master gain
     moduleInstances.forEach((moduleInstance, moduleId) => {
         if (moduleInstance?.toneObject) {
             moduleInstance.toneObject.disconnect();
-            console.log(`🔌 Disconnected dynamic module: ${moduleId}`);
+            console.log(`🔌 Disconnected module: ${moduleId}`);
         }
     });
 
-    // Also disconnect legacy global objects for safety
-    if (vco1ToneObject) vco1ToneObject.disconnect();
-    if (filterToneObject) filterToneObject.disconnect();
-    if (envelopeToneObject) envelopeToneObject.disconnect();
-    if (lfoToneObject) lfoToneObject.disconnect();
-    if (reverbToneObject) reverbToneObject.disconnect();
+    // Disconnect the extra polyphonic voices
+    voiceClones.forEach(clones => clones.forEach(clone => clone.disconnect()));
 
     console.log('🔌 All modules disconnected');
 }
 
 /**
  * Apply a single connection from currentPatchConnections format
+ * Both ends resolve through the module port schema (see PORT SCHEMA in modules.js)
  * @param {Object} connection - Connection object with source, target, type
+ * @param {Function} resolveToneObject - Maps a module ID to the Tone.js object to wire
+ *                                       (defaults to the main instance; voices pass their own)
  */
-function applyConnection(connection) {
+function applyConnection(connection, resolveToneObject = getToneObjectById) {
     const { source, target, type } = connection;
+    const sourceModuleId = source.split('/')[0];
+    const targetModuleId = target.split('/')[0];
 
-    // Parse source and target
-    const [sourceModuleId, sourcePort] = source.split('/');
-
-    // Special handling for mixer input format: mixer-1/input/1
-    let targetModuleId, targetPort;
-    if (target.includes('/input/')) {
-        const parts = target.split('/');
-        targetModuleId = parts[0];
-        targetPort = parts[1] + '/' + parts[2]; // Reconstruct "input/1"
-    } else {
-        [targetModuleId, targetPort] = target.split('/');
+    const sourcePort = getModulePort(source);
+    const targetPort = getModulePort(target);
+    if (!sourcePort || sourcePort.direction !== 'out') {
+        throw new Error(`Source port not found: ${source}`);
+    }
+    if (!targetPort || targetPort.direction !== 'in') {
+        throw new Error(`Target port not found: ${target}`);
+    }
+    // CV into a gate input joins the gate list the CV output names (getGateSourcePort)
+    const gateSourcePort = targetPort.signal === 'gate' ? getGateSourcePort(sourcePort) : null;
+    if (sourcePort.signal !== type || (targetPort.signal !== type && !gateSourcePort)) {
+        throw new Error(`Connection not supported: ${source} → ${target} (${type})`);
     }
-
-    console.log(`🔌 CONNECTION PARSING: ${source} → ${target}`, {
-        targetModuleId: targetModuleId,
-        targetPort: targetPort,
-        isMixer: targetModuleId === 'mixer-1',
-        startsWithAudioIn: targetPort?.startsWith('audio-in/'),
-        fullTarget: target
-    });
 
     // Get source Tone.js object
-    const sourceObject = getToneObjectById(sourceModuleId);
+    const sourceObject = resolveToneObject(sourceModuleId);
     if (!sourceObject) {
         throw new Error(`Source module not found: ${sourceModuleId}`);
     }
+    const sourceNode = resolvePortNode(sourceObject, gateSourcePort || sourcePort);
 
-    // Handle different connection types
-    if (type === 'audio') {
-        if (target === 'destination' || targetModuleId === 'destination') {
-            // Final connection to destination
-            console.log(`🔌 DESTINATION DEBUG: Connecting ${sourceModuleId} to destination`, {
-                sourceObject: sourceObject,
-                target: target,
-                targetModuleId: targetModuleId
-            });
-            sourceObject.toDestination();
-            console.log(`✅ Successfully connected ${sourceModuleId} to destination`);
-        } else if (targetModuleId === 'mixer-1' && targetPort.startsWith('input/')) {
-            console.log(`🔌 MIXER ROUTING DEBUG: targetPort="${targetPort}", condition met`);
-            // Special handling for mixer input connections
-            const inputNumber = parseInt(targetPort.replace('input/', '')) - 1; // Convert to 0-based index
-            const mixerObject = getToneObjectById(targetModuleId);
-
-            if (!mixerObject || !mixerObject.inputGains) {
-                throw new Error(`Mixer not found or not properly initialized: ${targetModuleId}`);
-            }
-
-            if (inputNumber < 0 || inputNumber >= mixerObject.inputGains.length) {
-                throw new Error(`Invalid mixer input: ${inputNumber + 1}`);
-            }
+    if (targetPort === DESTINATION_PORT) {
+        sourceNode.toDestination();
+        console.log(`🔌 Connected ${sourceModuleId} to destination`);
+        return;
+    }
 
-            // Connect source to the specific input gain node
-            console.log(`🔌 MIXER CONNECTION DEBUG:`, {
-                sourceModule: sourceModuleId,
-                inputNumber: inputNumber,
-                inputGainNode: mixerObject.inputGains[inputNumber],
-                sourceObject: sourceObject,
-                inputGainValue: mixerObject.inputGains[inputNumber]?.gain?.value
-            });
-            sourceObject.connect(mixerObject.inputGains[inputNumber]);
-            console.log(`🔌 Connected ${sourceModuleId} to mixer input ${inputNumber + 1}`);
-        } else if (targetModuleId === 'eq8-1') {
-            // EQ8 connection - connect to the EQ3 input node
-            const targetObject = getToneObjectById(targetModuleId);
-            if (!targetObject) {
-                throw new Error(`Target module not found: ${targetModuleId}`);
-            }
-            const inputNode = targetObject.inputNode || targetObject; // inputNode should be eq3
-            sourceObject.connect(inputNode);
-            console.log(`🔌 Connected ${sourceModuleId} to EQ8 (Tone.EQ3 input)`);
-        } else {
-            // Standard audio connection
-            const targetObject = getToneObjectById(targetModuleId);
-            if (!targetObject) {
-                throw new Error(`Target module not found: ${targetModuleId}`);
-            }
-            sourceObject.connect(targetObject);
-        }
-    } else if (type === 'cv') {
-        // CV connection to specific parameter
-        const targetObject = getToneObjectById(targetModuleId);
-        if (!targetObject) {
-            throw new Error(`Target module not found: ${targetModuleId}`);
-        }
+    const targetObject = resolveToneObject(targetModuleId);
+    if (!targetObject) {
+        throw new Error(`Target module not found: ${targetModuleId}`);
+    }
+    const targetNode = resolvePortNode(targetObject, targetPort);
+    if (!targetNode) {
+        throw new Error(`Target port has no node: ${target}`);
+    }
 
-        // Connect to specific parameter (e.g., filter.frequency)
-        if (targetPort && targetObject[targetPort]) {
-            sourceObject.connect(targetObject[targetPort]);
-        } else {
-            throw new Error(`Target parameter not found: ${targetModuleId}.${targetPort}`);
+    if (gateSourcePort) {
+        // The source triggers the target envelope (sequencer-1/gate_out → envelope-1/gate_in)
+        if (!Array.isArray(sourceNode) || typeof targetNode.triggerAttackRelease !== 'function') {
+            throw new Error(`Gate connection not supported: ${source} → ${target}`);
         }
+        sourceNode.push(targetNode);
     } else {
-        throw new Error(`Unknown connection type: ${type}`);
+        // Audio lands on the port's node, CV on its parameter (filter-1/frequency)
+        sourceNode.connect(targetNode);
     }
 }
 
@@ -1551,25 +1414,28 @@ function registerModuleInstance(moduleId, moduleInstance) {
  * @returns {Object} Module node or null
  */
 function getModuleNodeById(moduleId) {
-    // Try to find in synthNodes array first
+    // Every module, the starter patch included, lives in synthNodes
     const node = synthNodes.find(node => node.id === moduleId);
     if (node) {
         return node;
     }
     
-    // Fallback to hardcoded legacy nodes
-    switch (moduleId) {
-        case 'oscillator-1': return oscillatorNode;
-        case 'filter-1': return filterNode;
-        case 'envelope-1': return envelopeNode;
-        case 'lfo-1': return lfoNode;
-        case 'reverb-1': return reverbNode;
-        case 'eq8-1': return window.eq8Node || eq8ModuleInstance?.node;
-        case 'mixer-1': return mixerNode;
-        default:
-            console.warn(`Unknown module node ID: ${moduleId}`);
-            return null;
+    console.warn(`Unknown module node ID: ${moduleId}`);
+    return null;
+}
+
+/**
+ * Port definition a port ID refers to
+ * @param {string} portId - Port ID in format "module-id/port-id" (e.g., 'mixer-2/input/3'), or 'destination'
+ * @returns {Object|null} Port definition from the module's schema
+ */
+function getModulePort(portId) {
+    if (portId === 'destination') {
+        return DESTINATION_PORT;
     }
+    const [moduleId, ...port] = portId.split('/');
+    const moduleType = ModuleFactory.getTypeForNode(getModuleNodeById(moduleId));
+    return ModuleFactory.getPorts(moduleType).find(definition => definition.id === port.join('/')) || null;
 }
 
 /**
@@ -1578,32 +1444,13 @@ function getModuleNodeById(moduleId) {
  * @returns {Object} Tone.js object or null
  */
 function getToneObjectById(moduleId) {
-    // First try dynamic module instances
     const moduleInstance = moduleInstances.get(moduleId);
     if (moduleInstance && moduleInstance.toneObject) {
         return moduleInstance.toneObject;
     }
     
-    // Fallback to legacy hardcoded objects for original modules
-    switch (moduleId) {
-        case 'oscillator-1':
-            return vco1ToneObject || oscillatorModuleInstance?.toneObject;
-        case 'filter-1':
-            return filterToneObject || filterModuleInstance?.toneObject;
-        case 'envelope-1':
-            return envelopeToneObject || envelopeModuleInstance?.toneObject;
-        case 'lfo-1':
-            return lfoToneObject || lfoModuleInstance?.toneObject;
-        case 'reverb-1':
-            return reverbToneObject || reverbModuleInstance?.toneObject;
-        case 'eq8-1':
-            return eq8ToneObject || eq8ModuleInstance?.toneObject;
-        case 'mixer-1':
-            return mixerToneObject || mixerModuleInstance?.toneObject;
-        default:
-            console.warn(`Unknown module ID: ${moduleId}`);
-            return null;
-    }
+    console.warn(`Unknown module ID: ${moduleId}`);
+    return null;
 }
 
 /**
@@ -1661,16 +1508,7 @@ function getPortCoordinates(port) {
  */
 function createConnection(source, target, type) {
     console.log(`🔌 Creating connection: ${source} → ${target} (${type})`);
-
-    // Add to currentPatchConnections
-    currentPatchConnections.push({
-        source,
-        target,
-        type
-    });
-
-    // Recompile patching
-    compilePatching();
+    patchModel.addConnection({ source, target, type });
 }
 
 /**
@@ -1681,17 +1519,8 @@ function createConnection(source, target, type) {
 function removePatchConnection(source, target) {
     console.log(`🗑️ Removing connection: ${source} → ${target}`);
 
-    // Remove from currentPatchConnections
-    const index = currentPatchConnections.findIndex(conn =>
-        conn.source === source && conn.target === target
-    );
-
-    if (index !== -1) {
-        currentPatchConnections.splice(index, 1);
+    if (patchModel.removeConnection(source, target)) {
         console.log('🗑️ Connection removed from data structure');
-
-        // Recompile patching
-        compilePatching();
     } else {
         console.warn('🗑️ Connection not found in data structure');
     }
@@ -1751,15 +1580,6 @@ function createCablePath(connection, index) {
     const targetPort = findPortByID(target);
 
     if (!sourcePort || !targetPort) {
-        // For CV connections to parameters, draw cable to CV input port instead
-        if (type === 'cv' && target.includes('/frequency')) {
-            const [moduleId] = target.split('/');
-            const cvTargetPort = findPortByID(`${moduleId}/cv_in`);
-            if (cvTargetPort && sourcePort) {
-                console.log(`🔌 Drawing CV cable to cv-in port instead of parameter: ${source} → ${moduleId}/cv_in`);
-                return createCablePathBetweenPorts(sourcePort, cvTargetPort, type, index, `${source} → ${target}`);
-            }
-        }
         console.warn(`🔌 Could not find ports for connection: ${source} → ${target}`);
         return null;
     }
@@ -1793,31 +1613,6 @@ function createCablePath(connection, index) {
     return cable;
 }
 
-/**
- * Create cable path between two specific ports
- */
-function createCablePathBetweenPorts(sourcePort, targetPort, type, index, originalConnection) {
-    const sourceCoords = getPortCoordinates(sourcePort);
-    const targetCoords = getPortCoordinates(targetPort);
-
-    const cable = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    const pathData = generateCablePath(sourceCoords, targetCoords);
-    cable.setAttribute('d', pathData);
-
-    cable.setAttribute('class', 'patch-cable');
-    cable.setAttribute('data-signal', type);
-    cable.setAttribute('data-cable', `cable-${index}`);
-    cable.setAttribute('data-connection', originalConnection);
-    cable.style.pointerEvents = 'auto';
-
-    const color = getCableColor(type);
-    cable.style.stroke = color;
-    cable.style.fill = 'none';
-    cable.style.cursor = 'pointer';
-
-    return cable;
-}
-
 /**
  * Generate SVG path data for a curved cable
  * @param {Object} start - Start coordinates {x, y}
@@ -1875,24 +1670,8 @@ function findPortByID(portId) {
         return null;
     }
 
-    // Handle mixer input format: mixer-1/input/1
-    if (portId.includes('/input/')) {
-        const [moduleId, , inputId] = portId.split('/');
-        const module = document.querySelector(`[data-module-id="${moduleId}"]`);
-        if (!module) {
-            console.warn(`🔌 Module not found: ${moduleId}`);
-            return null;
-        }
-
-        // Find mixer input port by data-input-id attribute
-        const port = module.querySelector(`[data-port-type="input"][data-input-id="${inputId}"]`);
-        if (!port) {
-            console.warn(`🔌 Mixer input port not found: ${moduleId} input ${inputId}`);
-        }
-        return port;
-    }
-
-    const [moduleId, portType] = portId.split('/');
+    const [moduleId, ...portPath] = portId.split('/');
+    const portName = portPath.join('/');
 
     // Find the module
     const module = document.querySelector(`[data-module-id="${moduleId}"]`);
@@ -1901,17 +1680,16 @@ function findPortByID(portId) {
         return null;
     }
 
-    // Convert underscore format to dash format for HTML attributes
-    // audio_out -> audio-out, cv_out -> cv-out, etc.
-    const htmlPortType = portType.replace('_', '-');
-
-    // Find the port within the module
-    const port = module.querySelector(`[data-port-type="${htmlPortType}"]`);
+    // Ports named differently from their type carry the ID (mixer inputs, CV inputs);
+    // the rest are found by type: audio_out -> audio-out, cv_out -> cv-out, etc.
+    const htmlPortType = portName.replace('_', '-');
+    const port = module.querySelector(`[data-port-id="${portName}"]`) ||
+        module.querySelector(`[data-port-type="${htmlPortType}"]:not([data-port-id])`);
     if (!port) {
-        console.warn(`🔌 Port not found in module ${moduleId}: ${htmlPortType}`);
+        console.warn(`🔌 Port not found in module ${moduleId}: ${portName}`);
         // Debug: show available ports
         const availablePorts = module.querySelectorAll('[data-port-type]');
-        const availableTypes = Array.from(availablePorts).map(p => p.getAttribute('data-port-type'));
+        const availableTypes = Array.from(availablePorts).map(p => p.getAttribute('data-port-id') || p.getAttribute('data-port-type'));
         console.log(`🔌 Available ports in ${moduleId}:`, availableTypes);
     }
 
@@ -1926,356 +1704,14 @@ function findPortByID(portId) {
 
 
 /**
- * Initialize P5 Canvas Manager and create wave visualizers
- * Sets up responsive P5.js canvases for all wave visual elements
+ * Initialize P5 Canvas Manager
+ * Each module creates its own wave visualizers as it is added (see initializeP5VisualsForModule)
  */
 function initializeP5Manager() {
-    // Create new P5 canvas manager
     p5Manager = new P5CanvasManager();
+    console.log('  P5 Canvas Manager initialized');
+}
 
-    // Wait for DOM to be fully rendered before creating canvases
-    setTimeout(() => {
-        // Find all wave visual elements and create P5 canvases
-        const waveVisuals = document.querySelectorAll('.wave-visual');
-
-        waveVisuals.forEach((visual, index) => {
-            const waveType = visual.dataset.waveType;
-            
-            // Find the module this visual belongs to
-            const module = visual.closest('.synth-module');
-            const moduleId = module?.getAttribute('data-module-id');
-            
-            // Use module-based ID if available, otherwise fall back to index-based
-            const containerId = moduleId ? `${moduleId}-visual` : `wave-visual-${index}`;
-
-            // Set an ID for the container if it doesn't have one
-            if (!visual.id) {
-                visual.id = containerId;
-            }
-
-            // Create P5 canvas for all wave types including reverb ripples
-
-            // Create P5 canvas for other wave visuals
-            if (waveType && visual.id) {
-                p5Manager.createWaveCanvas(visual.id, waveType, {
-                    amplitude: 45, // Slightly smaller than container
-                    frequency: 2.5, // Multiple cycles visible
-                    strokeWeight: 1.5,
-                    strokeColor: '#000000',
-                    backgroundColor: 'transparent' // Let CSS background show through
-                });
-
-                console.log(`  Created P5 canvas for ${waveType} wave (${visual.id})`);
-            } else {
-                console.warn(`  Could not create canvas - waveType: ${waveType}, visual.id: ${visual.id}`);
-            }
-        });
-
-        console.log('  P5 Canvas Manager initialized with wave visualizers');
-    }, 100); // Small delay to ensure DOM is ready
-}
-
-
-/**
- * Render Oscillator Module
- * Takes the oscillator data structure as input and returns the corresponding HTML string
- * Following T.E. aesthetic principles: minimal, functional, beautiful
- * 
- * @param {Object} oscillatorData - The oscillator synth node data structure
- * @returns {string} HTML string for the oscillator module
- */
-function renderOscillatorModule(oscillatorData) {
-    return `
-        <div class="synth-module" data-module-id="${oscillatorData.id}">
-            <div class="corner-port-output">
-                <div class="patch-port audio-output" data-port-type="audio-out" data-signal="audio"></div>
-                <span class="corner-port-label">OUT</span>
-            </div>
-            
-            <div class="module-header">
-                <h3 class="module-title">VCO-1</h3>
-            </div>
-            
-            <div class="module-controls">
-                <div class="control-group">
-                    <select class="waveform-selector" data-param="waveform">
-                        <option value="sine" ${oscillatorData.parameters.waveform === 'sine' ? 'selected' : ''}>SINE</option>
-                        <option value="square" ${oscillatorData.parameters.waveform === 'square' ? 'selected' : ''}>SQUARE</option>
-                        <option value="sawtooth" ${oscillatorData.parameters.waveform === 'sawtooth' ? 'selected' : ''}>SAW</option>
-                        <option value="triangle" ${oscillatorData.parameters.waveform === 'triangle' ? 'selected' : ''}>TRI</option>
-                    </select>
-                    <div class="wave-visual" data-wave-type="${oscillatorData.parameters.waveform}"></div>
-                </div>
-                
-                <div class="control-group">
-                    <label class="control-label">FREQ</label>
-                    <div class="synth-knob" data-param="frequency" data-value="${oscillatorData.parameters.frequency}">
-                        <div class="knob-indicator"></div>
-                    </div>
-                    <span class="control-value">${oscillatorData.parameters.frequency}Hz</span>
-                </div>
-                
-                <div class="control-group">
-                    <label class="control-label">DETUNE</label>
-                    <div class="synth-knob" data-param="detune" data-value="${oscillatorData.parameters.detune}">
-                        <div class="knob-indicator"></div>
-                    </div>
-                    <span class="control-value">${oscillatorData.parameters.detune}¢</span>
-                </div>
-            </div>
-        </div>
-    `;
-}
-
-/**
- * Render Filter Module
- * Takes the filter data structure as input and returns the corresponding HTML string
- * Following T.E. aesthetic principles with cyan/blue knobs for visual distinction
- * 
- * @param {Object} filterData - The filter synth node data structure
- * @returns {string} HTML string for the filter module
- */
-function renderFilterModule(filterData) {
-    return `
-        <div class="synth-module" data-module-id="${filterData.id}">
-            <div class="corner-port-input">
-                <div class="patch-port audio-input" data-port-type="audio-in" data-signal="audio"></div>
-                <span class="corner-port-label">IN</span>
-            </div>
-            
-            <div class="corner-port-output">
-                <div class="patch-port audio-output" data-port-type="audio-out" data-signal="audio"></div>
-                <span class="corner-port-label">OUT</span>
-            </div>
-            
-            <div class="module-header">
-                <h3 class="module-title">VCF-1</h3>
-            </div>
-            
-            <div class="module-controls">
-                <div class="control-group">
-                    <select class="filter-type-selector" data-param="type">
-                        <option value="lowpass" ${filterData.parameters.type === 'lowpass' ? 'selected' : ''}>LPF</option>
-                        <option value="highpass" ${filterData.parameters.type === 'highpass' ? 'selected' : ''}>HPF</option>
-                        <option value="bandpass" ${filterData.parameters.type === 'bandpass' ? 'selected' : ''}>BPF</option>
-                        <option value="notch" ${filterData.parameters.type === 'notch' ? 'selected' : ''}>NOTCH</option>
-                    </select>
-                    <div class="wave-visual" data-wave-type="${filterData.parameters.type}"></div>
-                </div>
-                
-                <div class="control-group">
-                    <div class="corner-port-input secondary">
-                        <div class="patch-port cv-input" data-port-type="cv-in" data-signal="cv"></div>
-                        <span class="corner-port-label">CV</span>
-                    </div>
-                    <label class="control-label">FREQ</label>
-                    <div class="synth-knob filter-knob" data-param="frequency" data-value="${filterData.parameters.frequency}">
-                        <div class="knob-indicator"></div>
-                    </div>
-                    <span class="control-value">${filterData.parameters.frequency}Hz</span>
-                </div>
-                
-                <div class="control-group">
-                    <label class="control-label">Q</label>
-                    <div class="synth-knob filter-knob" data-param="Q" data-value="${filterData.parameters.Q}">
-                        <div class="knob-indicator"></div>
-                    </div>
-                    <span class="control-value">${filterData.parameters.Q}</span>
-                </div>
-            </div>
-        </div>
-    `;
-}
-
-/**
- * Render Envelope Module
- * Takes the envelope data structure as input and returns the corresponding HTML string
- * Following T.E. aesthetic principles with red knobs for time/controller visual distinction
- * 
- * @param {Object} envelopeData - The envelope synth node data structure
- * @returns {string} HTML string for the envelope module
- */
-function renderEnvelopeModule(envelopeData) {
-    return `
-        <div class="synth-module" data-module-id="${envelopeData.id}">
-            <div class="corner-port-input">
-                <div class="patch-port audio-input" data-port-type="audio-in" data-signal="audio"></div>
-                <span class="corner-port-label">IN</span>
-            </div>
-            
-            <div class="corner-port-input secondary">
-                <div class="patch-port gate-input" data-port-type="gate-in" data-signal="gate"></div>
-                <span class="corner-port-label">GATE</span>
-            </div>
-            
-            <div class="corner-port-output">
-                <div class="patch-port audio-output" data-port-type="audio-out" data-signal="audio"></div>
-                <span class="corner-port-label">OUT</span>
-            </div>
-            
-            <div class="module-header">
-                <h3 class="module-title">ENV/VCA-1</h3>
-                <button class="env-mode-toggle" data-param="noteMode" data-value="${envelopeData.parameters.noteMode}">
-                    ${envelopeData.parameters.noteMode ? 'NOTE' : 'GATE'}
-                </button>
-            </div>
-            
-            <div class="module-controls envelope-controls">
-                <div class="envelope-canvas-section">
-                    <div class="wave-visual" data-wave-type="adsr"></div>
-                </div>
-                
-                <div class="envelope-knobs-section">
-                    <div class="control-group">
-                        <label class="control-label">ATTACK</label>
-                        <div class="synth-knob envelope-knob" data-param="attack" data-value="${envelopeData.parameters.attack}">
-                            <div class="knob-indicator"></div>
-                        </div>
-                        <span class="control-value">${envelopeData.parameters.attack}s</span>
-                    </div>
-                    
-                    <div class="control-group">
-                        <label class="control-label">DECAY</label>
-                        <div class="synth-knob envelope-knob" data-param="decay" data-value="${envelopeData.parameters.decay}">
-                            <div class="knob-indicator"></div>
-                        </div>
-                        <span class="control-value">${envelopeData.parameters.decay}s</span>
-                    </div>
-                    
-                    <div class="control-group">
-                        <label class="control-label">SUSTAIN</label>
-                        <div class="synth-knob envelope-knob" data-param="sustain" data-value="${envelopeData.parameters.sustain}">
-                            <div class="knob-indicator"></div>
-                        </div>
-                        <span class="control-value">${envelopeData.parameters.sustain}</span>
-                    </div>
-                    
-                    <div class="control-group">
-                        <label class="control-label">RELEASE</label>
-                        <div class="synth-knob envelope-knob" data-param="release" data-value="${envelopeData.parameters.release}">
-                            <div class="knob-indicator"></div>
-                        </div>
-                        <span class="control-value">${envelopeData.parameters.release}s</span>
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
-}
-
-/**
- * Render LFO Module
- * Takes the LFO data structure as input and returns the corresponding HTML string
- * Following T.E. aesthetic principles with purple knobs for modulation visual distinction
- * 
- * @param {Object} lfoData - The LFO synth node data structure
- * @returns {string} HTML string for the LFO module
- */
-function renderLFOModule(lfoData) {
-    return `
-        <div class="synth-module" data-module-id="${lfoData.id}">
-            <div class="module-header">
-                <h3 class="module-title">LFO-1</h3>
-            </div>
-            
-            <div class="module-controls">
-                <div class="control-group">
-                    <select class="lfo-type-selector" data-param="type">
-                        <option value="sine" ${lfoData.parameters.type === 'sine' ? 'selected' : ''}>SINE</option>
-                        <option value="square" ${lfoData.parameters.type === 'square' ? 'selected' : ''}>SQUARE</option>
-                        <option value="sawtooth" ${lfoData.parameters.type === 'sawtooth' ? 'selected' : ''}>SAW</option>
-                        <option value="triangle" ${lfoData.parameters.type === 'triangle' ? 'selected' : ''}>TRI</option>
-                    </select>
-                    <div class="wave-visual" data-wave-type="${lfoData.parameters.type}"></div>
-                </div>
-                
-                <div class="control-group">
-                    <div class="corner-port-output">
-                        <div class="patch-port cv-output" data-port-type="cv-out" data-signal="cv"></div>
-                        <span class="corner-port-label">CV</span>
-                    </div>
-                    <div class="corner-port-input">
-                        <div class="multiplier-selector" data-param="multiplier">
-                            <div class="multiplier-option ${lfoData.parameters.multiplier === 1 ? 'active' : ''}" data-value="1">1X</div>
-                            <div class="multiplier-option ${lfoData.parameters.multiplier === 10 ? 'active' : ''}" data-value="10">10X</div>
-                        </div>
-                    </div>
-                    <label class="control-label">FREQ</label>
-                    <div class="synth-knob lfo-knob" data-param="frequency" data-value="${lfoData.parameters.frequency}">
-                        <div class="knob-indicator"></div>
-                    </div>
-                    <span class="control-value">${lfoData.parameters.frequency}Hz</span>
-                </div>
-                
-                <div class="control-group">
-                    <label class="control-label">MIN</label>
-                    <div class="synth-knob lfo-knob" data-param="min" data-value="${lfoData.parameters.min}">
-                        <div class="knob-indicator"></div>
-                    </div>
-                    <span class="control-value">${lfoData.parameters.min}Hz</span>
-                </div>
-                
-                <div class="control-group">
-                    <label class="control-label">MAX</label>
-                    <div class="synth-knob lfo-knob" data-param="max" data-value="${lfoData.parameters.max}">
-                        <div class="knob-indicator"></div>
-                    </div>
-                    <span class="control-value">${lfoData.parameters.max}Hz</span>
-                </div>
-            </div>
-        </div>
-    `;
-}
-
-/**
- * Render Reverb Module
- * Takes the reverb data structure as input and returns the corresponding HTML string
- * Following T.E. aesthetic principles with pink knobs for effects/post-processing visual distinction
- * 
- * @param {Object} reverbData - The reverb synth node data structure
- * @returns {string} HTML string for the reverb module
- */
-function renderReverbModule(reverbData) {
-    return `
-        <div class="synth-module" data-module-id="${reverbData.id}">
-            <div class="corner-port-input">
-                <div class="patch-port audio-input" data-port-type="audio-in" data-signal="audio"></div>
-                <span class="corner-port-label">IN</span>
-            </div>
-            
-            <div class="corner-port-output">
-                <div class="patch-port audio-output" data-port-type="audio-out" data-signal="audio"></div>
-                <span class="corner-port-label">OUT</span>
-            </div>
-            
-            <div class="module-header">
-                <h3 class="module-title">REVERB-1</h3>
-            </div>
-            
-            <div class="module-controls">
-                <div class="control-group reverb-canvas-group">
-                    <div class="wave-visual" data-wave-type="reverb"></div>
-                </div>
-                
-                <div class="control-group">
-                    <label class="control-label">DECAY</label>
-                    <div class="synth-knob reverb-knob" data-param="decay" data-value="${reverbData.parameters.decay}">
-                        <div class="knob-indicator"></div>
-                    </div>
-                    <span class="control-value">${reverbData.parameters.decay}s</span>
-                </div>
-                
-                <div class="control-group">
-                    <label class="control-label">WET</label>
-                    <div class="synth-knob reverb-knob" data-param="wet" data-value="${reverbData.parameters.wet}">
-                        <div class="knob-indicator"></div>
-                    </div>
-                    <span class="control-value">${reverbData.parameters.wet}</span>
-                </div>
-            </div>
-        </div>
-    `;
-}
 
 /**
  * Two-Way Synchronization Bridge (DYNAMIC VERSION)
@@ -2299,6 +1735,51 @@ function syncToneEngine(node, changedParam = null) {
 
     console.log(`🔄 Syncing ${node.id} (${node.type}) with Tone.js object - changed param: ${changedParam || 'all'}`);
 
+    // Modules whose mode picks a different Tone.js class (delay, drive, modfx) remember the mode
+    // they were built for - switching mode rebuilds the object
+    if (toneObject.mode !== undefined && toneObject.mode !== node.parameters.mode) {
+        rebuildModuleToneObject(node);
+        return;
+    }
+
+    syncToneObject(node, toneObject, changedParam);
+
+    // Keep the extra polyphonic voices identical to the main instance
+    (voiceClones.get(node.id) || []).forEach(clone => syncToneObject(node, clone, changedParam));
+}
+
+/**
+ * Replace a module's Tone.js object with a fresh one built from its parameters
+ * Used when a parameter picks a different Tone.js class (delay, drive and modfx modes)
+ * @param {Object} node - Synth node with type and parameters
+ */
+function rebuildModuleToneObject(node) {
+    const moduleInstance = moduleInstances.get(node.id);
+    const definition = ModuleRegistry[getModuleTypeForNode(node)];
+    if (!moduleInstance || !definition) {
+        console.warn(`rebuildModuleToneObject: ${node.id} is not a ModuleFactory module`);
+        return;
+    }
+
+    // Voice clones were built for the old class too - refreshVoiceClones recreates them
+    disposeToneObject(moduleInstance.toneObject);
+    (voiceClones.get(node.id) || []).forEach(clone => disposeToneObject(clone));
+    voiceClones.delete(node.id);
+
+    moduleInstance.toneObject = definition.toneFactory(node.parameters);
+    syncToneObject(node, moduleInstance.toneObject);
+    console.log(`🔁 Rebuilt ${node.id} for ${node.parameters.mode} mode`);
+
+    // The audio subscription re-wires every cable to and from the new object
+}
+
+/**
+ * Apply a node's parameters to one Tone.js object
+ * @param {Object} node - Synth node with type and parameters
+ * @param {Object} toneObject - Tone.js object to update (main instance or voice clone)
+ * @param {string} changedParam - Parameter that changed, or null for all
+ */
+function syncToneObject(node, toneObject, changedParam = null) {
     // Sync parameters based on module type
     try {
         switch (node.type) {
@@ -2308,6 +1789,9 @@ function syncToneEngine(node, changedParam = null) {
             case 'Noise':
                 syncNoiseParameters(node, toneObject);
                 break;
+            case 'Player':
+                syncSamplerParameters(node, toneObject);
+                break;
             case 'Filter':
                 syncFilterParameters(node, toneObject);
                 break;
@@ -2320,6 +1804,24 @@ function syncToneEngine(node, changedParam = null) {
             case 'Reverb':
                 syncReverbParameters(node, toneObject);
                 break;
+            case 'FeedbackDelay':
+                syncDelayParameters(node, toneObject);
+                break;
+            case 'Distortion':
+                syncDriveParameters(node, toneObject);
+                break;
+            case 'Chorus':
+                syncModFXParameters(node, toneObject);
+                break;
+            case 'Compressor':
+                syncCompressorParameters(node, toneObject);
+                break;
+            case 'Sequence':
+                syncSequencerParameters(node, toneObject);
+                break;
+            case 'Loop':
+                syncClockParameters(node, toneObject);
+                break;
             case 'EQ3':
             case 'EQ8': // Handle both EQ3 and EQ8 types
                 syncEQ8Parameters(node, toneObject);
@@ -2328,21 +1830,19 @@ function syncToneEngine(node, changedParam = null) {
             case 'Mixer': // Handle both Channel and Mixer types
                 syncMixerParameters(node, toneObject);
                 break;
-            default:
-                console.warn(`Unknown module type for sync: ${node.type}`);
+            default: {
+                // Plugin modules bring their own sync handler
+                const plugin = ModulePlugins.getForNode(node);
+                if (plugin) {
+                    plugin.sync(node, toneObject, changedParam);
+                } else {
+                    console.warn(`Unknown module type for sync: ${node.type}`);
+                }
+            }
         }
     } catch (error) {
         console.error(`Error syncing ${node.id}:`, error);
     }
-    
-    // Trigger visual redraw for modules with visuals when parameters change
-    if (p5Manager && (node.type === 'Filter' || node.type === 'AmplitudeEnvelope')) {
-        const visualId = `${node.id}-visual`;
-        const canvas = p5Manager.canvases?.get(visualId);
-        if (canvas && canvas.instance && canvas.instance.redraw) {
-            canvas.instance.redraw();
-        }
-    }
 }
 
 /**
@@ -2355,19 +1855,10 @@ function syncOscillatorParameters(node, toneObject, changedParam = null) {
         console.log(`🔥 FREQUENCY KNOB: ${node.id} frequency set to ${node.parameters.frequency}Hz`);
     } else {
         // For other parameter changes, check if we should sync frequency based on noteMode
-        let connectedEnvelope = null;
-        
-        // Check for legacy envelope first
-        if (node.id === 'oscillator-1') {
-            connectedEnvelope = getModuleNodeById('envelope-1');
-        } else {
-            // For dynamic modules, find the first envelope
-            moduleInstances.forEach((envInstance) => {
-                if (envInstance.node?.type === 'AmplitudeEnvelope' && !connectedEnvelope) {
-                    connectedEnvelope = envInstance.node;
-                }
-            });
-        }
+        // The envelope this oscillator plays through, else the first one in the patch
+        const downstreamIds = getDownstreamModuleIds(node.id);
+        const envelopes = synthNodes.filter(envelope => envelope.type === 'AmplitudeEnvelope');
+        const connectedEnvelope = envelopes.find(envelope => downstreamIds.has(envelope.id)) || envelopes[0];
         
         // Only sync frequency if we're in GATE mode (noteMode = false)
         // In NOTE mode, keyboard controls frequency and we shouldn't override it
@@ -2381,8 +1872,8 @@ function syncOscillatorParameters(node, toneObject, changedParam = null) {
         }
     }
     
-    // Always sync other parameters
-    toneObject.type = node.parameters.waveform;
+    // Always sync other parameters - set() applies the mode's type before its options
+    toneObject.set(getOscillatorOptions(node.parameters));
     toneObject.detune.value = node.parameters.detune;
     
     // Handle bypass - mute oscillator when bypassed
@@ -2392,7 +1883,7 @@ function syncOscillatorParameters(node, toneObject, changedParam = null) {
         toneObject.volume.value = 0; // Reset to normal volume
     }
     
-    console.log(`  Synced ${node.id} - type: ${node.parameters.waveform}, detune: ${node.parameters.detune}, bypass: ${node.parameters.bypass}`);
+    console.log(`  Synced ${node.id} - type: ${toneObject.type}, detune: ${node.parameters.detune}, bypass: ${node.parameters.bypass}`);
 }
 
 /**
@@ -2412,6 +1903,37 @@ function syncNoiseParameters(node, toneObject) {
     console.log(`  Synced ${node.id} - type: ${node.parameters.type}, volume: ${node.parameters.volume}, rate: ${node.parameters.playbackRate}, bypass: ${node.parameters.bypass}`);
 }
 
+/**
+ * Sync sampler parameters
+ */
+function syncSamplerParameters(node, toneObject) {
+    // A new sample swaps the buffer: local files come from sampleBuffers, other URLs load
+    if (toneObject.sampleUrl !== node.parameters.url) {
+        const buffer = sampleBuffers.get(node.parameters.url);
+        if (buffer) {
+            toneObject.buffer = buffer;
+        } else if (node.parameters.url) {
+            toneObject.load(node.parameters.url).catch(error => {
+                console.warn(`⚠️ ${node.id} could not load "${node.parameters.url}" - load the file again`, error);
+            });
+        }
+        toneObject.sampleUrl = node.parameters.url;
+    }
+
+    // Keep the region inside the sample - Tone.Player rejects loop points past its end
+    const options = getSamplerOptions(node.parameters);
+    if (toneObject.loaded) {
+        options.loopStart = Math.min(options.loopStart, toneObject.buffer.duration);
+        options.loopEnd = Math.min(options.loopEnd, toneObject.buffer.duration);
+    }
+    toneObject.set(options);
+
+    // Handle bypass - mute sampler when bypassed
+    toneObject.volume.value = node.parameters.bypass ? -Infinity : 0;
+
+    console.log(`  Synced ${node.id} - sample: ${node.parameters.url || 'none'}, mode: ${node.parameters.mode}, region: ${node.parameters.start}-${node.parameters.end}s, rate: ${node.parameters.playbackRate}, bypass: ${node.parameters.bypass}`);
+}
+
 /**
  * Sync filter parameters
  */
@@ -2464,14 +1986,16 @@ function syncEnvelopeParameters(node, toneObject) {
  * Sync LFO parameters
  */
 function syncLFOParameters(node, toneObject) {
-    const multiplier = parseFloat(node.parameters.multiplier) || 1;
-    const effectiveFreq = node.parameters.frequency * multiplier;
+    // getLFOFrequency (modules.js) resolves SYNC note values and the multiplier
+    const rate = getLFOFrequency(node.parameters);
+    const effectiveFreq = typeof rate === 'string' ? 1 / Tone.Time(rate).toSeconds() : rate;
     
     // Handle bypass - stop/start LFO
     if (node.parameters.bypass) {
         toneObject.stop();
     } else {
         toneObject.frequency.value = effectiveFreq;
+        toneObject.gateClock.frequency.value = effectiveFreq;
         toneObject.type = node.parameters.type;
         toneObject.min = node.parameters.min;
         toneObject.max = node.parameters.max;
@@ -2501,84 +2025,169 @@ function syncReverbParameters(node, toneObject) {
 }
 
 /**
- * Sync EQ8 parameters
+ * Sync delay parameters
  */
-function syncEQ8Parameters(node, toneObject) {
-    // Handle the complex EQ8 structure - map 8 bands to 3 EQ3 bands
-    const band1Gain = node.parameters.band1Gain || 0;
-    const band2Gain = node.parameters.band2Gain || 0;
-    const band3Gain = node.parameters.band3Gain || 0;
-    const band4Gain = node.parameters.band4Gain || 0;
-    const band5Gain = node.parameters.band5Gain || 0;
-    const band6Gain = node.parameters.band6Gain || 0;
-    const band7Gain = node.parameters.band7Gain || 0;
-    const band8Gain = node.parameters.band8Gain || 0;
-    
-    // Map 8 bands to 3 EQ3 bands: Low (bands 1-3), Mid (bands 4-5), High (bands 6-8)
-    const lowGains = [band1Gain, band2Gain, band3Gain];
-    const midGains = [band4Gain, band5Gain];
-    const highGains = [band6Gain, band7Gain, band8Gain];
-    
-    // Average the band gains for each EQ3 section with validation
-    let lowGain = lowGains.reduce((a, b) => a + b, 0) / lowGains.length;
-    let midGain = midGains.reduce((a, b) => a + b, 0) / midGains.length;
-    let highGain = highGains.reduce((a, b) => a + b, 0) / highGains.length;
-    
-    // Validate calculations - prevent NaN/Infinity from breaking Tone.js
-    lowGain = isFinite(lowGain) ? lowGain : 0;
-    midGain = isFinite(midGain) ? midGain : 0; 
-    highGain = isFinite(highGain) ? highGain : 0;
-    
-    console.log('🔧 EQ8 calculated gains:', { lowGain, midGain, highGain, allFinite: isFinite(lowGain) && isFinite(midGain) && isFinite(highGain) });
-    
-    console.log(`🔧 EQ8 DEBUG: toneObject structure:`, {
-        hasEq3: !!toneObject.eq3,
-        hasGain: !!toneObject.gain,
-        toneObjectKeys: Object.keys(toneObject),
-        eq3Keys: toneObject.eq3 ? Object.keys(toneObject.eq3) : 'no eq3',
-        toneObjectType: toneObject.constructor.name,
-        eq8ModuleInstanceExists: !!eq8ModuleInstance,
-        eq8ToneObjectExists: !!eq8ToneObject
-    });
-    
-    if (toneObject.eq3) {
-        // Store connection state before modification
-        console.log('🔧 EQ3 before sync - connected:', !!toneObject.eq3.input);
-        
-        // Handle bypass - set all gains to 0 when bypassed
-        let actualLowGain, actualMidGain, actualHighGain;
-        if (node.parameters.bypass) {
-            actualLowGain = actualMidGain = actualHighGain = 0;
+function syncDelayParameters(node, toneObject) {
+    const delayTime = getDelayTime(node.parameters);
+
+    toneObject.delayTime.value = Tone.Time(delayTime).toSeconds();
+    toneObject.feedback.value = node.parameters.feedback;
+
+    // Handle bypass - set wet to 0 when bypassed
+    toneObject.wet.value = node.parameters.bypass ? 0 : node.parameters.wet;
+
+    console.log(`  Synced ${node.id} - mode: ${node.parameters.mode}, time: ${delayTime}, feedback: ${node.parameters.feedback}, wet: ${node.parameters.wet}, bypass: ${node.parameters.bypass}`);
+}
+
+/**
+ * Sync drive parameters
+ */
+function syncDriveParameters(node, toneObject) {
+    // getDriveOptions (modules.js) already turns bypass into a dry mix / straight curve
+    const options = getDriveOptions(node.parameters);
+
+    if (options.distortion !== undefined) toneObject.distortion = options.distortion;
+    if (options.order !== undefined) toneObject.order = options.order;
+    if (options.bits !== undefined) toneObject.bits.value = options.bits;
+    if (options.mapping) toneObject.curve = Float32Array.from(options.mapping);
+    if (options.wet !== undefined) toneObject.wet.value = options.wet;
+
+    console.log(`  Synced ${node.id} - mode: ${node.parameters.mode}, drive: ${node.parameters.drive}, wet: ${node.parameters.wet}, bypass: ${node.parameters.bypass}`);
+}
+
+/**
+ * Sync modulation FX parameters
+ */
+function syncModFXParameters(node, toneObject) {
+    // getModFXOptions (modules.js) resolves SYNC note values and bypass
+    const options = getModFXOptions(node.parameters);
+    const frequency = typeof options.frequency === 'string'
+        ? 1 / Tone.Time(options.frequency).toSeconds()
+        : options.frequency;
+
+    toneObject.frequency.value = frequency;
+    if (options.octaves !== undefined) toneObject.octaves = options.octaves;
+    if (options.depth !== undefined) {
+        // Chorus depth is a plain number, the other modes expose a Signal/Param
+        if (typeof toneObject.depth === 'object') {
+            toneObject.depth.value = options.depth;
         } else {
-            actualLowGain = lowGain;
-            actualMidGain = midGain;
-            actualHighGain = highGain;
+            toneObject.depth = options.depth;
         }
-        
-        // Safely set EQ3 parameters with validated values
-        try {
-            toneObject.eq3.low.value = actualLowGain;
-            toneObject.eq3.mid.value = actualMidGain;
-            toneObject.eq3.high.value = actualHighGain;
-            
-            // Check if connection is still intact
-            console.log('🔧 EQ3 after sync - connected:', !!toneObject.eq3.input);
-        } catch (error) {
-            console.error('❌ Error setting EQ3 parameters:', error);
-        }
-        
-        console.log(`✅ Synced ${node.id} EQ bands:`, {
-            'Low (1-3)': lowGain.toFixed(1) + 'dB',
-            'Mid (4-5)': midGain.toFixed(1) + 'dB', 
-            'High (6-8)': highGain.toFixed(1) + 'dB'
-        });
-    } else {
-        console.error(`❌ EQ8 missing eq3 property! ToneObject:`, toneObject);
-        console.error(`❌ Available properties:`, Object.getOwnPropertyNames(toneObject));
     }
-    
-    // Note: Master gain updates removed - they were causing audio routing issues
-    // The master gain is set correctly during EQ8 creation and doesn't need updating during parameter sync
+    toneObject.wet.value = options.wet;
+
+    console.log(`  Synced ${node.id} - mode: ${node.parameters.mode}, rate: ${options.frequency}, depth: ${node.parameters.depth}, wet: ${node.parameters.wet}, bypass: ${node.parameters.bypass}`);
+}
+
+/**
+ * Sync compressor parameters
+ */
+function syncCompressorParameters(node, toneObject) {
+    // getCompressorSettings (modules.js) resolves LIMIT mode, the sidechain key and bypass
+    const settings = getCompressorSettings(node.parameters);
+    const compressor = toneObject.compressor;
+
+    compressor.threshold.value = settings.compressor.threshold;
+    compressor.ratio.value = settings.compressor.ratio;
+    compressor.attack.value = settings.compressor.attack;
+    compressor.release.value = settings.compressor.release;
+    compressor.knee.value = settings.compressor.knee;
+    toneObject.gain.value = settings.makeup;
+
+    // Reshape the sidechain gain computer (flat unless keyed from the SC input)
+    toneObject.sidechain.smoothing = settings.smoothing;
+    toneObject.keyCurve.setMap((level) => compressorKeyCurve(level, ...settings.key, settings.makeup), COMPRESSOR_KEY_CURVE_POINTS);
+
+    console.log(`  Synced ${node.id} - mode: ${node.parameters.mode}, key: ${node.parameters.key}, threshold: ${node.parameters.threshold}dB, ratio: ${settings.compressor.ratio}, makeup: ${node.parameters.makeup}dB, bypass: ${node.parameters.bypass}`);
+}
+
+/**
+ * Sync sequencer parameters
+ */
+function syncSequencerParameters(node, toneObject) {
+    SEQUENCER_STEP_FIELDS.forEach(field => {
+        toneObject[field] = [...node.parameters[field]];
+    });
+
+    // A Tone.Sequence keeps its subdivision - a new RATE needs a new sequence
+    if (toneObject.rate !== node.parameters.rate) {
+        toneObject.sequence.dispose();
+        toneObject.rate = node.parameters.rate;
+        toneObject.sequence = createSequencerSequence(toneObject);
+    }
+    toneObject.sequence.mute = !!node.parameters.bypass;
+
+    // Light the playing step in time with the audio
+    toneObject.onStep = (step, time) => {
+        Tone.Draw.schedule(() => showSequencerPlayhead(node.id, step), time);
+    };
+
+    console.log(`  Synced ${node.id} - rate: ${node.parameters.rate}, gated steps: ${node.parameters.steps.filter(Boolean).length}, bypass: ${node.parameters.bypass}`);
+}
+
+/**
+ * Sync clock parameters
+ * The clock owns Tone.Transport: its tempo and swing apply to the whole patch
+ */
+function syncClockParameters(node, toneObject) {
+    const tempoChanged = Tone.Transport.bpm.value !== node.parameters.bpm;
+    Tone.Transport.set(getTransportSettings(node.parameters));
+    [toneObject, ...toneObject.loops].forEach(loop => {
+        loop.mute = !!node.parameters.bypass;
+    });
+
+    // Synced delays, LFOs and modulation resolved their note values at the old tempo
+    if (tempoChanged) {
+        synthNodes
+            .filter(other => other.parameters.sync && other.parameters.sync !== 'free')
+            .forEach(other => syncToneEngine(other));
+    }
+
+    console.log(`  Synced ${node.id} - bpm: ${node.parameters.bpm}, swing: ${node.parameters.swing} (${node.parameters.swingSubdivision}), bypass: ${node.parameters.bypass}`);
+}
+
+/**
+ * Current gain reduction of a compressor module in dB (0 or negative)
+ * Internal key reads the Tone.Compressor, the sidechain key reads the key curve's meter
+ * @param {string} moduleId - Compressor module ID
+ * @returns {number} Gain reduction in dB
+ */
+function getCompressorReduction(moduleId) {
+    const toneObject = getToneObjectById(moduleId);
+    const node = getModuleNodeById(moduleId);
+    if (!toneObject?.compressor || !node) return 0;
+
+    if (node.parameters.key === 'sidechain' && !node.parameters.bypass) {
+        // Key curve output is makeup * (gain - 1)
+        const makeup = getCompressorSettings(node.parameters).makeup;
+        const gain = 1 + (toneObject.keyMeter.getValue() || 0) / makeup;
+        return Math.min(0, 20 * Math.log10(Math.max(gain, 0.00001)));
+    }
+    return Math.min(0, toneObject.compressor.reduction || 0);
+}
+
+/**
+ * Sync EQ8 parameters
+ * Each band's filter follows its frequency, gain and Q (getEQ8Bands in modules.js);
+ * bypass flattens every band
+ */
+function syncEQ8Parameters(node, toneObject) {
+    if (!toneObject.bands) {
+        console.error(`❌ EQ8 missing its bands! ToneObject:`, toneObject);
+        return;
+    }
+
+    getEQ8Bands(node.parameters).forEach((band, index) => {
+        const filter = toneObject.bands[index];
+        filter.frequency.value = band.frequency;
+        filter.gain.value = band.gain;
+        filter.Q.value = band.Q;
+    });
+    toneObject.gain.value = node.parameters.masterGain ?? 1;
+
+    console.log(`✅ Synced ${node.id} EQ bands:`, getEQ8Bands(node.parameters)
+        .map(band => `${formatEQ8Frequency(band.frequency)} ${band.gain.toFixed(1)}dB Q${band.Q}`).join(', '));
 }
 
 /**
@@ -2608,176 +2217,16 @@ function syncMixerParameters(node, toneObject) {
 }
 
 /**
- * LEGACY SYNC FUNCTION (for backward compatibility)
- * This is the original hardcoded version, kept for reference
- */
-function syncToneEngineLegacy(node) {
-    if (node.id === "oscillator-1" && vco1ToneObject) {
-        // Update Tone.js oscillator parameters from node data
-        vco1ToneObject.frequency.setValueAtTime(node.parameters.frequency, Tone.now());
-        vco1ToneObject.type = node.parameters.waveform;
-        vco1ToneObject.detune.value = node.parameters.detune;
-
-        console.log(`  Synced ${node.id} - freq: ${node.parameters.frequency}Hz, wave: ${node.parameters.waveform}, detune: ${node.parameters.detune}¢`);
-    } else if (node.id === "filter-1" && filterToneObject) {
-        // Update Tone.js filter parameters from node data
-        filterToneObject.frequency.value = node.parameters.frequency;
-        filterToneObject.type = node.parameters.type;
-        filterToneObject.Q.value = node.parameters.Q;
-
-        console.log(`  Synced ${node.id} - freq: ${node.parameters.frequency}Hz, type: ${node.parameters.type}, Q: ${node.parameters.Q}`);
-    } else if (node.id === "envelope-1" && envelopeToneObject) {
-        // Update Tone.js envelope parameters from node data
-        envelopeToneObject.attack = node.parameters.attack;
-        envelopeToneObject.decay = node.parameters.decay;
-        envelopeToneObject.sustain = node.parameters.sustain;
-        envelopeToneObject.release = node.parameters.release;
-
-        console.log(`  Synced ${node.id} - attack: ${node.parameters.attack}s, decay: ${node.parameters.decay}s, sustain: ${node.parameters.sustain}, release: ${node.parameters.release}s`);
-    } else if (node.id === "lfo-1" && lfoToneObject) {
-        // Update Tone.js LFO parameters from node data
-        const multiplier = node.parameters.multiplier || 1;
-        const effectiveFreq = node.parameters.frequency * multiplier;
-
-        lfoToneObject.frequency.value = effectiveFreq;
-        lfoToneObject.type = node.parameters.type;
-        lfoToneObject.min = node.parameters.min;
-        lfoToneObject.max = node.parameters.max;
-
-        console.log(`  Synced ${node.id} - freq: ${effectiveFreq}Hz (${node.parameters.frequency}Hz x ${multiplier}), type: ${node.parameters.type}, min: ${node.parameters.min}Hz, max: ${node.parameters.max}Hz`);
-    } else if (node.id === "reverb-1" && reverbToneObject) {
-        // Update Tone.js Reverb parameters from node data
-        reverbToneObject.decay = node.parameters.decay;
-        reverbToneObject.wet.value = node.parameters.wet;
-
-        console.log(`  Synced ${node.id} - decay: ${node.parameters.decay}s, wet: ${node.parameters.wet}`);
-    } else if (node.id === "eq8-1") {
-        const eq8Object = getToneObjectById("eq8-1");
-
-        if (!eq8Object) {
-            console.error(`  EQ8 object not found for ${node.id}`);
-            return;
-        }
-
-        // Update Tone.js EQ8 parameters from node data
-        // Note: This is a simplified implementation - proper EQ would need individual band filters
-        console.log('🎛️ EQ8 DEBUG: syncToneEngine called for eq8', {
-            nodeParams: node.parameters,
-            eq8Object: eq8Object
-        });
-
-        // Update master gain (masterGain parameter is already linear 0-1, not dB)
-        if (node.parameters.masterGain !== undefined) {
-            eq8Object.gain.value = node.parameters.masterGain;
-            console.log(`  EQ8 Master Gain: ${node.parameters.masterGain} (linear)`);
-        }
-
-        // Update EQ3 bands based on our 8 visual bands
-        // Recalculate the averaged values for low/mid/high
-        const lowGains = [
-            node.parameters.band1Gain || 0,
-            node.parameters.band2Gain || 0,
-            node.parameters.band3Gain || 0
-        ];
-        const midGains = [
-            node.parameters.band4Gain || 0,
-            node.parameters.band5Gain || 0
-        ];
-        const highGains = [
-            node.parameters.band6Gain || 0,
-            node.parameters.band7Gain || 0,
-            node.parameters.band8Gain || 0
-        ];
-
-        // Calculate averages
-        const lowGain = lowGains.reduce((a, b) => a + b, 0) / lowGains.length;
-        const midGain = midGains.reduce((a, b) => a + b, 0) / midGains.length;
-        const highGain = highGains.reduce((a, b) => a + b, 0) / highGains.length;
-
-        // Update the Tone.EQ3 object
-        if (eq8Object.eq3) {
-            eq8Object.eq3.low.value = lowGain;
-            eq8Object.eq3.mid.value = midGain;
-            eq8Object.eq3.high.value = highGain;
-
-            console.log(`  EQ3 Updated - Low: ${lowGain.toFixed(1)}dB, Mid: ${midGain.toFixed(1)}dB, High: ${highGain.toFixed(1)}dB`);
-        }
-
-        console.log(`  Synced ${node.id} - masterGain: ${node.parameters.masterGain}`);
-    } else if (node.id === "mixer-1") {
-        const mixerObject = getToneObjectById("mixer-1");
-
-        if (!mixerObject) {
-            console.error(`  Mixer object not found for ${node.id}`);
-            return;
-        }
-
-        // Update Tone.js Mixer parameters from node data
-        console.log('🔊 MIXER DEBUG: syncToneEngine called for mixer', {
-            mixerObject: mixerObject,
-            hasInputGains: !!mixerObject.inputGains,
-            inputGainsLength: mixerObject.inputGains?.length,
-            parameters: node.parameters
-        });
-
-        if (mixerObject.inputGains) {
-            // Update individual input gains
-            for (let i = 1; i <= 8; i++) {
-                const paramName = `channel${i}Gain`;
-                if (node.parameters[paramName] !== undefined && mixerObject.inputGains[i - 1]) {
-                    const oldValue = mixerObject.inputGains[i - 1].gain.value;
-                    mixerObject.inputGains[i - 1].gain.value = node.parameters[paramName];
-                    console.log(`🔊 Updated mixer input ${i} gain: ${oldValue} → ${node.parameters[paramName]} (${mixerObject.inputGains[i - 1].gain.value})`);
-                } else {
-                    console.log(`🔊 SKIPPED input ${i}: param=${node.parameters[paramName]}, gainNode=${!!mixerObject.inputGains[i - 1]}`);
-                }
-            }
-        } else {
-            console.error('🔊 MIXER ERROR: No inputGains found on mixer object!');
-        }
-
-        // Update master gain
-        if (node.parameters.masterGain !== undefined) {
-            mixerObject.volume.value = Tone.gainToDb(node.parameters.masterGain);
-        }
-
-        console.log(`  Synced ${node.id} - updated channel gains and master level`);
-    }
-}
-
-/**
- * Initialize All Modules
- * Renders both oscillator and filter modules side by side
+ * Initialize Module Grid
+ * Renders the empty module container and the keyboard - modules are added
+ * through instantiateModule, the starter patch included
  */
 function initializeModules() {
     const appContainer = document.getElementById('app-container');
     if (appContainer) {
-        // Use the oscillator module created in setupSynth
-        const oscillatorHTML = oscillatorModuleInstance ? oscillatorModuleInstance.element : renderOscillatorModule(oscillatorNode);
-        // Use the filter module created in setupSynth
-        const filterHTML = filterModuleInstance ? filterModuleInstance.element : renderFilterModule(filterNode);
-        // Use the envelope module created in setupSynth
-        const envelopeHTML = envelopeModuleInstance ? envelopeModuleInstance.element : renderEnvelopeModule(envelopeNode);
-        // Use the LFO module created in setupSynth
-        const lfoHTML = lfoModuleInstance ? lfoModuleInstance.element : renderLFOModule(lfoNode);
-        // Use the reverb module created in setupSynth
-        const reverbHTML = reverbModuleInstance ? reverbModuleInstance.element : renderReverbModule(reverbNode);
-        // Use the EQ8 module created in setupSynth
-        const eq8HTML = eq8ModuleInstance ? eq8ModuleInstance.element : '<div>EQ8 not found</div>';
-
-        // Use the mixer module created in setupSynth
-        const mixerHTML = mixerModuleInstance ? mixerModuleInstance.element : renderMixerModule(mixerNode);
-
         // Create a module container with flex layout, SVG overlay, and spacer
         appContainer.innerHTML = `
             <div class="modules-container" style="position: relative;">
-                ${oscillatorHTML}
-                ${filterHTML}
-                ${envelopeHTML}
-                ${lfoHTML}
-                ${reverbHTML}
-                ${eq8HTML}
-                ${mixerHTML}
                 <svg id="patch-svg" xmlns="http://www.w3.org/2000/svg">
                     <!-- Patch cables will be drawn here by PatchingController -->
                 </svg>
@@ -2810,454 +2259,29 @@ function initializeModules() {
         `;
         document.body.appendChild(keyboardContainer);
 
-        console.log('  All modules initialized');
-        
-        // Setup envelope toggle buttons for original envelope
-        setupEnvelopeToggles();
-
-        // Setup bypass toggle buttons for all modules
-        setupBypassToggles();
-
-        // Setup delete buttons for all modules
-        setupDeleteButtons();
+        console.log('  Module grid initialized');
     }
 }
 
 /**
- * Setup envelope toggle button click handlers
+ * Pixels of vertical drag that turn a knob from fully left to fully right
  */
-function setupEnvelopeToggles() {
-    document.querySelectorAll('.env-mode-toggle').forEach(toggleBtn => {
-        toggleBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const container = toggleBtn.closest('.synth-module');
-            if (!container) {
-                console.error('Could not find module container for envelope toggle');
-                return;
-            }
-            const containerId = container.dataset.moduleId;
-            
-            // Get the module node (same approach as dynamic module handler)
-            const targetNode = getModuleNodeById(containerId);
-            
-            if (targetNode) {
-                // Toggle noteMode parameter
-                targetNode.parameters.noteMode = !targetNode.parameters.noteMode;
-                
-                // Update button text and dataset
-                toggleBtn.textContent = targetNode.parameters.noteMode ? 'NOTE' : 'GATE';
-                toggleBtn.dataset.value = targetNode.parameters.noteMode;
-                
-                console.log(`🎼 ENVELOPE MODE TOGGLE: ${containerId} changed to ${targetNode.parameters.noteMode ? 'NOTE' : 'GATE'} mode`);
-            } else {
-                console.error(`Could not find module node for ${containerId}`);
-            }
-        });
-    });
-}
+const KNOB_DRAG_PIXELS = 200;
 
 /**
- * Setup bypass toggle button click handlers
+ * Module node and parameter metadata behind a knob
+ * @param {HTMLElement} knob - Knob element
+ * @returns {Object} { node, spec } - spec is null when the parameter declares no range
  */
-function setupBypassToggles() {
-    document.querySelectorAll('.bypass-toggle').forEach(toggleBtn => {
-        toggleBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const container = toggleBtn.closest('.synth-module');
-            if (!container) {
-                console.error('Could not find module container for bypass toggle');
-                return;
-            }
-            const containerId = container.dataset.moduleId;
-            
-            // Get the module node
-            const targetNode = getModuleNodeById(containerId);
-            
-            if (targetNode) {
-                // Toggle bypass parameter
-                targetNode.parameters.bypass = !targetNode.parameters.bypass;
-                
-                // Update button text, dataset, and class
-                const bypassed = targetNode.parameters.bypass;
-                toggleBtn.textContent = 'B';
-                toggleBtn.dataset.value = bypassed;
-                toggleBtn.classList.toggle('bypassed', bypassed);
-                
-                console.log(`🔇 ${containerId} bypass: ${bypassed ? 'ON' : 'OFF'}`);
-                
-                // Update the Tone.js object to reflect bypass state
-                syncToneEngine(targetNode);
-            } else {
-                console.error(`Could not find module node for ${containerId}`);
-            }
-        });
-    });
-}
-
-/**
- * Setup delete button click handlers for all modules
- */
-function setupDeleteButtons() {
-    document.querySelectorAll('.delete-module').forEach(deleteBtn => {
-        deleteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const container = deleteBtn.closest('.synth-module');
-            if (!container) {
-                console.error('Could not find module container for delete button');
-                return;
-            }
-            const moduleId = container.dataset.moduleId;
-
-            if (confirm(`Delete module ${moduleId}?`)) {
-                deleteModule(moduleId);
-            }
-        });
-    });
-}
-
-/**
- * Initialize Oscillator Module (Legacy - kept for compatibility)
- * Renders the oscillator module and inserts it into the app container
- */
-function initializeOscillatorModule() {
-    const appContainer = document.getElementById('app-container');
-    if (appContainer) {
-        const oscillatorHTML = renderOscillatorModule(oscillatorNode);
-        appContainer.innerHTML = oscillatorHTML;
-        console.log('  Oscillator module initialized');
-    }
-}
-
-/**
- * Interactive Knob Functionality
- * Handles mouse drag interaction for virtual knobs
- */
-function setupKnobInteraction() {
-    const knobs = document.querySelectorAll('.synth-knob');
-
-    knobs.forEach(knob => {
-        let isDragging = false;
-        let startY = 0;
-        let startValue = 0;
-        const param = knob.dataset.param;
-
-        knob.addEventListener('mousedown', (e) => {
-            isDragging = true;
-            startY = e.clientY;
-            startValue = parseFloat(knob.dataset.value) || 0;
-
-            // Prevent text selection during drag
-            e.preventDefault();
-
-            // Change cursor style
-            knob.style.cursor = 'grabbing';
-        });
-
-        // Touch events for mobile
-        knob.addEventListener('touchstart', (e) => {
-            isDragging = true;
-            startY = e.touches[0].clientY;
-            startValue = parseFloat(knob.dataset.value) || 0;
-
-            // Prevent scrolling and text selection
-            e.preventDefault();
-
-            knob.style.cursor = 'grabbing';
-        });
-
-        document.addEventListener('mousemove', (e) => {
-            if (!isDragging || !param) return;
-
-            // Calculate value change based on vertical movement
-            const deltaY = startY - e.clientY; // Inverted: up = increase
-            let newValue = startValue;
-
-            if (param === 'frequency') {
-                // Check if this is an LFO frequency
-                const moduleElement = knob.closest('.synth-module');
-                const moduleId = moduleElement.dataset.moduleId;
-
-                if (moduleId === 'lfo-1') {
-                    // LFO frequency range: 1Hz to 20Hz with logarithmic scaling
-                    const sensitivity = 1.5;
-                    const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                    newValue = Math.max(1, Math.min(20, startValue * multiplier));
-                    newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-                } else {
-                    // VCO frequency range: 20Hz to 20000Hz with logarithmic scaling
-                    const sensitivity = 2;
-                    const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                    newValue = Math.max(20, Math.min(20000, startValue * multiplier));
-                    newValue = Math.round(newValue * 10) / 10; // Round to 1 decimal
-                }
-            } else if (param === 'detune') {
-                // Detune range: -100¢ to +100¢
-                const sensitivity = 1;
-                newValue = Math.max(-100, Math.min(100, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue);
-            } else if (param === 'Q') {
-                // Q range: 0.001 to 20 with logarithmic scaling
-                const sensitivity = 1.5;
-                const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                newValue = Math.max(0.001, Math.min(20, startValue * multiplier));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param === 'attack' || param === 'decay' || param === 'release') {
-                // Time parameters: 0.01s to 5s with logarithmic scaling
-                const sensitivity = 1.8;
-                const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                newValue = Math.max(0.01, Math.min(5, startValue * multiplier));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param === 'sustain') {
-                // Sustain level: 0.0 to 1.0 linear scaling
-                const sensitivity = 0.01;
-                newValue = Math.max(0, Math.min(1, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param === 'min' || param === 'max') {
-                // LFO min/max frequency range: 20Hz to 20000Hz with logarithmic scaling
-                const sensitivity = 2;
-                const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                newValue = Math.max(20, Math.min(20000, startValue * multiplier));
-                newValue = Math.round(newValue * 10) / 10; // Round to 1 decimal
-            } else if (param === 'decay') {
-                // Reverb decay time: 0.1s to 10s with logarithmic scaling
-                const sensitivity = 1.8;
-                const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                newValue = Math.max(0.1, Math.min(10, startValue * multiplier));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param === 'wet') {
-                // Reverb wet level: 0.0 to 1.0 linear scaling
-                const sensitivity = 0.01;
-                newValue = Math.max(0, Math.min(1, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param.startsWith('channel') && param.endsWith('Gain')) {
-                // Mixer channel gain: 0.0 to 1.0 linear scaling (increased sensitivity)
-                const sensitivity = 0.03;
-                newValue = Math.max(0, Math.min(1, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param === 'masterGain') {
-                // Mixer master gain: 0.0 to 1.0 linear scaling
-                const sensitivity = 0.01;
-                newValue = Math.max(0, Math.min(1, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param.startsWith('band') && param.endsWith('Gain')) {
-                // EQ8 band gain: -12dB to +12dB (linear scaling)
-                const sensitivity = 0.3;
-                newValue = Math.max(-12, Math.min(12, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            }
-
-            // Determine which node to update based on module (DYNAMIC VERSION)
-            const moduleElement = knob.closest('.synth-module');
-            const moduleId = moduleElement.dataset.moduleId;
-            const targetNode = getModuleNodeById(moduleId);
-
-            if (targetNode) {
-                console.log(`🎛️ KNOB DEBUG: ${param} changed`, {
-                    moduleId: moduleId,
-                    param: param,
-                    oldValue: targetNode.parameters[param],
-                    newValue: newValue,
-                    targetNode: targetNode
-                });
-
-                // Update data structure
-                targetNode.parameters[param] = newValue;
-
-                // Update knob data attribute
-                knob.dataset.value = newValue;
-
-                // Update visual feedback
-                updateKnobVisuals(knob, param, newValue);
-
-                // Sync with Tone.js
-                console.log(`🎛️ KNOB DEBUG: Calling syncToneEngine for ${moduleId}/${param}`);
-                syncToneEngine(targetNode, param);
-
-                // Update ADSR visual if this is an envelope parameter
-                if (moduleId === 'envelope-1' && p5Manager) {
-                    const adsrCanvas = document.querySelector('[data-wave-type="adsr"]');
-                    if (adsrCanvas && adsrCanvas.id) {
-                        // The P5 canvas will automatically use the updated envelopeNode.parameters
-                        // on the next frame since calculateADSRValue() reads from window.envelopeNode
-                        console.log(`  ADSR visual will update for ${param} = ${newValue}`);
-                    }
-                }
-
-                // Update reverb visual if this is a reverb parameter
-                if (moduleId === 'reverb-1' && p5Manager) {
-                    const reverbCanvas = document.querySelector('[data-wave-type="reverb"]');
-                    if (reverbCanvas && reverbCanvas.id) {
-                        // The P5 canvas will automatically use the updated reverbNode.parameters
-                        // on the next frame since calculateReverbStatic() reads from window.reverbNode
-                        console.log(`  Reverb visual will update for ${param} = ${newValue}`);
-                    }
-                }
-
-                // Update LFO visual if this is an LFO parameter
-                if (moduleId === 'lfo-1' && p5Manager) {
-                    const lfoCanvas = document.querySelector('[data-module-id="lfo-1"] .wave-visual');
-                    if (lfoCanvas && lfoCanvas.id) {
-                        // The P5 canvas should automatically use the updated lfoNode.parameters
-                        // on the next frame since drawSmoothWaveform() reads from window.lfoNode
-                        console.log(`  LFO visual will update for ${param} = ${newValue}`);
-                    }
-                }
-
-                // Update code display in real-time
-                updateCodeDisplay();
-            }
-        });
-
-        // Touch move event for mobile
-        document.addEventListener('touchmove', (e) => {
-            if (!isDragging || !param) return;
-
-            // Calculate value change based on vertical movement
-            const deltaY = startY - e.touches[0].clientY; // Inverted: up = increase
-            let newValue = startValue;
-
-            if (param === 'frequency') {
-                // Check if this is an LFO frequency
-                const moduleElement = knob.closest('.synth-module');
-                const moduleId = moduleElement.dataset.moduleId;
-
-                if (moduleId === 'lfo-1') {
-                    // LFO frequency range: 1Hz to 20Hz with logarithmic scaling
-                    const sensitivity = 1.5;
-                    const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                    newValue = Math.max(1, Math.min(20, startValue * multiplier));
-                    newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-                } else {
-                    // VCO frequency range: 20Hz to 20000Hz with logarithmic scaling
-                    const sensitivity = 2;
-                    const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                    newValue = Math.max(20, Math.min(20000, startValue * multiplier));
-                    newValue = Math.round(newValue * 10) / 10; // Round to 1 decimal
-                }
-            } else if (param === 'detune') {
-                // Detune range: -100¢ to +100¢
-                const sensitivity = 1;
-                newValue = Math.max(-100, Math.min(100, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue);
-            } else if (param === 'Q') {
-                // Q range: 0.001 to 20 with logarithmic scaling
-                const sensitivity = 1.5;
-                const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                newValue = Math.max(0.001, Math.min(20, startValue * multiplier));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param === 'attack' || param === 'decay' || param === 'release') {
-                // Time parameters: 0.01s to 5s with logarithmic scaling
-                const sensitivity = 1.8;
-                const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                newValue = Math.max(0.01, Math.min(5, startValue * multiplier));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param === 'sustain') {
-                // Sustain level: 0.0 to 1.0 linear scaling
-                const sensitivity = 0.01;
-                newValue = Math.max(0, Math.min(1, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param === 'min' || param === 'max') {
-                // LFO min/max frequency range: 20Hz to 20000Hz with logarithmic scaling
-                const sensitivity = 2;
-                const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                newValue = Math.max(20, Math.min(20000, startValue * multiplier));
-                newValue = Math.round(newValue * 10) / 10; // Round to 1 decimal
-            } else if (param === 'decay') {
-                // Reverb decay time: 0.1s to 10s with logarithmic scaling
-                const sensitivity = 1.8;
-                const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                newValue = Math.max(0.1, Math.min(10, startValue * multiplier));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param === 'wet') {
-                // Reverb wet level: 0.0 to 1.0 linear scaling
-                const sensitivity = 0.01;
-                newValue = Math.max(0, Math.min(1, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param.startsWith('channel') && param.endsWith('Gain')) {
-                // Mixer channel gain: 0.0 to 1.0 linear scaling (increased sensitivity)
-                const sensitivity = 0.03;
-                newValue = Math.max(0, Math.min(1, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param === 'masterGain') {
-                // Mixer master gain: 0.0 to 1.0 linear scaling
-                const sensitivity = 0.01;
-                newValue = Math.max(0, Math.min(1, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            } else if (param.startsWith('band') && param.endsWith('Gain')) {
-                // EQ8 band gain: -12dB to +12dB (linear scaling)
-                const sensitivity = 0.3;
-                newValue = Math.max(-12, Math.min(12, startValue + (deltaY * sensitivity)));
-                newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-            }
-
-            // Determine which node to update based on module (DYNAMIC VERSION)
-            const moduleElement = knob.closest('.synth-module');
-            const moduleId = moduleElement.dataset.moduleId;
-            const targetNode = getModuleNodeById(moduleId);
-
-            if (targetNode) {
-                console.log(`🎛️ KNOB DEBUG: ${param} changed`, {
-                    moduleId: moduleId,
-                    param: param,
-                    oldValue: targetNode.parameters[param],
-                    newValue: newValue,
-                    targetNode: targetNode
-                });
-
-                // Update data structure
-                targetNode.parameters[param] = newValue;
-
-                // Update knob data attribute
-                knob.dataset.value = newValue;
-
-                // Update visual feedback
-                updateKnobVisuals(knob, param, newValue);
-
-                // Sync with Tone.js
-                console.log(`🎛️ KNOB DEBUG: Calling syncToneEngine for ${moduleId}/${param}`);
-                syncToneEngine(targetNode, param);
-
-                // Update ADSR visual if this is an envelope parameter
-                if (moduleId === 'envelope-1' && p5Manager) {
-                    const adsrCanvas = document.querySelector('[data-wave-type="adsr"]');
-                    if (adsrCanvas && adsrCanvas.id) {
-                        console.log(`  ADSR visual will update for ${param} = ${newValue}`);
-                    }
-                }
-
-                // Update reverb visual if this is a reverb parameter
-                if (moduleId === 'reverb-1' && p5Manager) {
-                    const reverbCanvas = document.querySelector('[data-wave-type="reverb"]');
-                    if (reverbCanvas && reverbCanvas.id) {
-                        console.log(`  Reverb visual will update for ${param} = ${newValue}`);
-                    }
-                }
-
-                // Update code display in real-time
-                updateCodeDisplay();
-            }
-        }, { passive: false });
-
-        document.addEventListener('mouseup', () => {
-            if (isDragging) {
-                isDragging = false;
-                knob.style.cursor = 'pointer';
-            }
-        });
-
-        // Touch end event for mobile
-        document.addEventListener('touchend', () => {
-            if (isDragging) {
-                isDragging = false;
-                knob.style.cursor = 'pointer';
-            }
-        });
-    });
+function getKnobParameter(knob) {
+    const node = getModuleNodeById(knob.closest('.synth-module')?.dataset.moduleId);
+    const spec = node ? ModuleFactory.getParameterSpec(ModuleFactory.getTypeForNode(node), knob.dataset.param) : null;
+    return { node, spec };
 }
 
 /**
  * Update Knob Visual Feedback
- * Updates the knob indicator rotation and value display
+ * Updates the knob indicator rotation and value display from the parameter's metadata
  * 
  * @param {HTMLElement} knob - The knob element
  * @param {string} param - The parameter name
@@ -3266,109 +2290,11 @@ function setupKnobInteraction() {
 function updateKnobVisuals(knob, param, value) {
     const indicator = knob.querySelector('.knob-indicator');
     const valueDisplay = knob.parentElement.querySelector('.control-value');
+    const { node, spec } = getKnobParameter(knob);
 
-    if (indicator && valueDisplay) {
-        let rotation = 0;
-        let displayText = '';
-
-        if (param === 'frequency') {
-            // Check if this is an LFO frequency
-            const moduleElement = knob.closest('.synth-module');
-            const moduleId = moduleElement?.dataset.moduleId;
-
-            if (moduleId === 'lfo-1') {
-                // Map LFO frequency (1-20 Hz) to rotation (-135° to +135°)
-                const logMin = Math.log(1);
-                const logMax = Math.log(20);
-                const logValue = Math.log(value);
-                const normalized = (logValue - logMin) / (logMax - logMin);
-                rotation = -135 + (normalized * 270); // -135° to +135°
-                displayText = `${value}Hz`;
-            } else {
-                // Map VCO frequency (20-20000 Hz) to rotation (-135° to +135°)
-                const logMin = Math.log(20);
-                const logMax = Math.log(20000);
-                const logValue = Math.log(value);
-                const normalized = (logValue - logMin) / (logMax - logMin);
-                rotation = -135 + (normalized * 270); // -135° to +135°
-                displayText = `${value}Hz`;
-            }
-        } else if (param === 'detune') {
-            // Map detune (-100 to +100 ¢) to rotation (-135° to +135°)
-            const normalized = (value + 100) / 200; // 0 to 1
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${value}¢`;
-        } else if (param === 'Q') {
-            // Map Q (0.001 to 20) to rotation (-135° to +135°) with logarithmic scaling
-            const logMin = Math.log(0.001);
-            const logMax = Math.log(20);
-            const logValue = Math.log(value);
-            const normalized = (logValue - logMin) / (logMax - logMin);
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${value}`;
-        } else if (param === 'attack' || param === 'decay' || param === 'release') {
-            // Map time parameters (0.01 to 5s) to rotation (-135° to +135°) with logarithmic scaling
-            const logMin = Math.log(0.01);
-            const logMax = Math.log(5);
-            const logValue = Math.log(value);
-            const normalized = (logValue - logMin) / (logMax - logMin);
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${value}s`;
-        } else if (param === 'sustain') {
-            // Map sustain (0 to 1) to rotation (-135° to +135°) linear scaling
-            const normalized = value; // Already 0 to 1
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${value}`;
-        } else if (param === 'min' || param === 'max') {
-            // Map LFO min/max frequency (20-20000 Hz) to rotation (-135° to +135°)
-            const logMin = Math.log(20);
-            const logMax = Math.log(20000);
-            const logValue = Math.log(value);
-            const normalized = (logValue - logMin) / (logMax - logMin);
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${value}Hz`;
-        } else if (param === 'decay') {
-            // Map reverb decay (0.1 to 10s) to rotation (-135° to +135°) with logarithmic scaling
-            const logMin = Math.log(0.1);
-            const logMax = Math.log(10);
-            const logValue = Math.log(value);
-            const normalized = (logValue - logMin) / (logMax - logMin);
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${value}s`;
-        } else if (param === 'wet') {
-            // Map reverb wet (0 to 1) to rotation (-135° to +135°) linear scaling
-            const normalized = value; // Already 0 to 1
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${value}`;
-        } else if (param.startsWith('channel') && param.endsWith('Gain')) {
-            // Map mixer channel gain (0 to 1) to rotation (-135° to +135°) linear scaling
-            const normalized = value; // Already 0 to 1
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${Math.round(value * 100)}%`;
-        } else if (param === 'masterGain') {
-            // Map mixer master gain (0 to 1) to rotation (-135° to +135°) linear scaling
-            const normalized = value; // Already 0 to 1
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${Math.round(value * 100)}%`;
-        } else if (param.startsWith('band') && param.endsWith('Gain')) {
-            // Map EQ band gain (-12dB to +12dB) to rotation (-135° to +135°) linear scaling
-            const normalized = (value + 12) / 24; // Convert -12 to +12 to 0 to 1
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${value > 0 ? '+' : ''}${value}dB`;
-        } else if (param === 'volume') {
-            // Map noise volume (0 to 1) to rotation (-135° to +135°) linear scaling
-            const normalized = value; // Already 0 to 1
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${Math.round(value * 100)}%`;
-        } else if (param === 'playbackRate') {
-            // Map playback rate (0.1x to 4.0x) to rotation (-135° to +135°) with logarithmic scaling
-            const logMin = Math.log(0.1);
-            const logMax = Math.log(4.0);
-            const logValue = Math.log(value);
-            const normalized = (logValue - logMin) / (logMax - logMin);
-            rotation = -135 + (normalized * 270); // -135° to +135°
-            displayText = `${value.toFixed(2)}x`;
-        }
+    if (indicator && valueDisplay && spec) {
+        // Map the knob position along the parameter's curve to rotation (-135° to +135°)
+        const rotation = -135 + getParameterPosition(spec, value, node) * 270;
 
         // Apply rotation to entire knob (not just indicator)
         knob.style.transform = `rotate(${rotation}deg)`;
@@ -3376,7 +2302,7 @@ function updateKnobVisuals(knob, param, value) {
         indicator.style.transform = `translateX(-50%)`;
 
         // Update value display
-        valueDisplay.textContent = displayText;
+        valueDisplay.textContent = formatParameter(spec, value);
     }
 }
 
@@ -3389,91 +2315,15 @@ function setupSelectorInteraction() {
     document.addEventListener('change', (e) => {
         const selector = e.target;
         
-        // Handle waveform selectors (oscillator and LFO)
-        if (selector.matches('.waveform-selector, .lfo-type-selector')) {
-            const param = selector.dataset.param;
-            const newValue = selector.value;
-
-            const moduleElement = selector.closest('.synth-module');
-            const moduleId = moduleElement?.dataset.moduleId;
-            const targetNode = getModuleNodeById(moduleId);
-
-            if (targetNode && param) {
-                targetNode.parameters[param] = newValue;
-                syncToneEngine(targetNode);
-
-                // Update P5 wave visual if it exists
-                if (p5Manager && (param === 'waveform' || param === 'type')) {
-                    const waveVisual = moduleElement.querySelector('.wave-visual');
-                    if (waveVisual && waveVisual.id) {
-                        waveVisual.dataset.waveType = newValue;
-                        p5Manager.updateWaveType(waveVisual.id, newValue);
-                        console.log(`  Updated P5 wave visual to ${newValue} (param: ${param})`);
-                    }
-                }
-
-                updateCodeDisplay();
-                console.log(`🎛️ ${moduleId} ${param} changed to ${newValue}`);
-            }
-        }
-
-        // Handle filter type selectors
-        else if (selector.matches('.filter-type-selector')) {
+        // Waveform and type selectors of the oscillator, LFO and filter; oscillator, sampler, delay, drive,
+        // modfx and compressor mode selectors, FM/AM modulator, tempo sync, sidechain key, sequencer rate and clock swing
+        if (selector.matches('.waveform-selector, .lfo-type-selector, .lfo-sync-selector, .filter-type-selector, .osc-mode-selector, .osc-modulation-selector, .sampler-mode-selector, .delay-mode-selector, .delay-sync-selector, .drive-mode-selector, .modfx-mode-selector, .modfx-sync-selector, .compressor-mode-selector, .compressor-key-selector, .sequencer-rate-selector, .clock-swing-selector')) {
             const param = selector.dataset.param;
-            const newValue = selector.value;
-
-            const moduleElement = selector.closest('.synth-module');
-            const moduleId = moduleElement?.dataset.moduleId;
-            const targetNode = getModuleNodeById(moduleId);
-
-            if (targetNode && param) {
-                targetNode.parameters[param] = newValue;
-                syncToneEngine(targetNode);
-
-                // Update P5 wave visual if it exists
-                console.log(`🔧 Filter type change debug:`, {
-                    p5Manager: !!p5Manager,
-                    param: param,
-                    newValue: newValue,
-                    moduleId: moduleId
-                });
-                
-                if (p5Manager && param === 'type') {
-                    const waveVisual = moduleElement.querySelector('.wave-visual');
-                    console.log(`🔧 DEBUG Filter Visual Update:`, {
-                        waveVisual: waveVisual,
-                        visualId: waveVisual?.id,
-                        newValue: newValue,
-                        moduleId: moduleId
-                    });
-                    
-                    if (waveVisual && waveVisual.id) {
-                        waveVisual.dataset.waveType = newValue;
-                        console.log(`🔧 About to call p5Manager.updateWaveType(${waveVisual.id}, ${newValue})`);
-                        
-                        if (p5Manager.updateWaveType) {
-                            try {
-                                p5Manager.updateWaveType(waveVisual.id, newValue);
-                                console.log(`📊 Successfully called updateWaveType`);
-                            } catch (error) {
-                                console.error(`❌ Error calling updateWaveType:`, error);
-                            }
-                        } else {
-                            console.log(`❌ p5Manager.updateWaveType function not found`);
-                            console.log(`p5Manager methods:`, Object.getOwnPropertyNames(p5Manager));
-                        }
-                    } else {
-                        console.log(`❌ No visual ID found for filter ${moduleId}`);
-                    }
-                } else {
-                    console.log(`❌ P5 update skipped:`, {
-                        hasP5Manager: !!p5Manager,
-                        isTypeParam: param === 'type'
-                    });
-                }
+            const moduleId = selector.closest('.synth-module')?.dataset.moduleId;
 
-                updateCodeDisplay();
-                console.log(`🎛️ ${moduleId} ${param} changed to ${newValue}`);
+            if (getModuleNodeById(moduleId) && param) {
+                editModuleParameter(moduleId, param, selector.value);
+                console.log(`🎛️ ${moduleId} ${param} changed to ${selector.value}`);
             }
         }
     });
@@ -3493,19 +2343,10 @@ function setupMultiplierInteraction() {
             const param = selector?.dataset.param;
             const newValue = parseInt(option.dataset.value);
 
-            const moduleElement = option.closest('.synth-module');
-            const moduleId = moduleElement?.dataset.moduleId;
-            const targetNode = getModuleNodeById(moduleId);
-
-            if (targetNode && param) {
-                targetNode.parameters[param] = newValue;
-                syncToneEngine(targetNode);
+            const moduleId = option.closest('.synth-module')?.dataset.moduleId;
 
-                // Update visual active state
-                selector.querySelectorAll('.multiplier-option').forEach(opt => opt.classList.remove('active'));
-                option.classList.add('active');
-
-                updateCodeDisplay();
+            if (getModuleNodeById(moduleId) && param) {
+                editModuleParameter(moduleId, param, newValue);
                 console.log(`🎛️ ${moduleId} ${param} changed to ${newValue}X`);
             }
         }
@@ -3513,246 +2354,1586 @@ function setupMultiplierInteraction() {
 }
 
 /**
- * Play Key Function
- * Triggers a note with the synthesizer
- * 
- * @param {string} note - The musical note to play (e.g., "C3", "F#3")
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * STEP SEQUENCER CONTROLS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * Clicking a step toggles its gate and selects it; NOTE, LENGTH and ACCENT edit
+ * the selected step. RUN (on sequencers and clocks) starts and stops Tone.Transport,
+ * which every sequencer and clock runs on.
  */
-function playKey(note) {
-    if (vco1ToneObject && envelopeToneObject) {
-        // Get base frequency from VCO knob setting
-        const baseFrequency = getModuleNodeById('oscillator-1').parameters.frequency;
 
-        // Convert note to frequency - treat knob frequency as the C4 reference
-        const noteFrequency = Tone.Frequency(note).toFrequency();
-        const C4Frequency = Tone.Frequency("C4").toFrequency(); // Reference frequency (261.63 Hz)
-        const ratio = noteFrequency / C4Frequency;
+/**
+ * Selected step of each sequencer - moduleId → step index (UI state, not saved)
+ */
+const sequencerSelection = new Map();
 
-        // Apply the note ratio to the base frequency from the knob
-        // The knob frequency is treated as C4, so we scale from there
-        const finalFrequency = baseFrequency * ratio;
+/**
+ * Step edit in progress (knob drag): { moduleId, field, previousValues }
+ */
+let sequencerStepEdit = null;
 
-        // Set frequency for ALL oscillators using their individual base frequencies
-        // Original oscillator - only change frequency if envelope is in NOTE mode
-        const originalEnvelope = getModuleNodeById('envelope-1');
-        console.log(`🎹 PLAY KEY: ${note}, envelope noteMode = ${originalEnvelope?.parameters?.noteMode}`);
-        
-        if (vco1ToneObject && originalEnvelope?.parameters?.noteMode === true) {
-            const oscBaseFreq = parseFloat(getModuleNodeById('oscillator-1').parameters.frequency) || 440;
-            const oscFinalFreq = oscBaseFreq * ratio;
-            console.log(`🎹 PLAY KEY NOTE MODE: Setting freq ${oscBaseFreq}Hz * ${ratio.toFixed(3)} = ${oscFinalFreq.toFixed(1)}Hz`);
-            vco1ToneObject.frequency.setValueAtTime(oscFinalFreq, Tone.now());
-        } else if (vco1ToneObject) {
-            console.log(`🎹 PLAY KEY GATE MODE: NOT changing frequency, staying at knob setting`);
+/**
+ * Set one step of a sequencer's step array (notes, steps, lengths or accents)
+ * Consecutive edits of the same array are one undo step until finishSequencerStepEdit
+ * @param {string} moduleId - Sequencer module ID
+ * @param {string} field - Step array name
+ * @param {number} step - Step index
+ * @param {*} value - New value for the step
+ */
+function editSequencerStep(moduleId, field, step, value) {
+    const node = getModuleNodeById(moduleId);
+    if (!node || !SEQUENCER_STEP_FIELDS.includes(field)) return;
+
+    if (!sequencerStepEdit || sequencerStepEdit.moduleId !== moduleId || sequencerStepEdit.field !== field) {
+        finishSequencerStepEdit();
+        sequencerStepEdit = { moduleId, field, previousValues: node.parameters[field] };
+    }
+
+    const values = [...node.parameters[field]];
+    values[step] = value;
+    patchModel.setParameter(moduleId, field, values);
+}
+
+/**
+ * Finish a step edit - the whole edit is one undo step
+ */
+function finishSequencerStepEdit() {
+    if (!sequencerStepEdit) return;
+
+    const { moduleId, field, previousValues } = sequencerStepEdit;
+    sequencerStepEdit = null;
+    recordParameterChange(moduleId, field, previousValues, getModuleNodeById(moduleId)?.parameters[field]);
+}
+
+/**
+ * Redraw a sequencer's step buttons and show the selected step on its controls
+ * @param {string} moduleId - Sequencer module ID
+ */
+function refreshSequencerSteps(moduleId) {
+    const moduleElement = document.querySelector(`[data-module-id="${moduleId}"]`);
+    const node = getModuleNodeById(moduleId);
+    const stepsElement = moduleElement?.querySelector('.sequencer-steps');
+    if (!stepsElement || !node) return;
+
+    const step = sequencerSelection.get(moduleId) || 0;
+    stepsElement.innerHTML = renderSequencerSteps(node.parameters, step);
+
+    const noteKnob = moduleElement.querySelector('.sequencer-step-knob[data-param="notes"]');
+    if (noteKnob) {
+        noteKnob.dataset.value = Tone.Frequency(node.parameters.notes[step]).toMidi();
+        updateKnobVisuals(noteKnob, 'notes', parseFloat(noteKnob.dataset.value));
+    }
+    const lengthKnob = moduleElement.querySelector('.sequencer-step-knob[data-param="lengths"]');
+    if (lengthKnob) {
+        lengthKnob.dataset.value = node.parameters.lengths[step];
+        updateKnobVisuals(lengthKnob, 'lengths', node.parameters.lengths[step]);
+    }
+    moduleElement.querySelector('.sequencer-accent-toggle')?.classList.toggle('active', !!node.parameters.accents[step]);
+}
+
+/**
+ * Mark the step a sequencer is playing (null clears the playhead)
+ * @param {string} moduleId - Sequencer module ID
+ * @param {number|null} step - Playing step index
+ */
+function showSequencerPlayhead(moduleId, step) {
+    document.querySelectorAll(`[data-module-id="${moduleId}"] .sequencer-step`).forEach(button => {
+        button.classList.toggle('playing', parseInt(button.dataset.step) === step);
+    });
+}
+
+/**
+ * Start or stop Tone.Transport, which all sequencers and clocks run on
+ * @param {boolean} running - Whether the transport should run
+ */
+async function setTransportRunning(running) {
+    if (running) {
+        if (Tone.context.state !== 'running') {
+            await Tone.start();
         }
-        
-        // Dynamic oscillators - each one checks its own envelope's noteMode
-        // Skip oscillator-1 as it's handled by legacy code above
-        moduleInstances.forEach((moduleInstance, moduleId) => {
-            if (moduleInstance.node?.type === 'OmniOscillator' && moduleInstance.toneObject && moduleId !== 'oscillator-1') {
-                // Find this oscillator's connected envelope
-                let shouldChangeFreq = true; // default to NOTE mode behavior
-                moduleInstances.forEach((envInstance) => {
-                    if (envInstance.node?.type === 'AmplitudeEnvelope') {
-                        shouldChangeFreq = envInstance.node.parameters.noteMode === true;
-                        return; // use first envelope found for now
-                    }
-                });
-                
-                if (shouldChangeFreq) {
-                    const oscBaseFreq = parseFloat(moduleInstance.node.parameters.frequency) || 440;
-                    const oscFinalFreq = oscBaseFreq * ratio;
-                    moduleInstance.toneObject.frequency.setValueAtTime(oscFinalFreq, Tone.now());
-                }
-            }
-        });
+        Tone.Transport.start();
+    } else {
+        Tone.Transport.stop();
+        synthNodes.filter(node => node.type === 'Sequence').forEach(node => showSequencerPlayhead(node.id, null));
+    }
 
-        // Trigger ALL envelopes in the system
-        // Original envelope (both NOTE and GATE mode respond to keys)
-        if (envelopeToneObject) {
-            envelopeToneObject.triggerAttackRelease("8n", Tone.now());
+    document.querySelectorAll('.transport-run-toggle').forEach(button => {
+        button.classList.toggle('running', running);
+        button.textContent = running ? 'STOP' : 'RUN';
+    });
+    console.log(`⏱️ Transport ${running ? 'started' : 'stopped'}`);
+}
+
+/**
+ * Setup Sequencer Interaction
+ * Step buttons, the ACCENT toggle and RUN - delegated so dynamically added sequencers and clocks work
+ */
+function setupSequencerInteraction() {
+    document.addEventListener('click', (e) => {
+        const moduleId = e.target.closest('.synth-module')?.dataset.moduleId;
+
+        if (e.target.matches('.sequencer-step')) {
+            const step = parseInt(e.target.dataset.step);
+            const node = getModuleNodeById(moduleId);
+            if (!node) return;
+
+            sequencerSelection.set(moduleId, step);
+            editSequencerStep(moduleId, 'steps', step, !node.parameters.steps[step]);
+            finishSequencerStepEdit();
+        } else if (e.target.matches('.sequencer-accent-toggle')) {
+            const node = getModuleNodeById(moduleId);
+            if (!node) return;
+
+            const step = sequencerSelection.get(moduleId) || 0;
+            editSequencerStep(moduleId, 'accents', step, !node.parameters.accents[step]);
+            finishSequencerStepEdit();
+        } else if (e.target.matches('.transport-run-toggle')) {
+            setTransportRunning(Tone.Transport.state !== 'started');
         }
-        
-        // All dynamic envelopes (both NOTE and GATE mode respond to keys)
-        moduleInstances.forEach((moduleInstance, moduleId) => {
-            if (moduleInstance.node?.type === 'AmplitudeEnvelope' && moduleInstance.toneObject) {
-                moduleInstance.toneObject.triggerAttackRelease("8n", Tone.now());
-            }
-        });
+    });
+}
 
-        console.log(`Playing note ${note} at ${finalFrequency.toFixed(2)}Hz (base: ${baseFrequency}Hz)`);
-    }
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SAMPLER CONTROLS - LOCAL AUDIO FILES
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * A sampler loads an audio file from the file picker or from a file dropped on
+ * the module. The decoded buffer is kept in sampleBuffers (modules.js) under the
+ * file name, which is what the patch saves and the export references as the URL.
+ */
+
+/**
+ * Length of the sample a sampler module has loaded
+ * @param {string} moduleId - Sampler module ID
+ * @returns {number} Seconds (0 when nothing is loaded)
+ */
+function getSampleLength(moduleId) {
+    const player = getToneObjectById(moduleId);
+    return player?.loaded ? player.buffer.duration : 0;
 }
 
+/**
+ * Put a sample and its region on a sampler in one go
+ * The region has to change with the sample - the old one may not fit the new length
+ * @param {string} moduleId - Sampler module ID
+ * @param {Object} sample - { url, start, end }
+ */
+function setSamplerSample(moduleId, sample) {
+    patchModel.setParameters(moduleId, sample);
+}
 
 /**
- * Setup Virtual Keyboard
- * Adds event listeners for all keyboard keys
+ * Decode a local audio file and load it into a sampler module
+ * The region resets to the whole sample; the change is one undo step
+ * @param {string} moduleId - Sampler module ID
+ * @param {File} file - Audio file from the picker or a drop
  */
-function setupVirtualKeyboard() {
-    const keys = document.querySelectorAll('.key[data-note]');
+async function loadSamplerFile(moduleId, file) {
+    const node = getModuleNodeById(moduleId);
+    if (!node || !file) return;
 
-    keys.forEach(key => {
-        const note = key.dataset.note;
+    let buffer;
+    try {
+        const audioBuffer = await Tone.getContext().decodeAudioData(await file.arrayBuffer());
+        buffer = new Tone.ToneAudioBuffer(audioBuffer);
+    } catch (error) {
+        console.error(`❌ ${moduleId} could not decode ${file.name}:`, error);
+        return;
+    }
+    sampleBuffers.set(file.name, buffer);
 
-        if (note) {
-            // Mouse events
-            key.addEventListener('mousedown', (e) => {
-                e.preventDefault();
-                key.classList.add('pressed');
-                playKey(note);
-            });
+    const previous = { url: node.parameters.url, start: node.parameters.start, end: node.parameters.end };
+    const loaded = { url: file.name, start: 0, end: Math.round(buffer.duration * 1000) / 1000 };
+    setSamplerSample(moduleId, loaded);
 
-            key.addEventListener('mouseup', () => {
-                key.classList.remove('pressed');
-            });
+    patchHistory?.record({
+        label: `${moduleId} sample: ${previous.url || 'none'} → ${file.name}`,
+        undo: () => setSamplerSample(moduleId, previous),
+        redo: () => setSamplerSample(moduleId, loaded)
+    });
 
-            key.addEventListener('mouseleave', () => {
-                key.classList.remove('pressed');
-            });
+    console.log(`🎵 ${moduleId} loaded ${file.name} (${buffer.duration.toFixed(2)}s)`);
+}
 
-            // Touch events for mobile
-            key.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                key.classList.add('pressed');
-                playKey(note);
-            });
+/**
+ * Setup Sampler Interaction
+ * File picker and drag-and-drop for every sampler, current and future
+ */
+function setupSamplerInteraction() {
+    document.addEventListener('change', (e) => {
+        if (!e.target.matches('.sampler-file-input')) return;
 
-            key.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                key.classList.remove('pressed');
-            });
+        const moduleId = e.target.closest('.synth-module')?.dataset.moduleId;
+        loadSamplerFile(moduleId, e.target.files[0]);
+        e.target.value = ''; // Picking the same file again reloads it
+    });
+
+    document.addEventListener('dragover', (e) => {
+        const moduleElement = e.target.closest?.('.sampler-module');
+        if (!moduleElement || !e.dataTransfer?.types.includes('Files')) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        moduleElement.classList.add('sample-drop-target');
+    });
+
+    document.addEventListener('dragleave', (e) => {
+        const moduleElement = e.target.closest?.('.sampler-module');
+        if (moduleElement && !moduleElement.contains(e.relatedTarget)) {
+            moduleElement.classList.remove('sample-drop-target');
         }
     });
 
-    // Add Ableton-style computer keyboard mapping
-    const keyToNote = {
-        'a': 'C3',   // Root
-        'w': 'C#3',  // C#
-        's': 'D3',   // D
-        'e': 'D#3',  // D#
-        'd': 'E3',   // E
-        'f': 'F3',   // F
-        't': 'F#3',  // F#
-        'g': 'G3',   // G
-        'y': 'G#3',  // G#
-        'h': 'A3',   // A
-        'u': 'A#3',  // A#
-        'j': 'B3',   // B
-        'k': 'C4'    // Octave C
-    };
+    document.addEventListener('drop', (e) => {
+        const moduleElement = e.target.closest?.('.sampler-module');
+        const file = e.dataTransfer?.files[0];
+        if (!moduleElement || !file) return;
 
-    const activeKeys = new Set();
+        e.preventDefault();
+        moduleElement.classList.remove('sample-drop-target');
+        loadSamplerFile(moduleElement.dataset.moduleId, file);
+    });
+}
 
-    // Computer keyboard events
-    document.addEventListener('keydown', (e) => {
-        const key = e.key.toLowerCase();
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * POLYPHONIC VOICE ENGINE
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * The per-voice part of a patch is every module whose audio reaches an envelope
+ * (e.g. oscillator → filter → envelope). Voice 0 is the module instance itself;
+ * voices 1..N-1 are clones wired by compilePatching with the same connections.
+ * Everything after the envelopes (reverb, EQ, mixer) and CV sources stay shared.
+ */
+
+/**
+ * Voice settings - saved with the patch and used by the code export
+ */
+const voiceSettings = patchModel.defineSettings('voices', {
+    voiceCount: 1,
+    stealPolicy: 'oldest'
+});
+
+/**
+ * Maximum number of voices
+ */
+const MAX_VOICES = 8;
+
+/**
+ * Note → voice assignment (VoiceAllocator.js)
+ */
+const voiceAllocator = new VoiceAllocator(voiceSettings.voiceCount, voiceSettings.stealPolicy);
+
+/**
+ * IDs of the modules that are cloned per voice
+ */
+let voiceModuleIds = new Set();
+
+/**
+ * Voice clones - module ID → Tone.js objects for voices 1..N-1
+ */
+const voiceClones = new Map();
+
+/**
+ * Find every module whose audio reaches an envelope, including the envelopes
+ * @returns {Set} Module IDs that make up one voice
+ */
+function computeVoiceModuleIds() {
+    const voiceIds = new Set(
+        synthNodes.filter(node => node.type === 'AmplitudeEnvelope').map(node => node.id)
+    );
+
+    // Walk audio connections backwards from the envelopes
+    let added = true;
+    while (added) {
+        added = false;
+        currentPatchConnections.forEach(connection => {
+            if (connection.type !== 'audio' || connection.target === 'destination') return;
+            const sourceId = connection.source.split('/')[0];
+            const targetId = connection.target.split('/')[0];
+            if (voiceIds.has(targetId) && !voiceIds.has(sourceId)) {
+                voiceIds.add(sourceId);
+                added = true;
+            }
+        });
+    }
+
+    return voiceIds;
+}
+
+/**
+ * Find every module reachable downstream of a module through audio connections
+ * @param {string} moduleId - Starting module
+ * @returns {Set} Downstream module IDs (not including the start)
+ */
+function getDownstreamModuleIds(moduleId) {
+    const downstream = new Set();
+    const queue = [moduleId];
+
+    while (queue.length > 0) {
+        const currentId = queue.shift();
+        currentPatchConnections.forEach(connection => {
+            if (connection.type !== 'audio' || connection.target === 'destination') return;
+            const targetId = connection.target.split('/')[0];
+            if (connection.source.split('/')[0] === currentId && !downstream.has(targetId)) {
+                downstream.add(targetId);
+                queue.push(targetId);
+            }
+        });
+    }
+
+    return downstream;
+}
+
+/**
+ * Check whether the keyboard should set an oscillator's (or sampler's) pitch
+ * True when an envelope downstream of it is in NOTE mode
+ * @param {string} moduleId - Oscillator or sampler module ID
+ * @returns {boolean}
+ */
+function isOscillatorInNoteMode(moduleId) {
+    return Array.from(getDownstreamModuleIds(moduleId)).some(id => {
+        const node = getModuleNodeById(id);
+        return node?.type === 'AmplitudeEnvelope' && node.parameters.noteMode === true;
+    });
+}
+
+/**
+ * Get the Tone.js object a voice uses for a module
+ * @param {string} moduleId - Module identifier
+ * @param {number} voiceIndex - Voice index (0 is the main instance)
+ * @returns {Object} Tone.js object
+ */
+function getVoiceToneObject(moduleId, voiceIndex) {
+    if (voiceIndex > 0 && voiceModuleIds.has(moduleId)) {
+        const clone = voiceClones.get(moduleId)?.[voiceIndex - 1];
+        if (clone) return clone;
+    }
+    return getToneObjectById(moduleId);
+}
+
+/**
+ * Create, keep or dispose voice clones so they match the current patch and voice count
+ */
+function refreshVoiceClones() {
+    voiceModuleIds = voiceSettings.voiceCount > 1 ? computeVoiceModuleIds() : new Set();
+    const cloneCount = voiceSettings.voiceCount - 1;
+
+    // Dispose clones of modules that left the voice or were deleted, and surplus voices
+    voiceClones.forEach((clones, moduleId) => {
+        const keep = voiceModuleIds.has(moduleId) ? cloneCount : 0;
+        clones.splice(keep).forEach(clone => disposeToneObject(clone));
+        if (clones.length === 0) {
+            voiceClones.delete(moduleId);
+        }
+    });
+
+    // Create the clones that are missing
+    voiceModuleIds.forEach(moduleId => {
+        const node = getModuleNodeById(moduleId);
+        const definition = ModuleRegistry[getModuleTypeForNode(node)];
+        if (!node || !definition) return;
+
+        const clones = voiceClones.get(moduleId) || [];
+        while (clones.length < cloneCount) {
+            const clone = definition.toneFactory(node.parameters);
+            syncToneObject(node, clone);
+            if (typeof clone.start === 'function' && clone.state !== 'started') {
+                clone.start();
+            }
+            clones.push(clone);
+        }
+        voiceClones.set(moduleId, clones);
+    });
+}
+
+/**
+ * Wire voices 1..N-1 using the same connections as the main instance
+ */
+function applyVoiceConnections() {
+    for (let voiceIndex = 1; voiceIndex < voiceSettings.voiceCount; voiceIndex++) {
+        const resolveVoiceObject = (moduleId) => getVoiceToneObject(moduleId, voiceIndex);
+
+        currentPatchConnections.forEach(connection => {
+            const sourceId = connection.source.split('/')[0];
+            const targetId = connection.target.split('/')[0];
+
+            // Shared-to-shared connections are already wired once
+            if (!voiceModuleIds.has(sourceId) && !voiceModuleIds.has(targetId)) return;
+
+            try {
+                applyConnection(connection, resolveVoiceObject);
+            } catch (error) {
+                console.error(`❌ Failed to apply voice ${voiceIndex + 1} connection: ${connection.source} → ${connection.target}`, error);
+            }
+        });
+    }
+}
+
+/**
+ * Stop, disconnect and dispose a Tone.js object
+ * @param {Object} toneObject - Tone.js object
+ */
+function disposeToneObject(toneObject) {
+    try {
+        if (typeof toneObject.stop === 'function') toneObject.stop();
+        toneObject.disconnect();
+        if (typeof toneObject.dispose === 'function') toneObject.dispose();
+    } catch (e) {
+        console.warn('⚠️ Error disposing Tone object:', e);
+    }
+}
+
+/**
+ * Change the voice count and/or steal policy
+ * @param {Object} settings - { voiceCount, stealPolicy } (either may be omitted)
+ */
+function setVoiceSettings(settings) {
+    const previous = { ...voiceSettings };
+    const voiceCount = parseInt(settings.voiceCount ?? voiceSettings.voiceCount);
+
+    const changed = patchModel.setSettings('voices', {
+        voiceCount: Math.max(1, Math.min(MAX_VOICES, isNaN(voiceCount) ? 1 : voiceCount)),
+        stealPolicy: settings.stealPolicy || voiceSettings.stealPolicy
+    });
+
+    if (patchHistory && changed) {
+        const next = { ...voiceSettings };
+        patchHistory.record({
+            label: `Voices: ${previous.voiceCount} → ${next.voiceCount} (${next.stealPolicy})`,
+            undo: () => setVoiceSettings(previous),
+            redo: () => setVoiceSettings(next)
+        });
+    }
+
+    console.log(`🎹 Voices: ${voiceSettings.voiceCount}, steal policy: ${voiceSettings.stealPolicy}`);
+}
+
+/**
+ * Bring the voice allocator and the VOICES controls in line with voiceSettings
+ * Called by the note engine's settingsChanged subscription
+ */
+function applyVoiceSettings() {
+    voiceAllocator.stealPolicy = voiceSettings.stealPolicy;
+    if (voiceSettings.voiceCount !== voiceAllocator.voices.length) {
+        // Close held gates first - the voices they belong to are about to be rebuilt
+        releaseAllNotes();
+        voiceAllocator.setVoiceCount(voiceSettings.voiceCount);
+    }
+
+    refreshVoiceSettingsControls();
+}
+
+/**
+ * Show the current voice settings in the code panel controls
+ */
+function refreshVoiceSettingsControls() {
+    const countSelect = document.getElementById('voice-count-select');
+    const stealSelect = document.getElementById('voice-steal-select');
+    if (countSelect) countSelect.value = voiceSettings.voiceCount;
+    if (stealSelect) stealSelect.value = voiceSettings.stealPolicy;
+}
+
+/**
+ * Setup Voice Settings Controls
+ * Wires the VOICES and STEAL selectors in the code panel
+ */
+function setupVoiceSettings() {
+    const countSelect = document.getElementById('voice-count-select');
+    const stealSelect = document.getElementById('voice-steal-select');
+
+    if (countSelect) {
+        // One option for every count setVoiceSettings accepts, so any loaded patch shows its count
+        countSelect.innerHTML = Array.from({ length: MAX_VOICES }, (_, index) =>
+            `<option value="${index + 1}">${index === 0 ? '1 (MONO)' : index + 1}</option>`).join('');
+        countSelect.addEventListener('change', () => setVoiceSettings({ voiceCount: countSelect.value }));
+    }
+    if (stealSelect) {
+        stealSelect.addEventListener('change', () => setVoiceSettings({ stealPolicy: stealSelect.value }));
+    }
+
+    refreshVoiceSettingsControls();
+}
+
+/**
+ * Held notes - note → number of inputs (mouse, touch, computer keys) holding it
+ * A note is only released when the last input lets go of it
+ */
+const heldNotes = new Map();
+
+/**
+ * Find the envelopes the keyboard plays: every envelope downstream of a sound source
+ * @returns {Array} Envelope synth nodes
+ */
+function getKeyboardEnvelopes() {
+    const envelopeIds = new Set();
+    synthNodes
+        .filter(node => node.type === 'OmniOscillator' || node.type === 'Noise' || node.type === 'Player')
+        .forEach(source => {
+            getDownstreamModuleIds(source.id).forEach(id => envelopeIds.add(id));
+        });
+
+    return synthNodes.filter(node => node.type === 'AmplitudeEnvelope' && envelopeIds.has(node.id));
+}
+
+/**
+ * Find the samplers a key release stops: looped samples with no envelope after them
+ * An envelope downstream closes its gate instead, keeping its release tail
+ * @returns {Array} Sampler synth nodes
+ */
+function getKeyReleasedSamplers() {
+    return synthNodes.filter(node => node.type === 'Player' && node.parameters.mode === 'loop' &&
+        !Array.from(getDownstreamModuleIds(node.id)).some(id => getModuleNodeById(id)?.type === 'AmplitudeEnvelope'));
+}
+
+/**
+ * Note On
+ * Starts a note on the next free voice and opens its envelopes' gates
+ *
+ * @param {string} note - The musical note to play (e.g., "C3", "F#3")
+ * @param {number} velocity - Note velocity from 0 to 1 (default 1)
+ * @param {number} time - Audio context time the gate opens (default now)
+ */
+function noteOn(note, velocity = 1, time = Tone.now()) {
+    heldNotes.set(note, (heldNotes.get(note) || 0) + 1);
+
+    // Convert note to a ratio - each oscillator's knob frequency is treated as the C4 reference
+    const noteFrequency = Tone.Frequency(note).toFrequency();
+    const C4Frequency = Tone.Frequency("C4").toFrequency(); // Reference frequency (261.63 Hz)
+    const ratio = noteFrequency / C4Frequency;
+
+    const voiceIndex = voiceAllocator.noteOn(note);
+    if (voiceIndex === null) {
+        console.log(`🎹 NOTE ON: ${note} dropped - all voices busy (steal policy: none)`);
+        return;
+    }
+
+    // Oscillators follow the key only when an envelope downstream is in NOTE mode
+    synthNodes.filter(node => node.type === 'OmniOscillator').forEach(node => {
+        if (!isOscillatorInNoteMode(node.id)) return;
+
+        const toneObject = getVoiceToneObject(node.id, voiceIndex);
+        const oscBaseFreq = parseFloat(node.parameters.frequency) || 440;
+        const oscFinalFreq = oscBaseFreq * ratio;
+        toneObject?.frequency.setValueAtTime(oscFinalFreq, time);
+        console.log(`🎹 NOTE MODE: ${node.id} voice ${voiceIndex + 1} ${oscBaseFreq}Hz * ${ratio.toFixed(3)} = ${oscFinalFreq.toFixed(1)}Hz`);
+    });
+
+    // Samplers start on every key and follow its pitch like the oscillators - RATE is the speed at C4
+    synthNodes.filter(node => node.type === 'Player').forEach(node => {
+        const toneObject = getVoiceToneObject(node.id, voiceIndex);
+        if (!toneObject?.loaded) return;
+
+        toneObject.playbackRate = node.parameters.playbackRate * (isOscillatorInNoteMode(node.id) ? ratio : 1);
+        toneObject.start(time, ...getSamplerStartArguments(node.parameters));
+    });
+
+    // Open the gate on this voice's envelopes (both NOTE and GATE mode respond to keys)
+    getKeyboardEnvelopes().forEach(node => {
+        getVoiceToneObject(node.id, voiceIndex)?.triggerAttack(time, velocity);
+    });
+
+    console.log(`🎹 NOTE ON: ${note} (velocity ${velocity.toFixed(2)}) on voice ${voiceIndex + 1}/${voiceSettings.voiceCount}`);
+}
+
+/**
+ * Note Off
+ * Closes the gate of the voice playing a note once no input is holding it
+ *
+ * @param {string} note - The musical note to release
+ * @param {number} time - Audio context time the gate closes (default now)
+ */
+function noteOff(note, time = Tone.now()) {
+    const holdCount = (heldNotes.get(note) || 0) - 1;
+    if (holdCount > 0) {
+        heldNotes.set(note, holdCount);
+        return;
+    }
+    heldNotes.delete(note);
+
+    // A stolen note has no voice left to release
+    const voiceIndex = voiceAllocator.noteOff(note);
+    if (voiceIndex === null) return;
+
+    getKeyboardEnvelopes().forEach(node => {
+        getVoiceToneObject(node.id, voiceIndex)?.triggerRelease(time);
+    });
+    getKeyReleasedSamplers().forEach(node => {
+        getVoiceToneObject(node.id, voiceIndex)?.stop(time);
+    });
+
+    console.log(`🎹 NOTE OFF: ${note} on voice ${voiceIndex + 1}`);
+}
+
+/**
+ * Release every held note (e.g. when the window loses focus mid-press)
+ */
+function releaseAllNotes() {
+    Array.from(heldNotes.keys()).forEach(note => {
+        heldNotes.set(note, 1);
+        noteOff(note);
+    });
+}
+
+/**
+ * Play Key Function
+ * Plays a note for a fixed duration - for programmatic triggering
+ * 
+ * @param {string} note - The musical note to play (e.g., "C3", "F#3")
+ * @param {string|number} duration - Tone.js time the gate stays open (default "8n")
+ */
+function playKey(note, duration = "8n") {
+    noteOn(note);
+    setTimeout(() => noteOff(note), Tone.Time(duration).toSeconds() * 1000);
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * ARPEGGIATOR - KEY INPUT → STEPS ON THE TRANSPORT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * Keys (virtual keyboard, computer keys, MIDI) arrive through keyDown/keyUp. With
+ * the arpeggiator off they go straight to noteOn/noteOff; with it on they are held
+ * in the Arpeggiator (Arpeggiator.js) and a Tone.Loop on the transport plays its
+ * next note on every step. The settings are saved with the patch and exported.
+ */
+
+/**
+ * Arpeggiator settings - saved with the patch and used by the code export
+ */
+const arpSettings = patchModel.defineSettings('arpeggiator', {
+    enabled: false,
+    mode: 'up',
+    octaves: 1,
+    rate: '16n',
+    latch: false
+});
+
+/**
+ * Arpeggiator modes, in the order the ARP selector lists them
+ */
+const ARP_MODES = ['up', 'down', 'updown', 'random', 'played'];
+
+/**
+ * Step rates the ARP RATE selector offers
+ */
+const ARP_RATES = ['4n', '8n', '8t', '16n', '16t', '32n'];
+
+/**
+ * Gate length of an arpeggiated note, as a fraction of the step
+ */
+const ARP_GATE_LENGTH = 0.5;
+
+/**
+ * Held keys → pattern (Arpeggiator.js)
+ */
+const arpeggiator = new Arpeggiator(arpSettings);
+
+/**
+ * Transport loop stepping the arpeggiator (null while it is off)
+ */
+let arpeggiatorLoop = null;
+
+/**
+ * Key pressed - played directly, or held by the arpeggiator when it is on
+ * @param {string} note - Note name (e.g., "C3")
+ * @param {number} velocity - Velocity from 0 to 1 (default 1)
+ */
+function keyDown(note, velocity = 1) {
+    if (!arpSettings.enabled) {
+        noteOn(note, velocity);
+        return;
+    }
+
+    arpeggiator.noteOn(note, velocity);
+    // The arpeggiator steps on the transport - a key press starts it
+    if (Tone.Transport.state !== 'started') {
+        setTransportRunning(true);
+    }
+}
+
+/**
+ * Key released
+ * @param {string} note - Note name
+ */
+function keyUp(note) {
+    if (!arpSettings.enabled) {
+        noteOff(note);
+        return;
+    }
+    arpeggiator.noteOff(note);
+}
+
+/**
+ * Let go of every key (e.g. when the window loses focus mid-press)
+ * Latched arpeggios keep playing
+ */
+function releaseAllKeys() {
+    [...arpeggiator.pressed].forEach(note => arpeggiator.noteOff(note));
+    releaseAllNotes();
+}
+
+/**
+ * Play one arpeggiator step: the gate opens at the step and closes ARP_GATE_LENGTH later
+ * @param {number} time - Audio context time of the step
+ */
+function playArpeggiatorStep(time) {
+    const step = arpeggiator.next();
+    if (!step) return;
+
+    noteOn(step.note, step.velocity, time);
+    noteOff(step.note, time + Tone.Time(arpeggiator.rate).toSeconds() * ARP_GATE_LENGTH);
+}
+
+/**
+ * Change the arpeggiator settings
+ * @param {Object} settings - { enabled, mode, octaves, rate, latch } (any may be omitted)
+ */
+function setArpeggiatorSettings(settings) {
+    const previous = { ...arpSettings };
+
+    const changed = patchModel.setSettings('arpeggiator', {
+        enabled: !!(settings.enabled ?? arpSettings.enabled),
+        mode: ARP_MODES.includes(settings.mode) ? settings.mode : arpSettings.mode,
+        octaves: Math.max(1, Math.min(4, parseInt(settings.octaves ?? arpSettings.octaves) || 1)),
+        rate: ARP_RATES.includes(settings.rate) ? settings.rate : arpSettings.rate,
+        latch: !!(settings.latch ?? arpSettings.latch)
+    });
+
+    if (patchHistory && changed) {
+        const next = { ...arpSettings };
+        patchHistory.record({
+            label: `Arpeggiator: ${next.enabled ? `${next.mode} ${next.octaves} oct ${next.rate}${next.latch ? ' latch' : ''}` : 'off'}`,
+            undo: () => setArpeggiatorSettings(previous),
+            redo: () => setArpeggiatorSettings(next)
+        });
+    }
+
+    console.log(`🎹 Arpeggiator: ${arpSettings.enabled ? `${arpSettings.mode}, ${arpSettings.octaves} octave(s), ${arpSettings.rate}, latch ${arpSettings.latch ? 'on' : 'off'}` : 'off'}`);
+}
+
+/**
+ * Bring the arpeggiator, its loop and the ARP controls in line with arpSettings
+ * Called by the note engine's settingsChanged subscription
+ * @param {Object} previous - Arpeggiator settings before the change
+ */
+function applyArpeggiatorSettings(previous) {
+    arpeggiator.set(arpSettings);
+
+    // Switching between direct and arpeggiated play lets go of everything first
+    if (previous.enabled !== arpSettings.enabled) {
+        arpeggiator.releaseAll();
+        releaseAllNotes();
+    }
+
+    // A Tone.Loop keeps its interval - rebuild it for a new rate
+    if (arpeggiatorLoop && (!arpSettings.enabled || previous.rate !== arpSettings.rate)) {
+        arpeggiatorLoop.dispose();
+        arpeggiatorLoop = null;
+    }
+    if (arpSettings.enabled && !arpeggiatorLoop) {
+        arpeggiatorLoop = new Tone.Loop(playArpeggiatorStep, arpSettings.rate).start(0);
+    }
+
+    refreshArpeggiatorControls();
+}
+
+/**
+ * Show the current arpeggiator settings in the code panel controls
+ */
+function refreshArpeggiatorControls() {
+    const modeSelect = document.getElementById('arp-mode-select');
+    const octaveSelect = document.getElementById('arp-octave-select');
+    const rateSelect = document.getElementById('arp-rate-select');
+    const latchButton = document.getElementById('arp-latch-button');
+    if (modeSelect) modeSelect.value = arpSettings.enabled ? arpSettings.mode : 'off';
+    if (octaveSelect) octaveSelect.value = arpSettings.octaves;
+    if (rateSelect) rateSelect.value = arpSettings.rate;
+    if (latchButton) latchButton.classList.toggle('active', arpSettings.latch);
+}
+
+/**
+ * Setup Arpeggiator Controls
+ * Wires the ARP, OCT, RATE and LATCH controls in the code panel
+ */
+function setupArpeggiatorControls() {
+    const modeSelect = document.getElementById('arp-mode-select');
+    const octaveSelect = document.getElementById('arp-octave-select');
+    const rateSelect = document.getElementById('arp-rate-select');
+    const latchButton = document.getElementById('arp-latch-button');
+
+    if (modeSelect) {
+        modeSelect.addEventListener('change', () => setArpeggiatorSettings(modeSelect.value === 'off'
+            ? { enabled: false }
+            : { enabled: true, mode: modeSelect.value }));
+    }
+    if (octaveSelect) {
+        octaveSelect.addEventListener('change', () => setArpeggiatorSettings({ octaves: octaveSelect.value }));
+    }
+    if (rateSelect) {
+        rateSelect.addEventListener('change', () => setArpeggiatorSettings({ rate: rateSelect.value }));
+    }
+    if (latchButton) {
+        latchButton.addEventListener('click', () => setArpeggiatorSettings({ latch: !arpSettings.latch }));
+    }
+
+    refreshArpeggiatorControls();
+}
+
+
+/**
+ * Setup Virtual Keyboard
+ * Adds event listeners for all keyboard keys
+ * Pressing a key (mouse, touch or computer key) calls keyDown, letting go calls keyUp
+ */
+function setupVirtualKeyboard() {
+    const keys = document.querySelectorAll('.key[data-note]');
+
+    keys.forEach(key => {
+        const note = key.dataset.note;
+
+        if (note) {
+            // Each key tracks its own pointer hold so mouse and touch release exactly once
+            let pointerHeld = false;
+
+            const press = () => {
+                if (pointerHeld) return;
+                pointerHeld = true;
+                key.classList.add('pressed');
+                keyDown(note);
+            };
+
+            const release = () => {
+                if (!pointerHeld) return;
+                pointerHeld = false;
+                key.classList.remove('pressed');
+                keyUp(note);
+            };
+
+            // Mouse events
+            key.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                press();
+            });
+
+            key.addEventListener('mouseup', release);
+            key.addEventListener('mouseleave', release);
+
+            // Touch events for mobile
+            key.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                press();
+            });
+
+            key.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                release();
+            });
+
+            key.addEventListener('touchcancel', release);
+        }
+    });
+
+    // Add Ableton-style computer keyboard mapping
+    const keyToNote = {
+        'a': 'C3',   // Root
+        'w': 'C#3',  // C#
+        's': 'D3',   // D
+        'e': 'D#3',  // D#
+        'd': 'E3',   // E
+        'f': 'F3',   // F
+        't': 'F#3',  // F#
+        'g': 'G3',   // G
+        'y': 'G#3',  // G#
+        'h': 'A3',   // A
+        'u': 'A#3',  // A#
+        'j': 'B3',   // B
+        'k': 'C4'    // Octave C
+    };
+
+    const activeKeys = new Set();
+
+    // Computer keyboard events
+    document.addEventListener('keydown', (e) => {
+        // Let text fields (e.g. the import code box) receive typing
+        if (e.target.closest && e.target.closest('textarea, input')) return;
+
+        const key = e.key.toLowerCase();
+
+        if (keyToNote[key] && !activeKeys.has(key)) {
+            e.preventDefault();
+            activeKeys.add(key);
+
+            const note = keyToNote[key];
+            const keyElement = document.querySelector(`.key[data-note="${note}"]`);
+
+            if (keyElement) {
+                keyElement.classList.add('pressed');
+            }
+
+            keyDown(note);
+        }
+    });
+
+    document.addEventListener('keyup', (e) => {
+        const key = e.key.toLowerCase();
+
+        if (keyToNote[key] && activeKeys.has(key)) {
+            e.preventDefault();
+            activeKeys.delete(key);
+
+            const note = keyToNote[key];
+            const keyElement = document.querySelector(`.key[data-note="${note}"]`);
+
+            if (keyElement) {
+                keyElement.classList.remove('pressed');
+            }
+
+            keyUp(note);
+        }
+    });
+
+    // Keyup never arrives when focus leaves the page mid-press, so let go of everything
+    window.addEventListener('blur', () => {
+        activeKeys.clear();
+        document.querySelectorAll('.key.pressed').forEach(keyElement => keyElement.classList.remove('pressed'));
+        releaseAllKeys();
+    });
+
+    console.log('Virtual keyboard setup complete with Ableton-style mapping');
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MIDI INPUT - NOTES, VELOCITY & CC LEARN
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MIDI notes go through the same keyDown/keyUp path as the virtual keyboard,
+ * with velocity passed to the envelopes. In MIDI learn mode, clicking a knob
+ * arms it and the next controller moved is bound to that knob's parameter.
+ * Mappings are saved with the patch.
+ */
+
+let midiController = null;
+
+/**
+ * Apply a mapped controller value to its parameter
+ * The controller sweeps the same range and curve as dragging the knob, and one
+ * sweep is one undo step, like one knob drag
+ * @param {Object} mapping - { channel, cc, moduleId, param }
+ * @param {number} normalizedValue - Controller value scaled to 0-1
+ */
+function applyMidiControlChange(mapping, normalizedValue) {
+    const node = getModuleNodeById(mapping.moduleId);
+    const spec = node && ModuleFactory.getParameterSpec(ModuleFactory.getTypeForNode(node), mapping.param);
+    // Step lists are edited one step at a time, not by a controller
+    if (!spec || Array.isArray(spec.default)) return;
+
+    const oldValue = node.parameters[mapping.param];
+    const newValue = getParameterAtPosition(spec, normalizedValue, node);
+    setModuleParameter(mapping.moduleId, mapping.param, newValue);
+    recordParameterChange(mapping.moduleId, mapping.param, oldValue, newValue, `midi-cc-${mapping.channel}-${mapping.cc}`);
+}
+
+/**
+ * Turn MIDI learn mode on or off
+ * @param {boolean} active - Whether clicking a knob should arm it for learning
+ */
+function setMidiLearnMode(active) {
+    document.body.classList.toggle('midi-learn-mode', active);
+    document.getElementById('midi-learn-button')?.classList.toggle('active', active);
+    document.querySelectorAll('.synth-knob.midi-learn-armed')
+        .forEach(knob => knob.classList.remove('midi-learn-armed'));
+
+    if (!active) {
+        midiController?.cancelLearn();
+    }
+
+    console.log(`🎹 MIDI learn ${active ? 'on' : 'off'}`);
+}
+
+/**
+ * Show the connected inputs (or the last learned mapping) in the code panel
+ * @param {string} message - Optional message to show instead of the input count
+ */
+function updateMidiStatus(message = null) {
+    const status = document.getElementById('midi-status');
+    if (!status) return;
+
+    if (message) {
+        status.textContent = message;
+        return;
+    }
+
+    const inputCount = midiController?.getInputNames().length || 0;
+    status.textContent = midiController?.access
+        ? `${inputCount} INPUT${inputCount === 1 ? '' : 'S'}`
+        : 'NO MIDI';
+}
+
+/**
+ * Setup MIDI Input
+ * Connects Web MIDI and wires the MIDI learn button
+ * @param {Object} access - Optional MIDIAccess to use instead of the browser's (e.g. FakeMIDIAccess)
+ */
+function setupMidi(access = null) {
+    midiController = new MidiController({
+        onNoteOn: (note, velocity) => keyDown(note, velocity),
+        onNoteOff: (note) => keyUp(note),
+        onControlChange: applyMidiControlChange,
+        onLearn: (mapping) => {
+            document.querySelectorAll('.synth-knob.midi-learn-armed')
+                .forEach(knob => knob.classList.remove('midi-learn-armed'));
+            updateMidiStatus(`CC ${mapping.cc} → ${mapping.moduleId.toUpperCase()} ${mapping.param.toUpperCase()}`);
+        },
+        onStateChange: () => updateMidiStatus()
+    });
+
+    const learnButton = document.getElementById('midi-learn-button');
+    if (learnButton) {
+        learnButton.addEventListener('click', () => {
+            setMidiLearnMode(!document.body.classList.contains('midi-learn-mode'));
+        });
+    }
+
+    // Capture phase runs before the knob's own drag handlers, so a learn click never turns the knob
+    const armKnob = (e) => {
+        if (!document.body.classList.contains('midi-learn-mode')) return;
+
+        const knob = e.target.closest?.('.synth-knob');
+        const moduleId = knob?.closest('.synth-module')?.dataset.moduleId;
+        if (!knob || !moduleId) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        document.querySelectorAll('.synth-knob.midi-learn-armed')
+            .forEach(armed => armed.classList.remove('midi-learn-armed'));
+        knob.classList.add('midi-learn-armed');
+
+        midiController.startLearn(moduleId, knob.dataset.param);
+        updateMidiStatus(`MOVE A CONTROL FOR ${moduleId.toUpperCase()} ${knob.dataset.param.toUpperCase()}`);
+    };
+    document.addEventListener('mousedown', armKnob, true);
+    document.addEventListener('touchstart', armKnob, { capture: true, passive: false });
+
+    midiController.connect(access).then(() => updateMidiStatus());
+
+    console.log('MIDI input setup complete');
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CODE GENERATION SYSTEM - EXPORT CLEAN TONE.JS CODE
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Export settings - how the code panel packages the generated code
+ * 'script' is a top-level script, 'module' an importable ES module with a createPatch() factory
+ */
+const exportSettings = patchModel.defineSettings('export', {
+    format: 'script'
+});
+
+/**
+ * Name of the output node in ES module exports
+ * Connections to the speakers go here instead, so the host decides where the patch plays
+ */
+const MODULE_OUTPUT_NAME = 'patchOutput';
+
+/**
+ * Generate Production-Ready JavaScript Code (DYNAMIC VERSION)
+ * Uses CodeGeneratorFactory and currentPatchConnections for fully dynamic generation
+ * Following the structured three-block approach: Instantiation, Patching, Triggering
+ * 
+ * @param {string} format - 'script' or 'module' (defaults to the code panel setting)
+ * @returns {string} Clean, copy-pasteable JavaScript code
+ */
+function generateCode(format = exportSettings.format) {
+    if (format === 'module') {
+        return generateModuleExportCode();
+    }
+
+    // Sequencers and clocks run on the transport - the script starts it, module hosts call patch.start()
+    const transportStart = usesTransport() ? 'Tone.getTransport().start();\n' : '';
+
+    return `await Tone.start();
+
+${generatePatchCode()}
+${transportStart}// Your Tone Designer patch is ready!
+console.log("🎛️ Synthesizer loaded and ready");
+`;
+}
+
+/**
+ * Check whether the patch has modules that run on the transport (sequencers, clocks, arpeggiator)
+ * @returns {boolean}
+ */
+function usesTransport() {
+    return arpSettings.enabled || synthNodes.some(node => node.type === 'Sequence' || node.type === 'Loop');
+}
+
+/**
+ * Generate the patch itself: instantiation, voice, patching, voice allocation and trigger blocks
+ * @param {Object} options - { output: expression connections to 'destination' go to
+ *                           (null → .toDestination()), trackReleases: keep playNote timers
+ *                           in releaseTimers so dispose() can cancel them, context: expression
+ *                           for the Tone.js context the trigger API reads time from
+ *                           (null → the global one) }
+ * @returns {string} Patch code
+ */
+function generatePatchCode(options = {}) {
+    const { output = null, trackReleases = false, context = null } = options;
+
+    // Polyphonic patches export the per-voice modules as a createVoice() factory
+    const voiceIds = getExportVoiceIds();
+    const voiceRef = (moduleId) => voiceIds.has(moduleId) ? `voice.${getCodeVariableName(moduleId)}` : getCodeVariableName(moduleId);
+
+    let code = `// ═══════════════════════════════════════════════════════════════
+// INSTANTIATION BLOCK - Module Declarations  
+// ═══════════════════════════════════════════════════════════════
+
+`;
+
+    // DYNAMIC INSTANTIATION - Generate code for all shared modules using CodeGeneratorFactory
+    // Clocks come first: they set the transport tempo that note-value times ("8n") resolve at
+    const sharedNodes = synthNodes.filter(node => !voiceIds.has(node.id));
+    [...sharedNodes.filter(node => node.type === 'Loop'), ...sharedNodes.filter(node => node.type !== 'Loop')].forEach(node => {
+        code += generateModuleDeclaration(node);
+    });
+
+    if (output) {
+        code += `const ${output} = new Tone.Gain();
+
+`;
+    }
+
+    // VOICE FACTORY - One copy of the oscillator → envelope chain per voice
+    if (voiceIds.size > 0) {
+        const voiceNodes = synthNodes.filter(node => voiceIds.has(node.id));
+
+        code += `// ═══════════════════════════════════════════════════════════════
+// VOICE BLOCK - ${voiceSettings.voiceCount} Polyphonic Voices
+// ═══════════════════════════════════════════════════════════════
+
+function createVoice() {
+`;
+        voiceNodes.forEach(node => {
+            code += indentCode(generateModuleDeclaration(node));
+        });
+
+        currentPatchConnections
+            .filter(connection => voiceIds.has(connection.source.split('/')[0]) &&
+                voiceIds.has(connection.target.split('/')[0]))
+            .forEach(connection => {
+                const line = generateConnectionCode(connection, getCodeVariableName, output);
+                if (line) code += `    ${line}\n`;
+            });
+
+        code += `
+    return { ${voiceNodes.map(node => getCodeVariableName(node.id)).join(', ')} };
+}
+
+const voices = Array.from({ length: ${voiceSettings.voiceCount} }, () => createVoice());
+
+`;
+    }
+
+    // DYNAMIC PATCHING - Generate connections from currentPatchConnections
+    code += `// ═══════════════════════════════════════════════════════════════
+// PATCHING BLOCK - Signal Routing (DYNAMIC)
+// ═══════════════════════════════════════════════════════════════
+
+`;
+
+    const patchingConnections = currentPatchConnections.filter(connection =>
+        !(voiceIds.has(connection.source.split('/')[0]) && voiceIds.has(connection.target.split('/')[0]))
+    );
+
+    if (patchingConnections.length > 0) {
+        patchingConnections.forEach(connection => {
+            const touchesVoice = voiceIds.has(connection.source.split('/')[0]) ||
+                voiceIds.has(connection.target.split('/')[0]);
+
+            if (touchesVoice) {
+                // Every voice connects to the shared part of the patch
+                const line = generateConnectionCode(connection, voiceRef, output);
+                if (line) code += `voices.forEach(voice => ${line.replace(/;$/, '')});\n`;
+            } else {
+                const line = generateConnectionCode(connection, getCodeVariableName, output);
+                if (line) code += `${line}\n`;
+            }
+        });
+        code += '\n';
+    } else {
+        code += `// No patch connections found\n\n`;
+    }
+
+    // VOICE ALLOCATION - Same allocator the designer uses, so chords behave identically.
+    // Mono patches get one too: with one voice the steal policy decides whether a new key takes it over
+    code += `// ═══════════════════════════════════════════════════════════════
+// VOICE ALLOCATION BLOCK - Note → Voice Assignment
+// ═══════════════════════════════════════════════════════════════
+
+${VoiceAllocator.toString()}
+
+// voiceAllocator.noteOn(note) returns the voice index (null if the note is dropped)
+// voiceAllocator.noteOff(note) frees the voice again
+const voiceAllocator = new VoiceAllocator(${voiceSettings.voiceCount}, "${voiceSettings.stealPolicy}");
+
+`;
+
+    // TRIGGER API - playNote/noteOn/noteOff derived from the patch graph
+    code += generateTriggerCode(voiceIds, voiceRef, trackReleases, context);
+
+    return code;
+}
+
+/**
+ * Module IDs the export clones per voice
+ * @returns {Set} Voice module IDs (empty for mono export)
+ */
+function getExportVoiceIds() {
+    return voiceSettings.voiceCount > 1 ? computeVoiceModuleIds() : new Set();
+}
+
+/**
+ * Generate the patch as an importable ES module
+ * The patch code runs inside an exported createPatch(context) factory that
+ * returns the trigger API plus connect/dispose/setParam. Nothing plays until
+ * the host calls connect(), and starting the AudioContext is left to the host.
+ * The nodes are built on the given context, the global Tone context is handed
+ * back afterwards, and the API reads time from the patch's own context - so
+ * patches on different contexts never retarget each other. Sequencers, clocks
+ * and the arpeggiator run on context.transport, which the API's start()/stop() drive.
+ * @returns {string} ES module code
+ */
+function generateModuleExportCode() {
+    const voiceIds = getExportVoiceIds();
+    const sharedNames = synthNodes.filter(node => !voiceIds.has(node.id)).map(node => getCodeVariableName(node.id));
+    const voiceNames = synthNodes.filter(node => voiceIds.has(node.id)).map(node => getCodeVariableName(node.id));
+    const polyphonic = voiceIds.size > 0;
+    const subNodeProperties = [...new Set(synthNodes.flatMap(node => CodeGeneratorFactory.getSubNodeProperties(node)))];
+
+    return `// Tone Designer patch - ES module export
+//
+//   import { createPatch } from "./patch.js";
+//   await Tone.start();
+//   const patch = createPatch();
+//   patch.connect();
+//   patch.playNote("C4", "8n");${usesTransport() ? '\n//   patch.start(); // sequencers, clocks and the arpeggiator run on the transport of the patch\'s context' : ''}
+
+import * as Tone from "tone";
+
+/**
+ * Build the patch on a Tone.js context
+ * @param {Tone.BaseContext} context - Context to build on (defaults to the current Tone context)
+ * @returns {Object} Patch API: modules, voices, connect, disconnect, dispose, setParam, noteOn, noteOff, playNote${usesTransport() ? ', start, stop' : ''}${arpSettings.enabled ? ', keyDown, keyUp' : ''}
+ */
+export function createPatch(context = Tone.getContext()) {
+    // Tone.js builds nodes on the global context - point it at this one while building only
+    const globalContext = Tone.getContext();
+    Tone.setContext(context);
+    try {
+        return buildPatch(context);
+    } finally {
+        Tone.setContext(globalContext);
+    }
+}
+
+function buildPatch(context) {
+${indentCode(generatePatchCode({ output: MODULE_OUTPUT_NAME, trackReleases: true, context: 'context' }))}
+    // ═══════════════════════════════════════════════════════════════
+    // PATCH API - Routing, Parameters & Cleanup
+    // ═══════════════════════════════════════════════════════════════
+
+    const modules = { ${sharedNames.join(', ')} };
+${polyphonic ? `    const voiceModuleNames = [${voiceNames.map(name => `"${name}"`).join(', ')}];\n` : ''}
+    // Connect the patch output - defaults to the speakers of the patch's context
+    function connect(destination = context.destination) {
+        ${MODULE_OUTPUT_NAME}.connect(destination);
+    }
 
-        if (keyToNote[key] && !activeKeys.has(key)) {
-            e.preventDefault();
-            activeKeys.add(key);
+    function disconnect(destination) {
+        ${MODULE_OUTPUT_NAME}.disconnect(destination);
+    }
 
-            const note = keyToNote[key];
-            const keyElement = document.querySelector(`.key[data-note="${note}"]`);
+    // Set a module parameter by variable name, e.g. setParam("filter1", "frequency", 800)
+    // Only Tone.js properties can be set - designer parameters that live on other
+    // nodes (EQ band gains, mixer levels, sampler regions) throw
+${polyphonic ? '    // Voice modules are set on every voice\n' : ''}    function setParam(moduleName, param, value, time = context.now()) {
+        const targets = ${polyphonic
+            ? 'voiceModuleNames.includes(moduleName)\n            ? voices.map(voice => voice[moduleName])\n            : [modules[moduleName]]'
+            : '[modules[moduleName]]'};
+        if (!targets[0]) {
+            throw new Error(\`Unknown module: \${moduleName}\`);
+        }
+        if (typeof targets[0][param]?.setValueAtTime !== "function" && !(param in targets[0].get())) {
+            throw new Error(\`Unsupported parameter: \${moduleName}.\${param}\`);
+        }
 
-            if (keyElement) {
-                keyElement.classList.add('pressed');
+        targets.forEach(module => {
+            const target = module[param];
+            if (target && typeof target.setValueAtTime === "function") {
+                target.setValueAtTime(value, time);
+            } else {
+                module.set({ [param]: value });
             }
+        });
+    }
 
-            playKey(note);
-        }
-    });
+${usesTransport() ? `    // Start and stop the transport of the patch's context - its clock sets the tempo
+    function start(time) {
+        context.transport.start(time);
+    }
 
-    document.addEventListener('keyup', (e) => {
-        const key = e.key.toLowerCase();
+    function stop(time) {
+        context.transport.stop(time);
+    }
 
-        if (keyToNote[key] && activeKeys.has(key)) {
-            e.preventDefault();
-            activeKeys.delete(key);
+` : ''}${subNodeProperties.length > 0 ? `    // Extra nodes of multi-node modules (eq81.bands, mixer1.inputGains) go with them
+    const subNodeProperties = [${subNodeProperties.map(property => `"${property}"`).join(', ')}];
 
-            const note = keyToNote[key];
-            const keyElement = document.querySelector(`.key[data-note="${note}"]`);
+    function disposeModule(module) {
+        subNodeProperties.forEach(property => [].concat(module[property] || []).forEach(node => node.dispose()));
+        module.dispose();
+    }
+` : `    function disposeModule(module) {
+        module.dispose();
+    }
+`}
+    function dispose() {
+        releaseTimers.forEach(timer => clearTimeout(timer));
+        releaseTimers.clear();
+${arpSettings.enabled ? '        arpeggiatorLoop.dispose();\n' : ''}        Object.values(modules).forEach(disposeModule);
+${polyphonic ? '        voices.forEach(voice => Object.values(voice).forEach(disposeModule));\n' : ''}        ${MODULE_OUTPUT_NAME}.dispose();
+    }
 
-            if (keyElement) {
-                keyElement.classList.remove('pressed');
-            }
-        }
-    });
+    return {
+        modules,
+        ${polyphonic ? 'voices' : 'voices: []'},
+        connect,
+        disconnect,
+        dispose,
+        setParam,
+        noteOn,
+        noteOff,
+        playNote${usesTransport() ? ',\n        start,\n        stop' : ''}${arpSettings.enabled ? ',\n        keyDown,\n        keyUp' : ''}
+    };
+}
 
-    console.log('Virtual keyboard setup complete with Ableton-style mapping');
+export default createPatch;
+`;
 }
 
 /**
- * ═══════════════════════════════════════════════════════════════════════════════
- * CODE GENERATION SYSTEM - EXPORT CLEAN TONE.JS CODE
- * ═══════════════════════════════════════════════════════════════════════════════
+ * Generate the note trigger API for the exported code
+ * Mirrors the live noteOn/noteOff: oscillators in NOTE mode follow the key
+ * (their knob frequency is the C4 reference), samplers start on every key and
+ * every envelope fed by a sound source opens and closes its gate
+ * @param {Set} voiceIds - Module IDs cloned per voice (empty for mono export)
+ * @param {Function} voiceRef - Maps a module ID to its expression in the exported code
+ * @param {boolean} trackReleases - Keep playNote's release timers in releaseTimers
+ * @param {string|null} context - Expression for the context to read time from (null → global)
+ * @returns {string} Trigger block code
  */
+function generateTriggerCode(voiceIds, voiceRef, trackReleases = false, context = null) {
+    const polyphonic = voiceIds.size > 0;
+    const ref = polyphonic ? voiceRef : getCodeVariableName;
+    const now = context ? `${context}.now()` : 'Tone.now()';
+    const durationSeconds = context ? `new Tone.TimeClass(${context}, duration).toSeconds()` : 'Tone.Time(duration).toSeconds()';
+
+    const pitchLines = synthNodes
+        .filter(node => node.type === 'OmniOscillator' && isOscillatorInNoteMode(node.id))
+        .map(node => {
+            const baseFrequency = parseFloat(node.parameters.frequency) || 440;
+            return `    ${ref(node.id)}.frequency.setValueAtTime(${baseFrequency} * ratio, time);`;
+        });
+    const samplerLines = synthNodes
+        .filter(node => node.type === 'Player')
+        .map(node => {
+            const playbackRate = `${node.parameters.playbackRate}${isOscillatorInNoteMode(node.id) ? ' * ratio' : ''}`;
+            const startArguments = ['time', ...getSamplerStartArguments(node.parameters)].join(', ');
+            return `    if (${ref(node.id)}.loaded) {
+        ${ref(node.id)}.playbackRate = ${playbackRate};
+        ${ref(node.id)}.start(${startArguments});
+    }`;
+        });
+    const envelopeIds = getKeyboardEnvelopes().map(node => node.id);
+    const attackLines = envelopeIds.map(id => `    ${ref(id)}.triggerAttack(time, velocity);`);
+    const releaseLines = [
+        ...envelopeIds.map(id => `    ${ref(id)}.triggerRelease(time);`),
+        ...getKeyReleasedSamplers().map(node => `    ${ref(node.id)}.stop(time);`)
+    ];
+
+    let code = `// ═══════════════════════════════════════════════════════════════
+// TRIGGER BLOCK - Note API
+// ═══════════════════════════════════════════════════════════════
+
+// Oscillator knob frequencies and sampler rates are the pitch of C4 - other notes scale from there
+const C4_FREQUENCY = Tone.Frequency("C4").toFrequency();
+
+`;
+
+    if (polyphonic) {
+        code += `function noteOn(note, velocity = 1, time = ${now}) {
+    const voiceIndex = voiceAllocator.noteOn(note);
+    if (voiceIndex === null) return;
+    const voice = voices[voiceIndex];
+    const ratio = Tone.Frequency(note).toFrequency() / C4_FREQUENCY;
+${[...pitchLines, ...samplerLines, ...attackLines].join('\n')}
+}
+
+function noteOff(note, time = ${now}) {
+    const voiceIndex = voiceAllocator.noteOff(note);
+    if (voiceIndex === null) return;
+    const voice = voices[voiceIndex];
+${releaseLines.join('\n')}
+}
+`;
+    } else {
+        code += `// One voice: the allocator decides whether a new key steals it, and releasing
+// a note that no longer owns it leaves it sounding
+function noteOn(note, velocity = 1, time = ${now}) {
+    if (voiceAllocator.noteOn(note) === null) return;
+    const ratio = Tone.Frequency(note).toFrequency() / C4_FREQUENCY;
+${[...pitchLines, ...samplerLines, ...attackLines].join('\n')}
+}
+
+function noteOff(note, time = ${now}) {
+    if (voiceAllocator.noteOff(note) === null) return;
+${releaseLines.join('\n')}
+}
+`;
+    }
+
+    if (trackReleases) {
+        code += `
+// Pending playNote releases - cancelled when the patch is disposed
+const releaseTimers = new Set();
+
+function playNote(note, duration = "8n", velocity = 1, time = ${now}) {
+    const releaseTime = time + ${durationSeconds};
+    noteOn(note, velocity, time);
+    const timer = setTimeout(() => {
+        releaseTimers.delete(timer);
+        noteOff(note, releaseTime);
+    }, (releaseTime - ${now}) * 1000);
+    releaseTimers.add(timer);
+}
+`;
+    } else {
+        code += `
+function playNote(note, duration = "8n", velocity = 1, time = ${now}) {
+    const releaseTime = time + ${durationSeconds};
+    noteOn(note, velocity, time);
+    setTimeout(() => noteOff(note, releaseTime), (releaseTime - ${now}) * 1000);
+}
+`;
+    }
+
+    if (arpSettings.enabled) {
+        code += generateArpeggiatorCode();
+    }
+
+    return code;
+}
 
 /**
- * Generate Production-Ready JavaScript Code (DYNAMIC VERSION)
- * Uses CodeGeneratorFactory and currentPatchConnections for fully dynamic generation
- * Following the structured three-block approach: Instantiation, Patching, Triggering
- * 
- * @returns {string} Clean, copy-pasteable JavaScript code
+ * Generate the arpeggiator block for the exported code
+ * Embeds the same Arpeggiator class the designer uses and steps it on the transport;
+ * keyDown/keyUp take the place of noteOn/noteOff for held keys
+ * @returns {string} Arpeggiator block code
  */
-function generateCode() {
-    let code = `await Tone.start();
-
+function generateArpeggiatorCode() {
+    return `
 // ═══════════════════════════════════════════════════════════════
-// INSTANTIATION BLOCK - Module Declarations  
+// ARPEGGIATOR BLOCK - Held Keys → Steps On The Transport
 // ═══════════════════════════════════════════════════════════════
 
-`;
+${Arpeggiator.toString()}
 
-    // DYNAMIC INSTANTIATION - Generate code for all modules in synthNodes using CodeGeneratorFactory
-    synthNodes.forEach(node => {
-        if (window.CodeGeneratorFactory) {
-            code += CodeGeneratorFactory.generateModuleCode(node);
-        } else {
-            // Fallback for when CodeGeneratorFactory isn't loaded yet
-            console.warn('CodeGeneratorFactory not available, using fallback');
-            const id = node.id.replace('-', '');
-            code += `// ${node.type} module: ${node.id}\n`;
-        }
-    });
+const arpeggiator = new Arpeggiator({ mode: "${arpSettings.mode}", octaves: ${arpSettings.octaves}, rate: "${arpSettings.rate}", latch: ${arpSettings.latch} });
 
-    // DYNAMIC PATCHING - Generate connections from currentPatchConnections
-    code += `// ═══════════════════════════════════════════════════════════════
-// PATCHING BLOCK - Signal Routing (DYNAMIC)
-// ═══════════════════════════════════════════════════════════════
+// Every step plays the next note with a gate of ${ARP_GATE_LENGTH} of the step
+const arpeggiatorLoop = new Tone.Loop(time => {
+    const step = arpeggiator.next();
+    if (!step) return;
+    noteOn(step.note, step.velocity, time);
+    noteOff(step.note, time + arpeggiatorLoop.toSeconds(arpeggiator.rate) * ${ARP_GATE_LENGTH});
+}, arpeggiator.rate).start(0);
 
+// Hold and release keys - the arpeggiator plays them while Tone.Transport runs
+function keyDown(note, velocity = 1) {
+    arpeggiator.noteOn(note, velocity);
+}
+
+function keyUp(note) {
+    arpeggiator.noteOff(note);
+}
 `;
+}
 
-    if (currentPatchConnections && currentPatchConnections.length > 0) {
-        currentPatchConnections.forEach(connection => {
-            const sourceModule = connection.source.split('/')[0].replace('-', '');
-            
-            if (connection.target === 'destination') {
-                code += `${sourceModule}.toDestination();\n`;
-            } else if (connection.type === 'audio') {
-                const targetModule = connection.target.split('/')[0].replace('-', '');
-                code += `${sourceModule}.connect(${targetModule});\n`;
-            } else if (connection.type === 'cv') {
-                const targetModule = connection.target.split('/')[0].replace('-', '');
-                const param = connection.target.split('/')[1];
-                code += `${sourceModule}.connect(${targetModule}.${param});\n`;
-            }
-        });
-        code += '\n';
-    } else {
-        code += `// No patch connections found\n\n`;
+/**
+ * Variable name used for a module in exported code
+ * @param {string} moduleId - Module identifier (e.g., 'filter-1')
+ * @returns {string} Variable name (e.g., 'filter1')
+ */
+function getCodeVariableName(moduleId) {
+    return moduleId.replace('-', '');
+}
+
+/**
+ * Generate the declaration for one module
+ * @param {Object} node - Synth node
+ * @returns {string} Tone.js instantiation code
+ */
+function generateModuleDeclaration(node) {
+    if (window.CodeGeneratorFactory) {
+        return CodeGeneratorFactory.generateModuleCode(node);
     }
 
-    // Pure synthesis setup complete - no triggering logic exported
+    // Fallback for when CodeGeneratorFactory isn't loaded yet
+    console.warn('CodeGeneratorFactory not available, using fallback');
+    return `// ${node.type} module: ${node.id}\n`;
+}
 
+/**
+ * Generate the code line for one connection
+ * @param {Object} connection - Connection with source, target, type
+ * @param {Function} ref - Maps a module ID to its expression in the exported code
+ * @param {string|null} output - Node that stands in for the speakers (null → .toDestination())
+ * @returns {string|null} Code line, or null when either port is not in its module's schema
+ */
+function generateConnectionCode(connection, ref, output = null) {
+    const sourcePort = getModulePort(connection.source);
+    const targetPort = getModulePort(connection.target);
+    if (!sourcePort || !targetPort) {
+        return null;
+    }
+    // CV into a gate input pushes onto the gate list the CV output names, like applyConnection
+    const gateSourcePort = targetPort.signal === 'gate' ? getGateSourcePort(sourcePort) : null;
+    if (sourcePort.signal !== targetPort.signal && !gateSourcePort) {
+        return null;
+    }
 
+    const sourceNode = getPortCode(ref(connection.source.split('/')[0]), gateSourcePort || sourcePort);
+    if (targetPort === DESTINATION_PORT) {
+        return output ? `${sourceNode}.connect(${output});` : `${sourceNode}.toDestination();`;
+    }
 
-    code += `
-// Your Tone Designer patch is ready!
-console.log("🎛️ Synthesizer loaded and ready");
-`;
+    const targetNode = getPortCode(ref(connection.target.split('/')[0]), targetPort);
+    if (gateSourcePort) {
+        return `${sourceNode}.push(${targetNode});`;
+    }
+    return `${sourceNode}.connect(${targetNode});`;
+}
 
-    return code;
+/**
+ * Indent a block of generated code by one level
+ * @param {string} code - Code block
+ * @returns {string} Indented code
+ */
+function indentCode(code) {
+    return code.split('\n').map(line => line ? `    ${line}` : line).join('\n');
 }
 
 /**
@@ -3784,6 +3965,21 @@ function setupCodePanelToggle() {
     }
 }
 
+/**
+ * Setup Export Format Selector
+ * Switches the code panel between the script and ES module exports
+ */
+function setupExportFormat() {
+    const formatSelect = document.getElementById('export-format-select');
+    if (!formatSelect) return;
+
+    formatSelect.value = exportSettings.format;
+    formatSelect.addEventListener('change', () => {
+        patchModel.setSettings('export', { format: formatSelect.value });
+        console.log(`  Export format: ${exportSettings.format}`);
+    });
+}
+
 /**
  * Setup Copy Code Functionality
  * Implements clipboard copy for the generated code
@@ -3833,6 +4029,363 @@ function exportCode() {
     return code;
 }
 
+/**
+ * Round-trip check for the code export
+ * Imports the generated code again and compares its graph with the live patch:
+ * the same modules (id and type) and the same connections, port for port
+ * @param {string} format - Export format to check ('script' or 'module')
+ * @returns {Object} { ok, differences } - differences lists what didn't survive the round trip
+ */
+function verifyCodeExport(format = exportSettings.format) {
+    const imported = importToneCode(generateCode(format));
+    const differences = [];
+
+    const describeModule = (module) => `${module.id} (${module.type})`;
+    const describeConnection = (connection) => `${connection.source} → ${connection.target} [${connection.type}]`;
+    const compare = (kind, live, exported) => {
+        live.filter(item => !exported.includes(item)).forEach(item => differences.push(`missing ${kind}: ${item}`));
+        exported.filter(item => !live.includes(item)).forEach(item => differences.push(`extra ${kind}: ${item}`));
+    };
+
+    compare('module',
+        synthNodes.map(node => describeModule({ id: node.id, type: getModuleTypeForNode(node) })),
+        imported.modules.map(describeModule));
+    compare('connection',
+        currentPatchConnections.map(describeConnection),
+        imported.connections.map(describeConnection));
+
+    if (differences.length > 0) {
+        console.warn(`⚠️ Code export round trip (${format}) differs from the live patch:`, differences);
+    } else {
+        console.log(`✅ Code export round trip (${format}) matches the live patch`);
+    }
+
+    return { ok: differences.length === 0, differences };
+}
+
+
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CODE IMPORT - EXPORTED TONE.JS BACK TO AN EDITABLE PATCH
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * Reads the instantiation and patching blocks produced by generateCode():
+ * `const x = new Tone.Y({...})` declarations become modules through
+ * CodeImportFactory, and `.connect(...)` / `.toDestination()` lines become
+ * currentPatchConnections entries.
+ */
+
+/**
+ * Split a list literal's contents at its top-level commas
+ * Commas inside nested options (`new Tone.Filter({ type: "peaking", Q: 1 })`) stay put
+ * @param {string} text - List contents, without the brackets
+ * @returns {Array} Trimmed item source texts
+ */
+function splitToneList(text) {
+    const items = [];
+    let depth = 0;
+    let item = '';
+    for (const char of text) {
+        if (char === ',' && depth === 0) {
+            items.push(item);
+            item = '';
+            continue;
+        }
+        if ('([{'.includes(char)) depth++;
+        if (')]}'.includes(char)) depth--;
+        item += char;
+    }
+    items.push(item);
+    return items.map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a single literal value from a Tone.js options object
+ * @param {string} text - Literal source text
+ * @returns {*} Parsed value (strings, numbers, booleans, ±Infinity, flat arrays,
+ *              and the options of `new Tone.X({...})` list items)
+ */
+function parseToneLiteral(text) {
+    if (/^(["'`])[\s\S]*\1$/.test(text)) return text.slice(1, -1);
+    if (/^\[[\s\S]*\]$/.test(text)) {
+        return splitToneList(text.slice(1, -1)).map(parseToneLiteral);
+    }
+    const nodeMatch = text.match(/^new\s+Tone\.[A-Za-z]\w*\(\s*(\{[^{}]*\})\s*\)$/);
+    if (nodeMatch) return parseToneOptions(nodeMatch[1]);
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'Infinity') return Infinity;
+    if (text === '-Infinity') return -Infinity;
+
+    const number = Number(text);
+    if (text !== '' && !isNaN(number)) return number;
+
+    console.warn(`⚠️ Could not parse value "${text}" - keeping it as text`);
+    return text;
+}
+
+/**
+ * Parse a flat Tone.js options object literal such as `{ type: "sine", frequency: 440 }`
+ * @param {string} literal - Object literal source, including braces
+ * @returns {Object} Parsed options
+ */
+function parseToneOptions(literal) {
+    const options = {};
+    if (!literal) return options;
+
+    const body = literal.trim().replace(/^\{/, '').replace(/\}$/, '');
+    body.split(/,(?=\s*[A-Za-z_$][\w$]*\s*:)/).forEach(entry => {
+        const match = entry.match(/^\s*([A-Za-z_$][\w$]*)\s*:\s*([\s\S]*?)\s*,?\s*$/);
+        if (match) {
+            options[match[1]] = parseToneLiteral(match[2]);
+        }
+    });
+
+    return options;
+}
+
+/**
+ * Work out a module id for an imported variable
+ * Exported variables are the module id without its dash (oscillator1 ← oscillator-1),
+ * so the original id is kept when it can be recovered
+ * @param {string} variableName - Variable name in the exported code
+ * @param {string} moduleType - Registered module type
+ * @param {Set} usedIds - Ids already taken by this import
+ * @returns {string} Unique module id
+ */
+function resolveImportedModuleId(variableName, moduleType, usedIds) {
+    const suffix = variableName.startsWith(moduleType) ? variableName.slice(moduleType.length) : '';
+    if (/^\d+$/.test(suffix) && !usedIds.has(`${moduleType}-${suffix}`)) {
+        return `${moduleType}-${suffix}`;
+    }
+
+    let number = 1;
+    while (usedIds.has(`${moduleType}-${number}`)) {
+        number++;
+    }
+    return `${moduleType}-${number}`;
+}
+
+/**
+ * Parse exported Tone.js code into a patch document
+ * @param {string} code - Code produced by generateCode()
+ * @returns {Object} Patch document ready for loadPatch()
+ */
+function importToneCode(code) {
+    // Strip comments so banner blocks and notes can't be mistaken for code
+    const source = code
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/(^|[^:])\/\/.*$/gm, '$1');
+
+    const modules = [];
+    const connections = [];
+    const variables = new Map(); // variable name → { id, moduleType }
+    const usedIds = new Set();
+
+    // SUB-NODES - eq81.bands = [new Tone.Filter({...}), ...], mixer1.inputGains = [...].map(...),
+    // and plain values such as sequencer1.rate = "16n" or sequencer1.sequence.mute = true
+    // Their values reach the owning module's importer alongside its constructor options,
+    // keyed by property path ("rate", "sequence.mute")
+    const subNodeOptions = new Map(); // variable name → { property: value }
+    const subNodePattern = /\b([A-Za-z_$][\w$]*)\s*\.\s*([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*=\s*(?:new\s+Tone\.[A-Za-z]\w*\(\s*([^(){}]*?)\s*\)|\[([^\]]*)\]|("[^"\n]*"|true|false)\s*;)/g;
+    let match;
+    while ((match = subNodePattern.exec(source)) !== null) {
+        const [, variableName, property, argument, list, literal] = match;
+        let value;
+        if (list !== undefined) {
+            value = splitToneList(list).map(parseToneLiteral);
+        } else if (literal !== undefined) {
+            value = parseToneLiteral(literal);
+        } else if (argument) {
+            value = parseToneLiteral(argument);
+        }
+        subNodeOptions.set(variableName, { ...subNodeOptions.get(variableName), [property]: value });
+    }
+
+    // TRANSPORT - Tone.getTransport().set({ bpm, swing, swingSubdivision }) exported by a clock
+    // (older exports wrote Tone.Transport.set). The settings reach every importer as
+    // options.transport - the clock reads its tempo from them
+    const transportMatch = source.match(/Tone\s*\.\s*(?:Transport|getTransport\(\s*\))\s*\.\s*set\(\s*(\{[^{}]*\})\s*\)/);
+    const transport = transportMatch ? parseToneOptions(transportMatch[1]) : undefined;
+
+    // INSTANTIATION BLOCK - const x = new Tone.Y({...}).start();
+    // Positional arguments (new Tone.Gain(0.8), as plugins may export) reach the importers as options.args
+    const declarationPattern = /(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*new\s+Tone\.([A-Za-z]\w*)\s*\(\s*(\{[^{}]*\}|[^(){};]+?)?\s*\)((?:\s*\.\s*[A-Za-z]+\(\s*\))*)/g;
+    while ((match = declarationPattern.exec(source)) !== null) {
+        const [, variableName, toneClass, argumentsLiteral, chain] = match;
+        if (variableName === MODULE_OUTPUT_NAME) continue;
+
+        const constructorOptions = argumentsLiteral?.startsWith('{')
+            ? parseToneOptions(argumentsLiteral)
+            : definedParameters({ args: argumentsLiteral && splitToneList(argumentsLiteral).map(parseToneLiteral) });
+        const options = { ...constructorOptions, ...subNodeOptions.get(variableName), transport };
+        const imported = CodeImportFactory.importModule(toneClass, options);
+        if (!imported) {
+            console.warn(`⚠️ Skipping unsupported declaration: ${variableName} = new Tone.${toneClass}`);
+            continue;
+        }
+
+        const id = resolveImportedModuleId(variableName, imported.moduleType, usedIds);
+        usedIds.add(id);
+        variables.set(variableName, { id, moduleType: imported.moduleType });
+        modules.push({ id, type: imported.moduleType, parameters: imported.parameters });
+
+        if (/\.\s*toDestination\(\s*\)/.test(chain)) {
+            connections.push({ source: `${id}/audio_out`, target: 'destination', type: 'audio' });
+        }
+    }
+
+    if (modules.length === 0) {
+        throw new Error('No Tone.js module declarations found');
+    }
+
+    // PATCHING BLOCK - x.connect(y), x.connect(y.param), x.toDestination()
+    // Polyphonic exports address voice modules as voice.x - those map to the module itself
+    // ES module exports route to patchOutput instead of the speakers
+    // Audio leaving a sub-node (compressor1.makeup.connect) leaves the module itself
+    const routingSource = source
+        .replace(/\bvoice\./g, '')
+        .replace(/\b([A-Za-z_$][\w$]*)\s*\.\s*([A-Za-z_$][\w$]*)\s*\.\s*(connect|toDestination)\(/g,
+            (statement, variableName, property, method) =>
+                subNodeOptions.get(variableName)?.hasOwnProperty(property) ? `${variableName}.${method}(` : statement);
+    // Cables land on the input whose export path matches the expression
+    // (mixer1.inputGains[2] → inputGains.2 → mixer-1/input/3); a bare module
+    // variable is its plain input, or the next free one on a mixer
+    const findImportedPort = (module, direction, signal, path) =>
+        ModuleFactory.getPorts(module.moduleType).find(port => port.direction === direction && port.signal === signal &&
+            (port.codeNode ?? port.node ?? '') === path);
+    // A gate list is a gate output's own node, or the gateNode a CV output pushes gate cables onto
+    const findImportedGateSource = (module, path) => findImportedPort(module, 'out', 'gate', path) ||
+        ModuleFactory.getPorts(module.moduleType).find(port => port.direction === 'out' && port.signal === 'cv' && port.gateNode === path);
+    const routingPattern = /\b([A-Za-z_$][\w$]*)\s*\.\s*(?:connect\(\s*([A-Za-z_$][\w$]*)(?:\s*\.\s*([A-Za-z_$][\w$]*))?(?:\s*\[\s*(\d+)\s*\])?\s*\)|toDestination\(\s*\))/g;
+    while ((match = routingPattern.exec(routingSource)) !== null) {
+        const [statement, sourceName, targetName, targetParam, targetIndex] = match;
+        const sourceModule = variables.get(sourceName);
+        if (!sourceModule) {
+            if (sourceName !== 'Tone' && sourceName !== MODULE_OUTPUT_NAME) {
+                console.warn(`⚠️ Skipping routing from unknown variable: ${statement}`);
+            }
+            continue;
+        }
+
+        const sourcePort = ModuleFactory.getPorts(sourceModule.moduleType)
+            .find(port => port.direction === 'out' && port.signal !== 'gate');
+        if (!sourcePort) {
+            console.warn(`⚠️ Skipping routing from a module without outputs: ${statement}`);
+            continue;
+        }
+        const signalType = sourcePort.signal;
+        const source = `${sourceModule.id}/${sourcePort.id}`;
+
+        if (!targetName || targetName === MODULE_OUTPUT_NAME) {
+            connections.push({ source, target: 'destination', type: 'audio' });
+            continue;
+        }
+
+        const targetModule = variables.get(targetName);
+        if (!targetModule) {
+            console.warn(`⚠️ Skipping routing to unknown variable: ${statement}`);
+            continue;
+        }
+
+        const targetPath = [targetParam, targetIndex].filter(part => part !== undefined).join('.');
+        const targetPort = findImportedPort(targetModule, 'in', signalType, targetPath) || (!targetPath
+            ? ModuleFactory.getPorts(targetModule.moduleType).find(port => port.direction === 'in' && port.signal === signalType &&
+                !connections.some(connection => connection.target === `${targetModule.id}/${port.id}`))
+            : null);
+        if (!targetPort) {
+            console.warn(`⚠️ Skipping routing to an undeclared port: ${statement}`);
+            continue;
+        }
+        connections.push({ source, target: `${targetModule.id}/${targetPort.id}`, type: signalType });
+    }
+
+    // GATE BLOCK - sequencer1.gates.push(envelope1), clock1.gates["8n"].push(envelope1):
+    // gate outputs triggering envelopes
+    const gatePattern = /\b([A-Za-z_$][\w$]*)\s*\.\s*gates\s*(?:\[\s*["'](\w+)["']\s*\]\s*)?\.\s*push\(\s*([A-Za-z_$][\w$]*)\s*\)/g;
+    while ((match = gatePattern.exec(routingSource)) !== null) {
+        const [statement, sourceName, division, targetName] = match;
+        const sourceModule = variables.get(sourceName);
+        const targetModule = variables.get(targetName);
+        const sourcePort = sourceModule && findImportedGateSource(sourceModule, division ? `gates.${division}` : 'gates');
+        const targetPort = targetModule && findImportedPort(targetModule, 'in', 'gate', '');
+        if (!sourcePort || !targetPort) {
+            console.warn(`⚠️ Skipping gate routing between unknown ports: ${statement}`);
+            continue;
+        }
+        connections.push({ source: `${sourceModule.id}/${sourcePort.id}`, target: `${targetModule.id}/${targetPort.id}`, type: sourcePort.signal });
+    }
+
+    // VOICE BLOCK - voice count and steal policy of polyphonic exports
+    const voices = { voiceCount: 1, stealPolicy: 'oldest' };
+    const allocatorMatch = source.match(/new\s+VoiceAllocator\(\s*(\d+)\s*,\s*["'](\w+)["']\s*\)/);
+    if (allocatorMatch) {
+        voices.voiceCount = parseInt(allocatorMatch[1]);
+        voices.stealPolicy = allocatorMatch[2];
+    }
+
+    // ARPEGGIATOR BLOCK - new Arpeggiator({ mode, octaves, rate, latch }) switches the arpeggiator on
+    const arpeggiator = { enabled: false, mode: 'up', octaves: 1, rate: '16n', latch: false };
+    const arpeggiatorMatch = source.match(/new\s+Arpeggiator\(\s*(\{[^{}]*\})\s*\)/);
+    if (arpeggiatorMatch) {
+        Object.assign(arpeggiator, parseToneOptions(arpeggiatorMatch[1]), { enabled: true });
+    }
+
+    console.log(`📥 Imported ${modules.length} modules and ${connections.length} connections from code`);
+
+    return {
+        format: PATCH_FORMAT,
+        schemaVersion: PATCH_SCHEMA_VERSION,
+        modules,
+        connections,
+        moduleOrder: modules.map(module => module.id),
+        voices,
+        arpeggiator
+    };
+}
+
+/**
+ * Setup Import Code Functionality
+ * Opens a popup where exported Tone.js code can be pasted and loaded as a patch
+ */
+function setupImportCode() {
+    const importButton = document.getElementById('import-code-button');
+    const importPopup = document.getElementById('import-code-popup');
+    const closeButton = document.getElementById('close-import-code');
+    const confirmButton = document.getElementById('import-code-confirm');
+    const importInput = document.getElementById('import-code-input');
+
+    if (!importButton || !importPopup || !confirmButton || !importInput) return;
+
+    const closePopup = () => importPopup.classList.remove('show');
+
+    importButton.addEventListener('click', () => {
+        importInput.value = '';
+        importPopup.classList.add('show');
+        importInput.focus();
+    });
+
+    if (closeButton) {
+        closeButton.addEventListener('click', closePopup);
+    }
+
+    // Hide popup when clicking outside the content
+    importPopup.addEventListener('click', (e) => {
+        if (e.target === importPopup) {
+            closePopup();
+        }
+    });
+
+    confirmButton.addEventListener('click', () => {
+        try {
+            loadPatch(importToneCode(importInput.value));
+            closePopup();
+        } catch (error) {
+            console.error('❌ Failed to import code:', error);
+            alert(`Failed to import code: ${error.message}`);
+        }
+    });
+}
 
 
 /**
@@ -3885,16 +4438,26 @@ function showModuleSelectionMenu() {
     title.textContent = 'ADD MODULE';
     menu.appendChild(title);
     
-    // Add module type options
-    availableTypes.forEach(moduleType => {
-        const option = document.createElement('div');
-        option.className = 'module-selection-option';
-        option.textContent = getModuleDisplayName(moduleType);
-        option.addEventListener('click', () => {
-            addNewModule(moduleType);
-            closeMenu();
+    // Add module type options, one section per category - plugins land in theirs
+    Object.keys(MODULE_CATEGORIES).forEach(category => {
+        const types = availableTypes.filter(moduleType => getModuleCategory(moduleType) === category);
+        if (types.length === 0) return;
+
+        const heading = document.createElement('div');
+        heading.className = 'module-selection-category';
+        heading.textContent = MODULE_CATEGORIES[category];
+        menu.appendChild(heading);
+
+        types.forEach(moduleType => {
+            const option = document.createElement('div');
+            option.className = 'module-selection-option';
+            option.textContent = getModuleDisplayName(moduleType);
+            option.addEventListener('click', () => {
+                addNewModule(moduleType);
+                closeMenu();
+            });
+            menu.appendChild(option);
         });
-        menu.appendChild(option);
     });
     
     // Add cancel option
@@ -3932,14 +4495,47 @@ function getModuleDisplayName(moduleType) {
     const displayNames = {
         'oscillator': 'VCO (OSCILLATOR)',
         'noise': 'NOISE (GENERATOR)',
+        'sampler': 'SAMPLER (AUDIO FILE)',
         'filter': 'VCF (FILTER)', 
         'envelope': 'ENV (ENVELOPE)',
         'lfo': 'LFO (MODULATOR)',
         'reverb': 'REVERB',
+        'delay': 'DELAY (ECHO)',
+        'drive': 'DRIVE (DISTORTION)',
+        'modfx': 'MOD FX (CHORUS/PHASER)',
+        'compressor': 'COMP (DYNAMICS)',
+        'sequencer': 'SEQ (STEP SEQUENCER)',
+        'clock': 'CLOCK (TRANSPORT)',
         'eq8': 'EQ8 (EQUALIZER)',
         'mixer': 'MIXER'
     };
-    return displayNames[moduleType] || moduleType.toUpperCase();
+    return displayNames[moduleType] || ModulePlugins.get(moduleType)?.displayName || moduleType.toUpperCase();
+}
+
+/**
+ * Get the add-module menu section of a module type
+ * @param {string} moduleType - Module type
+ * @returns {string} Key of MODULE_CATEGORIES
+ */
+function getModuleCategory(moduleType) {
+    const categories = {
+        'oscillator': 'sources',
+        'noise': 'sources',
+        'sampler': 'sources',
+        'filter': 'processing',
+        'envelope': 'processing',
+        'reverb': 'effects',
+        'delay': 'effects',
+        'drive': 'effects',
+        'modfx': 'effects',
+        'compressor': 'effects',
+        'eq8': 'effects',
+        'lfo': 'modulation',
+        'sequencer': 'modulation',
+        'clock': 'modulation',
+        'mixer': 'utilities'
+    };
+    return categories[moduleType] || ModulePlugins.get(moduleType)?.category || 'utilities';
 }
 
 /**
@@ -3952,42 +4548,57 @@ function addNewModule(moduleType) {
         // Generate unique ID for the new module
         const newId = generateUniqueModuleId(moduleType);
         
-        // Create module instance using ModuleFactory
-        const moduleInstance = ModuleFactory.create(moduleType, newId);
-        
-        // Register module instance for audio routing
-        registerModuleInstance(newId, moduleInstance);
+        // Create, register and render the module
+        instantiateModule(moduleType, newId);
         
-        // Add to global synthNodes array
-        synthNodes.push(moduleInstance.node);
-        
-        // Add module to visual layout
-        addModuleToGrid(moduleInstance);
-        
-        // Initialize event listeners for the new module
-        initializeNewModuleListeners(moduleInstance);
-        
-        // Start oscillators, LFOs, and noise generators immediately (like original modules)
-        if (moduleType === 'oscillator' && moduleInstance.toneObject) {
-            moduleInstance.toneObject.start();
-            console.log(`🎵 Started ${newId} oscillator`);
-        } else if (moduleType === 'lfo' && moduleInstance.toneObject) {
-            moduleInstance.toneObject.start();
-            console.log(`🎵 Started ${newId} LFO`);
-        } else if (moduleType === 'noise' && moduleInstance.toneObject) {
-            // Noise is already started in toneFactory to avoid timing conflicts
-            console.log(`🔊 ${newId} noise generator ready (started in factory)`);
-        }
-        
-        // Update code display
-        updateCodeDisplay();
+        // Record for undo/redo
+        recordModuleAddition(newId);
         
         console.log(`✅ Successfully added ${moduleType} module: ${newId}`);
         
     } catch (error) {
         console.error(`❌ Failed to add ${moduleType} module:`, error);
-        alert(`Failed to add ${moduleType} module. Check console for details.`);
+        alert(`Failed to add ${moduleType} module: ${error.message}`);
+    }
+}
+
+/**
+ * Create a module through ModuleFactory and bring it to life in the platform
+ * Shared by the add-module menu and the patch loader
+ * @param {string} moduleType - Registered module type (e.g., 'oscillator')
+ * @param {string} moduleId - Unique identifier for the new module
+ * @param {Object} parameters - Optional parameter overrides
+ * @returns {Object} The created module instance
+ */
+function instantiateModule(moduleType, moduleId, parameters = {}) {
+    // Some modules can only appear so often (one clock owns the transport tempo)
+    const maxInstances = ModuleFactory.getMaxInstances(moduleType);
+    if (synthNodes.filter(node => ModuleFactory.getTypeForNode(node) === moduleType).length >= maxInstances) {
+        throw new Error(`A patch can have at most ${maxInstances} ${moduleType} module${maxInstances === 1 ? '' : 's'}`);
+    }
+
+    // Create module instance using ModuleFactory
+    const moduleInstance = ModuleFactory.create(moduleType, moduleId, parameters);
+    
+    // Register module instance for audio routing
+    registerModuleInstance(moduleId, moduleInstance);
+    
+    // Add to the patch - its subscribers render, wire and sync the module
+    patchModel.addNode(moduleInstance.node);
+    
+    // Start oscillators, LFOs, and noise generators immediately
+    if (moduleType === 'oscillator' && moduleInstance.toneObject) {
+        moduleInstance.toneObject.start();
+        console.log(`🎵 Started ${moduleId} oscillator`);
+    } else if (moduleType === 'lfo' && moduleInstance.toneObject) {
+        moduleInstance.toneObject.start();
+        console.log(`🎵 Started ${moduleId} LFO`);
+    } else if (moduleType === 'noise' && moduleInstance.toneObject) {
+        // Noise is already started in toneFactory to avoid timing conflicts
+        console.log(`🔊 ${moduleId} noise generator ready (started in factory)`);
     }
+    
+    return moduleInstance;
 }
 
 /**
@@ -4050,7 +4661,7 @@ function initializeNewModuleListeners(moduleInstance) {
             });
             
             // Initialize selectors (waveform/type dropdowns)
-            const newSelectors = moduleElement.querySelectorAll('.waveform-selector, .filter-type-selector, .noise-type-selector, .lfo-type-selector');
+            const newSelectors = moduleElement.querySelectorAll('.waveform-selector, .osc-mode-selector, .osc-modulation-selector, .sampler-mode-selector, .filter-type-selector, .noise-type-selector, .lfo-type-selector, .lfo-sync-selector, .delay-mode-selector, .delay-sync-selector, .drive-mode-selector, .modfx-mode-selector, .modfx-sync-selector, .compressor-mode-selector, .compressor-key-selector, .sequencer-rate-selector, .clock-swing-selector');
             console.log(`🎛️ Found ${newSelectors.length} selectors`);
             newSelectors.forEach(selector => {
                 setupSingleSelectorInteraction(selector);
@@ -4064,13 +4675,8 @@ function initializeNewModuleListeners(moduleInstance) {
                     const targetNode = getModuleNodeById(moduleId);
                     
                     if (targetNode) {
-                        // Toggle noteMode parameter
-                        targetNode.parameters.noteMode = !targetNode.parameters.noteMode;
-                        
-                        // Update button display
-                        envToggle.textContent = targetNode.parameters.noteMode ? 'NOTE' : 'GATE';
-                        envToggle.dataset.value = targetNode.parameters.noteMode;
-                        
+                        // Toggle noteMode parameter - the button follows through refreshParameterControl
+                        editModuleParameter(moduleId, 'noteMode', !targetNode.parameters.noteMode);
                         console.log(`🎛️ ${moduleId} note mode: ${targetNode.parameters.noteMode ? 'NOTE' : 'GATE'}`);
                     }
                 });
@@ -4085,19 +4691,9 @@ function initializeNewModuleListeners(moduleInstance) {
                     const targetNode = getModuleNodeById(moduleId);
                     
                     if (targetNode) {
-                        // Toggle bypass parameter
-                        targetNode.parameters.bypass = !targetNode.parameters.bypass;
-                        
-                        // Update button display and class
-                        const bypassed = targetNode.parameters.bypass;
-                        bypassToggle.textContent = 'B';
-                        bypassToggle.dataset.value = bypassed;
-                        bypassToggle.classList.toggle('bypassed', bypassed);
-                        
-                        console.log(`🔇 ${moduleId} bypass: ${bypassed ? 'ON' : 'OFF'}`);
-                        
-                        // Update the Tone.js object to reflect bypass state
-                        syncToneEngine(targetNode);
+                        // Toggle bypass parameter - the button and Tone.js object follow the model
+                        editModuleParameter(moduleId, 'bypass', !targetNode.parameters.bypass);
+                        console.log(`🔇 ${moduleId} bypass: ${targetNode.parameters.bypass ? 'ON' : 'OFF'}`);
                     }
                 });
             }
@@ -4114,10 +4710,6 @@ function initializeNewModuleListeners(moduleInstance) {
                 });
             }
 
-            // Initialize P5 visuals for the new module
-            const visualElements = moduleElement.querySelectorAll('.wave-visual');
-            console.log(`📊 Found ${visualElements.length} visual elements`, visualElements);
-            initializeP5VisualsForModule(moduleInstance.node.id, moduleInstance.node.type);
         } else {
             console.error(`❌ Could not find module element for ${moduleInstance.node.id}`);
         }
@@ -4127,9 +4719,6 @@ function initializeNewModuleListeners(moduleInstance) {
     if (window.patchingController) {
         window.patchingController.initializeListeners();
     }
-    
-    // Sync with Tone.js engine
-    syncToneEngine(moduleInstance.node);
 }
 
 /**
@@ -4147,6 +4736,9 @@ function deleteModule(moduleId) {
             return;
         }
 
+        // Snapshot the module and its cables so the delete can be undone
+        const snapshot = captureModuleSnapshot(moduleId);
+
         // STEP 1: Stop and dispose the Tone.js object
         if (moduleInstance.toneObject) {
             try {
@@ -4161,60 +4753,29 @@ function deleteModule(moduleId) {
                     moduleInstance.toneObject.dispose();
                 }
                 console.log(`🔇 Disposed Tone.js object for ${moduleId}`);
-            } catch (e) {
-                console.warn(`⚠️ Error disposing Tone object for ${moduleId}:`, e);
-            }
-        }
-
-        // STEP 2: Remove all patch connections involving this module
-        const connectionsToRemove = currentPatchConnections.filter(conn =>
-            conn.source.startsWith(moduleId + '/') || conn.target.startsWith(moduleId + '/')
-        );
-
-        connectionsToRemove.forEach(conn => {
-            const index = currentPatchConnections.findIndex(c =>
-                c.source === conn.source && c.target === conn.target
-            );
-            if (index !== -1) {
-                currentPatchConnections.splice(index, 1);
-                console.log(`🔌 Removed connection: ${conn.source} → ${conn.target}`);
+            } catch (e) {
+                console.warn(`⚠️ Error disposing Tone object for ${moduleId}:`, e);
             }
-        });
-
-        // STEP 3: Remove from synthNodes array
-        const nodeIndex = synthNodes.findIndex(node => node.id === moduleId);
-        if (nodeIndex !== -1) {
-            synthNodes.splice(nodeIndex, 1);
-            console.log(`📦 Removed ${moduleId} from synthNodes`);
         }
 
-        // STEP 4: Remove from moduleInstances map
+        // STEP 2: Forget the module instance - recompiling must not touch the disposed object
         moduleInstances.delete(moduleId);
+        sequencerSelection.delete(moduleId);
         console.log(`🗺️ Removed ${moduleId} from moduleInstances`);
 
-        // STEP 5: Remove P5 canvas if exists
-        if (typeof removeP5Canvas === 'function') {
-            removeP5Canvas(moduleId);
-        }
-
-        // STEP 6: Remove DOM element
-        const moduleElement = document.querySelector(`[data-module-id="${moduleId}"]`);
-        if (moduleElement) {
-            moduleElement.remove();
-            console.log(`🖼️ Removed DOM element for ${moduleId}`);
-        }
-
-        // STEP 7: Recompile patching and redraw cables
-        compilePatching();
-
-        // STEP 8: Update code display
-        updateCodeDisplay();
+        // STEP 3: Remove the node and its cables from the patch - the subscribers drop its
+        // P5 canvas and DOM element, recompile the routing and redraw the cables and code
+        patchModel.removeNode(moduleId);
+        console.log(`📦 Removed ${moduleId} from the patch`);
 
-        // STEP 9: Refresh patching controller
+        // STEP 4: Refresh patching controller
         if (window.patchingController) {
             window.patchingController.initializeListeners();
         }
 
+        // STEP 5: Record for undo/redo
+        recordModuleDeletion(snapshot);
+
         console.log(`✅ Successfully deleted module: ${moduleId}`);
 
     } catch (error) {
@@ -4233,6 +4794,9 @@ function setupSingleKnobInteraction(knob) {
 
     console.log(`🎛️ Setting up knob for ${param} with value ${knob.dataset.value}`);
 
+    // Turn the knob to its value and show it in the parameter's display format
+    updateKnobVisuals(knob, param, parseFloat(knob.dataset.value));
+
     const handleMouseDown = (e) => {
         console.log(`🎛️ Knob mousedown: ${param}`);
         isDragging = true;
@@ -4247,62 +4811,13 @@ function setupSingleKnobInteraction(knob) {
         
         console.log(`🎛️ Knob dragging: ${param}`);
         
-        // Calculate value change based on vertical movement
-        const deltaY = startY - e.clientY; // Inverted: up = increase
-        let newValue = startValue;
+        const { node, spec } = getKnobParameter(knob);
+        if (!spec) return;
 
-        // Use the same parameter scaling logic as the original knobs
-        if (param === 'frequency') {
-            const moduleElement = knob.closest('.synth-module');
-            const moduleId = moduleElement?.dataset.moduleId;
-            
-            if (moduleId?.includes('lfo')) {
-                // LFO frequency: 0.1Hz to 20Hz logarithmic
-                const sensitivity = 1.5;
-                const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                newValue = Math.max(0.1, Math.min(20, startValue * multiplier));
-                newValue = Math.round(newValue * 10) / 10;
-            } else {
-                // Oscillator frequency: 80Hz to 8000Hz logarithmic
-                const sensitivity = 2;
-                const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-                newValue = Math.max(80, Math.min(8000, startValue * multiplier));
-                newValue = Math.round(newValue);
-            }
-        } else if (param === 'detune') {
-            // Detune: -1200¢ to +1200¢ linear
-            const sensitivity = 20;
-            newValue = Math.max(-1200, Math.min(1200, startValue + (deltaY * sensitivity)));
-            newValue = Math.round(newValue);
-        } else if (param === 'Q') {
-            // Q range: 0.001 to 20 with logarithmic scaling
-            const sensitivity = 1.5;
-            const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-            newValue = Math.max(0.001, Math.min(20, startValue * multiplier));
-            newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-        } else if (param === 'attack' || param === 'decay' || param === 'release') {
-            // Time parameters: 0.01s to 5s with logarithmic scaling
-            const sensitivity = 1.8;
-            const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-            newValue = Math.max(0.01, Math.min(5, startValue * multiplier));
-            newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-        } else if (param === 'sustain') {
-            // Sustain level: 0.0 to 1.0 linear scaling
-            const sensitivity = 0.01;
-            newValue = Math.max(0, Math.min(1, startValue + (deltaY * sensitivity)));
-            newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-        } else if (param === 'volume') {
-            // Volume level: 0.0 to 1.0 linear scaling (for noise generator)
-            const sensitivity = 0.01;
-            newValue = Math.max(0, Math.min(1, startValue + (deltaY * sensitivity)));
-            newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-        } else if (param === 'playbackRate') {
-            // Playback rate: 0.1x to 4.0x with logarithmic scaling
-            const sensitivity = 1.5;
-            const multiplier = Math.pow(2, deltaY / (100 / sensitivity));
-            newValue = Math.max(0.1, Math.min(4.0, startValue * multiplier));
-            newValue = Math.round(newValue * 100) / 100; // Round to 2 decimals
-        }
+        // Vertical movement turns the knob along the parameter's curve
+        const deltaY = startY - e.clientY; // Inverted: up = increase
+        const position = getParameterPosition(spec, startValue, node) + deltaY / KNOB_DRAG_PIXELS;
+        const newValue = getParameterAtPosition(spec, position, node);
         
         // Update the module data and UI
         updateKnobParameter(knob, param, newValue);
@@ -4320,6 +4835,14 @@ function setupSingleKnobInteraction(knob) {
             }
             isDragging = false;
             knob.style.cursor = '';
+
+            // Record the whole drag as one undo step
+            const moduleId = knob.closest('.synth-module')?.dataset.moduleId;
+            if (knob.classList.contains('sequencer-step-knob')) {
+                finishSequencerStepEdit();
+            } else {
+                recordParameterChange(moduleId, param, startValue, parseFloat(knob.dataset.value));
+            }
         }
     };
 
@@ -4344,31 +4867,31 @@ function setupSingleKnobInteraction(knob) {
 
 /**
  * Update knob parameter value and sync with audio engine
+ * The value is clamped to the parameter's range and step
  */
 function updateKnobParameter(knob, param, newValue) {
     const moduleElement = knob.closest('.synth-module');
     const moduleId = moduleElement?.dataset.moduleId;
     
     if (!moduleId) return;
-    
+
     // Find the target node dynamically
-    const targetNode = getModuleNodeById(moduleId);
+    const { node: targetNode, spec } = getKnobParameter(knob);
+    const value = spec ? clampParameter(spec, newValue, targetNode) : newValue;
+    
+    // Sequencer step knobs edit the selected step's entry in the step array
+    if (knob.classList.contains('sequencer-step-knob')) {
+        const step = sequencerSelection.get(moduleId) || 0;
+        editSequencerStep(moduleId, param, step, param === 'notes' ? Tone.Frequency(value, 'midi').toNote() : value);
+        return;
+    }
     
     if (targetNode) {
-        console.log(`🎛️ KNOB UPDATE: ${moduleId}/${param} = ${newValue}`);
+        console.log(`🎛️ KNOB UPDATE: ${moduleId}/${param} = ${value}`);
         
-        // Update data structure
-        targetNode.parameters[param] = newValue;
-        
-        // Update knob data attribute and visuals
-        knob.dataset.value = newValue;
-        updateKnobVisuals(knob, param, newValue);
-        
-        // Sync with Tone.js
-        syncToneEngine(targetNode);
-        
-        // Update code display
-        updateCodeDisplay();
+        // The knob, Tone.js object and code panel follow the model
+        // Undo is recorded once per drag, on mouseup
+        patchModel.setParameter(moduleId, param, value);
     } else {
         console.warn(`Could not find node for ${moduleId}`);
     }
@@ -4383,6 +4906,51 @@ function setupSingleSelectorInteraction(selector) {
     console.log(`🎛️ Selector ready for ${selector.dataset.param}`);
 }
 
+/**
+ * Waveshaper curve drawing in progress: { moduleId, previousCurve }
+ */
+let driveCurveEdit = null;
+
+/**
+ * Set one point of a drive module's waveshaper curve from a pointer position
+ * Columns of the pixel matrix are curve points; rows are output levels
+ * @param {string} moduleId - Drive module ID
+ * @param {number} x - Pointer position across the visual (0 to 1)
+ * @param {number} y - Pointer position down the visual (0 to 1)
+ */
+function drawDriveCurvePoint(moduleId, x, y) {
+    const node = getModuleNodeById(moduleId);
+    if (!node || node.parameters.mode !== 'waveshaper') return;
+
+    if (!driveCurveEdit) {
+        driveCurveEdit = { moduleId, previousCurve: node.parameters.curve };
+    }
+
+    // Resample first - imported curves can have any number of points
+    const curve = Array.from({ length: DRIVE_CURVE_POINTS }, (_, index) =>
+        sampleDriveCurve(node.parameters.curve, index / (DRIVE_CURVE_POINTS - 1) * 2 - 1));
+
+    // Same row scaling as drawPixelMatrixWaveform: the center row is 0, a quarter of the grid is ±1
+    const column = Math.min(DRIVE_CURVE_POINTS - 1, Math.floor(x * DRIVE_CURVE_POINTS));
+    const row = Math.min(DRIVE_CURVE_POINTS - 1, Math.floor(y * DRIVE_CURVE_POINTS));
+    const centerRow = DRIVE_CURVE_POINTS / 2;
+    curve[column] = Math.max(-1, Math.min(1, (centerRow - row) / (DRIVE_CURVE_POINTS / 4)));
+
+    patchModel.setParameter(moduleId, 'curve', curve);
+}
+
+/**
+ * Finish drawing a waveshaper curve - the whole stroke is one undo step
+ */
+function finishDriveCurveEdit() {
+    if (!driveCurveEdit) return;
+
+    const { moduleId, previousCurve } = driveCurveEdit;
+    driveCurveEdit = null;
+    recordParameterChange(moduleId, 'curve', previousCurve, getModuleNodeById(moduleId)?.parameters.curve);
+    console.log(`✏️ ${moduleId} waveshaper curve drawn`);
+}
+
 /**
  * Initialize P5 visuals for a specific module
  */
@@ -4405,9 +4973,10 @@ function initializeP5VisualsForModule(moduleId, moduleType) {
     
     const visualElements = moduleElement.querySelectorAll('.wave-visual');
     visualElements.forEach(visual => {
-        if (!visual.id) {
-            // Generate unique ID for the visual element (don't include wave type since it can change)
-            visual.id = `${moduleId}-visual`;
+        // Generate unique ID for the visual element (don't include wave type since it can change)
+        // Some templates already carry it, like the EQ8 spectrum
+        visual.id = visual.id || `${moduleId}-visual`;
+        if (!manager.canvases.has(visual.id)) {
             console.log(`📊 Created P5 visual: ${visual.id}`);
             const visualType = visual.dataset.waveType || moduleType.toLowerCase();
             
@@ -4418,7 +4987,12 @@ function initializeP5VisualsForModule(moduleId, moduleType) {
                     frequency: 2.5, 
                     strokeWeight: 1.5,
                     strokeColor: '#000000',
-                    backgroundColor: 'transparent'
+                    backgroundColor: 'transparent',
+                    // The drive transfer curve is drawn on in WAVESHAPER mode
+                    ...(visualType === 'waveshaper' ? {
+                        onPointerDraw: (x, y) => drawDriveCurvePoint(moduleId, x, y),
+                        onPointerRelease: finishDriveCurveEdit
+                    } : {})
                 });
                 console.log(`📊 Created P5 canvas for ${visualType} (${visual.id})`);
             }
@@ -4426,6 +5000,571 @@ function initializeP5VisualsForModule(moduleId, moduleType) {
     });
 }
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PATCH SERIALIZATION - SAVE & LOAD
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * A patch document captures everything needed to rebuild the current graph:
+ * every module (id, registered type, parameters), every connection and the
+ * order modules appear on the grid. Documents carry a schema version so older
+ * files keep loading as the format evolves.
+ */
+
+/**
+ * Patch document format identifier and current schema version
+ */
+const PATCH_FORMAT = 'tonedesigner-patch';
+const PATCH_SCHEMA_VERSION = 4;
+
+/**
+ * Starter patch built on page load - an ordinary patch document, so every
+ * module in it can be deleted, duplicated or replaced like any other
+ * Parameters come from each module's nodeConfig defaults
+ */
+const STARTER_PATCH = {
+    format: PATCH_FORMAT,
+    schemaVersion: PATCH_SCHEMA_VERSION,
+    modules: [
+        { id: 'oscillator-1', type: 'oscillator' },
+        { id: 'filter-1', type: 'filter' },
+        { id: 'envelope-1', type: 'envelope' },
+        { id: 'lfo-1', type: 'lfo' },
+        { id: 'reverb-1', type: 'reverb' },
+        { id: 'eq8-1', type: 'eq8' },
+        { id: 'mixer-1', type: 'mixer' }
+    ],
+    connections: [
+        // Audio signal chain: VCO → VCF → ENV → REVERB → EQ8 → MIXER → Destination
+        { source: 'oscillator-1/audio_out', target: 'filter-1/audio_in', type: 'audio' },
+        { source: 'filter-1/audio_out', target: 'envelope-1/audio_in', type: 'audio' },
+        { source: 'envelope-1/audio_out', target: 'reverb-1/audio_in', type: 'audio' },
+        { source: 'reverb-1/audio_out', target: 'eq8-1/audio_in', type: 'audio' },
+        { source: 'eq8-1/audio_out', target: 'mixer-1/input/1', type: 'audio' },
+        { source: 'mixer-1/audio_out', target: 'destination', type: 'audio' },
+        // CV modulation: LFO → VCF Frequency Parameter
+        { source: 'lfo-1/cv_out', target: 'filter-1/frequency', type: 'cv' }
+    ]
+};
+
+/**
+ * Resolve the registered ModuleFactory type for a synth node
+ * @param {Object} node - Synth node with id and Tone.js type
+ * @returns {string|null} Registered module type (e.g., 'oscillator') or null
+ */
+function getModuleTypeForNode(node) {
+    const moduleInstance = moduleInstances.get(node.id);
+    if (moduleInstance?.type && ModuleRegistry[moduleInstance.type]) {
+        return moduleInstance.type;
+    }
+
+    // Fallback: match the Tone.js node type against registered definitions
+    return Object.keys(ModuleRegistry).find(type =>
+        ModuleRegistry[type].nodeConfig.type === node.type
+    ) || null;
+}
+
+/**
+ * Serialize the current patch into a versioned, JSON-safe document
+ * @returns {Object} Patch document
+ */
+function serializePatch() {
+    // Module order follows the grid so a reloaded patch looks the same
+    const gridOrder = Array.from(document.querySelectorAll('.modules-container .synth-module'))
+        .map(element => element.dataset.moduleId);
+    const moduleOrder = [
+        ...gridOrder.filter(id => synthNodes.some(node => node.id === id)),
+        ...synthNodes.map(node => node.id).filter(id => !gridOrder.includes(id))
+    ];
+
+    const modules = synthNodes.map(node => ({
+        id: node.id,
+        type: getModuleTypeForNode(node),
+        parameters: JSON.parse(JSON.stringify(node.parameters))
+    }));
+
+    const connections = currentPatchConnections.map(({ source, target, type }) => ({ source, target, type }));
+
+    return {
+        format: PATCH_FORMAT,
+        schemaVersion: PATCH_SCHEMA_VERSION,
+        modules,
+        connections,
+        moduleOrder,
+        voices: { ...voiceSettings },
+        arpeggiator: { ...arpSettings },
+        midiMappings: midiController?.getMappings() || []
+    };
+}
+
+/**
+ * Validate a patch document and upgrade it to the current schema
+ * @param {Object} patchDocument - Parsed patch document
+ * @returns {Object} Patch document in the current schema
+ */
+function migratePatchDocument(patchDocument) {
+    if (!patchDocument || typeof patchDocument !== 'object' || patchDocument.format !== PATCH_FORMAT) {
+        throw new Error('Not a Tone Designer patch file');
+    }
+
+    const version = patchDocument.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid patch schema version: ${version}`);
+    }
+    if (version > PATCH_SCHEMA_VERSION) {
+        throw new Error(`Patch schema version ${version} is newer than supported version ${PATCH_SCHEMA_VERSION}`);
+    }
+
+    if (!Array.isArray(patchDocument.modules) || !Array.isArray(patchDocument.connections)) {
+        throw new Error('Patch is missing its modules or connections');
+    }
+
+    const seenIds = new Set();
+    patchDocument.modules.forEach(module => {
+        if (!module || typeof module.id !== 'string' || typeof module.type !== 'string') {
+            throw new Error('Patch contains a module without an id or type');
+        }
+        if (!ModuleRegistry[module.type]) {
+            throw new Error(`Unknown module type in patch: ${module.type}`);
+        }
+        if (seenIds.has(module.id)) {
+            throw new Error(`Duplicate module id in patch: ${module.id}`);
+        }
+        seenIds.add(module.id);
+
+        const maxInstances = ModuleFactory.getMaxInstances(module.type);
+        if (patchDocument.modules.filter(other => other?.type === module.type).length > maxInstances) {
+            throw new Error(`Patch has more than ${maxInstances} ${module.type} module${maxInstances === 1 ? '' : 's'}`);
+        }
+    });
+
+    patchDocument.connections.forEach(connection => {
+        if (!connection || typeof connection.source !== 'string' ||
+            typeof connection.target !== 'string' || typeof connection.type !== 'string') {
+            throw new Error('Patch contains a malformed connection');
+        }
+    });
+
+    // Upgrade older documents one schema version at a time
+    const patch = { ...patchDocument };
+    if (patch.schemaVersion < 2) {
+        // v2: polyphonic voice settings
+        patch.voices = { voiceCount: 1, stealPolicy: 'oldest' };
+        patch.schemaVersion = 2;
+    }
+    if (patch.schemaVersion < 3) {
+        // v3: MIDI CC mappings
+        patch.midiMappings = [];
+        patch.schemaVersion = 3;
+    }
+    if (patch.schemaVersion < 4) {
+        // v4: arpeggiator settings
+        patch.arpeggiator = { enabled: false, mode: 'up', octaves: 1, rate: '16n', latch: false };
+        patch.schemaVersion = 4;
+    }
+
+    return patch;
+}
+
+/**
+ * Load a patch document, replacing the current graph
+ * Tears everything down through deleteModule and rebuilds it through ModuleFactory
+ * @param {Object} patchDocument - Parsed patch document
+ */
+function loadPatch(patchDocument) {
+    const patch = migratePatchDocument(patchDocument);
+    const previousPatch = serializePatch();
+
+    console.log(`📂 Loading patch: ${patch.modules.length} modules, ${patch.connections.length} connections`);
+
+    // The whole load is a single undo step, not one per module and cable
+    withoutHistory(() => rebuildPatch(patch));
+
+    if (patchHistory) {
+        patchHistory.record({
+            label: 'Load patch',
+            undo: () => loadPatch(previousPatch),
+            redo: () => loadPatch(patch)
+        });
+    }
+
+    console.log('✅ Patch loaded');
+}
+
+/**
+ * Replace the current graph with the modules and connections of a patch
+ * @param {Object} patch - Validated patch document
+ */
+function rebuildPatch(patch) {
+    // The model's subscribers recompile, redraw and regenerate once for the whole rebuild
+    patchModel.batch(() => {
+        // STEP 1: Tear down the current graph
+        synthNodes.map(node => node.id).forEach(moduleId => deleteModule(moduleId));
+
+        // STEP 2: Rebuild modules in their saved grid order
+        const moduleOrder = Array.isArray(patch.moduleOrder) ? patch.moduleOrder : [];
+        const orderedModules = [
+            ...moduleOrder.map(id => patch.modules.find(module => module.id === id)).filter(Boolean),
+            ...patch.modules.filter(module => !moduleOrder.includes(module.id))
+        ];
+
+        orderedModules.forEach(module => {
+            instantiateModule(module.type, module.id, module.parameters || {});
+        });
+
+        // STEP 3: Restore connections whose modules exist in the patch
+        const moduleIds = new Set(patch.modules.map(module => module.id));
+        patch.connections.forEach(({ source, target, type }) => {
+            const sourceId = source.split('/')[0];
+            const targetId = target.split('/')[0];
+            if (!moduleIds.has(sourceId) || (target !== 'destination' && !moduleIds.has(targetId))) {
+                console.warn(`⚠️ Skipping connection to missing module: ${source} → ${target}`);
+                return;
+            }
+            patchModel.addConnection({ source, target, type });
+        });
+    });
+
+    // STEP 4: Restore MIDI CC mappings
+    midiController?.setMappings(Array.isArray(patch.midiMappings) ? patch.midiMappings : []);
+
+    // STEP 5: Apply voice settings and rebuild the voice clones
+    setVoiceSettings(patch.voices || {});
+    setArpeggiatorSettings(patch.arpeggiator || { enabled: false });
+}
+
+/**
+ * Remove the P5 canvases belonging to a module
+ * @param {string} moduleId - Module identifier
+ */
+function removeP5Canvas(moduleId) {
+    const manager = window.p5Manager || p5Manager;
+    if (!manager) return;
+
+    const moduleElement = document.querySelector(`[data-module-id="${moduleId}"]`);
+    const visualIds = moduleElement
+        ? Array.from(moduleElement.querySelectorAll('.wave-visual')).map(visual => visual.id).filter(Boolean)
+        : [`${moduleId}-visual`];
+
+    visualIds.forEach(visualId => manager.removeCanvas(visualId));
+}
+
+/**
+ * Download the current patch as a JSON file
+ */
+function savePatchToFile() {
+    const json = JSON.stringify(serializePatch(), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'tonedesigner-patch.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    console.log('💾 Patch saved');
+}
+
+/**
+ * Read a patch file chosen by the user and load it
+ * @param {File} file - JSON patch file
+ */
+async function loadPatchFromFile(file) {
+    try {
+        const patchDocument = JSON.parse(await file.text());
+        loadPatch(patchDocument);
+    } catch (error) {
+        console.error('❌ Failed to load patch:', error);
+        alert(`Failed to load patch: ${error.message}`);
+    }
+}
+
+/**
+ * Read a plugin module file chosen by the user and register its modules
+ * @param {File} file - Plugin JavaScript file
+ */
+async function loadModulePluginFromFile(file) {
+    try {
+        const types = ModulePlugins.load(await file.text(), file.name);
+        console.log(`🧩 Loaded ${file.name}: ${types.map(getModuleDisplayName).join(', ')}`);
+    } catch (error) {
+        console.error('❌ Failed to load plugin:', error);
+        alert(`Failed to load plugin: ${error.message}`);
+    }
+}
+
+/**
+ * Setup Save/Load Patch Functionality
+ * Wires the patch file buttons in the code panel header
+ */
+function setupPatchFileControls() {
+    const saveButton = document.getElementById('save-patch-button');
+    const loadButton = document.getElementById('load-patch-button');
+    const fileInput = document.getElementById('patch-file-input');
+
+    if (saveButton) {
+        saveButton.addEventListener('click', savePatchToFile);
+    }
+
+    if (loadButton && fileInput) {
+        loadButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (file) {
+                loadPatchFromFile(file);
+            }
+            // Reset so the same file can be loaded again
+            fileInput.value = '';
+        });
+    }
+
+    // Plugin modules join the add-module menu once loaded
+    const pluginButton = document.getElementById('load-plugin-button');
+    const pluginInput = document.getElementById('plugin-file-input');
+    if (pluginButton && pluginInput) {
+        pluginButton.addEventListener('click', () => pluginInput.click());
+        pluginInput.addEventListener('change', () => {
+            const file = pluginInput.files[0];
+            if (file) {
+                loadModulePluginFromFile(file);
+            }
+            pluginInput.value = '';
+        });
+    }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * UNDO / REDO HISTORY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * Edits are recorded as commands on a HistoryManager (PatchHistory.js).
+ * Parameter commands restore node values through setModuleParameter, module
+ * commands snapshot the module with its cables so deletes can be reverted.
+ */
+
+/**
+ * Global undo/redo history
+ */
+let patchHistory;
+
+/**
+ * Initialize the undo/redo history and its keyboard shortcuts
+ */
+function initializeHistory() {
+    patchHistory = new HistoryManager({ limit: 100 });
+    window.patchHistory = patchHistory;
+
+    // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z to redo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        if (e.target.closest && e.target.closest('textarea, input')) return;
+
+        e.preventDefault();
+        if (e.shiftKey) {
+            patchHistory.redo();
+        } else {
+            patchHistory.undo();
+        }
+    });
+
+    console.log('↩️ Undo/redo history ready (Ctrl+Z / Ctrl+Shift+Z)');
+}
+
+/**
+ * Run a compound edit without recording the individual steps it makes
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function withoutHistory(fn) {
+    return patchHistory ? patchHistory.suspend(fn) : fn();
+}
+
+/**
+ * Set a module parameter from code - the patch model's subscribers bring the
+ * controls, audio engine and code panel in line
+ * @param {string} moduleId - Module identifier
+ * @param {string} param - Parameter name
+ * @param {*} value - New parameter value
+ */
+function setModuleParameter(moduleId, param, value) {
+    if (!patchModel.setParameter(moduleId, param, value)) {
+        console.warn(`Could not find node for ${moduleId}`);
+    }
+}
+
+/**
+ * Update the on-screen control for a parameter to show a new value
+ * @param {string} moduleId - Module identifier
+ * @param {string} param - Parameter name
+ * @param {*} value - Value to display
+ */
+function refreshParameterControl(moduleId, param, value) {
+    const moduleElement = document.querySelector(`[data-module-id="${moduleId}"]`);
+    if (!moduleElement) return;
+
+    // Sequencer step arrays redraw the step buttons and the selected step's controls
+    if (SEQUENCER_STEP_FIELDS.includes(param) && moduleElement.querySelector('.sequencer-steps')) {
+        refreshSequencerSteps(moduleId);
+        return;
+    }
+
+    moduleElement.querySelectorAll(`[data-param="${param}"]`).forEach(control => {
+        if (control.classList.contains('synth-knob')) {
+            control.dataset.value = value;
+            updateKnobVisuals(control, param, value);
+        } else if (control.tagName === 'SELECT') {
+            control.value = value;
+
+            // The VCO shows the knobs of its mode
+            if (control.matches('.osc-mode-selector')) {
+                moduleElement.dataset.oscMode = value;
+            }
+        } else if (control.classList.contains('bypass-toggle')) {
+            control.dataset.value = value;
+            control.classList.toggle('bypassed', !!value);
+        } else if (control.classList.contains('env-mode-toggle')) {
+            control.textContent = value ? 'NOTE' : 'GATE';
+            control.dataset.value = value;
+        } else if (control.classList.contains('multiplier-selector')) {
+            control.querySelectorAll('.multiplier-option').forEach(option => {
+                option.classList.toggle('active', parseInt(option.dataset.value) === value);
+            });
+        } else if (control.classList.contains('sampler-file-name')) {
+            control.textContent = value || 'LOAD / DROP FILE';
+        }
+    });
+}
+
+/**
+ * Switch a module's wave visual to another shape
+ * @param {string} moduleId - Module identifier
+ * @param {string} waveType - Shape to draw (e.g., 'square', 'highpass')
+ */
+function updateModuleWaveVisual(moduleId, waveType) {
+    const waveVisual = document.querySelector(`[data-module-id="${moduleId}"] .wave-visual`);
+    if (p5Manager && waveVisual?.id) {
+        waveVisual.dataset.waveType = waveType;
+        p5Manager.updateWaveType(waveVisual.id, waveType);
+        console.log(`  Updated P5 wave visual of ${moduleId} to ${waveType}`);
+    }
+}
+
+/**
+ * Apply a parameter edit made on a module's controls and record it for undo
+ * @param {string} moduleId - Module identifier
+ * @param {string} param - Parameter name
+ * @param {*} value - New parameter value
+ */
+function editModuleParameter(moduleId, param, value) {
+    const previousValue = getModuleNodeById(moduleId)?.parameters[param];
+    patchModel.setParameter(moduleId, param, value);
+    recordParameterChange(moduleId, param, previousValue, value);
+}
+
+/**
+ * Record a parameter edit that has already been applied
+ * @param {string} moduleId - Module identifier
+ * @param {string} param - Parameter name
+ * @param {*} oldValue - Value before the edit
+ * @param {*} newValue - Value after the edit
+ * @param {string} mergeKey - Optional key merging a quick run of edits into one step (see HistoryManager)
+ */
+function recordParameterChange(moduleId, param, oldValue, newValue, mergeKey = null) {
+    if (!patchHistory || !moduleId || oldValue === newValue) return;
+
+    patchHistory.record({
+        label: `${moduleId} ${param}: ${oldValue} → ${newValue}`,
+        mergeKey: mergeKey && `${mergeKey}:${moduleId}/${param}`,
+        undo: () => setModuleParameter(moduleId, param, oldValue),
+        redo: () => setModuleParameter(moduleId, param, newValue)
+    });
+}
+
+/**
+ * Capture everything needed to rebuild a module: type, parameters, cables and grid position
+ * @param {string} moduleId - Module identifier
+ * @returns {Object|null} Module snapshot
+ */
+function captureModuleSnapshot(moduleId) {
+    const node = getModuleNodeById(moduleId);
+    if (!node) return null;
+
+    // Remember the module that followed this one on the grid
+    let nextModuleId = null;
+    let sibling = document.querySelector(`[data-module-id="${moduleId}"]`)?.nextElementSibling;
+    while (sibling && !nextModuleId) {
+        nextModuleId = sibling.dataset?.moduleId || null;
+        sibling = sibling.nextElementSibling;
+    }
+
+    return {
+        id: moduleId,
+        type: getModuleTypeForNode(node),
+        parameters: JSON.parse(JSON.stringify(node.parameters)),
+        connections: currentPatchConnections
+            .filter(conn => conn.source.startsWith(moduleId + '/') || conn.target.startsWith(moduleId + '/'))
+            .map(conn => ({ ...conn })),
+        midiMappings: (midiController?.getMappings() || []).filter(mapping => mapping.moduleId === moduleId),
+        nextModuleId
+    };
+}
+
+/**
+ * Rebuild a module from a snapshot, including its cables and grid position
+ * @param {Object} snapshot - Snapshot from captureModuleSnapshot
+ */
+function restoreModuleSnapshot(snapshot) {
+    // One model change, so the cables are redrawn after the module is back in place
+    patchModel.batch(() => {
+        instantiateModule(snapshot.type, snapshot.id, snapshot.parameters);
+
+        // Move the module back to where it was on the grid
+        const moduleElement = document.querySelector(`[data-module-id="${snapshot.id}"]`);
+        const nextElement = snapshot.nextModuleId &&
+            document.querySelector(`[data-module-id="${snapshot.nextModuleId}"]`);
+        if (moduleElement && nextElement) {
+            nextElement.before(moduleElement);
+        }
+
+        snapshot.connections.forEach(connection => patchModel.addConnection(connection));
+    });
+    snapshot.midiMappings.forEach(mapping => midiController?.addMapping(mapping));
+}
+
+/**
+ * Record a module that was just added
+ * @param {string} moduleId - Module identifier
+ */
+function recordModuleAddition(moduleId) {
+    if (!patchHistory) return;
+
+    let snapshot = captureModuleSnapshot(moduleId);
+    patchHistory.record({
+        label: `Add ${moduleId}`,
+        undo: () => {
+            snapshot = captureModuleSnapshot(moduleId);
+            deleteModule(moduleId);
+        },
+        redo: () => restoreModuleSnapshot(snapshot)
+    });
+}
+
+/**
+ * Record a module that was just deleted
+ * @param {Object} snapshot - Snapshot taken before the delete
+ */
+function recordModuleDeletion(snapshot) {
+    if (!patchHistory || !snapshot) return;
+
+    patchHistory.record({
+        label: `Delete ${snapshot.id}`,
+        undo: () => restoreModuleSnapshot(snapshot),
+        redo: () => deleteModule(snapshot.id)
+    });
+}
+
 // Initialize the platform when the page loads
 document.addEventListener('DOMContentLoaded', setupSynth);
 
@@ -4515,6 +5654,8 @@ document.addEventListener('dragstart', (e) => {
 });
 
 document.addEventListener('selectstart', (e) => {
+    // Text fields still need normal selection for editing
+    if (e.target.closest && e.target.closest('textarea, input')) return;
     e.preventDefault();
     return false;
 });
\ No newline at end of file
@@ -11,7 +11,9 @@
  * ARCHITECTURE:
  * - ModuleFactory: Central factory for creating modules
  * - ModuleRegistry: Stores module definitions
- * - Each module definition includes: nodeConfig, renderFunction, toneFactory
+ * - ModulePlugins: Registers third-party modules packaged as plugins
+ * - Each module definition includes: nodeConfig, ports, renderFunction, toneFactory
+ *   (and optionally maxInstances, for modules a patch can only have so many of)
  * 
  * PPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPP
  */
@@ -54,12 +56,13 @@ class ModuleFactory {
             throw new Error(`Unknown module type: ${type}`);
         }
         
-        // Create node with custom parameters
+        // Create node with custom parameters, kept inside their declared ranges
         const node = {
             id: id,
             type: definition.nodeConfig.type,
-            parameters: { ...definition.nodeConfig.parameters, ...customParams }
+            parameters: { ...ModuleFactory.getDefaultParameters(type), ...customParams }
         };
+        node.parameters = ModuleFactory.clampParameters(node);
         
         // Create Tone.js object
         const toneObject = definition.toneFactory(node.parameters);
@@ -84,34 +87,438 @@ class ModuleFactory {
     static getAvailableTypes() {
         return Object.keys(ModuleRegistry);
     }
+
+    /**
+     * Registered module type of a module node
+     * Matches the node's Tone.js type, then the type its ID starts with - older
+     * patches store nodes such as mixer-1 as "Channel" and eq8-1 as "EQ3"
+     * @param {Object} node - Module node with id and type
+     * @returns {string|null} Module type (e.g., 'mixer')
+     */
+    static getTypeForNode(node) {
+        if (!node) return null;
+        const type = Object.keys(ModuleRegistry).find(type => ModuleRegistry[type].nodeConfig.type === node.type);
+        if (type) return type;
+        const prefix = node.id?.replace(/-\d+$/, '');
+        return ModuleRegistry[prefix] ? prefix : null;
+    }
+
+    /**
+     * Default parameters of a module type
+     * @param {string} type - Module type
+     * @returns {Object} Parameter name → default value
+     */
+    static getDefaultParameters(type) {
+        return Object.fromEntries(Object.entries(ModuleRegistry[type]?.nodeConfig.parameters || {})
+            .map(([param, entry]) => [param, isParameterSpec(entry) ? entry.default : entry]));
+    }
+
+    /**
+     * Metadata of a knob parameter
+     * @param {string} type - Module type
+     * @param {string} param - Parameter name
+     * @returns {Object|null} Parameter spec (see PARAMETER METADATA), or null for plain parameters
+     */
+    static getParameterSpec(type, param) {
+        const entry = ModuleRegistry[type]?.nodeConfig.parameters[param];
+        return isParameterSpec(entry) ? entry : null;
+    }
+
+    /**
+     * A module node's parameters with every knob parameter inside its range and on its step
+     * Numeric step lists are clamped step by step
+     * @param {Object} node - Module node with id, type and parameters
+     * @returns {Object} Parameters
+     */
+    static clampParameters(node) {
+        const type = ModuleFactory.getTypeForNode(node);
+        return Object.fromEntries(Object.entries(node.parameters).map(([param, value]) => {
+            const spec = ModuleFactory.getParameterSpec(type, param);
+            const clamp = (entry) => spec && typeof entry === 'number' ? clampParameter(spec, entry, node) : entry;
+            return [param, Array.isArray(value) ? value.map(clamp) : clamp(value)];
+        }));
+    }
+
+    /**
+     * Ports a module type declares
+     * @param {string} type - Module type
+     * @returns {Array} Port definitions (see PORT SCHEMA)
+     */
+    static getPorts(type) {
+        return ModuleRegistry[type]?.ports || [];
+    }
+
+    /**
+     * How many modules of a type one patch can hold
+     * @param {string} type - Module type
+     * @returns {number} The definition's maxInstances, or Infinity
+     */
+    static getMaxInstances(type) {
+        return ModuleRegistry[type]?.maxInstances ?? Infinity;
+    }
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PORT SCHEMA
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * Every module definition lists its patch ports. Connections name a port as
+ * "module-id/port-id" and all routing - the live engine, cable validation and
+ * exported code - resolves through these definitions:
+ *
+ * • id        - Port ID in connections ('audio_in', 'frequency', 'input/3', '8n_out')
+ * • direction - 'in' or 'out'
+ * • signal    - 'audio', 'cv' or 'gate'
+ * • node      - Property path from the module's Tone.js object to the node or
+ *               AudioParam the cable attaches to ('bands.0', 'gates.8n');
+ *               omitted when the cable attaches to the object itself
+ * • codeNode  - Path in exported code, when it differs from the live object
+ * • gateNode  - On a CV output: the gate list a gate input patched to it joins
+ *               (the LFO's cycles, the sequencer's steps)
+ *
+ * Port elements carry the ID as data-port-id, or as their data-port-type with
+ * a dash (audio-in → audio_in).
+ */
+
+/**
+ * The plain audio ports most modules have
+ */
+const AUDIO_IN_PORT = { id: 'audio_in', direction: 'in', signal: 'audio' };
+const AUDIO_OUT_PORT = { id: 'audio_out', direction: 'out', signal: 'audio' };
+
+/**
+ * Pseudo-port of the speakers - the target of 'destination' connections
+ */
+const DESTINATION_PORT = { id: 'destination', direction: 'in', signal: 'audio' };
+
+/**
+ * CV input bound to an AudioParam (or a signal standing in for one) of the module
+ * @param {string} param - Property name, which is also the port ID (e.g., 'frequency')
+ * @returns {Object} Port definition
+ */
+function cvInputPort(param) {
+    return { id: param, direction: 'in', signal: 'cv', node: param };
+}
+
+/**
+ * Port a gate input patched to this output follows
+ * Gate outputs are their own gate port; CV outputs name theirs with gateNode
+ * @param {Object} port - Output port definition
+ * @returns {Object|null} Port whose node is a gate list, or null if the output cannot gate
+ */
+function getGateSourcePort(port) {
+    if (port.signal === 'gate') return port;
+    if (port.signal === 'cv' && port.gateNode) return { ...port, node: port.gateNode, codeNode: undefined };
+    return null;
+}
+
+/**
+ * Node a port attaches to on a live Tone.js object (the module or one voice of it)
+ * @param {Object} toneObject - Module's Tone.js object
+ * @param {Object} port - Port definition
+ * @returns {Object|undefined} Tone.js node, AudioParam or gate list
+ */
+function resolvePortNode(toneObject, port) {
+    if (!port.node) return toneObject;
+    return port.node.split('.').reduce((object, key) => object?.[key], toneObject);
+}
+
+/**
+ * Expression a port attaches to in exported code
+ * @param {string} variable - Expression for the module's variable (e.g., 'mixer1' or 'voice.mixer1')
+ * @param {Object} port - Port definition
+ * @returns {string} Expression (e.g., 'mixer1.inputGains[2]', 'clock1.gates["8n"]')
+ */
+function getPortCode(variable, port) {
+    const path = port.codeNode ?? port.node;
+    if (!path) return variable;
+    return path.split('.').reduce((code, key) => {
+        if (/^\d+$/.test(key)) return `${code}[${key}]`;
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${code}.${key}` : `${code}["${key}"]`;
+    }, variable);
+}
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PARAMETER METADATA
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * Entries of nodeConfig.parameters are either a plain default value (modes,
+ * flags, step lists) or the spec of a knob parameter:
+ *
+ * • default - Value a new module starts with
+ * • min/max - Knob range; a function of the module node where the range depends
+ *             on it (the sampler region spans the loaded sample)
+ * • curve   - 'linear', 'log' (the same ratio per turn - frequencies, times) or
+ *             'exponential' (fine steps at the bottom of ranges that start at 0)
+ * • step    - Resolution values are rounded to
+ * • unit    - Suffix of the value display ('Hz', 's', 'dB', '¢')
+ * • format  - Display function, where a unit alone doesn't say it (percentages, note names)
+ *
+ * Knob drags, value displays, MIDI CC, knob edits and exported code all read
+ * these specs, so a second LFO gets LFO ranges without any code keyed on its ID.
+ * A spec whose default is a step list describes one step.
+ */
+
+/**
+ * Whether a nodeConfig.parameters entry is a knob parameter spec
+ * @param {*} entry - Parameter entry
+ * @returns {boolean} True for { default, min, max, ... } objects
+ */
+function isParameterSpec(entry) {
+    return entry !== null && typeof entry === 'object' && !Array.isArray(entry) && 'default' in entry;
+}
+
+/**
+ * Range of a parameter for one module
+ * @param {Object} spec - Parameter spec
+ * @param {Object} node - Module node the parameter belongs to
+ * @returns {Object} { min, max }
+ */
+function getParameterRange(spec, node) {
+    const bound = (limit) => typeof limit === 'function' ? limit(node) : limit;
+    return { min: bound(spec.min), max: bound(spec.max) };
 }
 
+/**
+ * Keep a value inside its range and on its step
+ * @param {Object} spec - Parameter spec
+ * @param {number} value - Value
+ * @param {Object} node - Module node the parameter belongs to
+ * @returns {number} Clamped value
+ */
+function clampParameter(spec, value, node) {
+    const { min, max } = getParameterRange(spec, node);
+    let rounded = value;
+    if (spec.step) {
+        // toFixed drops float noise such as 0.30000000000000004
+        const decimals = (String(spec.step).split('.')[1] || '').length;
+        rounded = parseFloat((Math.round(value / spec.step) * spec.step).toFixed(decimals));
+    }
+    return Math.max(min, Math.min(max, rounded));
+}
+
+/**
+ * Knob position of a value along the parameter's curve
+ * @param {Object} spec - Parameter spec
+ * @param {number} value - Value
+ * @param {Object} node - Module node the parameter belongs to
+ * @returns {number} Position from 0 (fully left) to 1 (fully right)
+ */
+function getParameterPosition(spec, value, node) {
+    const { min, max } = getParameterRange(spec, node);
+    if (!(max > min) || !isFinite(max)) return 0;
+
+    const clamped = Math.max(min, Math.min(max, value));
+    switch (spec.curve) {
+        case 'log':
+            return Math.log(clamped / min) / Math.log(max / min);
+        case 'exponential':
+            return Math.sqrt((clamped - min) / (max - min));
+        default:
+            return (clamped - min) / (max - min);
+    }
+}
+
+/**
+ * Value at a knob position along the parameter's curve
+ * @param {Object} spec - Parameter spec
+ * @param {number} position - Position from 0 to 1 (clamped)
+ * @param {Object} node - Module node the parameter belongs to
+ * @returns {number} Value, clamped and on the step
+ */
+function getParameterAtPosition(spec, position, node) {
+    const { min, max } = getParameterRange(spec, node);
+    if (!(max > min) || !isFinite(max)) return min;
+
+    const amount = Math.max(0, Math.min(1, position));
+    let value;
+    switch (spec.curve) {
+        case 'log':
+            value = min * Math.pow(max / min, amount);
+            break;
+        case 'exponential':
+            value = min + (max - min) * amount * amount;
+            break;
+        default:
+            value = min + (max - min) * amount;
+    }
+    return clampParameter(spec, value, node);
+}
+
+/**
+ * Text a knob shows for a value
+ * @param {Object} spec - Parameter spec
+ * @param {*} value - Value
+ * @returns {string} Display text
+ */
+function formatParameter(spec, value) {
+    return spec.format ? spec.format(value) : `${value}${spec.unit || ''}`;
+}
+
+/**
+ * Display format of 0-1 levels and amounts
+ * @param {number} value - Value from 0 to 1
+ * @returns {string} Percentage (e.g., '40%')
+ */
+function formatPercent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Specs shared by several modules
+ */
+const AUDIO_FREQUENCY_SPEC = { min: 20, max: 20000, curve: 'log', step: 0.1, unit: 'Hz' };
+const LEVEL_SPEC = { min: 0, max: 1, curve: 'linear', step: 0.01, format: formatPercent };
+const ENVELOPE_TIME_SPEC = { min: 0.01, max: 5, curve: 'log', step: 0.01, unit: 's' };
+
 /**
  * PPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPP
  * OSCILLATOR MODULE DEFINITION
  * PPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPP
  */
 
+/**
+ * Oscillator modes and the Tone.js OmniOscillator type each one plays as
+ * • basic - the plain waveform
+ * • fm    - waveform frequency-modulated by a second oscillator (fmsine, fmsquare, ...)
+ * • am    - waveform amplitude-modulated by a second oscillator (amsine, ...)
+ * • fat   - COUNT detuned copies of the waveform spread over SPREAD cents (fatsawtooth, ...)
+ * • pulse - pulse wave with a variable width, swept by PWM when its rate is above 0
+ */
+const OSCILLATOR_MODES = ['basic', 'fm', 'am', 'fat', 'pulse'];
+
+/**
+ * Tone.js OmniOscillator options a VCO plays with, for its mode
+ * WIDTH is the pulse duty cycle (0.5 = square); Tone.js counts pulse width from
+ * -1 to 1 with 0 as a square. PWM is the width sweep rate in Hz and switches
+ * the source to Tone's "pwm" type, which sweeps the width on its own
+ * @param {Object} params - Oscillator parameters
+ * @returns {Object} type plus the options of that mode
+ */
+function getOscillatorOptions(params) {
+    const waveform = params.waveform || 'sine';
+    switch (params.mode) {
+        case 'fm':
+            return {
+                type: `fm${waveform}`,
+                harmonicity: params.harmonicity,
+                modulationIndex: params.modulationIndex,
+                modulationType: params.modulationType
+            };
+        case 'am':
+            return { type: `am${waveform}`, harmonicity: params.harmonicity, modulationType: params.modulationType };
+        case 'fat':
+            return { type: `fat${waveform}`, count: params.count, spread: params.spread };
+        case 'pulse':
+            return params.pwm > 0
+                ? { type: 'pwm', modulationFrequency: params.pwm }
+                : { type: 'pulse', width: Math.round((params.width * 2 - 1) * 100) / 100 };
+        default:
+            return { type: waveform };
+    }
+}
+
+/**
+ * One sample of a basic waveform
+ * @param {string} waveform - "sine", "square", "sawtooth" or "triangle"
+ * @param {number} phase - Position in cycles
+ * @returns {number} Sample from -1 to 1
+ */
+function getWaveformSample(waveform, phase) {
+    const position = phase - Math.floor(phase);
+    switch (waveform) {
+        case 'square':
+            return position < 0.5 ? 1 : -1;
+        case 'sawtooth':
+            return position * 2 - 1;
+        case 'triangle':
+            return position < 0.5 ? position * 4 - 1 : 3 - position * 4;
+        default:
+            return Math.sin(position * Math.PI * 2);
+    }
+}
+
+/**
+ * One sample of what a VCO plays in its current mode, for the wave visual
+ * FM is drawn as phase modulation with the modulation index as its depth and
+ * fat voices drift apart at their real beat rate, so the picture moves like
+ * the sound does
+ * @param {Object} params - Oscillator parameters
+ * @param {number} phase - Position in carrier cycles
+ * @param {number} seconds - Running time, for the fat beating and the PWM sweep
+ * @returns {number} Sample from -1 to 1
+ */
+function getOscillatorSample(params, phase, seconds = 0) {
+    const waveform = params.waveform || 'sine';
+    const harmonicity = params.harmonicity ?? 1;
+    switch (params.mode) {
+        case 'fm': {
+            const modulator = getWaveformSample(params.modulationType, phase * harmonicity);
+            return getWaveformSample(waveform, phase + (params.modulationIndex ?? 0) * modulator / (Math.PI * 2));
+        }
+        case 'am': {
+            const modulator = getWaveformSample(params.modulationType, phase * harmonicity);
+            return getWaveformSample(waveform, phase) * (modulator + 1) / 2;
+        }
+        case 'fat': {
+            const count = Math.max(1, Math.round(params.count ?? 1));
+            let sum = 0;
+            for (let voice = 0; voice < count; voice++) {
+                const cents = count > 1 ? (voice / (count - 1) - 0.5) * (params.spread ?? 0) : 0;
+                const ratio = Math.pow(2, cents / 1200);
+                sum += getWaveformSample(waveform, phase * ratio + seconds * (params.frequency || 440) * (ratio - 1));
+            }
+            return sum / count;
+        }
+        case 'pulse': {
+            const duty = params.pwm > 0
+                ? 0.5 + 0.45 * Math.sin(seconds * params.pwm * Math.PI * 2)
+                : params.width ?? 0.5;
+            return phase - Math.floor(phase) < duty ? 1 : -1;
+        }
+        default:
+            return getWaveformSample(waveform, phase);
+    }
+}
+
 /**
  * Oscillator Module - VCO (Voltage Controlled Oscillator)
- * Generates raw sound waveforms (Sine, Square, Sawtooth, Triangle)
+ * A Tone.js OmniOscillator: basic waveforms (Sine, Square, Sawtooth, Triangle)
+ * plus FM, AM, fat/unison and pulse modes. Only the knobs of the current mode
+ * are shown; switching mode changes the oscillator's type in place
  */
 const OscillatorModule = {
     nodeConfig: {
         type: "OmniOscillator",
         parameters: {
+            mode: "basic",          // "basic", "fm", "am", "fat" or "pulse"
             waveform: "sine",
-            frequency: 440,
-            detune: 0,
+            frequency: { default: 440, ...AUDIO_FREQUENCY_SPEC },
+            detune: { default: 0, min: -100, max: 100, curve: 'linear', step: 1, unit: '¢' },
+            // FM/AM modulator frequency ratio
+            harmonicity: { default: 1, min: 0.25, max: 8, curve: 'log', step: 0.01, format: (value) => `×${value}` },
+            // FM depth
+            modulationIndex: { default: 2, min: 0, max: 40, curve: 'linear', step: 0.1 },
+            modulationType: "sine", // FM/AM modulator waveform
+            // Fat voices
+            count: { default: 3, min: 1, max: 8, curve: 'linear', step: 1 },
+            // Fat detune spread
+            spread: { default: 20, min: 0, max: 100, curve: 'linear', step: 1, unit: '¢' },
+            // Pulse duty cycle (0.5 = square)
+            width: { default: 0.5, min: 0.05, max: 0.95, curve: 'linear', step: 0.01, format: formatPercent },
+            // Pulse width modulation rate (0 = off)
+            pwm: { default: 0, min: 0, max: 10, curve: 'linear', step: 0.1, format: (value) => value > 0 ? `${value}Hz` : 'OFF' },
             bypass: false
         }
     },
     
+    ports: [AUDIO_OUT_PORT, cvInputPort('frequency')],
+    
     toneFactory: (params) => {
-        const oscillator = new Tone.Oscillator({
+        const oscillator = new Tone.OmniOscillator({
             frequency: params.frequency,
-            type: params.waveform,
-            detune: params.detune
+            detune: params.detune,
+            ...getOscillatorOptions(params)
         });
         
         // Bypass will be handled dynamically by syncToneEngine
@@ -120,8 +527,21 @@ const OscillatorModule = {
     },
     
     renderFunction: (oscillatorData) => {
+        const params = oscillatorData.parameters;
+        const waveOptions = (selected) => [['sine', 'SINE'], ['square', 'SQUARE'], ['sawtooth', 'SAW'], ['triangle', 'TRI']]
+            .map(([value, label]) => `<option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        const knob = (param, label, value, modes) => `
+                    <div class="control-group" data-modes="${modes}">
+                        <label class="control-label">${label}</label>
+                        <div class="synth-knob" data-param="${param}" data-value="${params[param]}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${value}</span>
+                    </div>`;
+
         return `
-            <div class="synth-module" data-module-id="${oscillatorData.id}">
+            <div class="synth-module" data-module-id="${oscillatorData.id}" data-osc-mode="${params.mode}">
                 <div class="corner-port-output">
                     <div class="patch-port audio-output" data-port-type="audio-out" data-signal="audio"></div>
                     <span class="corner-port-label">OUT</span>
@@ -130,9 +550,9 @@ const OscillatorModule = {
                 <div class="module-header">
                     <h3 class="module-title">VCO-1</h3>
                     <div class="module-header-controls">
-                        <button class="bypass-toggle ${oscillatorData.parameters.bypass ? 'bypassed' : ''}"
+                        <button class="bypass-toggle ${params.bypass ? 'bypassed' : ''}"
                                 data-param="bypass"
-                                data-value="${oscillatorData.parameters.bypass}">
+                                data-value="${params.bypass}">
                             B
                         </button>
                         <button class="delete-module" title="Delete module">×</button>
@@ -141,30 +561,46 @@ const OscillatorModule = {
 
                 <div class="module-controls">
                     <div class="control-group">
-                        <select class="waveform-selector" data-param="waveform">
-                            <option value="sine" ${oscillatorData.parameters.waveform === 'sine' ? 'selected' : ''}>SINE</option>
-                            <option value="square" ${oscillatorData.parameters.waveform === 'square' ? 'selected' : ''}>SQUARE</option>
-                            <option value="sawtooth" ${oscillatorData.parameters.waveform === 'sawtooth' ? 'selected' : ''}>SAW</option>
-                            <option value="triangle" ${oscillatorData.parameters.waveform === 'triangle' ? 'selected' : ''}>TRI</option>
+                        <select class="osc-mode-selector" data-param="mode">
+                            ${OSCILLATOR_MODES.map(mode => `<option value="${mode}" ${params.mode === mode ? 'selected' : ''}>${mode.toUpperCase()}</option>`).join('')}
                         </select>
-                        <div class="wave-visual" data-wave-type="${oscillatorData.parameters.waveform}"></div>
+                        <select class="waveform-selector" data-param="waveform" data-modes="basic fm am fat">
+                            ${waveOptions(params.waveform)}
+                        </select>
+                        <div class="wave-visual" data-wave-type="oscillator"></div>
                     </div>
                     
                     <div class="control-group">
+                        <div class="corner-port-input secondary">
+                            <div class="patch-port cv-input" data-port-type="cv-in" data-port-id="frequency" data-signal="cv"></div>
+                            <span class="corner-port-label">CV</span>
+                        </div>
                         <label class="control-label">FREQ</label>
-                        <div class="synth-knob" data-param="frequency" data-value="${oscillatorData.parameters.frequency}">
+                        <div class="synth-knob" data-param="frequency" data-value="${params.frequency}">
                             <div class="knob-indicator"></div>
                         </div>
-                        <span class="control-value">${oscillatorData.parameters.frequency}Hz</span>
+                        <span class="control-value">${params.frequency}Hz</span>
                     </div>
                     
                     <div class="control-group">
                         <label class="control-label">DETUNE</label>
-                        <div class="synth-knob" data-param="detune" data-value="${oscillatorData.parameters.detune}">
+                        <div class="synth-knob" data-param="detune" data-value="${params.detune}">
                             <div class="knob-indicator"></div>
                         </div>
-                        <span class="control-value">${oscillatorData.parameters.detune}¢</span>
+                        <span class="control-value">${params.detune}¢</span>
+                    </div>
+                    ${knob('harmonicity', 'HARM', `×${params.harmonicity}`, 'fm am')}
+                    ${knob('modulationIndex', 'INDEX', params.modulationIndex, 'fm')}
+                    <div class="control-group" data-modes="fm am">
+                        <label class="control-label">MOD</label>
+                        <select class="osc-modulation-selector" data-param="modulationType">
+                            ${waveOptions(params.modulationType)}
+                        </select>
                     </div>
+                    ${knob('count', 'VOICES', params.count, 'fat')}
+                    ${knob('spread', 'SPREAD', `${params.spread}¢`, 'fat')}
+                    ${knob('width', 'WIDTH', `${Math.round(params.width * 100)}%`, 'pulse')}
+                    ${knob('pwm', 'PWM', params.pwm > 0 ? `${params.pwm}Hz` : 'OFF', 'pulse')}
                 </div>
             </div>
         `;
@@ -189,12 +625,15 @@ const NoiseModule = {
         type: "Noise",
         parameters: {
             type: "white",     // white, pink, brown
-            volume: 0.5,       // Output volume (0-1)
-            playbackRate: 1.0, // Playback rate for brown noise
+            volume: { default: 0.5, ...LEVEL_SPEC },
+            // Playback rate for brown noise
+            playbackRate: { default: 1.0, min: 0.1, max: 4, curve: 'log', step: 0.01, format: (value) => `${value.toFixed(2)}x` },
             bypass: false
         }
     },
     
+    ports: [AUDIO_OUT_PORT],
+    
     toneFactory: (params) => {
         const noise = new Tone.Noise({
             type: params.type,
@@ -264,6 +703,162 @@ const NoiseModule = {
 // Register the noise module
 ModuleFactory.register('noise', NoiseModule);
 
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SAMPLER MODULE DEFINITION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Decoded samples - sample URL → Tone.ToneAudioBuffer
+ * A local file has no URL the browser can fetch again, so its buffer is kept
+ * here under the file name and every player built for it (rebuilds, undo,
+ * voice clones) shares the one buffer. Other URLs load the normal way
+ */
+const sampleBuffers = new Map();
+
+/**
+ * Tone.js Player options a sampler plays with
+ * START and END mark the region in seconds; END at 0 (or not after START)
+ * plays to the end of the sample, which is Tone's own loopEnd of 0
+ * @param {Object} params - Sampler parameters
+ * @returns {Object} Player options
+ */
+function getSamplerOptions(params) {
+    return {
+        loop: params.mode === 'loop',
+        loopStart: params.start,
+        loopEnd: params.end > params.start ? params.end : 0,
+        playbackRate: params.playbackRate
+    };
+}
+
+/**
+ * Where a key starts a sampler and how long it plays
+ * LOOP starts at START and repeats START-END; ONE SHOT plays START-END once
+ * @param {Object} params - Sampler parameters
+ * @returns {Array} Player.start() arguments after the time: [offset] or [offset, duration]
+ */
+function getSamplerStartArguments(params) {
+    if (params.mode === 'loop' || !(params.end > params.start)) {
+        return [params.start];
+    }
+    return [params.start, Math.round((params.end - params.start) * 1000) / 1000];
+}
+
+/**
+ * Upper limit of the START and END knobs - the length of the loaded sample
+ * Unbounded until a sample has loaded, so a saved region survives loading the patch
+ * @param {Object} node - Sampler node
+ * @returns {number} Seconds
+ */
+function getSampleRegionLimit(node) {
+    return getSampleLength(node.id) || Infinity; // app.js
+}
+
+/**
+ * Sampler Module - Plays a loaded audio file (Tone.Player)
+ * Keys start the sample; with a NOTE-mode envelope downstream they also pitch
+ * it, RATE being the speed at C4, like the VCO's knob frequency
+ */
+const SamplerModule = {
+    nodeConfig: {
+        type: "Player",
+        parameters: {
+            url: "",             // Sample URL - the file name for local files
+            mode: "oneshot",     // "oneshot" or "loop"
+            // Region start and end within the loaded sample (end 0 = end of the sample)
+            start: { default: 0, min: 0, max: getSampleRegionLimit, curve: 'linear', step: 0.001, unit: 's' },
+            end: { default: 0, min: 0, max: getSampleRegionLimit, curve: 'linear', step: 0.001, format: (value) => value > 0 ? `${value}s` : 'END' },
+            // Speed at C4
+            playbackRate: { default: 1.0, min: 0.1, max: 4, curve: 'log', step: 0.01, format: (value) => `${value.toFixed(2)}x` },
+            bypass: false
+        }
+    },
+
+    ports: [AUDIO_OUT_PORT],
+
+    toneFactory: (params) => {
+        const player = new Tone.Player({
+            url: sampleBuffers.get(params.url) || params.url || undefined,
+            onerror: (error) => console.warn(`⚠️ Sampler could not load "${params.url}" - load the file again`, error),
+            ...getSamplerOptions(params)
+        });
+
+        // Remember the sample the player holds - a new URL swaps its buffer
+        player.sampleUrl = params.url;
+
+        // Bypass will be handled dynamically by syncToneEngine
+
+        return player;
+    },
+
+    renderFunction: (samplerData) => {
+        const params = samplerData.parameters;
+        return `
+            <div class="synth-module sampler-module" data-module-id="${samplerData.id}">
+                <div class="corner-port-output">
+                    <div class="patch-port audio-output" data-port-type="audio-out" data-signal="audio"></div>
+                    <span class="corner-port-label">OUT</span>
+                </div>
+
+                <div class="module-header">
+                    <h3 class="module-title">SAMPLER-1</h3>
+                    <div class="module-header-controls">
+                        <button class="bypass-toggle ${params.bypass ? 'bypassed' : ''}"
+                                data-param="bypass"
+                                data-value="${params.bypass}">
+                            B
+                        </button>
+                        <button class="delete-module" title="Delete module">×</button>
+                    </div>
+                </div>
+
+                <div class="module-controls">
+                    <div class="control-group">
+                        <select class="sampler-mode-selector" data-param="mode">
+                            <option value="oneshot" ${params.mode === 'oneshot' ? 'selected' : ''}>ONE SHOT</option>
+                            <option value="loop" ${params.mode === 'loop' ? 'selected' : ''}>LOOP</option>
+                        </select>
+                        <div class="wave-visual" data-wave-type="sampler"></div>
+                        <label class="sampler-load-button" title="Choose an audio file or drop one on the module">
+                            <input type="file" class="sampler-file-input" accept="audio/*">
+                            <span class="sampler-file-name" data-param="url">${params.url || 'LOAD / DROP FILE'}</span>
+                        </label>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">START</label>
+                        <div class="synth-knob" data-param="start" data-value="${params.start}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${params.start}s</span>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">END</label>
+                        <div class="synth-knob" data-param="end" data-value="${params.end}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${params.end > 0 ? `${params.end}s` : 'END'}</span>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">RATE</label>
+                        <div class="synth-knob" data-param="playbackRate" data-value="${params.playbackRate}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${params.playbackRate.toFixed(2)}x</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Register the sampler module
+ModuleFactory.register('sampler', SamplerModule);
+
 /**
  * ═══════════════════════════════════════════════════════════════════════════════
  * FILTER MODULE DEFINITION
@@ -279,12 +874,14 @@ const FilterModule = {
         type: "Filter",
         parameters: {
             type: "lowpass",
-            frequency: 8000,
-            Q: 1,
+            frequency: { default: 8000, ...AUDIO_FREQUENCY_SPEC },
+            Q: { default: 1, min: 0.001, max: 20, curve: 'log', step: 0.01 },
             bypass: false
         }
     },
     
+    ports: [AUDIO_IN_PORT, AUDIO_OUT_PORT, cvInputPort('frequency')],
+    
     toneFactory: (params) => {
         const filter = new Tone.Filter({
             frequency: params.frequency,
@@ -335,7 +932,7 @@ const FilterModule = {
                     
                     <div class="control-group">
                         <div class="corner-port-input secondary">
-                            <div class="patch-port cv-input" data-port-type="cv-in" data-signal="cv"></div>
+                            <div class="patch-port cv-input" data-port-type="cv-in" data-port-id="frequency" data-signal="cv"></div>
                             <span class="corner-port-label">CV</span>
                         </div>
                         <label class="control-label">FREQ</label>
@@ -375,15 +972,21 @@ const EnvelopeModule = {
     nodeConfig: {
         type: "AmplitudeEnvelope",
         parameters: {
-            attack: 0.1,
-            decay: 0.2,
-            sustain: 0.5,
-            release: 1.0,
+            attack: { default: 0.1, ...ENVELOPE_TIME_SPEC },
+            decay: { default: 0.2, ...ENVELOPE_TIME_SPEC },
+            sustain: { default: 0.5, ...LEVEL_SPEC },
+            release: { default: 1.0, ...ENVELOPE_TIME_SPEC },
             noteMode: true,  // true = musical notes, false = gate only
             bypass: false
         }
     },
     
+    ports: [
+        AUDIO_IN_PORT,
+        AUDIO_OUT_PORT,
+        { id: 'gate_in', direction: 'in', signal: 'gate' }
+    ],
+    
     toneFactory: (params) => {
         const envelope = new Tone.AmplitudeEnvelope({
             attack: params.attack,
@@ -483,6 +1086,37 @@ ModuleFactory.register('envelope', EnvelopeModule);
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
+/**
+ * Rate an LFO runs at: the SYNC note value ("4n" = one cycle per quarter note),
+ * or FREQ times the 1X/10X multiplier when free
+ * @param {Object} params - LFO parameters
+ * @returns {number|string} Frequency in Hz, or a note value
+ */
+function getLFOFrequency(params) {
+    if (params.sync && params.sync !== 'free') return params.sync;
+    return params.frequency * (parseFloat(params.multiplier) || 1);
+}
+
+/**
+ * Start an LFO's gate clock
+ * CV cables into gate inputs join lfo.gates; the clock runs at the LFO's rate and
+ * triggers them for the first half of every cycle while the LFO runs.
+ * generateLFOCode emits the same callback
+ * @param {Tone.LFO} lfo - LFO carrying its gate list
+ * @param {number|string} frequency - LFO rate (see getLFOFrequency)
+ * @returns {Tone.Clock} Started clock
+ */
+function createLFOGateClock(lfo, frequency) {
+    return new Tone.Clock({
+        callback: (time) => {
+            if (lfo.state !== 'started') return;
+            const duration = 0.5 / lfo.gateClock.frequency.value;
+            lfo.gates.forEach(envelope => envelope.triggerAttackRelease(duration, time));
+        },
+        frequency
+    }).start();
+}
+
 /**
  * LFO Module - Low Frequency Oscillator
  * Generates control voltage for modulating other parameters
@@ -491,22 +1125,43 @@ const LFOModule = {
     nodeConfig: {
         type: "LFO",
         parameters: {
-            frequency: 1,      // Speed of modulation in Hz
+            // Speed of modulation
+            frequency: { default: 1, min: 1, max: 20, curve: 'log', step: 0.01, unit: 'Hz' },
+            sync: "free",      // Note value ("1m", "4n", ...) or "free"
             type: "sine",      // Waveform of control signal
-            min: 200,          // Minimum filter frequency
-            max: 5000,         // Maximum filter frequency
+            // Filter frequency range the LFO sweeps
+            min: { default: 200, ...AUDIO_FREQUENCY_SPEC },
+            max: { default: 5000, ...AUDIO_FREQUENCY_SPEC },
             multiplier: 1,     // Frequency multiplier (1x or 10x)
             bypass: false
         }
     },
     
+    // Patched into a gate input, the CV output opens the gate once per cycle
+    ports: [{ id: 'cv_out', direction: 'out', signal: 'cv', gateNode: 'gates' }],
+    
     toneFactory: (params) => {
         const lfo = new Tone.LFO({
-            frequency: params.frequency,
+            frequency: getLFOFrequency(params),
             type: params.type,
             min: params.min,
             max: params.max
         });
+        lfo.gates = []; // Envelopes patched to the CV output's gate (filled by applyConnection)
+        lfo.gateClock = createLFOGateClock(lfo, getLFOFrequency(params));
+
+        // Gate cables are re-applied by compilePatching after every full disconnect
+        const disconnect = lfo.disconnect.bind(lfo);
+        lfo.disconnect = (...args) => {
+            if (args.length === 0) lfo.gates = [];
+            return disconnect(...args);
+        };
+
+        const dispose = lfo.dispose.bind(lfo);
+        lfo.dispose = () => {
+            lfo.gateClock.dispose();
+            return dispose();
+        };
         
         // Bypass will be handled dynamically by syncToneEngine
         
@@ -514,6 +1169,10 @@ const LFOModule = {
     },
     
     renderFunction: (lfoData) => {
+        const syncOptions = ['free', '1m', '2n', '4n', '8n', '16n']
+            .map(value => `<option value="${value}" ${lfoData.parameters.sync === value ? 'selected' : ''}>${value === 'free' ? 'FREE' : value.toUpperCase()}</option>`)
+            .join('');
+
         return `
             <div class="synth-module" data-module-id="${lfoData.id}">
                 <div class="module-header">
@@ -536,6 +1195,9 @@ const LFOModule = {
                             <option value="sawtooth" ${lfoData.parameters.type === 'sawtooth' ? 'selected' : ''}>SAW</option>
                             <option value="triangle" ${lfoData.parameters.type === 'triangle' ? 'selected' : ''}>TRI</option>
                         </select>
+                        <select class="lfo-sync-selector" data-param="sync">
+                            ${syncOptions}
+                        </select>
                         <div class="wave-visual" data-wave-type="${lfoData.parameters.type}"></div>
                     </div>
                     
@@ -595,12 +1257,16 @@ const ReverbModule = {
     nodeConfig: {
         type: "Reverb",
         parameters: {
-            decay: 1.5,        // Length of reverb tail in seconds
-            wet: 0.5,          // Mix level (0 = dry, 1 = wet)
+            // Length of reverb tail
+            decay: { default: 1.5, min: 0.1, max: 10, curve: 'log', step: 0.01, unit: 's' },
+            // Mix level (0 = dry, 1 = wet)
+            wet: { default: 0.5, ...LEVEL_SPEC },
             bypass: false
         }
     },
     
+    ports: [AUDIO_IN_PORT, AUDIO_OUT_PORT],
+    
     toneFactory: (params) => {
         const reverb = new Tone.Reverb({
             decay: params.decay,
@@ -668,84 +1334,1189 @@ ModuleFactory.register('reverb', ReverbModule);
 
 /**
  * ═══════════════════════════════════════════════════════════════════════════════
- * EQ8 MODULE DEFINITION - 8-BAND EQUALIZER
+ * DELAY MODULE DEFINITION
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
 /**
- * EQ8 Module - 8-band parametric equalizer with spectrum visualization
- * Ableton-style layout with frequency bands and visual feedback
+ * Longest delay line the module allocates, in seconds (TIME knob plus CV)
  */
-const EQ8Module = {
+const DELAY_MAX_TIME = 4;
+
+/**
+ * CV into delay time is read in milliseconds - an LFO sweeping 20-30 adds 20-30ms
+ */
+const DELAY_CV_SCALE = 0.001;
+
+/**
+ * Delay time a delay node plays: the synced note value, or TIME in seconds when free
+ * @param {Object} params - Delay parameters
+ * @returns {number|string} Seconds or a Tone.js note value such as "8n"
+ */
+function getDelayTime(params) {
+    return params.sync && params.sync !== 'free' ? params.sync : params.delayTime;
+}
+
+/**
+ * Delay Module - Feedback or ping-pong echo
+ * TIME is free-running seconds unless SYNC picks a note value. The CV input adds
+ * to TIME (in ms) through the timeCV gain, so an LFO can sweep it for chorus
+ */
+const DelayModule = {
     nodeConfig: {
-        type: "EQ8",
+        type: "FeedbackDelay",
         parameters: {
-            band1Gain: 0,     // 60Hz
-            band2Gain: 0,     // 170Hz  
-            band3Gain: 0,     // 350Hz
-            band4Gain: 0,     // 1kHz
-            band5Gain: 0,     // 2.8kHz
-            band6Gain: 0,     // 7kHz
-            band7Gain: 0,     // 10kHz
-            band8Gain: 0,     // 15kHz
-            masterGain: 1.0,
+            mode: "feedback",  // "feedback" or "pingpong"
+            // Free-running delay time
+            delayTime: { default: 0.25, min: 0.01, max: 2, curve: 'log', step: 0.001, unit: 's' },
+            sync: "free",      // Note value ("4n", "8n", ...) or "free"
+            // Amount fed back into the delay line
+            feedback: { default: 0.4, ...LEVEL_SPEC, max: 0.95 },
+            // Mix level (0 = dry, 1 = wet)
+            wet: { default: 0.35, ...LEVEL_SPEC },
             bypass: false
         }
     },
-    
+
+    // The CV input sweeps the delay time through the timeCV gain
+    ports: [AUDIO_IN_PORT, AUDIO_OUT_PORT, cvInputPort('timeCV')],
+
     toneFactory: (params) => {
-        console.log('🎛️ EQ8 toneFactory called with params:', params);
-        
-        // Calculate EQ band values from our 8 visual bands
-        // Map 8 bands to 3 EQ3 bands: Low (bands 1-3), Mid (bands 4-5), High (bands 6-8)
-        const lowGains = [params.band1Gain || 0, params.band2Gain || 0, params.band3Gain || 0];
-        const midGains = [params.band4Gain || 0, params.band5Gain || 0];
-        const highGains = [params.band6Gain || 0, params.band7Gain || 0, params.band8Gain || 0];
-        
-        // Average the band gains for each EQ3 section
-        const lowGain = lowGains.reduce((a, b) => a + b, 0) / lowGains.length;
-        const midGain = midGains.reduce((a, b) => a + b, 0) / midGains.length;
-        const highGain = highGains.reduce((a, b) => a + b, 0) / highGains.length;
-        
-        // Create Tone.EQ3 - this is the proper way to do EQ!
-        const eq3 = new Tone.EQ3({
-            low: lowGain,    // dB gain for low frequencies
-            mid: midGain,    // dB gain for mid frequencies  
-            high: highGain   // dB gain for high frequencies
-        });
-        
-        // Create master gain stage
-        const masterGain = new Tone.Gain(params.masterGain || 1.0);
-        eq3.connect(masterGain);
-        
-        // Create spectrum analyzer for visualization
-        const analyzer = new Tone.FFT(128);
-        masterGain.connect(analyzer);
-        
-        // Store band mapping for sync updates
-        const frequencies = [60, 170, 350, 1000, 2800, 7000, 10000, 15000];
-        const eqBands = [];
-        for (let i = 0; i < 8; i++) {
-            const bandGain = params[`band${i+1}Gain`] || 0;
-            eqBands.push({
-                frequency: frequencies[i],
-                gainDb: bandGain,
-                // Map to which EQ3 band this visual band affects
-                eqSection: i < 3 ? 'low' : i < 5 ? 'mid' : 'high'
-            });
-        }
-        
-        // Attach components to master for easy access
-        masterGain.eq3 = eq3;
-        masterGain.eqBands = eqBands; // For UI sync
-        masterGain.analyzer = analyzer;
-        masterGain.inputNode = eq3; // Input connects to EQ3
-        
-        console.log('🎛️ EQ8 created with Tone.EQ3:', {
-            low: lowGain + 'dB',
-            mid: midGain + 'dB', 
-            high: highGain + 'dB'
+        const DelayClass = params.mode === 'pingpong' ? Tone.PingPongDelay : Tone.FeedbackDelay;
+        const delay = new DelayClass({
+            delayTime: getDelayTime(params),
+            feedback: params.feedback,
+            wet: params.wet,
+            maxDelay: DELAY_MAX_TIME
         });
+
+        // CV input sums into delay time - a Gain, so patching it never overrides TIME
+        const timeCV = new Tone.Gain(DELAY_CV_SCALE).connect(delay.delayTime);
+        const disposeDelay = delay.dispose.bind(delay);
+        delay.dispose = () => {
+            timeCV.dispose();
+            return disposeDelay();
+        };
+
+        // Attach components for routing, and remember the mode the object was built for
+        delay.timeCV = timeCV;
+        delay.mode = params.mode;
+
+        // Bypass will be handled dynamically by syncToneEngine
+
+        return delay;
+    },
+
+    renderFunction: (delayData) => {
+        const syncOptions = ['free', '1n', '2n', '4n', '8n', '8t', '16n']
+            .map(value => `<option value="${value}" ${delayData.parameters.sync === value ? 'selected' : ''}>${value === 'free' ? 'FREE' : value.toUpperCase()}</option>`)
+            .join('');
+
+        return `
+            <div class="synth-module" data-module-id="${delayData.id}">
+                <div class="corner-port-input">
+                    <div class="patch-port audio-input" data-port-type="audio-in" data-signal="audio"></div>
+                    <span class="corner-port-label">IN</span>
+                </div>
+
+                <div class="corner-port-output">
+                    <div class="patch-port audio-output" data-port-type="audio-out" data-signal="audio"></div>
+                    <span class="corner-port-label">OUT</span>
+                </div>
+
+                <div class="module-header">
+                    <h3 class="module-title">DELAY-1</h3>
+                    <div class="module-header-controls">
+                        <button class="bypass-toggle ${delayData.parameters.bypass ? 'bypassed' : ''}"
+                                data-param="bypass"
+                                data-value="${delayData.parameters.bypass}">
+                            B
+                        </button>
+                        <button class="delete-module" title="Delete module">×</button>
+                    </div>
+                </div>
+
+                <div class="module-controls">
+                    <div class="control-group">
+                        <select class="delay-mode-selector" data-param="mode">
+                            <option value="feedback" ${delayData.parameters.mode === 'feedback' ? 'selected' : ''}>FEEDBACK</option>
+                            <option value="pingpong" ${delayData.parameters.mode === 'pingpong' ? 'selected' : ''}>PING-PONG</option>
+                        </select>
+                        <select class="delay-sync-selector" data-param="sync">
+                            ${syncOptions}
+                        </select>
+                    </div>
+
+                    <div class="control-group">
+                        <div class="corner-port-input secondary">
+                            <div class="patch-port cv-input" data-port-type="cv-in" data-port-id="timeCV" data-signal="cv"></div>
+                            <span class="corner-port-label">CV</span>
+                        </div>
+                        <label class="control-label">TIME</label>
+                        <div class="synth-knob delay-knob" data-param="delayTime" data-value="${delayData.parameters.delayTime}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${delayData.parameters.delayTime}s</span>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">FDBK</label>
+                        <div class="synth-knob delay-knob" data-param="feedback" data-value="${delayData.parameters.feedback}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${Math.round(delayData.parameters.feedback * 100)}%</span>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">WET</label>
+                        <div class="synth-knob delay-knob" data-param="wet" data-value="${delayData.parameters.wet}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${delayData.parameters.wet}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Register the delay module
+ModuleFactory.register('delay', DelayModule);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * DRIVE MODULE DEFINITION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Tone.js class behind each drive mode
+ */
+const DRIVE_MODE_CLASSES = {
+    distortion: 'Distortion',
+    chebyshev: 'Chebyshev',
+    bitcrusher: 'BitCrusher',
+    waveshaper: 'WaveShaper'
+};
+
+/**
+ * Points in a drawn waveshaper curve - one per column of the 16x16 pixel matrix
+ */
+const DRIVE_CURVE_POINTS = 16;
+
+/**
+ * Read a transfer curve at an input level, interpolating like the Web Audio WaveShaper
+ * @param {Array} curve - Output levels for inputs spread evenly from -1 to 1
+ * @param {number} x - Input level (-1 to 1)
+ * @returns {number} Output level
+ */
+function sampleDriveCurve(curve, x) {
+    const position = (Math.max(-1, Math.min(1, x)) + 1) / 2 * (curve.length - 1);
+    const index = Math.min(Math.floor(position), curve.length - 2);
+    const fraction = position - index;
+    return curve[index] + (curve[index + 1] - curve[index]) * fraction;
+}
+
+/**
+ * Tone.js options a drive node plays with, for its mode
+ * DRIVE maps to distortion amount, Chebyshev order (1-50) or bit depth (16-1).
+ * The WaveShaper has no wet control, so WET is folded into its curve as a
+ * dry/wet blend of the transfer function - bypass leaves a straight line
+ * @param {Object} params - Drive parameters
+ * @returns {Object} Constructor options
+ */
+function getDriveOptions(params) {
+    const wet = params.bypass ? 0 : params.wet;
+    switch (params.mode) {
+        case 'chebyshev':
+            return { order: 1 + Math.round(params.drive * 49), wet };
+        case 'bitcrusher':
+            return { bits: Math.max(1, Math.round(16 - params.drive * 15)), wet };
+        case 'waveshaper': {
+            const curve = params.curve;
+            const mapping = curve.map((level, index) => {
+                const x = index / (curve.length - 1) * 2 - 1;
+                return Math.round((level * wet + x * (1 - wet)) * 10000) / 10000;
+            });
+            return { mapping };
+        }
+        default:
+            return { distortion: params.drive, wet };
+    }
+}
+
+/**
+ * Output level of a drive node for an input level - used to draw the transfer curve
+ * Mirrors the curves Tone.js computes for Distortion, Chebyshev and BitCrusher
+ * @param {Object} params - Drive parameters
+ * @param {number} x - Input level (-1 to 1)
+ * @returns {number} Output level
+ */
+function getDriveTransfer(params, x) {
+    const options = getDriveOptions(params);
+    if (options.mapping) {
+        return sampleDriveCurve(options.mapping, x);
+    }
+
+    let shaped;
+    if (options.order !== undefined) {
+        shaped = Math.cos(options.order * Math.acos(Math.max(-1, Math.min(1, x))));
+    } else if (options.bits !== undefined) {
+        const steps = Math.pow(2, options.bits - 1);
+        shaped = Math.round(x * steps) / steps;
+    } else {
+        const k = options.distortion * 100;
+        const deg = Math.PI / 180;
+        shaped = (3 + k) * x * 20 * deg / (Math.PI + k * Math.abs(x));
+    }
+    return shaped * options.wet + x * (1 - options.wet);
+}
+
+/**
+ * Drive Module - Soft-clip distortion, Chebyshev harmonics, bit crushing or a
+ * hand-drawn waveshaper curve. The pixel matrix shows the transfer curve and,
+ * in WAVESHAPER mode, is drawn on to shape it
+ */
+const DriveModule = {
+    nodeConfig: {
+        type: "Distortion",
+        parameters: {
+            mode: "distortion", // "distortion", "chebyshev", "bitcrusher" or "waveshaper"
+            // Amount for the current mode
+            drive: { default: 0.4, ...LEVEL_SPEC },
+            curve: Array.from({ length: DRIVE_CURVE_POINTS }, (_, index) => {
+                // Soft-clip starting shape for the waveshaper
+                const x = index / (DRIVE_CURVE_POINTS - 1) * 2 - 1;
+                return Math.round(Math.tanh(2.5 * x) / Math.tanh(2.5) * 100) / 100;
+            }),
+            // Mix level (0 = dry, 1 = wet)
+            wet: { default: 1, ...LEVEL_SPEC },
+            bypass: false
+        }
+    },
+
+    ports: [AUDIO_IN_PORT, AUDIO_OUT_PORT],
+
+    toneFactory: (params) => {
+        const drive = new Tone[DRIVE_MODE_CLASSES[params.mode]](getDriveOptions(params));
+
+        // Remember the mode the object was built for - switching mode rebuilds it
+        drive.mode = params.mode;
+
+        // Bypass will be handled dynamically by syncToneEngine
+
+        return drive;
+    },
+
+    renderFunction: (driveData) => {
+        return `
+            <div class="synth-module" data-module-id="${driveData.id}">
+                <div class="corner-port-input">
+                    <div class="patch-port audio-input" data-port-type="audio-in" data-signal="audio"></div>
+                    <span class="corner-port-label">IN</span>
+                </div>
+
+                <div class="corner-port-output">
+                    <div class="patch-port audio-output" data-port-type="audio-out" data-signal="audio"></div>
+                    <span class="corner-port-label">OUT</span>
+                </div>
+
+                <div class="module-header">
+                    <h3 class="module-title">DRIVE-1</h3>
+                    <div class="module-header-controls">
+                        <button class="bypass-toggle ${driveData.parameters.bypass ? 'bypassed' : ''}"
+                                data-param="bypass"
+                                data-value="${driveData.parameters.bypass}">
+                            B
+                        </button>
+                        <button class="delete-module" title="Delete module">×</button>
+                    </div>
+                </div>
+
+                <div class="module-controls">
+                    <div class="control-group">
+                        <select class="drive-mode-selector" data-param="mode">
+                            <option value="distortion" ${driveData.parameters.mode === 'distortion' ? 'selected' : ''}>DIST</option>
+                            <option value="chebyshev" ${driveData.parameters.mode === 'chebyshev' ? 'selected' : ''}>CHEBY</option>
+                            <option value="bitcrusher" ${driveData.parameters.mode === 'bitcrusher' ? 'selected' : ''}>CRUSH</option>
+                            <option value="waveshaper" ${driveData.parameters.mode === 'waveshaper' ? 'selected' : ''}>SHAPER</option>
+                        </select>
+                        <div class="wave-visual" data-wave-type="waveshaper"></div>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">DRIVE</label>
+                        <div class="synth-knob drive-knob" data-param="drive" data-value="${driveData.parameters.drive}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${Math.round(driveData.parameters.drive * 100)}%</span>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">WET</label>
+                        <div class="synth-knob drive-knob" data-param="wet" data-value="${driveData.parameters.wet}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${driveData.parameters.wet}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Register the drive module
+ModuleFactory.register('drive', DriveModule);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULATION FX MODULE DEFINITION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Tone.js class behind each modulation mode
+ */
+const MODFX_MODE_CLASSES = {
+    chorus: 'Chorus',
+    phaser: 'Phaser',
+    tremolo: 'Tremolo',
+    vibrato: 'Vibrato',
+    autopanner: 'AutoPanner'
+};
+
+/**
+ * Modes whose internal LFO only runs after .start()
+ */
+const MODFX_STARTED_MODES = ['chorus', 'tremolo', 'autopanner'];
+
+/**
+ * Tone.js options a modulation node plays with, for its mode
+ * RATE is the internal LFO in Hz unless SYNC picks a note value ("4n" = one
+ * cycle per quarter note). DEPTH is the sweep in octaves (0-6) for the phaser
+ * @param {Object} params - Modulation parameters
+ * @returns {Object} Constructor options
+ */
+function getModFXOptions(params) {
+    const frequency = params.sync && params.sync !== 'free' ? params.sync : params.rate;
+    const wet = params.bypass ? 0 : params.wet;
+    switch (params.mode) {
+        case 'phaser':
+            return { frequency, octaves: Math.round(params.depth * 6 * 100) / 100, baseFrequency: 350, wet };
+        case 'chorus':
+            return { frequency, delayTime: 3.5, depth: params.depth, wet };
+        default:
+            return { frequency, depth: params.depth, wet };
+    }
+}
+
+/**
+ * Modulation FX Module - Chorus, phaser, tremolo, vibrato or auto-panner
+ * One Tone.js effect per mode; switching mode rebuilds it and re-applies its cables
+ */
+const ModFXModule = {
+    nodeConfig: {
+        type: "Chorus",
+        parameters: {
+            mode: "chorus",    // "chorus", "phaser", "tremolo", "vibrato" or "autopanner"
+            // Internal LFO rate
+            rate: { default: 1.5, min: 0.1, max: 20, curve: 'log', step: 0.1, unit: 'Hz' },
+            sync: "free",      // Note value ("1m", "4n", ...) or "free"
+            // Modulation depth
+            depth: { default: 0.5, ...LEVEL_SPEC },
+            // Mix level (0 = dry, 1 = wet)
+            wet: { default: 0.5, ...LEVEL_SPEC },
+            bypass: false
+        }
+    },
+
+    ports: [AUDIO_IN_PORT, AUDIO_OUT_PORT],
+
+    toneFactory: (params) => {
+        const modfx = new Tone[MODFX_MODE_CLASSES[params.mode]](getModFXOptions(params));
+
+        // Chorus, tremolo and auto-panner LFOs run from creation, like the oscillators
+        if (MODFX_STARTED_MODES.includes(params.mode)) {
+            modfx.start();
+        }
+
+        // Remember the mode the object was built for - switching mode rebuilds it
+        modfx.mode = params.mode;
+
+        // Bypass will be handled dynamically by syncToneEngine
+
+        return modfx;
+    },
+
+    renderFunction: (modfxData) => {
+        const modeOptions = Object.keys(MODFX_MODE_CLASSES)
+            .map(mode => `<option value="${mode}" ${modfxData.parameters.mode === mode ? 'selected' : ''}>${mode === 'autopanner' ? 'PANNER' : mode.toUpperCase()}</option>`)
+            .join('');
+        const syncOptions = ['free', '1m', '2n', '4n', '8n', '16n']
+            .map(value => `<option value="${value}" ${modfxData.parameters.sync === value ? 'selected' : ''}>${value === 'free' ? 'FREE' : value.toUpperCase()}</option>`)
+            .join('');
+
+        return `
+            <div class="synth-module" data-module-id="${modfxData.id}">
+                <div class="corner-port-input">
+                    <div class="patch-port audio-input" data-port-type="audio-in" data-signal="audio"></div>
+                    <span class="corner-port-label">IN</span>
+                </div>
+
+                <div class="corner-port-output">
+                    <div class="patch-port audio-output" data-port-type="audio-out" data-signal="audio"></div>
+                    <span class="corner-port-label">OUT</span>
+                </div>
+
+                <div class="module-header">
+                    <h3 class="module-title">MODFX-1</h3>
+                    <div class="module-header-controls">
+                        <button class="bypass-toggle ${modfxData.parameters.bypass ? 'bypassed' : ''}"
+                                data-param="bypass"
+                                data-value="${modfxData.parameters.bypass}">
+                            B
+                        </button>
+                        <button class="delete-module" title="Delete module">×</button>
+                    </div>
+                </div>
+
+                <div class="module-controls">
+                    <div class="control-group">
+                        <select class="modfx-mode-selector" data-param="mode">
+                            ${modeOptions}
+                        </select>
+                        <select class="modfx-sync-selector" data-param="sync">
+                            ${syncOptions}
+                        </select>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">RATE</label>
+                        <div class="synth-knob modfx-knob" data-param="rate" data-value="${modfxData.parameters.rate}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${modfxData.parameters.rate}Hz</span>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">DEPTH</label>
+                        <div class="synth-knob modfx-knob" data-param="depth" data-value="${modfxData.parameters.depth}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${Math.round(modfxData.parameters.depth * 100)}%</span>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">WET</label>
+                        <div class="synth-knob modfx-knob" data-param="wet" data-value="${modfxData.parameters.wet}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${modfxData.parameters.wet}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Register the modulation FX module
+ModuleFactory.register('modfx', ModFXModule);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * COMPRESSOR MODULE DEFINITION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Points in the sidechain gain curve - fine enough to resolve a -60dB threshold
+ */
+const COMPRESSOR_KEY_CURVE_POINTS = 4096;
+
+/**
+ * Sidechain gain computer: what the key curve adds to the makeup gain for a key level
+ * Same threshold / ratio / soft-knee law as DynamicsCompressorNode, scaled by makeup
+ * because the curve output sums into the makeup gain
+ * @param {number} level - Key follower level (0 to 1)
+ * @param {number} threshold - Threshold in dB
+ * @param {number} ratio - Compression ratio
+ * @param {number} knee - Knee width in dB
+ * @param {number} makeup - Makeup gain (linear)
+ * @returns {number} Gain offset
+ */
+function compressorKeyCurve(level, threshold, ratio, knee, makeup) {
+    const over = 20 * Math.log10(Math.max(Math.abs(level), 0.00001)) - threshold;
+    let reduction = 0;
+    if (2 * over > knee) {
+        reduction = over * (1 - 1 / ratio);
+    } else if (knee > 0 && 2 * over > -knee) {
+        reduction = (1 - 1 / ratio) * Math.pow(over + knee / 2, 2) / (2 * knee);
+    }
+    return makeup * (Math.pow(10, -reduction / 20) - 1);
+}
+
+/**
+ * Settings a compressor module plays with
+ * LIMIT mode uses Tone.Limiter's fixed ratio and timing. With the key on the
+ * sidechain the Tone.Compressor is left neutral and the key curve compresses
+ * instead; bypass leaves both neutral and makeup at unity
+ * @param {Object} params - Compressor parameters
+ * @returns {Object} { compressor: Tone.Compressor options, makeup: linear gain,
+ *                     smoothing: key follower time, key: [threshold, ratio, knee] }
+ */
+function getCompressorSettings(params) {
+    const limiter = params.mode === 'limiter';
+    const dynamics = {
+        threshold: params.threshold,
+        ratio: limiter ? 20 : params.ratio,
+        attack: limiter ? 0.003 : params.attack,
+        release: limiter ? 0.01 : params.release,
+        knee: limiter ? 0 : params.knee
+    };
+    const neutral = { ...dynamics, threshold: 0, ratio: 1, knee: 0 };
+    const keyed = !params.bypass && params.key === 'sidechain';
+
+    return {
+        compressor: params.bypass || keyed ? neutral : dynamics,
+        makeup: params.bypass ? 1 : Math.round(Math.pow(10, params.makeup / 20) * 10000) / 10000,
+        smoothing: dynamics.release,
+        key: keyed ? [dynamics.threshold, dynamics.ratio, dynamics.knee] : [0, 1, 0]
+    };
+}
+
+/**
+ * Compressor Module - Dynamics with a limiter mode and a sidechain key input
+ * Audio runs through a Tone.Compressor into a makeup gain. The SC input feeds a
+ * follower whose level, shaped by the gain computer, rides the makeup gain
+ */
+const CompressorModule = {
+    nodeConfig: {
+        type: "Compressor",
+        parameters: {
+            mode: "compressor",  // "compressor" or "limiter"
+            key: "internal",     // Detect on the input ("internal") or the SC input ("sidechain")
+            threshold: { default: -24, min: -60, max: 0, curve: 'linear', step: 0.1, unit: 'dB' },
+            ratio: { default: 4, min: 1, max: 20, curve: 'log', step: 0.1, format: (value) => `${value}:1` },
+            attack: { default: 0.01, min: 0.001, max: 1, curve: 'log', step: 0.001, unit: 's' },
+            release: { default: 0.25, min: 0.01, max: 1, curve: 'log', step: 0.001, unit: 's' },
+            knee: { default: 6, min: 0, max: 40, curve: 'linear', step: 0.1, unit: 'dB' },
+            makeup: { default: 0, min: 0, max: 24, curve: 'linear', step: 0.1, format: (value) => `+${value}dB` },
+            bypass: false
+        }
+    },
+
+    // The live object is the makeup gain; exported code names the compressor and hangs the gain off it
+    ports: [
+        { ...AUDIO_IN_PORT, node: 'inputNode', codeNode: '' },
+        { ...AUDIO_OUT_PORT, codeNode: 'makeup' },
+        { id: 'sidechain_in', direction: 'in', signal: 'audio', node: 'sidechain' }
+    ],
+
+    toneFactory: (params) => {
+        const settings = getCompressorSettings(params);
+
+        const compressor = new Tone.Compressor(settings.compressor);
+        const makeup = new Tone.Gain(settings.makeup);
+        compressor.connect(makeup);
+
+        // Sidechain key: follower level → gain computer → rides the makeup gain
+        const sidechain = new Tone.Follower(settings.smoothing);
+        const keyCurve = new Tone.WaveShaper((level) => compressorKeyCurve(level, ...settings.key, settings.makeup), COMPRESSOR_KEY_CURVE_POINTS);
+        sidechain.chain(keyCurve, makeup.gain);
+
+        // Metering tap for the gain-reduction readout
+        const keyMeter = new Tone.DCMeter();
+        keyCurve.connect(keyMeter);
+
+        // Attach components to the output stage for easy access
+        makeup.compressor = compressor;
+        makeup.sidechain = sidechain;
+        makeup.keyCurve = keyCurve;
+        makeup.keyMeter = keyMeter;
+        makeup.inputNode = compressor; // Input connects to the compressor
+
+        // Bypass will be handled dynamically by syncToneEngine
+
+        return makeup;
+    },
+
+    renderFunction: (compressorData) => {
+        const knob = (param, label, display) => `
+                    <div class="control-group">
+                        <label class="control-label">${label}</label>
+                        <div class="synth-knob compressor-knob" data-param="${param}" data-value="${compressorData.parameters[param]}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${display}</span>
+                    </div>`;
+
+        return `
+            <div class="synth-module" data-module-id="${compressorData.id}">
+                <div class="corner-port-input">
+                    <div class="patch-port audio-input" data-port-type="audio-in" data-signal="audio"></div>
+                    <span class="corner-port-label">IN</span>
+                </div>
+
+                <div class="corner-port-output">
+                    <div class="patch-port audio-output" data-port-type="audio-out" data-signal="audio"></div>
+                    <span class="corner-port-label">OUT</span>
+                </div>
+
+                <div class="module-header">
+                    <h3 class="module-title">COMP-1</h3>
+                    <div class="module-header-controls">
+                        <button class="bypass-toggle ${compressorData.parameters.bypass ? 'bypassed' : ''}"
+                                data-param="bypass"
+                                data-value="${compressorData.parameters.bypass}">
+                            B
+                        </button>
+                        <button class="delete-module" title="Delete module">×</button>
+                    </div>
+                </div>
+
+                <div class="module-controls">
+                    <div class="control-group">
+                        <select class="compressor-mode-selector" data-param="mode">
+                            <option value="compressor" ${compressorData.parameters.mode === 'compressor' ? 'selected' : ''}>COMP</option>
+                            <option value="limiter" ${compressorData.parameters.mode === 'limiter' ? 'selected' : ''}>LIMIT</option>
+                        </select>
+                        <select class="compressor-key-selector" data-param="key">
+                            <option value="internal" ${compressorData.parameters.key === 'internal' ? 'selected' : ''}>KEY INT</option>
+                            <option value="sidechain" ${compressorData.parameters.key === 'sidechain' ? 'selected' : ''}>KEY SC</option>
+                        </select>
+                        <div class="wave-visual" data-wave-type="gain-reduction"></div>
+                    </div>
+
+                    <div class="control-group">
+                        <div class="corner-port-input secondary">
+                            <div class="patch-port audio-input" data-port-type="sidechain-in" data-signal="audio"></div>
+                            <span class="corner-port-label">SC</span>
+                        </div>
+                        <label class="control-label">THRESH</label>
+                        <div class="synth-knob compressor-knob" data-param="threshold" data-value="${compressorData.parameters.threshold}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${compressorData.parameters.threshold}dB</span>
+                    </div>
+                    ${knob('ratio', 'RATIO', `${compressorData.parameters.ratio}:1`)}
+                    ${knob('attack', 'ATTACK', `${compressorData.parameters.attack}s`)}
+                    ${knob('release', 'RELEASE', `${compressorData.parameters.release}s`)}
+                    ${knob('knee', 'KNEE', `${compressorData.parameters.knee}dB`)}
+                    ${knob('makeup', 'MAKEUP', `+${compressorData.parameters.makeup}dB`)}
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Register the compressor module
+ModuleFactory.register('compressor', CompressorModule);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * STEP SEQUENCER MODULE DEFINITION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Number of steps in a sequencer pattern
+ */
+const SEQUENCER_STEP_COUNT = 16;
+
+/**
+ * Per-step parameters - one array entry per step
+ */
+const SEQUENCER_STEP_FIELDS = ['notes', 'steps', 'lengths', 'accents'];
+
+/**
+ * Gate velocity of unaccented steps (accented steps play at 1)
+ */
+const SEQUENCER_VELOCITY = 0.6;
+
+/**
+ * Step rates the RATE selector offers
+ */
+const SEQUENCER_RATES = ['4n', '8n', '8t', '16n', '16t', '32n'];
+
+/**
+ * Start a sequencer's Tone.Sequence on the transport
+ * Each step with its gate on sets the pitch CV and triggers every envelope patched
+ * to the GATE output for LENGTH of the step. generateSequencerCode emits the same callback
+ * @param {Tone.Signal} sequencer - Sequencer pitch signal carrying notes/steps/lengths/accents/gates
+ * @returns {Tone.Sequence} Started sequence
+ */
+function createSequencerSequence(sequencer) {
+    const stepIndexes = Array.from({ length: SEQUENCER_STEP_COUNT }, (_, index) => index);
+    return new Tone.Sequence((time, step) => {
+        if (sequencer.onStep) sequencer.onStep(step, time);
+        if (!sequencer.steps[step]) return;
+        sequencer.setValueAtTime(Tone.Frequency(sequencer.notes[step]).toFrequency(), time);
+        const duration = sequencer.lengths[step] * Tone.Time(sequencer.rate).toSeconds();
+        sequencer.gates.forEach(envelope => envelope.triggerAttackRelease(duration, time, sequencer.accents[step] ? 1 : SEQUENCER_VELOCITY));
+    }, stepIndexes, sequencer.rate).start(0);
+}
+
+/**
+ * Step buttons of a sequencer: lit when the gate is on, marked when accented
+ * @param {Object} params - Sequencer parameters
+ * @param {number} selectedStep - Step the NOTE / LENGTH / ACCENT controls edit
+ * @returns {string} HTML string
+ */
+function renderSequencerSteps(params, selectedStep = 0) {
+    return params.notes.map((note, step) => `
+                            <button class="sequencer-step ${params.steps[step] ? 'on' : ''} ${params.accents[step] ? 'accent' : ''} ${step === selectedStep ? 'selected' : ''}"
+                                    data-step="${step}">${note}</button>`).join('');
+}
+
+/**
+ * Step Sequencer Module - 16 steps of note, gate, length and accent
+ * Runs on Tone.Transport. The PITCH output is a frequency signal (patch it to an
+ * oscillator's CV input) and the GATE output triggers envelopes on every gated step
+ */
+const SequencerModule = {
+    nodeConfig: {
+        type: "Sequence",
+        parameters: {
+            rate: "16n",
+            // Step notes - a step knob turns the MIDI note number
+            notes: {
+                default: ["C3", "C3", "D#3", "C3", "G3", "C3", "A#2", "C3", "C3", "C4", "C3", "G3", "D#3", "C3", "F3", "G3"],
+                min: 24, max: 96, curve: 'linear', step: 1, format: (value) => Tone.Frequency(value, 'midi').toNote()
+            },
+            steps: [true, false, true, true, true, false, true, false, true, true, false, true, true, false, true, true],
+            // Step gate lengths as a share of the step
+            lengths: { default: Array(SEQUENCER_STEP_COUNT).fill(0.5), ...LEVEL_SPEC, min: 0.05 },
+            accents: [true, false, false, false, true, false, false, false, true, false, false, false, true, false, false, false],
+            bypass: false
+        }
+    },
+
+    // The pitch CV is the sequencer's own signal, its steps trigger the gate list
+    // Patched into a gate input, the PITCH output gates like GATE does
+    ports: [
+        { id: 'cv_out', direction: 'out', signal: 'cv', gateNode: 'gates' },
+        { id: 'gate_out', direction: 'out', signal: 'gate', node: 'gates' }
+    ],
+
+    toneFactory: (params) => {
+        // The pitch CV - steps set it to their note's frequency
+        const sequencer = new Tone.Signal({
+            value: Tone.Frequency(params.notes[0]).toFrequency(),
+            units: "frequency"
+        });
+        SEQUENCER_STEP_FIELDS.forEach(field => {
+            sequencer[field] = [...params[field]];
+        });
+        sequencer.rate = params.rate;
+        sequencer.gates = []; // Envelopes patched to the GATE output (filled by applyConnection)
+        sequencer.sequence = createSequencerSequence(sequencer);
+
+        // Gate cables are re-applied by compilePatching after every full disconnect
+        const disconnect = sequencer.disconnect.bind(sequencer);
+        sequencer.disconnect = (...args) => {
+            if (args.length === 0) sequencer.gates = [];
+            return disconnect(...args);
+        };
+
+        const dispose = sequencer.dispose.bind(sequencer);
+        sequencer.dispose = () => {
+            sequencer.sequence.dispose();
+            return dispose();
+        };
+
+        // Bypass (muting the sequence) will be handled dynamically by syncToneEngine
+
+        return sequencer;
+    },
+
+    renderFunction: (sequencerData) => {
+        const rateOptions = SEQUENCER_RATES.map(rate =>
+            `<option value="${rate}" ${sequencerData.parameters.rate === rate ? 'selected' : ''}>${rate.toUpperCase()}</option>`
+        ).join('');
+        const firstNote = Tone.Frequency(sequencerData.parameters.notes[0]).toMidi();
+
+        return `
+            <div class="synth-module" data-module-id="${sequencerData.id}">
+                <div class="corner-port-output">
+                    <div class="patch-port gate-output" data-port-type="gate-out" data-signal="gate"></div>
+                    <span class="corner-port-label">GATE</span>
+                </div>
+
+                <div class="module-header">
+                    <h3 class="module-title">SEQ-1</h3>
+                    <div class="module-header-controls">
+                        <button class="transport-run-toggle" title="Start/stop the transport">RUN</button>
+                        <button class="bypass-toggle ${sequencerData.parameters.bypass ? 'bypassed' : ''}"
+                                data-param="bypass"
+                                data-value="${sequencerData.parameters.bypass}">
+                            B
+                        </button>
+                        <button class="delete-module" title="Delete module">×</button>
+                    </div>
+                </div>
+
+                <div class="module-controls">
+                    <div class="control-group">
+                        <select class="sequencer-rate-selector" data-param="rate">
+                            ${rateOptions}
+                        </select>
+                        <div class="sequencer-steps">${renderSequencerSteps(sequencerData.parameters)}
+                        </div>
+                    </div>
+
+                    <div class="control-group">
+                        <div class="corner-port-output">
+                            <div class="patch-port cv-output" data-port-type="cv-out" data-signal="cv"></div>
+                            <span class="corner-port-label">PITCH</span>
+                        </div>
+                        <label class="control-label">NOTE</label>
+                        <div class="synth-knob sequencer-knob sequencer-step-knob" data-param="notes" data-value="${firstNote}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${sequencerData.parameters.notes[0]}</span>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">LENGTH</label>
+                        <div class="synth-knob sequencer-knob sequencer-step-knob" data-param="lengths" data-value="${sequencerData.parameters.lengths[0]}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${Math.round(sequencerData.parameters.lengths[0] * 100)}%</span>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">ACCENT</label>
+                        <button class="sequencer-accent-toggle ${sequencerData.parameters.accents[0] ? 'active' : ''}" data-param="accents">ACC</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Register the step sequencer module
+ModuleFactory.register('sequencer', SequencerModule);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CLOCK MODULE DEFINITION - TRANSPORT TEMPO AND CLOCK DIVISIONS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * Clock outputs - one gate port per note value. The first is the clock's own loop
+ */
+const CLOCK_DIVISIONS = ['4n', '8n', '16n', '4t', '8t', '16t'];
+
+/**
+ * Gate length of a clock pulse, as a fraction of its division
+ */
+const CLOCK_GATE_LENGTH = 0.5;
+
+/**
+ * Swing subdivisions the SWING selector offers (Tone.Transport.swingSubdivision)
+ */
+const CLOCK_SWING_SUBDIVISIONS = ['8n', '16n'];
+
+/**
+ * Port label of a clock division: "8n" → "1/8", "8t" → "1/8T"
+ * @param {string} division - Note value
+ * @returns {string} Label
+ */
+function getClockDivisionLabel(division) {
+    return `1/${parseInt(division)}${division.endsWith('t') ? 'T' : ''}`;
+}
+
+/**
+ * Loop callback of one clock division: triggers every envelope patched to its output
+ * for CLOCK_GATE_LENGTH of the division. generateClockCode emits the same callback
+ * @param {Tone.Loop} clock - Clock loop carrying the gates of every division
+ * @param {string} division - Note value of the output
+ * @returns {Function} Loop callback
+ */
+function createClockCallback(clock, division) {
+    return (time) => {
+        const duration = Tone.Time(division).toSeconds() * CLOCK_GATE_LENGTH;
+        clock.gates[division].forEach(envelope => envelope.triggerAttackRelease(duration, time));
+    };
+}
+
+/**
+ * Tone.Transport settings of a clock - its tempo is the tempo of the whole patch
+ * @param {Object} params - Clock parameters
+ * @returns {Object} { bpm, swing, swingSubdivision }
+ */
+function getTransportSettings(params) {
+    return {
+        bpm: params.bpm,
+        swing: params.swing,
+        swingSubdivision: params.swingSubdivision
+    };
+}
+
+/**
+ * Clock Module - owns the Tone.Transport tempo, swing and start/stop
+ * Sequencers, synced delays, LFOs and modulation all follow its BPM. Each
+ * division output is a Tone.Loop on the transport that triggers the envelopes
+ * patched to it; bypass mutes the outputs but keeps the tempo. The transport
+ * has a single tempo, so a patch has at most one clock
+ */
+const ClockModule = {
+    maxInstances: 1,
+
+    nodeConfig: {
+        type: "Loop",
+        parameters: {
+            // Transport tempo in beats per minute
+            bpm: { default: 120, min: 40, max: 240, curve: 'linear', step: 1 },
+            // Transport swing
+            swing: { default: 0, ...LEVEL_SPEC },
+            swingSubdivision: "8n", // Note value the swing delays
+            bypass: false
+        }
+    },
+
+    // One gate output per division, each triggering its own gate list
+    ports: CLOCK_DIVISIONS.map(division =>
+        ({ id: `${division}_out`, direction: 'out', signal: 'gate', node: `gates.${division}` })),
+
+    toneFactory: (params) => {
+        Tone.Transport.set(getTransportSettings(params));
+
+        // The quarter-note loop is the clock itself; the other divisions run alongside it
+        const [beat, ...divisions] = CLOCK_DIVISIONS;
+        const clock = new Tone.Loop({ interval: beat, mute: params.bypass });
+        clock.gates = Object.fromEntries(CLOCK_DIVISIONS.map(division => [division, []]));
+        clock.callback = createClockCallback(clock, beat);
+        clock.loops = divisions.map(division =>
+            new Tone.Loop({ callback: createClockCallback(clock, division), interval: division, mute: params.bypass }));
+        [clock, ...clock.loops].forEach(loop => loop.start(0));
+
+        // Gate cables are re-applied by compilePatching after every full disconnect
+        clock.disconnect = () => {
+            Object.values(clock.gates).forEach(gates => gates.splice(0));
+            return clock;
+        };
+
+        const dispose = clock.dispose.bind(clock);
+        clock.dispose = () => {
+            clock.loops.forEach(loop => loop.dispose());
+            return dispose();
+        };
+
+        return clock;
+    },
+
+    renderFunction: (clockData) => {
+        const swingOptions = CLOCK_SWING_SUBDIVISIONS.map(subdivision =>
+            `<option value="${subdivision}" ${clockData.parameters.swingSubdivision === subdivision ? 'selected' : ''}>SWING ${subdivision.toUpperCase()}</option>`
+        ).join('');
+        const outputs = CLOCK_DIVISIONS.map(division => `
+                            <div class="clock-output">
+                                <div class="patch-port gate-output" data-port-type="${division}-out" data-signal="gate"></div>
+                                <span class="corner-port-label">${getClockDivisionLabel(division)}</span>
+                            </div>`).join('');
+
+        return `
+            <div class="synth-module" data-module-id="${clockData.id}">
+                <div class="module-header">
+                    <h3 class="module-title">CLOCK-1</h3>
+                    <div class="module-header-controls">
+                        <button class="transport-run-toggle" title="Start/stop the transport">RUN</button>
+                        <button class="bypass-toggle ${clockData.parameters.bypass ? 'bypassed' : ''}"
+                                data-param="bypass"
+                                data-value="${clockData.parameters.bypass}">
+                            B
+                        </button>
+                        <button class="delete-module" title="Delete module">×</button>
+                    </div>
+                </div>
+
+                <div class="module-controls">
+                    <div class="control-group">
+                        <label class="control-label">BPM</label>
+                        <div class="synth-knob clock-knob" data-param="bpm" data-value="${clockData.parameters.bpm}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${clockData.parameters.bpm}</span>
+                    </div>
+
+                    <div class="control-group">
+                        <label class="control-label">SWING</label>
+                        <div class="synth-knob clock-knob" data-param="swing" data-value="${clockData.parameters.swing}">
+                            <div class="knob-indicator"></div>
+                        </div>
+                        <span class="control-value">${Math.round(clockData.parameters.swing * 100)}%</span>
+                    </div>
+
+                    <div class="control-group">
+                        <select class="clock-swing-selector" data-param="swingSubdivision">
+                            ${swingOptions}
+                        </select>
+                        <div class="clock-outputs">${outputs}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Register the clock module
+ModuleFactory.register('clock', ClockModule);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * EQ8 MODULE DEFINITION - 8-BAND EQUALIZER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+/**
+ * The 8 EQ bands - a low shelf, six peaking bands and a high shelf
+ * Frequency and Q are the defaults; every band's frequency, gain and Q can be edited.
+ * Web Audio shelving filters have a fixed slope, so Q only shapes the peaking bands.
+ */
+const EQ8_BANDS = [
+    { type: 'lowshelf', frequency: 60, Q: 0.71 },
+    { type: 'peaking', frequency: 170, Q: 1 },
+    { type: 'peaking', frequency: 350, Q: 1 },
+    { type: 'peaking', frequency: 1000, Q: 1 },
+    { type: 'peaking', frequency: 2800, Q: 1 },
+    { type: 'peaking', frequency: 7000, Q: 1 },
+    { type: 'peaking', frequency: 10000, Q: 1 },
+    { type: 'highshelf', frequency: 15000, Q: 0.71 }
+];
+
+/**
+ * Filter settings of the 8 bands
+ * Shared by the live engine and the code export so both hear the same EQ
+ * Bypass flattens every band
+ * @param {Object} params - EQ8 node parameters
+ * @returns {Array} { type, frequency, gain, Q } per band
+ */
+function getEQ8Bands(params) {
+    const value = (name, fallback) => {
+        const parsed = parseFloat(params[name]);
+        return isFinite(parsed) ? parsed : fallback;
+    };
+
+    return EQ8_BANDS.map((band, index) => ({
+        type: band.type,
+        frequency: value(`band${index + 1}Frequency`, band.frequency),
+        gain: params.bypass ? 0 : value(`band${index + 1}Gain`, 0),
+        Q: value(`band${index + 1}Q`, band.Q)
+    }));
+}
+
+/**
+ * Gain of one band at a frequency - the Web Audio BiquadFilterNode response
+ * (Audio EQ Cookbook coefficients; shelves use the fixed slope S = 1)
+ * @param {Object} band - { type, frequency, gain, Q } from getEQ8Bands
+ * @param {number} frequency - Frequency to measure at (Hz)
+ * @param {number} sampleRate - Context sample rate (Hz)
+ * @returns {number} Gain in dB
+ */
+function getEQ8BandResponse(band, frequency, sampleRate) {
+    const A = Math.pow(10, band.gain / 40);
+    const w0 = 2 * Math.PI * Math.min(band.frequency, sampleRate / 2) / sampleRate;
+    const cos = Math.cos(w0);
+    let b0, b1, b2, a0, a1, a2;
+
+    if (band.type === 'peaking') {
+        const alpha = Math.sin(w0) / (2 * band.Q);
+        [b0, b1, b2] = [1 + alpha * A, -2 * cos, 1 - alpha * A];
+        [a0, a1, a2] = [1 + alpha / A, -2 * cos, 1 - alpha / A];
+    } else {
+        const slope = 2 * Math.sqrt(A) * Math.sin(w0) / Math.SQRT2;
+        const sign = band.type === 'lowshelf' ? 1 : -1;
+        [b0, b1, b2] = [
+            A * ((A + 1) - sign * (A - 1) * cos + slope),
+            sign * 2 * A * ((A - 1) - sign * (A + 1) * cos),
+            A * ((A + 1) - sign * (A - 1) * cos - slope)
+        ];
+        [a0, a1, a2] = [
+            (A + 1) + sign * (A - 1) * cos + slope,
+            -sign * 2 * ((A - 1) + sign * (A + 1) * cos),
+            (A + 1) + sign * (A - 1) * cos - slope
+        ];
+    }
+
+    // |H(e^jw)| at the measured frequency
+    const w = 2 * Math.PI * frequency / sampleRate;
+    const magnitude = (c0, c1, c2) => Math.hypot(
+        c0 + c1 * Math.cos(w) + c2 * Math.cos(2 * w),
+        c1 * Math.sin(w) + c2 * Math.sin(2 * w)
+    );
+    return 20 * Math.log10(magnitude(b0, b1, b2) / magnitude(a0, a1, a2));
+}
+
+/**
+ * Combined response of all 8 bands at a frequency
+ * @param {Object} params - EQ8 node parameters
+ * @param {number} frequency - Frequency to measure at (Hz)
+ * @param {number} sampleRate - Context sample rate (Hz, default 44100)
+ * @returns {number} Gain in dB
+ */
+function getEQ8Response(params, frequency, sampleRate = 44100) {
+    return getEQ8Bands(params).reduce((total, band) => total + getEQ8BandResponse(band, frequency, sampleRate), 0);
+}
+
+/**
+ * Short frequency label for a band (60Hz, 2.8kHz)
+ * @param {number} frequency - Frequency in Hz
+ * @returns {string} Label
+ */
+function formatEQ8Frequency(frequency) {
+    return frequency >= 1000 ? `${parseFloat((frequency / 1000).toFixed(1))}kHz` : `${Math.round(frequency)}Hz`;
+}
+
+/**
+ * Knob specs of each band's gain, frequency and Q
+ */
+const EQ8_GAIN_SPEC = { min: -12, max: 12, curve: 'linear', step: 0.01, format: (value) => `${value > 0 ? '+' : ''}${value}dB` };
+const EQ8_FREQUENCY_SPEC = { min: 20, max: 20000, curve: 'log', step: 1, format: formatEQ8Frequency };
+const EQ8_Q_SPEC = { min: 0.1, max: 18, curve: 'log', step: 0.01, format: (value) => `Q${value}` };
+
+/**
+ * EQ8 Module - 8-band parametric equalizer with response curve
+ * Ableton-style layout: each band has a gain knob plus small FREQ and Q knobs.
+ * The bands are Tone.Filters in series into the master gain: cables enter the
+ * first band (inputNode) and leave from the master gain.
+ */
+const EQ8Module = {
+    nodeConfig: {
+        type: "EQ8",
+        parameters: {
+            ...Object.fromEntries(EQ8_BANDS.flatMap((band, index) => [
+                [`band${index + 1}Gain`, { default: 0, ...EQ8_GAIN_SPEC }],
+                [`band${index + 1}Frequency`, { default: band.frequency, ...EQ8_FREQUENCY_SPEC }],
+                [`band${index + 1}Q`, { default: band.Q, ...EQ8_Q_SPEC }]
+            ])),
+            masterGain: { default: 1.0, ...LEVEL_SPEC },
+            bypass: false
+        }
+    },
+    
+    // Audio enters the first band and leaves from the master gain
+    ports: [{ ...AUDIO_IN_PORT, node: 'bands.0' }, AUDIO_OUT_PORT],
+    
+    toneFactory: (params) => {
+        const masterGain = new Tone.Gain(params.masterGain ?? 1.0);
+
+        // One filter per band, in series into the master gain
+        const bands = getEQ8Bands(params).map(band => new Tone.Filter({ ...band, rolloff: -12 }));
+        bands[0].chain(...bands.slice(1), masterGain);
+        
+        // Create spectrum analyzer for visualization
+        const analyzer = new Tone.FFT(128);
+        masterGain.connect(analyzer);
+        
+        // Attach components to master for easy access
+        masterGain.bands = bands;
+        masterGain.analyzer = analyzer;
+        masterGain.inputNode = bands[0]; // Input connects to the first band
+        
+        console.log('🎛️ EQ8 created with 8 bands:', bands.map(band => `${band.type} ${band.frequency.value}Hz`).join(', '));
         
         return masterGain;
     },
@@ -753,19 +2524,33 @@ const EQ8Module = {
     renderFunction: (eqData) => {
         // Generate 8 EQ band controls in 4x2 grid
         let bandControls = '';
-        const frequencies = ['60Hz', '170Hz', '350Hz', '1kHz', '2.8kHz', '7kHz', '10kHz', '15kHz'];
         
-        for (let i = 1; i <= 8; i++) {
+        getEQ8Bands({ ...eqData.parameters, bypass: false }).forEach((band, index) => {
+            const number = index + 1;
             bandControls += `
-                <div class="control-group">
-                    <label class="control-label">${frequencies[i-1]}</label>
-                    <div class="synth-knob eq-knob" data-param="band${i}Gain" data-value="${eqData.parameters[`band${i}Gain`]}">
+                <div class="control-group eq8-band">
+                    <label class="control-label">${band.type === 'peaking' ? 'BELL' : band.type === 'lowshelf' ? 'LOW' : 'HIGH'} ${number}</label>
+                    <div class="synth-knob eq-knob" data-param="band${number}Gain" data-value="${band.gain}">
                         <div class="knob-indicator"></div>
                     </div>
-                    <span class="control-value">${eqData.parameters[`band${i}Gain`].toFixed(2)}</span>
+                    <span class="control-value">${band.gain.toFixed(2)}</span>
+                    <div class="eq8-band-shape">
+                        <div class="eq8-band-param">
+                            <div class="synth-knob eq-knob eq8-shape-knob" data-param="band${number}Frequency" data-value="${band.frequency}">
+                                <div class="knob-indicator"></div>
+                            </div>
+                            <span class="control-value">${formatEQ8Frequency(band.frequency)}</span>
+                        </div>
+                        <div class="eq8-band-param">
+                            <div class="synth-knob eq-knob eq8-shape-knob" data-param="band${number}Q" data-value="${band.Q}">
+                                <div class="knob-indicator"></div>
+                            </div>
+                            <span class="control-value">Q${band.Q}</span>
+                        </div>
+                    </div>
                 </div>
             `;
-        }
+        });
         
         return `
             <div class="synth-module eq8-module" data-module-id="${eqData.id}">
@@ -793,7 +2578,7 @@ const EQ8Module = {
                 <div class="module-controls eq8-controls">
                     ${bandControls}
                     <div class="eq8-visual-container">
-                        <div class="wave-visual eq8-spectrum" id="eq8-visual-${eqData.id}" data-wave-type="eq8">EQ RESPONSE</div>
+                        <div class="wave-visual eq8-spectrum" id="${eqData.id}-visual" data-wave-type="eq8">EQ RESPONSE</div>
                     </div>
                     <div class="control-group">
                         <label class="control-label">MASTER</label>
@@ -822,19 +2607,26 @@ const MixerModule = {
     nodeConfig: {
         type: "Mixer",
         parameters: {
-            channel1Gain: 0.7,
-            channel2Gain: 0.7,
-            channel3Gain: 0.7,
-            channel4Gain: 0.7,
-            channel5Gain: 0.7,
-            channel6Gain: 0.7,
-            channel7Gain: 0.7,
-            channel8Gain: 0.7,
-            masterGain: 0.8,
+            channel1Gain: { default: 0.7, ...LEVEL_SPEC },
+            channel2Gain: { default: 0.7, ...LEVEL_SPEC },
+            channel3Gain: { default: 0.7, ...LEVEL_SPEC },
+            channel4Gain: { default: 0.7, ...LEVEL_SPEC },
+            channel5Gain: { default: 0.7, ...LEVEL_SPEC },
+            channel6Gain: { default: 0.7, ...LEVEL_SPEC },
+            channel7Gain: { default: 0.7, ...LEVEL_SPEC },
+            channel8Gain: { default: 0.7, ...LEVEL_SPEC },
+            masterGain: { default: 0.8, ...LEVEL_SPEC },
             bypass: false
         }
     },
     
+    // Input N lands on the Nth input gain
+    ports: [
+        ...Array.from({ length: 8 }, (_, index) =>
+            ({ id: `input/${index + 1}`, direction: 'in', signal: 'audio', node: `inputGains.${index}` })),
+        AUDIO_OUT_PORT
+    ],
+    
     toneFactory: (params) => {
         const master = new Tone.Channel({
             volume: Tone.gainToDb(params.masterGain),
@@ -868,7 +2660,7 @@ const MixerModule = {
         for (let i = 1; i <= 8; i++) {
             channelStrips += `
                 <div class="control-group">
-                    <div class="patch-port audio-input" data-port-type="input" data-signal="audio" data-input-id="${i}"></div>
+                    <div class="patch-port audio-input" data-port-type="audio-in" data-port-id="input/${i}" data-signal="audio"></div>
                     <label class="control-label">CH${i}</label>
                     <div class="synth-knob mixer-knob" data-param="channel${i}Gain" data-value="${mixerData.parameters[`channel${i}Gain`]}">
                         <div class="knob-indicator"></div>
@@ -933,6 +2725,14 @@ ModuleFactory.register('mixer', MixerModule);
  */
 const CodeGeneratorRegistry = {};
 
+/**
+ * Properties holding each module type's extra Tone.js nodes in exported code
+ * Modules built from several Tone.js nodes (EQ8, mixer) expose sub-nodes as
+ * properties of their variable, exactly like the live toneFactory objects.
+ * Where cables attach to them is part of the module's port schema
+ */
+const CodeGeneratorSubNodeRegistry = {};
+
 /**
  * Code Generator Factory - Creates Tone.js code for modules
  */
@@ -941,9 +2741,11 @@ class CodeGeneratorFactory {
      * Register a code generator for a module type
      * @param {string} type - Module type identifier (matches ModuleRegistry)
      * @param {Function} generator - Function that takes a node and returns Tone.js code
+     * @param {Array} subNodes - Properties holding the module's extra Tone.js nodes
      */
-    static register(type, generator) {
+    static register(type, generator, subNodes = []) {
         CodeGeneratorRegistry[type] = generator;
+        CodeGeneratorSubNodeRegistry[type] = subNodes;
         console.log(`T.E. Grid: Registered code generator for "${type}"`);
     }
     
@@ -958,9 +2760,19 @@ class CodeGeneratorFactory {
             console.warn(`No code generator found for module type: ${node.type}`);
             return `// Unknown module type: ${node.type}\n`;
         }
-        return generator(node);
+        // Export what the knobs allow, whatever a loaded patch says
+        return generator({ ...node, parameters: ModuleFactory.clampParameters(node) });
     }
     
+    /**
+     * Properties that hold a module's extra Tone.js nodes in exported code
+     * @param {Object} node - Module node
+     * @returns {Array} Property names (e.g., ['masterGain'])
+     */
+    static getSubNodeProperties(node) {
+        return (node && CodeGeneratorSubNodeRegistry[node.type]) || [];
+    }
+
     /**
      * Get list of available code generators
      * @returns {Array} List of registered generator types
@@ -978,13 +2790,22 @@ class CodeGeneratorFactory {
 
 /**
  * Oscillator Code Generator
+ * The mode's OmniOscillator type and options come from getOscillatorOptions, like
+ * the live oscillator. Bypass mutes the oscillator, like syncOscillatorParameters
  */
 function generateOscillatorCode(node) {
     const id = node.id.replace('-', '');
-    return `const ${id} = new Tone.Oscillator({
-    type: "${node.parameters.waveform}",
-    frequency: ${node.parameters.frequency},
-    detune: ${node.parameters.detune}
+    const options = {
+        frequency: node.parameters.frequency,
+        detune: node.parameters.detune,
+        ...getOscillatorOptions(node.parameters)
+    };
+    const lines = Object.keys(options).map(key => `    ${key}: ${JSON.stringify(options[key])}`);
+    if (node.parameters.bypass) {
+        lines.push('    volume: -Infinity');
+    }
+    return `const ${id} = new Tone.OmniOscillator({
+${lines.join(',\n')}
 }).start();
 
 `;
@@ -992,27 +2813,66 @@ function generateOscillatorCode(node) {
 
 /**
  * Noise Generator Code Generator
+ * Bypass mutes the noise, like syncNoiseParameters
  */
 function generateNoiseCode(node) {
     const id = node.id.replace('-', '');
+    const volume = node.parameters.bypass ? -Infinity : Tone.gainToDb(node.parameters.volume);
     return `const ${id} = new Tone.Noise({
     type: "${node.parameters.type}",
-    volume: ${Tone.gainToDb(node.parameters.volume)},
+    volume: ${volume},
     playbackRate: ${node.parameters.playbackRate}
 }).start();
 
 `;
 }
 
+/**
+ * Sampler Code Generator
+ * The sample is referenced by its URL - for a local file that is the file name,
+ * so the file has to be served next to the exported code. Keys start the player
+ * from the trigger block. Bypass mutes the player, like syncSamplerParameters
+ */
+function generateSamplerCode(node) {
+    const id = node.id.replace('-', '');
+    const options = {
+        ...(node.parameters.url ? { url: node.parameters.url } : {}),
+        ...getSamplerOptions(node.parameters)
+    };
+    const lines = Object.keys(options).map(key => `    ${key}: ${JSON.stringify(options[key])}`);
+    if (node.parameters.bypass) {
+        lines.push('    volume: -Infinity');
+    }
+    return `${node.parameters.url ? `// Sample file - serve "${node.parameters.url}" with this code or point url at it
+` : ''}const ${id} = new Tone.Player({
+${lines.join(',\n')}
+});
+
+`;
+}
+
 /**
  * Filter Code Generator
+ * Bypass opens the filter up, like syncFilterParameters
  */
 function generateFilterCode(node) {
     const id = node.id.replace('-', '');
+    let frequency = node.parameters.frequency;
+    let Q = node.parameters.Q;
+
+    if (node.parameters.bypass) {
+        if (node.parameters.type === 'lowpass') {
+            frequency = 22000;
+        } else if (node.parameters.type === 'highpass') {
+            frequency = 20;
+        }
+        Q = 0.1;
+    }
+
     return `const ${id} = new Tone.Filter({
     type: "${node.parameters.type}",
-    frequency: ${node.parameters.frequency},
-    Q: ${node.parameters.Q}
+    frequency: ${frequency},
+    Q: ${Q}
 });
 
 `;
@@ -1020,6 +2880,7 @@ function generateFilterCode(node) {
 
 /**
  * Envelope Code Generator
+ * The live envelope keeps gating when bypassed, so bypass has no effect here either
  */
 function generateEnvelopeCode(node) {
     const id = node.id.replace('-', '');
@@ -1035,17 +2896,28 @@ function generateEnvelopeCode(node) {
 
 /**
  * LFO Code Generator
+ * A synced LFO exports its note value, which Tone.js resolves at the transport tempo.
+ * A bypassed LFO is never started, like syncLFOParameters. The gate clock mirrors
+ * createLFOGateClock, so CV cables into gate inputs push onto lfo1.gates
  */
 function generateLFOCode(node) {
     const id = node.id.replace('-', '');
-    const multiplier = node.parameters.multiplier || 1;
-    const effectiveFreq = node.parameters.frequency * multiplier;
+    const frequency = getLFOFrequency(node.parameters);
     
     return `const ${id} = new Tone.LFO({
     type: "${node.parameters.type}",
-    frequency: ${effectiveFreq},
+    frequency: ${JSON.stringify(frequency)},
     min: ${node.parameters.min},
     max: ${node.parameters.max}
+})${node.parameters.bypass ? '' : '.start()'};
+${id}.gates = [];
+${id}.gateClock = new Tone.Clock({
+    callback: (time) => {
+        if (${id}.state !== "started") return;
+        const duration = 0.5 / ${id}.gateClock.frequency.value;
+        ${id}.gates.forEach(envelope => envelope.triggerAttackRelease(duration, time));
+    },
+    frequency: ${JSON.stringify(frequency)}
 }).start();
 
 `;
@@ -1053,42 +2925,197 @@ function generateLFOCode(node) {
 
 /**
  * Reverb Code Generator
+ * Bypass turns the reverb fully dry, like syncReverbParameters
  */
 function generateReverbCode(node) {
     const id = node.id.replace('-', '');
     return `const ${id} = new Tone.Reverb({
     decay: ${node.parameters.decay},
-    wet: ${node.parameters.wet}
+    wet: ${node.parameters.bypass ? 0 : node.parameters.wet}
+});
+
+`;
+}
+
+/**
+ * Delay Code Generator
+ * Mirrors DelayModule.toneFactory, including the timeCV gain the CV input patches into.
+ * Bypass turns the delay fully dry, like syncDelayParameters
+ */
+function generateDelayCode(node) {
+    const id = node.id.replace('-', '');
+    const delayClass = node.parameters.mode === 'pingpong' ? 'PingPongDelay' : 'FeedbackDelay';
+    return `const ${id} = new Tone.${delayClass}({
+    delayTime: ${JSON.stringify(getDelayTime(node.parameters))},
+    feedback: ${node.parameters.feedback},
+    wet: ${node.parameters.bypass ? 0 : node.parameters.wet},
+    maxDelay: ${DELAY_MAX_TIME}
+});
+${id}.timeCV = new Tone.Gain(${DELAY_CV_SCALE}).connect(${id}.delayTime);
+
+`;
+}
+
+/**
+ * Drive Code Generator
+ * Emits the Tone.js class and options of the current mode, bypass included
+ */
+function generateDriveCode(node) {
+    const id = node.id.replace('-', '');
+    const options = getDriveOptions(node.parameters);
+    const lines = Object.keys(options).map(key => {
+        const value = options[key];
+        return `    ${key}: ${Array.isArray(value) ? `[${value.join(', ')}]` : value}`;
+    });
+    return `const ${id} = new Tone.${DRIVE_MODE_CLASSES[node.parameters.mode]}({
+${lines.join(',\n')}
+});
+
+`;
+}
+
+/**
+ * Modulation FX Code Generator
+ * One Tone.js effect per mode, started like the live object when its LFO needs it
+ */
+function generateModFXCode(node) {
+    const id = node.id.replace('-', '');
+    const options = getModFXOptions(node.parameters);
+    const lines = Object.keys(options).map(key => `    ${key}: ${JSON.stringify(options[key])}`);
+    return `const ${id} = new Tone.${MODFX_MODE_CLASSES[node.parameters.mode]}({
+${lines.join(',\n')}
+})${MODFX_STARTED_MODES.includes(node.parameters.mode) ? '.start()' : ''};
+
+`;
+}
+
+/**
+ * Compressor Code Generator
+ * Mirrors CompressorModule.toneFactory: compressor → makeup gain, and the sidechain
+ * follower driving the makeup gain through the same gain computer the live key uses.
+ * LIMIT mode, the sidechain key and bypass resolve like syncCompressorParameters
+ */
+function generateCompressorCode(node) {
+    const id = node.id.replace('-', '');
+    const settings = getCompressorSettings(node.parameters);
+    const lines = Object.keys(settings.compressor).map(key => `    ${key}: ${settings.compressor[key]}`);
+    return `const ${id} = new Tone.Compressor({
+${lines.join(',\n')}
+});
+${id}.makeup = new Tone.Gain(${settings.makeup});
+${id}.chain(${id}.makeup);
+${id}.key = [${settings.key.join(', ')}];
+${id}.sidechain = new Tone.Follower(${settings.smoothing});
+${id}.keyCurve = new Tone.WaveShaper((level) => (${compressorKeyCurve})(level, ...${id}.key, ${settings.makeup}), ${COMPRESSOR_KEY_CURVE_POINTS});
+${id}.sidechain.chain(${id}.keyCurve, ${id}.makeup.gain);
+
+`;
+}
+
+/**
+ * Sequencer Code Generator
+ * Mirrors SequencerModule.toneFactory: the pitch signal carries the step arrays and
+ * the envelopes its gate output triggers; the Tone.Sequence callback matches
+ * createSequencerSequence. A bypassed sequencer is muted, like syncSequencerParameters
+ */
+function generateSequencerCode(node) {
+    const id = node.id.replace('-', '');
+    const stepIndexes = Array.from({ length: SEQUENCER_STEP_COUNT }, (_, index) => index);
+    const arrays = SEQUENCER_STEP_FIELDS.map(field =>
+        `${id}.${field} = [${node.parameters[field].map(value => JSON.stringify(value)).join(', ')}];`);
+
+    return `const ${id} = new Tone.Signal({
+    value: ${Tone.Frequency(node.parameters.notes[0]).toFrequency()},
+    units: "frequency"
+});
+${arrays.join('\n')}
+${id}.rate = "${node.parameters.rate}";
+${id}.gates = [];
+${id}.sequence = new Tone.Sequence((time, step) => {
+    if (!${id}.steps[step]) return;
+    ${id}.setValueAtTime(Tone.Frequency(${id}.notes[step]).toFrequency(), time);
+    const duration = ${id}.lengths[step] * ${id}.toSeconds(${id}.rate);
+    ${id}.gates.forEach(envelope => envelope.triggerAttackRelease(duration, time, ${id}.accents[step] ? 1 : ${SEQUENCER_VELOCITY}));
+}, [${stepIndexes.join(', ')}], ${id}.rate).start(0);
+${node.parameters.bypass ? `${id}.sequence.mute = true;\n` : ''}
+`;
+}
+
+
+/**
+ * Clock Code Generator
+ * Mirrors ClockModule.toneFactory: the transport tempo, then one Tone.Loop per
+ * division triggering the envelopes in its gate list. generateCode declares clocks
+ * first so note-value times elsewhere in the patch resolve at this tempo.
+ * Tone.getTransport() is the transport of the context the patch is built on -
+ * the one its loops run on - where Tone.Transport is always the page's first one
+ */
+function generateClockCode(node) {
+    const id = node.id.replace('-', '');
+    const [beat, ...divisions] = CLOCK_DIVISIONS;
+    const transport = getTransportSettings(node.parameters);
+
+    return `Tone.getTransport().set({
+    bpm: ${transport.bpm},
+    swing: ${transport.swing},
+    swingSubdivision: "${transport.swingSubdivision}"
+});
+const ${id} = new Tone.Loop({
+    interval: "${beat}",
+    mute: ${!!node.parameters.bypass}
 });
+${id}.gates = { ${CLOCK_DIVISIONS.map(division => `"${division}": []`).join(', ')} };
+${id}.trigger = (division) => (time) => {
+    const duration = ${id}.toSeconds(division) * ${CLOCK_GATE_LENGTH};
+    ${id}.gates[division].forEach(envelope => envelope.triggerAttackRelease(duration, time));
+};
+${id}.callback = ${id}.trigger("${beat}");
+${id}.loops = [${divisions.map(division => `"${division}"`).join(', ')}].map(division =>
+    new Tone.Loop({ callback: ${id}.trigger(division), interval: division, mute: ${id}.mute }));
+[${id}, ...${id}.loops].forEach(loop => loop.start(0));
 
 `;
 }
 
 /**
  * EQ8 Code Generator
+ * Mirrors EQ8Module.toneFactory: eight filters in series into the master gain.
+ * Cables enter at eq81.bands[0] and leave from the master gain itself.
+ * Bypass flattens all bands, like syncEQ8Parameters
  */
 function generateEQ8Code(node) {
     const id = node.id.replace('-', '');
-    return `const ${id} = new Tone.EQ3({
-    low: ${node.parameters.low || 0},
-    mid: ${node.parameters.mid || 0},
-    high: ${node.parameters.high || 0}
-});
+    const bands = getEQ8Bands(node.parameters).map(band =>
+        `    new Tone.Filter({ type: "${band.type}", frequency: ${band.frequency}, gain: ${band.gain}, Q: ${band.Q}, rolloff: -12 })`);
+    return `const ${id} = new Tone.Gain({ gain: ${node.parameters.masterGain ?? 1} });
+${id}.bands = [
+${bands.join(',\n')}
+];
+${id}.bands[0].chain(...${id}.bands.slice(1), ${id});
 
 `;
 }
 
 /**
  * Mixer Code Generator
+ * Mirrors MixerModule.toneFactory: eight input gains summed into a master channel.
+ * Cable input N connects to mixer1.inputGains[N - 1].
+ * Bypass silences every gain, like syncMixerParameters
  */
 function generateMixerCode(node) {
     const id = node.id.replace('-', '');
-    const masterGain = node.parameters.masterGain || 1.0;
+    const multiplier = node.parameters.bypass ? 0 : 1;
+    const masterGain = (node.parameters.masterGain ?? 1.0) * multiplier;
     const volumeDb = masterGain === 0 ? -Infinity : (20 * Math.log10(masterGain));
+    const inputGains = [];
+    for (let i = 1; i <= 8; i++) {
+        inputGains.push((node.parameters[`channel${i}Gain`] ?? 0.7) * multiplier);
+    }
     
     return `const ${id} = new Tone.Channel({
     volume: ${volumeDb}
 });
+${id}.inputGains = [${inputGains.join(', ')}].map(gain => new Tone.Gain(gain).connect(${id}));
 
 `;
 }
@@ -1096,14 +3123,621 @@ function generateMixerCode(node) {
 // Register all code generators
 CodeGeneratorFactory.register('OmniOscillator', generateOscillatorCode);
 CodeGeneratorFactory.register('Noise', generateNoiseCode);
+CodeGeneratorFactory.register('Player', generateSamplerCode);
 CodeGeneratorFactory.register('Filter', generateFilterCode);
 CodeGeneratorFactory.register('AmplitudeEnvelope', generateEnvelopeCode);
-CodeGeneratorFactory.register('LFO', generateLFOCode);
+CodeGeneratorFactory.register('LFO', generateLFOCode, ['gateClock']);
 CodeGeneratorFactory.register('Reverb', generateReverbCode);
-CodeGeneratorFactory.register('EQ3', generateEQ8Code);
-CodeGeneratorFactory.register('EQ8', generateEQ8Code);
-CodeGeneratorFactory.register('Channel', generateMixerCode);
-CodeGeneratorFactory.register('Mixer', generateMixerCode); // Add missing Mixer type
+CodeGeneratorFactory.register('FeedbackDelay', generateDelayCode, ['timeCV']);
+CodeGeneratorFactory.register('Distortion', generateDriveCode);
+CodeGeneratorFactory.register('Chorus', generateModFXCode);
+CodeGeneratorFactory.register('Compressor', generateCompressorCode, ['makeup', 'sidechain', 'keyCurve']);
+CodeGeneratorFactory.register('Sequence', generateSequencerCode, ['sequence']);
+CodeGeneratorFactory.register('Loop', generateClockCode, ['loops']);
+CodeGeneratorFactory.register('EQ3', generateEQ8Code, ['bands']);
+CodeGeneratorFactory.register('EQ8', generateEQ8Code, ['bands']);
+CodeGeneratorFactory.register('Channel', generateMixerCode, ['inputGains']);
+CodeGeneratorFactory.register('Mixer', generateMixerCode, ['inputGains']); // Add missing Mixer type
+
+/**
+ * PPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPP
+ * CODE IMPORTER REGISTRY SYSTEM
+ * PPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPP
+ */
+
+/**
+ * Central registry for module code importers
+ * The reverse of the code generators: maps a Tone.js class from exported code
+ * back to a registered module type and its node parameters. Several modules may
+ * export the same class (a plain Tone.Gain), so each class keeps its importers
+ * in registration order - built-ins first, then plugins
+ */
+const CodeImportRegistry = {};
+
+/**
+ * Code Import Factory - Turns Tone.js declarations back into module nodes
+ */
+class CodeImportFactory {
+    /**
+     * Register a code importer for a Tone.js class
+     * @param {string} toneClass - Tone.js class name (e.g., 'Filter' for new Tone.Filter)
+     * @param {Function} importer - Function that takes constructor options and returns
+     *                              { moduleType, parameters }, or null for a declaration
+     *                              that is not its module's export
+     */
+    static register(toneClass, importer) {
+        CodeImportRegistry[toneClass] = [...(CodeImportRegistry[toneClass] || []), importer];
+        console.log(`T.E. Grid: Registered code importer for "Tone.${toneClass}"`);
+    }
+
+    /**
+     * Import a single Tone.js declaration
+     * The class's importers are asked in registration order; the first that claims it wins
+     * @param {string} toneClass - Tone.js class name
+     * @param {Object} options - Parsed constructor options
+     * @returns {Object|null} { moduleType, parameters } or null if no importer claims it
+     */
+    static importModule(toneClass, options) {
+        const importers = CodeImportRegistry[toneClass];
+        if (!importers) {
+            console.warn(`No code importer found for Tone.${toneClass}`);
+            return null;
+        }
+        for (const importer of importers) {
+            const imported = importer(options);
+            if (imported) return imported;
+        }
+        return null;
+    }
+
+    /**
+     * Get list of importable Tone.js classes
+     * @returns {Array} List of registered Tone.js class names
+     */
+    static getSupportedClasses() {
+        return Object.keys(CodeImportRegistry);
+    }
+}
+
+/**
+ * PPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPP
+ * MODULE CODE IMPORTERS
+ * PPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPP
+ */
+
+/**
+ * Drop parameters that were not present in the imported code
+ * so the module definition defaults fill them in
+ */
+function definedParameters(parameters) {
+    const result = {};
+    Object.keys(parameters).forEach(key => {
+        if (parameters[key] !== undefined) {
+            result[key] = parameters[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * Convert an exported dB value back to the linear gain used by the knobs
+ */
+function importedDbToGain(db) {
+    if (db === undefined) return undefined;
+    return Math.round(Tone.dbToGain(db) * 100) / 100;
+}
+
+/**
+ * Oscillator Code Importer
+ * Reads the mode back from the OmniOscillator type ("fmsquare", "fatsawtooth",
+ * "pwm", ...). Plain Tone.Oscillator exports import as the basic mode
+ */
+function importOscillatorCode(options) {
+    const type = options.type || 'sine';
+    const prefix = /^(fm|am|fat)(sine|square|sawtooth|triangle)$/.exec(type);
+    const pulse = type === 'pulse' || type === 'pwm';
+    let mode = 'basic';
+    if (prefix) mode = prefix[1];
+    else if (pulse) mode = 'pulse';
+
+    return {
+        moduleType: 'oscillator',
+        parameters: definedParameters({
+            mode,
+            waveform: prefix ? prefix[2] : (pulse ? undefined : type),
+            frequency: options.frequency,
+            detune: options.detune,
+            harmonicity: options.harmonicity,
+            modulationIndex: options.modulationIndex,
+            modulationType: options.modulationType,
+            count: options.count,
+            spread: options.spread,
+            width: type === 'pulse' && options.width !== undefined ? Math.round((options.width + 1) * 50) / 100 : undefined,
+            pwm: type === 'pwm' ? options.modulationFrequency : (type === 'pulse' ? 0 : undefined),
+            bypass: options.volume === -Infinity ? true : undefined
+        })
+    };
+}
+
+/**
+ * Noise Generator Code Importer
+ */
+function importNoiseCode(options) {
+    return {
+        moduleType: 'noise',
+        parameters: definedParameters({
+            type: options.type,
+            volume: importedDbToGain(options.volume),
+            playbackRate: options.playbackRate
+        })
+    };
+}
+
+/**
+ * Sampler Code Importer
+ */
+function importSamplerCode(options) {
+    return {
+        moduleType: 'sampler',
+        parameters: definedParameters({
+            url: options.url,
+            mode: options.loop === undefined ? undefined : (options.loop ? 'loop' : 'oneshot'),
+            start: options.loopStart,
+            end: options.loopEnd,
+            playbackRate: options.playbackRate,
+            bypass: options.volume === -Infinity ? true : undefined
+        })
+    };
+}
+
+/**
+ * Filter Code Importer
+ */
+function importFilterCode(options) {
+    return {
+        moduleType: 'filter',
+        parameters: definedParameters({
+            type: options.type,
+            frequency: options.frequency,
+            Q: options.Q
+        })
+    };
+}
+
+/**
+ * Envelope Code Importer
+ */
+function importEnvelopeCode(options) {
+    return {
+        moduleType: 'envelope',
+        parameters: definedParameters({
+            attack: options.attack,
+            decay: options.decay,
+            sustain: options.sustain,
+            release: options.release
+        })
+    };
+}
+
+/**
+ * LFO Code Importer
+ * Note-value frequencies come back as SYNC. The export folds the multiplier into
+ * a free frequency, so it comes back as x1
+ */
+function importLFOCode(options) {
+    const synced = typeof options.frequency === 'string';
+    return {
+        moduleType: 'lfo',
+        parameters: definedParameters({
+            type: options.type,
+            frequency: synced ? undefined : options.frequency,
+            sync: options.frequency === undefined ? undefined : (synced ? options.frequency : 'free'),
+            min: options.min,
+            max: options.max,
+            multiplier: options.frequency !== undefined ? 1 : undefined
+        })
+    };
+}
+
+/**
+ * Reverb Code Importer
+ */
+function importReverbCode(options) {
+    return {
+        moduleType: 'reverb',
+        parameters: definedParameters({
+            decay: options.decay,
+            wet: options.wet
+        })
+    };
+}
+
+/**
+ * Delay Code Importer
+ * Note values such as "8n" come back as SYNC, seconds as a free-running TIME
+ * @param {Object} options - Constructor options
+ * @param {string} mode - "feedback" or "pingpong", from the Tone.js class
+ */
+function importDelayCode(options, mode) {
+    const synced = typeof options.delayTime === 'string';
+    return {
+        moduleType: 'delay',
+        parameters: definedParameters({
+            mode,
+            delayTime: synced ? undefined : options.delayTime,
+            sync: options.delayTime === undefined ? undefined : (synced ? options.delayTime : 'free'),
+            feedback: options.feedback,
+            wet: options.wet
+        })
+    };
+}
+
+/**
+ * Drive Code Importer
+ * Order and bit depth map back onto the DRIVE knob. A waveshaper curve comes back
+ * fully wet, since the export folds WET into it
+ * @param {Object} options - Constructor options
+ * @param {string} mode - Drive mode, from the Tone.js class
+ */
+function importDriveCode(options, mode) {
+    let drive;
+    if (mode === 'chebyshev' && options.order !== undefined) {
+        drive = Math.round((options.order - 1) / 49 * 100) / 100;
+    } else if (mode === 'bitcrusher' && options.bits !== undefined) {
+        drive = Math.round((16 - options.bits) / 15 * 100) / 100;
+    } else if (mode === 'distortion') {
+        drive = options.distortion;
+    }
+
+    return {
+        moduleType: 'drive',
+        parameters: definedParameters({
+            mode,
+            drive,
+            curve: Array.isArray(options.mapping) ? options.mapping : undefined,
+            wet: mode === 'waveshaper' ? 1 : options.wet
+        })
+    };
+}
+
+/**
+ * Modulation FX Code Importer
+ * Note-value frequencies come back as SYNC, the phaser's octaves as DEPTH
+ * @param {Object} options - Constructor options
+ * @param {string} mode - Modulation mode, from the Tone.js class
+ */
+function importModFXCode(options, mode) {
+    const synced = typeof options.frequency === 'string';
+    return {
+        moduleType: 'modfx',
+        parameters: definedParameters({
+            mode,
+            rate: synced ? undefined : options.frequency,
+            sync: options.frequency === undefined ? undefined : (synced ? options.frequency : 'free'),
+            depth: mode === 'phaser' && options.octaves !== undefined
+                ? Math.round(options.octaves / 6 * 100) / 100
+                : options.depth,
+            wet: options.wet
+        })
+    };
+}
+
+/**
+ * Compressor Code Importer
+ * A keyed export carries its settings in key (the compressor itself is neutral);
+ * Tone.Limiter's fixed ratio and timing come back as LIMIT mode
+ */
+function importCompressorCode(options) {
+    const key = Array.isArray(options.key) && options.key.length === 3 ? options.key : [0, 1, 0];
+    const keyed = key[1] !== 1;
+    const [threshold, ratio, knee] = keyed ? key : [options.threshold, options.ratio, options.knee];
+    const limiter = ratio === 20 && knee === 0 && options.attack === 0.003 && options.release === 0.01;
+
+    return {
+        moduleType: 'compressor',
+        parameters: definedParameters({
+            mode: limiter ? 'limiter' : 'compressor',
+            key: keyed ? 'sidechain' : 'internal',
+            threshold,
+            ratio: limiter ? undefined : ratio,
+            attack: limiter ? undefined : options.attack,
+            release: limiter ? undefined : options.release,
+            knee: limiter ? undefined : knee,
+            makeup: typeof options.makeup === 'number' && options.makeup > 0
+                ? Math.round(20 * Math.log10(options.makeup) * 10) / 10
+                : undefined
+        })
+    };
+}
+
+/**
+ * Sequencer Code Importer
+ * The step arrays and rate come back from the properties set on the pitch signal
+ */
+function importSequencerCode(options) {
+    const stepArrays = {};
+    SEQUENCER_STEP_FIELDS.forEach(field => {
+        if (Array.isArray(options[field]) && options[field].length === SEQUENCER_STEP_COUNT) {
+            stepArrays[field] = options[field];
+        }
+    });
+
+    return {
+        moduleType: 'sequencer',
+        parameters: definedParameters({
+            ...stepArrays,
+            rate: options.rate,
+            bypass: options['sequence.mute'] ? true : undefined
+        })
+    };
+}
+
+
+/**
+ * Clock Code Importer
+ * Tempo and swing come from the Tone.getTransport().set() the clock exports (options.transport)
+ */
+function importClockCode(options) {
+    const transport = options.transport || {};
+    return {
+        moduleType: 'clock',
+        parameters: definedParameters({
+            bpm: transport.bpm,
+            swing: transport.swing,
+            swingSubdivision: transport.swingSubdivision,
+            bypass: options.mute ? true : undefined
+        })
+    };
+}
+
+/**
+ * EQ8 Code Importer
+ * Reads each band's frequency, gain and Q from eq81.bands. Only a Tone.Gain
+ * with a bands assignment is an EQ8 - other Gains are left to plugin importers
+ */
+function importEQ8Code(options) {
+    if (!Array.isArray(options.bands)) return null;
+
+    const bands = options.bands;
+    const bandParameters = {};
+    bands.slice(0, EQ8_BANDS.length).forEach((band, index) => {
+        bandParameters[`band${index + 1}Gain`] = band.gain;
+        bandParameters[`band${index + 1}Frequency`] = band.frequency;
+        bandParameters[`band${index + 1}Q`] = band.Q;
+    });
+
+    return {
+        moduleType: 'eq8',
+        parameters: definedParameters({
+            ...bandParameters,
+            masterGain: options.gain
+        })
+    };
+}
+
+/**
+ * Legacy EQ8 Code Importer - exports from before the 8-band chain folded the
+ * bands into a Tone.EQ3; its low/mid/high gains spread back over those bands
+ */
+function importLegacyEQ3Code(options) {
+    return {
+        moduleType: 'eq8',
+        parameters: definedParameters({
+            band1Gain: options.low,
+            band2Gain: options.low,
+            band3Gain: options.low,
+            band4Gain: options.mid,
+            band5Gain: options.mid,
+            band6Gain: options.high,
+            band7Gain: options.high,
+            band8Gain: options.high,
+            masterGain: options.masterGain
+        })
+    };
+}
+
+/**
+ * Mixer Code Importer
+ */
+function importMixerCode(options) {
+    const inputGains = Array.isArray(options.inputGains) ? options.inputGains : [];
+    const channelGains = {};
+    inputGains.slice(0, 8).forEach((gain, index) => {
+        channelGains[`channel${index + 1}Gain`] = gain;
+    });
+
+    return {
+        moduleType: 'mixer',
+        parameters: definedParameters({
+            ...channelGains,
+            masterGain: importedDbToGain(options.volume)
+        })
+    };
+}
+
+// Register all code importers
+CodeImportFactory.register('Oscillator', importOscillatorCode);
+CodeImportFactory.register('OmniOscillator', importOscillatorCode);
+CodeImportFactory.register('Noise', importNoiseCode);
+CodeImportFactory.register('Player', importSamplerCode);
+CodeImportFactory.register('Filter', importFilterCode);
+CodeImportFactory.register('AmplitudeEnvelope', importEnvelopeCode);
+CodeImportFactory.register('LFO', importLFOCode);
+CodeImportFactory.register('Reverb', importReverbCode);
+CodeImportFactory.register('FeedbackDelay', (options) => importDelayCode(options, 'feedback'));
+CodeImportFactory.register('PingPongDelay', (options) => importDelayCode(options, 'pingpong'));
+Object.keys(DRIVE_MODE_CLASSES).forEach(mode => {
+    CodeImportFactory.register(DRIVE_MODE_CLASSES[mode], (options) => importDriveCode(options, mode));
+});
+Object.keys(MODFX_MODE_CLASSES).forEach(mode => {
+    CodeImportFactory.register(MODFX_MODE_CLASSES[mode], (options) => importModFXCode(options, mode));
+});
+CodeImportFactory.register('Compressor', importCompressorCode);
+CodeImportFactory.register('Signal', importSequencerCode);
+CodeImportFactory.register('Loop', importClockCode);
+CodeImportFactory.register('Gain', importEQ8Code);
+CodeImportFactory.register('EQ3', importLegacyEQ3Code);
+CodeImportFactory.register('Channel', importMixerCode);
+
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODULE PLUGINS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * A plugin packages everything a module needs, so in-house modules can be added
+ * with one call - or loaded at runtime from a local JS file - without editing
+ * this file or app.js:
+ *
+ * ModulePlugins.register({
+ *     type: 'trim',                   // Module type and ID prefix ('trim-1')
+ *     displayName: 'TRIM (GAIN)',     // Add-module menu label
+ *     category: 'utilities',          // Menu section (MODULE_CATEGORIES)
+ *     definition: TrimModule,         // nodeConfig, ports, toneFactory, renderFunction
+ *     sync: (node, toneObject, changedParam) => { ... },  // Parameters → Tone.js object
+ *     generateCode: (node) => `const ...`,                 // Exported declaration
+ *     subNodes: [],                   // Optional - properties holding extra Tone.js nodes
+ *     importers: { ToneClass: (options) => ({ moduleType, parameters }) },  // Optional - null declines
+ *     visual: (x, node) => 0          // Optional - visual curve: x 0 to 1 across, returns -1 to 1
+ * });
+ *
+ * The nodeConfig type keys the sync handler and code generator, so it must not be
+ * one a built-in module already uses.
+ */
+
+/**
+ * Add-module menu sections in menu order
+ */
+const MODULE_CATEGORIES = {
+    sources: 'SOUND SOURCES',
+    processing: 'SIGNAL PROCESSING',
+    effects: 'EFFECTS',
+    modulation: 'MODULATION',
+    utilities: 'UTILITIES'
+};
+
+/**
+ * Registered plugins by module type
+ */
+const ModulePluginRegistry = {};
+
+/**
+ * Module Plugins - Registers and loads third-party module packages
+ */
+class ModulePlugins {
+    /**
+     * Register a plugin package with every factory in one go
+     * @param {Object} plugin - Plugin package (see MODULE PLUGINS)
+     * @returns {string} Registered module type
+     */
+    static register(plugin) {
+        ModulePlugins.validate(plugin);
+
+        const { type, definition } = plugin;
+        ModuleFactory.register(type, definition);
+        CodeGeneratorFactory.register(definition.nodeConfig.type, plugin.generateCode, plugin.subNodes || []);
+        Object.entries(plugin.importers || {}).forEach(([toneClass, importer]) => {
+            CodeImportFactory.register(toneClass, importer);
+        });
+        ModulePluginRegistry[type] = plugin;
+
+        console.log(`🧩 Registered plugin module "${type}" (${plugin.displayName})`);
+        return type;
+    }
+
+    /**
+     * Check a plugin package before anything is registered, so a broken
+     * plugin never leaves half a module behind
+     * @param {Object} plugin - Plugin package
+     * @throws {Error} Describing the first problem found
+     */
+    static validate(plugin) {
+        if (!plugin || typeof plugin !== 'object') {
+            throw new Error('Plugin must be an object');
+        }
+
+        const { type, definition } = plugin;
+        // Types become module IDs and code variable names ('trim-1' → trim1)
+        if (typeof type !== 'string' || !/^[a-z][a-z0-9]*$/.test(type)) {
+            throw new Error(`Plugin type must be lowercase letters and digits: ${type}`);
+        }
+        if (ModuleRegistry[type]) {
+            throw new Error(`Module type already registered: ${type}`);
+        }
+        if (typeof plugin.displayName !== 'string' || !plugin.displayName) {
+            throw new Error(`Plugin ${type} has no display name`);
+        }
+        if (!MODULE_CATEGORIES[plugin.category]) {
+            throw new Error(`Plugin ${type} has an unknown category: ${plugin.category}`);
+        }
+
+        const nodeType = definition?.nodeConfig?.type;
+        if (typeof nodeType !== 'string' || !definition.nodeConfig.parameters) {
+            throw new Error(`Plugin ${type} definition needs nodeConfig.type and nodeConfig.parameters`);
+        }
+        if (Object.values(ModuleRegistry).some(other => other.nodeConfig.type === nodeType) || CodeGeneratorRegistry[nodeType]) {
+            throw new Error(`Plugin ${type} reuses the node type of another module: ${nodeType}`);
+        }
+        if (!Array.isArray(definition.ports)) {
+            throw new Error(`Plugin ${type} definition has no ports`);
+        }
+        ['toneFactory', 'renderFunction'].forEach(name => {
+            if (typeof definition[name] !== 'function') {
+                throw new Error(`Plugin ${type} definition has no ${name}`);
+            }
+        });
+        ['sync', 'generateCode'].forEach(name => {
+            if (typeof plugin[name] !== 'function') {
+                throw new Error(`Plugin ${type} has no ${name} function`);
+            }
+        });
+        if (plugin.visual !== undefined && typeof plugin.visual !== 'function') {
+            throw new Error(`Plugin ${type} visual must be a function`);
+        }
+        Object.entries(plugin.importers || {}).forEach(([toneClass, importer]) => {
+            if (typeof importer !== 'function') {
+                throw new Error(`Plugin ${type} importer for Tone.${toneClass} must be a function`);
+            }
+        });
+    }
+
+    /**
+     * Run the source of a plugin file - it registers itself with ModulePlugins.register()
+     * @param {string} source - JavaScript source of the plugin file
+     * @param {string} fileName - File name, for error messages
+     * @returns {Array} Module types the file registered
+     */
+    static load(source, fileName = 'plugin') {
+        const before = new Set(Object.keys(ModulePluginRegistry));
+        try {
+            new Function(source)();
+        } catch (error) {
+            throw new Error(`${fileName}: ${error.message}`);
+        }
+
+        const registered = Object.keys(ModulePluginRegistry).filter(type => !before.has(type));
+        if (registered.length === 0) {
+            throw new Error(`${fileName} does not register a module`);
+        }
+        return registered;
+    }
+
+    /**
+     * Plugin package of a module type
+     * @param {string} type - Module type
+     * @returns {Object|null} Plugin, or null for built-in modules
+     */
+    static get(type) {
+        return ModulePluginRegistry[type] || null;
+    }
+
+    /**
+     * Plugin package a module node belongs to
+     * @param {Object} node - Module node with id and type
+     * @returns {Object|null} Plugin, or null for built-in modules
+     */
+    static getForNode(node) {
+        return ModulePlugins.get(ModuleFactory.getTypeForNode(node));
+    }
+}
 
 /**
  * PPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPPP
@@ -1115,4 +3749,9 @@ CodeGeneratorFactory.register('Mixer', generateMixerCode); // Add missing Mixer
 window.ModuleFactory = ModuleFactory;
 window.ModuleRegistry = ModuleRegistry;
 window.CodeGeneratorFactory = CodeGeneratorFactory;
-window.CodeGeneratorRegistry = CodeGeneratorRegistry;
\ No newline at end of file
+window.CodeGeneratorRegistry = CodeGeneratorRegistry;
+window.CodeGeneratorSubNodeRegistry = CodeGeneratorSubNodeRegistry;
+window.CodeImportFactory = CodeImportFactory;
+window.CodeImportRegistry = CodeImportRegistry;
+window.ModulePlugins = ModulePlugins;
+window.ModulePluginRegistry = ModulePluginRegistry;
\ No newline at end of file
@@ -0,0 +1,633 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * EXPORT HARNESS - HEADLESS CHECK OF GENERATED CODE AGAINST THE LIVE GRAPH
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * Loads the designer scripts into a Node vm with a recording Tone.js stand-in and
+ * a tolerant DOM stub, builds a patch through loadPatch(), then runs the code from
+ * generateCode() against a second recording Tone. Both runs are reduced to the
+ * same canonical graph - one node per module (per voice) and sub-node, one edge
+ * per connection - so they can be compared without a browser or speakers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Scripts in the order index.html loads them
+ */
+const APP_SCRIPTS = ['modules.js', 'PatchModel.js', 'PatchingController.js', 'PatchHistory.js', 'VoiceAllocator.js', 'Arpeggiator.js', 'MidiController.js', 'app.js'];
+
+/**
+ * Tone.js parameters (Signal/Param) the recording nodes expose
+ */
+const PARAM_NAMES = ['frequency', 'detune', 'volume', 'Q', 'wet', 'gain', 'low', 'mid', 'high', 'pan', 'delayTime', 'feedback', 'bits', 'depth',
+    'threshold', 'ratio', 'attack', 'release', 'knee'];
+
+/**
+ * Analysis taps that only feed the visuals - not part of the audio graph
+ */
+const VISUAL_NODE_CLASSES = ['FFT', 'Waveform', 'Meter', 'DCMeter', 'Analyser'];
+
+/**
+ * Bookkeeping properties of recording nodes - never sub-nodes of a module
+ */
+const RECORDING_KEYS = ['className', 'options', 'context', 'destinations', 'state', 'disposed'];
+
+/**
+ * Properties listing the envelopes a module triggers (sequencer gates, or one
+ * list per division on a clock) - gate edges to other modules, never sub-nodes
+ */
+const TRIGGER_KEYS = ['gates'];
+
+/**
+ * Recorded AudioParam stand-in
+ */
+class FakeParam {
+    constructor(owner, name) {
+        this.owner = owner;
+        this.name = name;
+        this.value = 0;
+    }
+
+    setValueAtTime(value) {
+        this.value = value;
+        return this;
+    }
+
+    rampTo(value) {
+        this.value = value;
+        return this;
+    }
+
+    linearRampToValueAtTime(value) {
+        this.value = value;
+        return this;
+    }
+
+    cancelScheduledValues() {
+        return this;
+    }
+}
+
+/**
+ * Create a stand-in Tone.js transport
+ * @returns {Object} Transport with a tempo, swing and start/stop state
+ */
+function createFakeTransport() {
+    return {
+        bpm: { value: 120 },
+        swing: 0,
+        swingSubdivision: '8n',
+        state: 'stopped',
+        start() {
+            this.state = 'started';
+            return this;
+        },
+        stop() {
+            this.state = 'stopped';
+            return this;
+        },
+        cancel() {},
+        set({ bpm, ...options }) {
+            if (bpm !== undefined) this.bpm.value = bpm;
+            Object.assign(this, options);
+            return this;
+        }
+    };
+}
+
+/**
+ * Create a stand-in Tone.js context
+ * @param {Object} destination - Node standing in for the context's speakers
+ * @returns {Object} Context with the parts the designer and exports use, and its own transport
+ */
+function createFakeContext(destination = null) {
+    return {
+        state: 'running',
+        destination,
+        transport: createFakeTransport(),
+        now: () => 0,
+        suspend: async () => {},
+        resume: async () => {}
+    };
+}
+
+/**
+ * Create a recording Tone.js namespace
+ * Every constructed node is kept in tone.created and remembers what it connects to
+ * @returns {Object} Tone.js stand-in
+ */
+function createRecordingTone() {
+    const created = [];
+
+    class FakeNode {
+        constructor(className, options) {
+            this.className = className;
+            this.context = tone.context; // the context that was current when the node was built
+            this.options = options;
+            this.destinations = [];
+            this.state = 'stopped';
+            this.disposed = false;
+            PARAM_NAMES.forEach(name => {
+                this[name] = new FakeParam(this, name);
+            });
+            if (options && typeof options === 'object') {
+                Object.keys(options).forEach(key => {
+                    if (this[key] instanceof FakeParam) {
+                        this[key].value = options[key];
+                    }
+                });
+            } else if (typeof options === 'number') {
+                // new Tone.Gain(0.5) / new Tone.FFT(32)
+                this.gain.value = options;
+            }
+            created.push(this);
+        }
+
+        connect(destination) {
+            this.destinations.push(destination);
+            return this;
+        }
+
+        disconnect(destination) {
+            this.destinations = destination === undefined
+                ? []
+                : this.destinations.filter(existing => existing !== destination);
+            return this;
+        }
+
+        toDestination() {
+            return this.connect(tone.Destination);
+        }
+
+        chain(...nodes) {
+            [this, ...nodes].reduce((source, target) => {
+                source.connect(target);
+                return target;
+            });
+            return this;
+        }
+
+        setMap(mapping) {
+            this.options = mapping;
+            return this;
+        }
+
+        start() {
+            this.state = 'started';
+            return this;
+        }
+
+        stop() {
+            this.state = 'stopped';
+            return this;
+        }
+
+        triggerAttack() {
+            return this;
+        }
+
+        triggerRelease() {
+            return this;
+        }
+
+        triggerAttackRelease() {
+            return this;
+        }
+
+        set(options) {
+            Object.assign(this, options);
+            return this;
+        }
+
+        get() {
+            return { ...this.options };
+        }
+
+        getValue() {
+            return [];
+        }
+
+        now() {
+            return 0;
+        }
+
+        toSeconds(time) {
+            return timeToSeconds(time);
+        }
+
+        dispose() {
+            this.disposed = true;
+            this.destinations = [];
+            return this;
+        }
+    }
+
+    const nodeClass = (className) => class extends FakeNode {
+        constructor(options) {
+            super(className, options);
+        }
+    };
+
+    const tone = {
+        created,
+        FakeNode,
+        now: () => 0,
+        start: async () => {},
+        gainToDb: (gain) => 20 * Math.log10(gain),
+        dbToGain: (db) => Math.pow(10, db / 20),
+        Frequency: (note) => ({
+            toFrequency: () => noteToFrequency(note),
+            toMidi: () => Math.round(69 + 12 * Math.log2(noteToFrequency(note) / 440))
+        }),
+        Time: (time) => ({
+            toSeconds: () => timeToSeconds(time)
+        }),
+        TimeClass: class {
+            constructor(context, time) {
+                this.time = time;
+            }
+
+            toSeconds() {
+                return timeToSeconds(this.time);
+            }
+        },
+        context: createFakeContext()
+    };
+
+    // Like Tone.js, Tone.Transport stays the transport of the context Tone loaded with
+    tone.Transport = tone.context.transport;
+    tone.getTransport = () => tone.context.transport;
+
+    ['Oscillator', 'OmniOscillator', 'Noise', 'Player', 'Filter', 'AmplitudeEnvelope', 'LFO', 'Reverb',
+        'FeedbackDelay', 'PingPongDelay', 'Distortion', 'Chebyshev', 'BitCrusher', 'WaveShaper',
+        'Chorus', 'Phaser', 'Tremolo', 'Vibrato', 'AutoPanner', 'Compressor', 'Follower', 'Signal', 'Sequence', 'Loop', 'Clock', 'EQ3', 'Gain', 'Channel',
+        'FFT', 'Waveform', 'Meter', 'DCMeter', 'Analyser'].forEach(className => {
+        tone[className] = nodeClass(className);
+    });
+
+    tone.Destination = new FakeNode('Destination');
+    created.splice(created.indexOf(tone.Destination), 1);
+    tone.context.destination = tone.Destination;
+    tone.getDestination = () => tone.context.destination;
+    tone.getContext = () => tone.context;
+    tone.setContext = (context) => {
+        tone.context = context;
+    };
+
+    return tone;
+}
+
+/**
+ * Frequency of a note name such as "C4" or "F#3"
+ * @param {string|number} note - Note name or frequency
+ * @returns {number} Frequency in Hz
+ */
+function noteToFrequency(note) {
+    if (typeof note === 'number') return note;
+    const match = String(note).match(/^([A-Ga-g])([#b]?)(-?\d+)$/);
+    if (!match) return parseFloat(note) || 440;
+
+    const semitones = { C: -9, D: -7, E: -5, F: -4, G: -2, A: 0, B: 2 }[match[1].toUpperCase()];
+    const accidental = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+    const octave = parseInt(match[3]);
+    return 440 * Math.pow(2, (semitones + accidental + (octave - 4) * 12) / 12);
+}
+
+/**
+ * Seconds of a Tone.js time such as "8n" or "2n" at 120 BPM
+ * @param {string|number} time - Tone.js time
+ * @returns {number} Seconds
+ */
+function timeToSeconds(time) {
+    if (typeof time === 'number') return time;
+    const match = String(time).match(/^(\d+)n$/);
+    return match ? 2 / parseInt(match[1]) : parseFloat(time) || 0;
+}
+
+/**
+ * Tolerant DOM stub: every property is callable and returns the stub again,
+ * element lists are empty, so UI code runs without doing anything
+ * @returns {Proxy} DOM stub
+ */
+function createDomStub() {
+    const stub = new Proxy(function () {}, {
+        get(target, property) {
+            if (property === Symbol.toPrimitive) return (hint) => (hint === 'number' ? 0 : '');
+            if (property === Symbol.iterator) return [][Symbol.iterator];
+            if (property === 'then') return undefined;
+            if (typeof property === 'string' && /^(querySelectorAll|getElementsBy)/.test(property)) {
+                return () => [];
+            }
+            if (property === 'length') return 0;
+            return stub;
+        },
+        set() {
+            return true;
+        },
+        apply() {
+            return stub;
+        },
+        construct() {
+            return stub;
+        }
+    });
+    return stub;
+}
+
+/**
+ * Document stub that keeps its event listeners and body classes, so tests can
+ * dispatch document-level events (e.g. a MIDI learn click on a knob)
+ * @param {Proxy} dom - DOM stub for everything else
+ * @returns {Object} { document, listeners } - listeners is a list of { type, listener }
+ */
+function createDocumentStub(dom) {
+    const listeners = [];
+    const bodyClasses = new Set();
+    const classList = {
+        add: (name) => bodyClasses.add(name),
+        remove: (name) => bodyClasses.delete(name),
+        contains: (name) => bodyClasses.has(name),
+        toggle: (name, force = !bodyClasses.has(name)) => {
+            if (force) bodyClasses.add(name); else bodyClasses.delete(name);
+            return force;
+        }
+    };
+    const body = new Proxy(dom, {
+        get: (target, property) => property === 'classList' ? classList : target[property]
+    });
+    const document = new Proxy(dom, {
+        get(target, property) {
+            if (property === 'body') return body;
+            if (property === 'addEventListener') return (type, listener) => listeners.push({ type, listener });
+            return target[property];
+        }
+    });
+    return { document, listeners };
+}
+
+/**
+ * Load the designer into a fresh vm context
+ * @returns {Object} { context, tone, dispatch } - context exposes the app's globals,
+ *                   dispatch(type, event) calls the document's listeners for an event
+ */
+function createDesigner() {
+    const tone = createRecordingTone();
+    const dom = createDomStub();
+    const { document, listeners } = createDocumentStub(dom);
+    const silent = () => {};
+
+    const context = {
+        Tone: tone,
+        document,
+        navigator: dom,
+        localStorage: dom,
+        p5: dom,
+        alert: silent,
+        requestAnimationFrame: silent,
+        addEventListener: silent,
+        // Pending UI timers must not keep Node alive once the checks are done
+        setTimeout: (callback, delay, ...args) => setTimeout(callback, delay, ...args).unref(),
+        clearTimeout,
+        setInterval: () => 0,
+        clearInterval: silent,
+        console: { log: silent, warn: silent, info: silent, debug: silent, error: console.error }
+    };
+    context.window = context;
+    context.globalThis = context;
+    vm.createContext(context);
+
+    APP_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    const dispatch = (type, event) => listeners
+        .filter(entry => entry.type === type)
+        .forEach(entry => entry.listener(event));
+
+    return { context, tone, dispatch };
+}
+
+/**
+ * Read one of the designer's globals - top-level const/let bindings live
+ * in the script scope, not on the context object
+ * @param {Object} designer - { context }
+ * @param {string} expression - Expression to evaluate inside the designer
+ * @returns {*} Value
+ */
+function designerGlobal(designer, expression) {
+    return vm.runInContext(expression, designer.context);
+}
+
+/**
+ * Load a patch document into the designer the way LOAD PATCH does
+ * @param {Object} patchDocument - Patch document (see serializePatch)
+ * @returns {Object} { context, tone, dispatch } designer with the patch built
+ */
+function loadDesignerPatch(patchDocument) {
+    const designer = createDesigner();
+    designer.context.__patch = patchDocument;
+    vm.runInContext('loadPatch(__patch)', designer.context);
+    return designer;
+}
+
+/**
+ * Label every node that belongs to a module root: the root itself plus its
+ * node-valued properties (eq3, masterGain, inputGains[...])
+ * Labels use classes rather than property names, because the live objects and
+ * the exported variables nest the same nodes differently
+ * @param {Map} labels - Node → label, filled in
+ * @param {Object} root - Module root object
+ * @param {string} prefix - Module label (e.g., 'filter-1' or 'filter-1@2')
+ * @param {Function} isNode - Recognises recorded nodes
+ */
+function labelModuleNodes(labels, root, prefix, isNode) {
+    const classCounts = new Map();
+    const label = (node) => {
+        if (!isNode(node) || labels.has(node) || VISUAL_NODE_CLASSES.includes(node.className)) return;
+        const count = classCounts.get(node.className) || 0;
+        classCounts.set(node.className, count + 1);
+        labels.set(node, count === 0 ? `${prefix}:${node.className}` : `${prefix}:${node.className}#${count}`);
+    };
+
+    label(root);
+    Object.keys(root).filter(key => !RECORDING_KEYS.includes(key) && !TRIGGER_KEYS.includes(key)).forEach(key => {
+        const value = root[key];
+        if (Array.isArray(value)) {
+            value.forEach(label);
+        } else {
+            label(value);
+        }
+    });
+}
+
+/**
+ * Reduce labelled nodes to a canonical graph
+ * @param {Map} labels - Node → label
+ * @param {Object} destination - Node standing in for the speakers
+ * @returns {Object} { nodes: sorted labels, edges: sorted 'from → to' strings, unlabelled: count }
+ */
+function collectGraph(labels, destination) {
+    const edges = new Set();
+    let unlabelled = 0;
+
+    labels.forEach((label, node) => {
+        node.destinations.forEach(target => {
+            let targetLabel;
+            if (target === destination) {
+                targetLabel = 'destination';
+            } else if (target instanceof FakeParam || (target && target.owner && target.name)) {
+                const ownerLabel = labels.get(target.owner);
+                targetLabel = ownerLabel && `${ownerLabel}.${target.name}`;
+            } else {
+                targetLabel = labels.get(target);
+            }
+
+            if (targetLabel) {
+                edges.add(`${label} → ${targetLabel}`);
+            } else if (!VISUAL_NODE_CLASSES.includes(target && target.className)) {
+                unlabelled++;
+            }
+        });
+
+        TRIGGER_KEYS.filter(key => node[key]).forEach(key => {
+            const lists = Array.isArray(node[key]) ? { [key]: node[key] } : Object.fromEntries(
+                Object.entries(node[key]).map(([output, targets]) => [`${key}.${output}`, targets]));
+            Object.entries(lists).forEach(([output, targets]) => targets.forEach(target => {
+                const targetLabel = labels.get(target);
+                if (targetLabel) {
+                    edges.add(`${label} → ${targetLabel} (${output})`);
+                } else {
+                    unlabelled++;
+                }
+            }));
+        });
+    });
+
+    return {
+        nodes: [...labels.values()].sort(),
+        edges: [...edges].sort(),
+        unlabelled
+    };
+}
+
+/**
+ * Modules cloned per voice in the designer's current patch
+ * @param {Object} designer - { context }
+ * @returns {Set} Module IDs (empty for mono patches)
+ */
+function getVoiceIds(designer) {
+    return designerGlobal(designer, 'voiceSettings.voiceCount > 1 ? computeVoiceModuleIds() : new Set()');
+}
+
+/**
+ * Graph of the live engine: main instances are voice 0, clones voices 1..N-1
+ * @param {Object} designer - { context, tone } with a patch loaded
+ * @returns {Object} Canonical graph
+ */
+function getLiveGraph(designer) {
+    const { context, tone } = designer;
+    const labels = new Map();
+    const isNode = (value) => value instanceof tone.FakeNode && !value.disposed;
+    const voiceIds = getVoiceIds(designer);
+    const voiceClones = designerGlobal(designer, 'voiceClones');
+
+    designerGlobal(designer, 'synthNodes').forEach(node => {
+        const toneObject = context.getToneObjectById(node.id);
+        if (!voiceIds.has(node.id)) {
+            labelModuleNodes(labels, toneObject, node.id, isNode);
+            return;
+        }
+
+        labelModuleNodes(labels, toneObject, `${node.id}@0`, isNode);
+        (voiceClones.get(node.id) || []).forEach((clone, index) => {
+            labelModuleNodes(labels, clone, `${node.id}@${index + 1}`, isNode);
+        });
+    });
+
+    return collectGraph(labels, tone.Destination);
+}
+
+/**
+ * Run exported code against a fresh recording Tone and return its graph
+ * @param {Object} designer - { context } with the patch loaded
+ * @param {string} format - 'script' or 'module'
+ * @returns {Object} Canonical graph, plus the module API and createPatch for 'module' exports
+ */
+async function getExportGraph(designer, format = 'script') {
+    const { context } = designer;
+    const code = context.generateCode(format);
+    const tone = createRecordingTone();
+    const labels = new Map();
+    const isNode = (value) => value instanceof tone.FakeNode;
+
+    let variables;
+    let api = null;
+    let createPatch = null;
+    let destination = tone.Destination;
+
+    if (format === 'module') {
+        const source = code
+            .replace(/^\s*import\s+\*\s+as\s+Tone\s+from\s+["']tone["'];?/m, '')
+            .replace(/^export default .*$/m, '')
+            .replace(/^export\s+function/m, 'function');
+        createPatch = new Function('Tone', `${source}\nreturn createPatch;`)(tone);
+        api = createPatch();
+        api.connect();
+        variables = { ...api.modules, voices: api.voices };
+    } else {
+        // Top-level declarations are the modules - hand them back out of the script
+        const names = [...code.matchAll(/^const ([A-Za-z_$][\w$]*)\s*=/gm)].map(match => match[1]);
+        const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+        variables = await new AsyncFunction('Tone', 'console', `${code}\nreturn { ${names.join(', ')} };`)(tone, context.console);
+    }
+
+    const voiceIds = getVoiceIds(designer);
+
+    designerGlobal(designer, 'synthNodes').forEach(node => {
+        const name = context.getCodeVariableName(node.id);
+        if (!voiceIds.has(node.id)) {
+            if (variables[name]) labelModuleNodes(labels, variables[name], node.id, isNode);
+            return;
+        }
+
+        (variables.voices || []).forEach((voice, index) => {
+            if (voice[name]) labelModuleNodes(labels, voice[name], `${node.id}@${index}`, isNode);
+        });
+    });
+
+    if (format === 'module') {
+        // patchOutput stands in for the speakers - follow it one step
+        destination = tone.created.find(node => node.destinations.includes(tone.Destination));
+    }
+
+    return { ...collectGraph(labels, destination), api, createPatch, tone };
+}
+
+/**
+ * Compare the live graph with the graph of the exported code
+ * @param {Object} live - Graph from getLiveGraph()
+ * @param {Object} exported - Graph from getExportGraph()
+ * @returns {Array} Differences (empty when they match)
+ */
+function diffGraphs(live, exported) {
+    const differences = [];
+    live.nodes.filter(node => !exported.nodes.includes(node)).forEach(node => differences.push(`missing node: ${node}`));
+    exported.nodes.filter(node => !live.nodes.includes(node)).forEach(node => differences.push(`extra node: ${node}`));
+    live.edges.filter(edge => !exported.edges.includes(edge)).forEach(edge => differences.push(`missing edge: ${edge}`));
+    exported.edges.filter(edge => !live.edges.includes(edge)).forEach(edge => differences.push(`extra edge: ${edge}`));
+    return differences;
+}
+
+module.exports = {
+    createRecordingTone,
+    createFakeContext,
+    createDesigner,
+    loadDesignerPatch,
+    getLiveGraph,
+    getExportGraph,
+    diffGraphs
+};
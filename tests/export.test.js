@@ -0,0 +1,948 @@
+/**
+ * Exported code must rebuild the live graph: same nodes, same connections.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { createDesigner, createFakeContext, loadDesignerPatch, getLiveGraph, getExportGraph, diffGraphs } = require('./export-harness');
+
+/**
+ * Patch document with the given modules and connections
+ */
+function patch(modules, connections, voices = { voiceCount: 1, stealPolicy: 'oldest' }) {
+    return {
+        format: 'tonedesigner-patch',
+        schemaVersion: 3,
+        modules: modules.map(([id, type, parameters = {}]) => ({ id, type, parameters })),
+        connections: connections.map(([source, target, type = 'audio']) => ({ source, target, type })),
+        voices
+    };
+}
+
+/**
+ * The starter patch: VCO → VCF → ENV → REVERB → EQ8 → MIXER, LFO → VCF frequency
+ */
+function starterPatch(options = {}) {
+    const { parameters = {}, voices } = options;
+    return patch([
+        ['oscillator-1', 'oscillator', parameters.oscillator],
+        ['filter-1', 'filter', parameters.filter],
+        ['envelope-1', 'envelope', parameters.envelope],
+        ['lfo-1', 'lfo', parameters.lfo],
+        ['reverb-1', 'reverb', parameters.reverb],
+        ['eq8-1', 'eq8', parameters.eq8],
+        ['mixer-1', 'mixer', parameters.mixer]
+    ], [
+        ['oscillator-1/audio_out', 'filter-1/audio_in'],
+        ['filter-1/audio_out', 'envelope-1/audio_in'],
+        ['envelope-1/audio_out', 'reverb-1/audio_in'],
+        ['reverb-1/audio_out', 'eq8-1/audio_in'],
+        ['eq8-1/audio_out', 'mixer-1/input/1'],
+        ['mixer-1/audio_out', 'destination'],
+        ['lfo-1/cv_out', 'filter-1/frequency', 'cv']
+    ], voices);
+}
+
+/**
+ * Assert both export formats rebuild the live graph of a patch
+ */
+async function assertExportMatchesLive(patchDocument) {
+    const designer = loadDesignerPatch(patchDocument);
+    const live = getLiveGraph(designer);
+    assert.ok(live.edges.length > 0, 'live patch has no connections');
+
+    for (const format of ['script', 'module']) {
+        const exported = await getExportGraph(designer, format);
+        assert.deepStrictEqual(diffGraphs(live, exported), [], `${format} export differs from the live graph`);
+        assert.strictEqual(exported.unlabelled, 0, `${format} export connects to nodes outside the patch`);
+    }
+
+    return designer;
+}
+
+test('starter patch exports the live graph', async () => {
+    await assertExportMatchesLive(starterPatch());
+});
+
+test('polyphonic export clones the voice modules like the live engine', async () => {
+    const designer = await assertExportMatchesLive(starterPatch({ voices: { voiceCount: 4, stealPolicy: 'oldest' } }));
+    const live = getLiveGraph(designer);
+    assert.ok(live.nodes.includes('oscillator-1@3:OmniOscillator'));
+    assert.ok(live.edges.includes('lfo-1:LFO → filter-1@3:Filter.frequency'));
+});
+
+test('mono export keeps the steal policy the designer plays with', async () => {
+    const designer = await assertExportMatchesLive(starterPatch({ voices: { voiceCount: 1, stealPolicy: 'none' } }));
+    const run = (code) => vm.runInContext(code, designer.context);
+    const { api } = await getExportGraph(designer, 'module');
+    const play = (noteOn, noteOff, envelope) => {
+        let attacks = 0;
+        let releases = 0;
+        envelope.triggerAttack = () => attacks++;
+        envelope.triggerRelease = () => releases++;
+        noteOn('C4');
+        noteOn('E4'); // no voice left to steal - dropped
+        noteOff('E4');
+        noteOff('C4');
+        return [attacks, releases];
+    };
+
+    const live = play((note) => run(`noteOn('${note}')`), (note) => run(`noteOff('${note}')`),
+        run(`getToneObjectById('envelope-1')`));
+    const exported = play(api.noteOn, api.noteOff, api.modules.envelope1);
+    assert.deepStrictEqual(live, [1, 1]);
+    assert.deepStrictEqual(exported, live);
+
+    const voices = run(`importToneCode(generateCode('script')).voices`);
+    assert.deepStrictEqual({ ...voices }, { voiceCount: 1, stealPolicy: 'none' });
+});
+
+test('starter modules can be deleted and replaced like any other module', async () => {
+    const designer = createDesigner();
+    const run = (code) => vm.runInContext(code, designer.context);
+    await run('setupSynth()');
+
+    // Page load builds the same patch as loading it from a file
+    const starter = JSON.parse(run('JSON.stringify(serializePatch())'));
+    assert.deepStrictEqual(starter.modules.map(module => module.id),
+        ['oscillator-1', 'filter-1', 'envelope-1', 'lfo-1', 'reverb-1', 'eq8-1', 'mixer-1']);
+    assert.deepStrictEqual(starter.connections, starterPatch().connections);
+    await assertExportMatchesLive(starter);
+
+    // Replace the VCO and the ENV, then patch the new ones in where the old ones were
+    run(`deleteModule('oscillator-1'); deleteModule('envelope-1');`);
+    assert.strictEqual(run('getToneObjectById("oscillator-1")'), null);
+    run(`
+        instantiateModule('oscillator', generateUniqueModuleId('oscillator'));
+        instantiateModule('envelope', 'envelope-2');
+        patchModel.addConnection({ source: 'oscillator-1/audio_out', target: 'filter-1/audio_in', type: 'audio' });
+        patchModel.addConnection({ source: 'filter-1/audio_out', target: 'envelope-2/audio_in', type: 'audio' });
+        patchModel.addConnection({ source: 'envelope-2/audio_out', target: 'reverb-1/audio_in', type: 'audio' });
+    `);
+
+    const oscillator = run(`getToneObjectById('oscillator-1')`);
+    const envelope = run(`getToneObjectById('envelope-2')`);
+    let attacks = 0;
+    envelope.triggerAttack = () => attacks++;
+    run(`noteOn('C5')`);
+    assert.strictEqual(attacks, 1);
+    assert.strictEqual(oscillator.state, 'started');
+    // The VCO knob frequency is the C4 reference, so C5 plays it an octave up
+    assert.strictEqual(Math.round(oscillator.frequency.value), 880);
+
+    const result = run(`verifyCodeExport('script')`);
+    assert.ok(result.ok, `replaced starter modules do not round-trip: ${result.differences.join(', ')}`);
+    await assertExportMatchesLive(JSON.parse(run('JSON.stringify(serializePatch())')));
+});
+
+test('patch model edits drive the audio engine, controls and export', async () => {
+    const designer = loadDesignerPatch(starterPatch());
+    const run = (code) => vm.runInContext(code, designer.context);
+    const changes = [];
+    designer.context.__onChange = ({ events }) => changes.push(Array.from(events, event => event.type));
+    run(`initializeHistory(); patchModel.on('changed', __onChange)`);
+
+    // Editing the model alone is enough - the subscribers rewire, sync and regenerate
+    run(`patchModel.removeConnection('lfo-1/cv_out', 'filter-1/frequency')`);
+    assert.ok(!getLiveGraph(designer).edges.includes('lfo-1:LFO → filter-1:Filter.frequency'));
+    assert.ok(!run(`generateCode('script')`).includes('lfo1.connect(filter1.frequency);'));
+
+    run(`patchModel.setParameter('filter-1', 'Q', 4)`);
+    assert.strictEqual(run(`getToneObjectById('filter-1')`).Q.value, 4);
+    run(`patchModel.setParameter('filter-1', 'Q', 4)`);
+    assert.deepStrictEqual(changes, [['connectionRemoved'], ['paramChanged']]);
+
+    // A delete is one change: the module's cables go with it
+    run(`deleteModule('reverb-1')`);
+    assert.deepStrictEqual(changes[2], ['connectionRemoved', 'connectionRemoved', 'nodeRemoved']);
+    assert.strictEqual(run(`currentPatchConnections.some(conn => conn.source.startsWith('reverb-1/'))`), false);
+
+    // Undo restores it through the same events, and a patch load is a single change
+    run(`patchHistory.undo()`);
+    assert.strictEqual(run(`getModuleNodeById('reverb-1').id`), 'reverb-1');
+    run(`loadPatch(JSON.parse(${JSON.stringify(JSON.stringify(starterPatch()))}))`);
+    assert.strictEqual(changes.length, 5);
+
+    // Voice, arpeggiator and export settings are model edits too
+    run(`setVoiceSettings({ voiceCount: 3 })`);
+    assert.deepStrictEqual(changes[5], ['settingsChanged']);
+    assert.strictEqual(run(`voiceAllocator.voices.length`), 3);
+    assert.strictEqual(run(`voiceClones.get('oscillator-1').length`), 2);
+    run(`setArpeggiatorSettings({ enabled: true, rate: '8n' })`);
+    assert.ok(run(`arpeggiatorLoop`));
+    run(`patchHistory.undo(); patchHistory.undo()`);
+    assert.strictEqual(run(`arpeggiatorLoop`), null);
+    assert.strictEqual(run(`voiceClones.has('oscillator-1')`), false);
+    run(`setVoiceSettings({ voiceCount: 1 })`);
+    assert.strictEqual(changes.length, 9);
+    await assertExportMatchesLive(JSON.parse(run('JSON.stringify(serializePatch())')));
+});
+
+test('mixer cables land on their numbered input gains', async () => {
+    const designer = await assertExportMatchesLive(patch([
+        ['oscillator-1', 'oscillator'],
+        ['noise-1', 'noise'],
+        ['mixer-1', 'mixer', { channel3Gain: 0.25 }]
+    ], [
+        ['oscillator-1/audio_out', 'mixer-1/input/1'],
+        ['noise-1/audio_out', 'mixer-1/input/3'],
+        ['mixer-1/audio_out', 'destination']
+    ]));
+    const live = getLiveGraph(designer);
+    assert.ok(live.edges.includes('noise-1:Noise → mixer-1:Gain#2'));
+});
+
+test('added mixers and EQs route through their declared ports', async () => {
+    const designer = await assertExportMatchesLive(patch([
+        ['oscillator-1', 'oscillator'],
+        ['noise-1', 'noise'],
+        ['eq8-2', 'eq8'],
+        ['mixer-2', 'mixer']
+    ], [
+        ['oscillator-1/audio_out', 'eq8-2/audio_in'],
+        ['eq8-2/audio_out', 'mixer-2/input/4'],
+        ['noise-1/audio_out', 'mixer-2/input/2'],
+        ['mixer-2/audio_out', 'destination']
+    ]));
+    const live = getLiveGraph(designer);
+    assert.ok(live.edges.includes('eq8-2:Gain → mixer-2:Gain#3'));
+    assert.ok(live.edges.includes('noise-1:Noise → mixer-2:Gain#1'));
+
+    const code = vm.runInContext(`generateCode('script')`, designer.context);
+    assert.ok(code.includes('oscillator1.connect(eq82.bands[0]);'));
+    assert.ok(code.includes('eq82.connect(mixer2.inputGains[3]);'));
+    const imported = vm.runInContext(`importToneCode(generateCode('script')).connections`, designer.context);
+    assert.ok(imported.some(connection => connection.source === 'eq8-2/audio_out' && connection.target === 'mixer-2/input/4'));
+    assert.ok(imported.some(connection => connection.source === 'oscillator-1/audio_out' && connection.target === 'eq8-2/audio_in'));
+
+    // Cables dragged in the UI are checked against the same schema
+    const port = (moduleId, attributes) => ({
+        getAttribute: name => attributes[name] ?? null,
+        closest: () => ({ getAttribute: () => moduleId })
+    });
+    const controller = vm.runInContext(`new PatchingController(patchModel)`, designer.context);
+    const noiseOut = port('noise-1', { 'data-port-type': 'audio-out' });
+    assert.strictEqual(controller.getPortId(port('mixer-2', { 'data-port-type': 'audio-in', 'data-port-id': 'input/5' })), 'mixer-2/input/5');
+    assert.ok(controller.validateConnection(noiseOut, port('mixer-2', { 'data-port-type': 'audio-in', 'data-port-id': 'input/5' })));
+    assert.ok(!controller.validateConnection(noiseOut, port('mixer-2', { 'data-port-type': 'audio-in', 'data-port-id': 'input/2' })));
+    assert.ok(!controller.validateConnection(noiseOut, port('mixer-2', { 'data-port-type': 'audio-in', 'data-port-id': 'input/9' })));
+    assert.ok(!controller.validateConnection(noiseOut, port('eq8-2', { 'data-port-type': 'audio-out' })));
+});
+
+test('CV may be patched into gate inputs, as the compatibility matrix allows', async () => {
+    const designer = await assertExportMatchesLive(patch([
+        ['oscillator-1', 'oscillator'],
+        ['envelope-1', 'envelope'],
+        ['lfo-1', 'lfo', { frequency: 4 }]
+    ], [
+        ['oscillator-1/audio_out', 'envelope-1/audio_in'],
+        ['envelope-1/audio_out', 'destination'],
+        ['lfo-1/cv_out', 'envelope-1/gate_in', 'cv']
+    ]));
+    const run = (code) => vm.runInContext(code, designer.context);
+
+    // The LFO's gate clock opens the envelope for the first half of every cycle
+    assert.ok(getLiveGraph(designer).edges.includes('lfo-1:LFO → envelope-1:AmplitudeEnvelope (gates)'));
+    assert.ok(run(`generateCode('script')`).includes('lfo1.gates.push(envelope1);'));
+    const lfo = run(`getToneObjectById('lfo-1')`);
+    const triggers = [];
+    run(`getToneObjectById('envelope-1')`).triggerAttackRelease = (duration, time) => triggers.push([duration, time]);
+    lfo.gateClock.options.callback(1);
+    assert.deepStrictEqual(triggers, [[0.125, 1]]);
+    run(`patchModel.setParameter('lfo-1', 'frequency', 2)`);
+    assert.strictEqual(lfo.gateClock.frequency.value, 2);
+    run(`patchModel.setParameter('lfo-1', 'bypass', true)`);
+    lfo.gateClock.options.callback(2);
+    assert.strictEqual(triggers.length, 1, 'a bypassed LFO still opened the gate');
+
+    const imported = run(`importToneCode(generateCode('script')).connections`);
+    assert.ok(imported.some(conn => conn.source === 'lfo-1/cv_out' && conn.target === 'envelope-1/gate_in' && conn.type === 'cv'));
+
+    const port = (moduleId, attributes) => ({
+        getAttribute: name => attributes[name] ?? null,
+        closest: () => ({ getAttribute: () => moduleId })
+    });
+    const controller = vm.runInContext(`new PatchingController(patchModel)`, designer.context);
+    const gateIn = port('envelope-1', { 'data-port-type': 'gate-in', 'data-port-id': 'gate_in' });
+    vm.runInContext(`patchModel.removeConnection('lfo-1/cv_out', 'envelope-1/gate_in')`, designer.context);
+    assert.ok(controller.validateConnection(port('lfo-1', { 'data-port-type': 'cv-out', 'data-port-id': 'cv_out' }), gateIn));
+    assert.ok(!controller.validateConnection(port('oscillator-1', { 'data-port-type': 'audio-out' }), gateIn));
+});
+
+test('parameter metadata sets knob ranges for every instance and clamps the export', () => {
+    const designer = loadDesignerPatch(patch([
+        ['oscillator-1', 'oscillator'],
+        ['lfo-2', 'lfo'],
+        ['filter-1', 'filter'],
+        ['mixer-1', 'mixer']
+    ], [
+        ['oscillator-1/audio_out', 'filter-1/audio_in'],
+        ['filter-1/audio_out', 'mixer-1/input/1'],
+        ['mixer-1/audio_out', 'destination'],
+        ['lfo-2/cv_out', 'filter-1/frequency', 'cv']
+    ]));
+    const run = (code) => vm.runInContext(code, designer.context);
+
+    // A second LFO gets LFO ranges, not VCO ones
+    const spec = run(`ModuleFactory.getParameterSpec(ModuleFactory.getTypeForNode(getModuleNodeById('lfo-2')), 'frequency')`);
+    assert.deepStrictEqual([spec.min, spec.max, spec.curve], [1, 20, 'log']);
+    run(`applyMidiControlChange({ moduleId: 'lfo-2', param: 'frequency' }, 1)`);
+    assert.strictEqual(run(`getModuleNodeById('lfo-2').parameters.frequency`), 20);
+    run(`applyMidiControlChange({ moduleId: 'lfo-2', param: 'frequency' }, 0.5)`);
+    assert.strictEqual(run(`getModuleNodeById('lfo-2').parameters.frequency`), 4.47);
+
+    // Knob positions follow the curve and values snap to the step
+    assert.strictEqual(run(`getParameterPosition(ModuleFactory.getParameterSpec('lfo', 'frequency'), 4.47, null)`).toFixed(2), '0.50');
+    assert.strictEqual(run(`clampParameter(ModuleFactory.getParameterSpec('oscillator', 'count'), 12.6, null)`), 8);
+    assert.strictEqual(run(`formatParameter(ModuleFactory.getParameterSpec('compressor', 'ratio'), 4)`), '4:1');
+
+    // Out-of-range values never reach the exported code
+    run(`getModuleNodeById('lfo-2').parameters.frequency = 500; getModuleNodeById('filter-1').parameters.Q = -3`);
+    const code = run(`generateCode('script')`);
+    assert.ok(code.includes('frequency: 20,'));
+    assert.ok(!code.includes('frequency: 500'));
+    assert.ok(code.includes('Q: 0.001'));
+});
+
+/**
+ * Knob element and the mousedown a click on it dispatches to the document
+ */
+function knobClick(moduleId, param) {
+    const classes = new Set();
+    const knob = {
+        dataset: { param },
+        classList: { add: name => classes.add(name), remove: name => classes.delete(name) },
+        closest: selector => selector === '.synth-knob' ? knob : { dataset: { moduleId } }
+    };
+    return { target: knob, preventDefault() {}, stopPropagation() {} };
+}
+
+/**
+ * Designer with MIDI connected to a FakeMIDIAccess
+ */
+function createMidiDesigner(patchDocument) {
+    const designer = createDesigner();
+    const run = (code) => vm.runInContext(code, designer.context);
+    const midi = run('new FakeMIDIAccess()');
+    designer.context.__midi = midi;
+    designer.context.__patch = patchDocument;
+    run('initializeHistory(); setupMidi(__midi); loadPatch(__patch)');
+    return { designer, run, midi };
+}
+
+test('MIDI notes play the envelopes with their velocity', () => {
+    const { run, midi } = createMidiDesigner(starterPatch());
+    const envelope = run(`getToneObjectById('envelope-1')`);
+    const attacks = [];
+    let releases = 0;
+    envelope.triggerAttack = (time, velocity) => attacks.push(velocity);
+    envelope.triggerRelease = () => releases++;
+
+    midi.noteOn(72, 64);
+    assert.deepStrictEqual(attacks, [64 / 127]);
+    // The VCO knob frequency is the C4 reference, so C5 (note 72) plays it an octave up
+    assert.strictEqual(Math.round(run(`getToneObjectById('oscillator-1')`).frequency.value), 880);
+
+    midi.noteOff(72);
+    assert.strictEqual(releases, 1);
+    // Note on with velocity 0 is a note off
+    midi.noteOn(72, 100);
+    midi.noteOn(72, 0);
+    assert.strictEqual(releases, 2);
+});
+
+test('MIDI learn binds a CC to the clicked knob, sweeps its curve and saves with the patch', () => {
+    const { designer, run, midi } = createMidiDesigner(starterPatch());
+    const frequency = () => run(`getModuleNodeById('filter-1').parameters.frequency`);
+    const initialFrequency = frequency();
+
+    // LEARN, click the VCF frequency knob, move CC 74
+    run('setMidiLearnMode(true)');
+    designer.dispatch('mousedown', knobClick('filter-1', 'frequency'));
+    midi.controlChange(74, 64);
+    run('setMidiLearnMode(false)');
+    const mappings = [{ channel: 0, cc: 74, moduleId: 'filter-1', param: 'frequency' }];
+    assert.deepStrictEqual(JSON.parse(run('JSON.stringify(midiController.getMappings())')), mappings);
+
+    // The frequency knob is logarithmic from 20Hz to 20kHz, in steps of 0.1Hz
+    assert.ok(Math.abs(frequency() - 20 * Math.pow(1000, 64 / 127)) <= 0.05);
+    assert.strictEqual(run(`getToneObjectById('filter-1')`).frequency.value, frequency());
+
+    // A controller sweep is one undo step, like a knob drag
+    midi.controlChange(74, 100);
+    midi.controlChange(74, 127);
+    assert.strictEqual(frequency(), 20000);
+    run('patchHistory.undo()');
+    assert.strictEqual(frequency(), initialFrequency);
+
+    // Mappings are saved with the patch and restored when it is loaded
+    const saved = JSON.parse(run('JSON.stringify(serializePatch())'));
+    assert.deepStrictEqual(saved.midiMappings, mappings);
+    const copy = createMidiDesigner(saved);
+    assert.deepStrictEqual(JSON.parse(copy.run('JSON.stringify(midiController.getMappings())')), mappings);
+    copy.midi.controlChange(74, 0);
+    assert.strictEqual(copy.run(`getModuleNodeById('filter-1').parameters.frequency`), 20);
+
+    // Deleting the module drops its mappings (undo brings them back), so a new
+    // module reusing the ID is not driven by the old controller
+    run(`deleteModule('filter-1')`);
+    assert.deepStrictEqual(JSON.parse(run('JSON.stringify(midiController.getMappings())')), []);
+    run('patchHistory.undo()');
+    assert.deepStrictEqual(JSON.parse(run('JSON.stringify(midiController.getMappings())')), mappings);
+    run(`deleteModule('filter-1'); instantiateModule('filter', 'filter-1')`);
+    midi.controlChange(74, 127);
+    assert.strictEqual(frequency(), initialFrequency);
+});
+
+/**
+ * Plugin file for a gain trim module, as a team would ship it
+ */
+const TRIM_PLUGIN_SOURCE = `
+ModulePlugins.register({
+    type: 'trim',
+    displayName: 'TRIM (GAIN)',
+    category: 'utilities',
+    definition: {
+        nodeConfig: { type: 'Trim', parameters: { gain: { default: 0.5, ...LEVEL_SPEC }, bypass: false } },
+        ports: [
+            { id: 'audio_in', direction: 'in', signal: 'audio' },
+            { id: 'audio_out', direction: 'out', signal: 'audio' },
+            { id: 'gain', direction: 'in', signal: 'cv', node: 'gain' }
+        ],
+        toneFactory: (params) => new Tone.Gain(params.bypass ? 1 : params.gain),
+        renderFunction: (data) => '<div class="synth-module" data-module-id="' + data.id + '"></div>'
+    },
+    sync: (node, gain) => gain.gain.setValueAtTime(node.parameters.bypass ? 1 : node.parameters.gain, Tone.now()),
+    generateCode: (node) => 'const ' + node.id.replace('-', '') + ' = new Tone.Gain(' + (node.parameters.bypass ? 1 : node.parameters.gain) + ');\\n\\n',
+    // Shares Tone.Gain with the EQ8 master - claims only Gains built from a plain level
+    importers: {
+        Gain: (options) => typeof options.args?.[0] === 'number' ? { moduleType: 'trim', parameters: { gain: options.args[0] } } : null
+    },
+    visual: (x, node) => node.parameters.gain * 2 - 1
+});`;
+
+test('plugin modules load from a file and patch, sync and export like built-ins', async () => {
+    const designer = createDesigner();
+    const run = (code) => vm.runInContext(code, designer.context);
+    designer.context.__source = TRIM_PLUGIN_SOURCE;
+    assert.deepStrictEqual(Array.from(run(`ModulePlugins.load(__source, 'trim.js')`)), ['trim']);
+    assert.strictEqual(run(`getModuleDisplayName('trim')`), 'TRIM (GAIN)');
+    assert.strictEqual(run(`getModuleCategory('trim')`), 'utilities');
+
+    designer.context.__patch = patch([
+        ['oscillator-1', 'oscillator'],
+        ['trim-1', 'trim', { gain: 0.3 }],
+        ['lfo-1', 'lfo'],
+        ['mixer-1', 'mixer'],
+        ['eq8-1', 'eq8', { masterGain: 0.9 }]
+    ], [
+        ['oscillator-1/audio_out', 'trim-1/audio_in'],
+        ['trim-1/audio_out', 'mixer-1/input/1'],
+        ['mixer-1/audio_out', 'eq8-1/audio_in'],
+        ['eq8-1/audio_out', 'destination'],
+        ['lfo-1/cv_out', 'trim-1/gain', 'cv']
+    ]);
+    run('loadPatch(__patch)');
+    const live = getLiveGraph(designer);
+    assert.ok(live.edges.includes('oscillator-1:OmniOscillator → trim-1:Gain'));
+    for (const format of ['script', 'module']) {
+        assert.deepStrictEqual(diffGraphs(live, await getExportGraph(designer, format)), [], `${format} export differs from the live graph`);
+    }
+
+    // The plugin's sync handler keeps the live object in step with the knobs
+    run(`setModuleParameter('trim-1', 'gain', 0.8)`);
+    assert.strictEqual(run(`getToneObjectById('trim-1').gain.value`), 0.8);
+    assert.ok(run(`generateCode('script')`).includes('new Tone.Gain(0.8)'));
+
+    // Both Tone.Gain exports import back: the EQ8 by its bands, the trim through its plugin importer
+    for (const format of ['script', 'module']) {
+        const result = run(`verifyCodeExport('${format}')`);
+        assert.ok(result.ok, `${format} export with a plugin Gain does not round-trip: ${result.differences.join(', ')}`);
+    }
+    const imported = run(`importToneCode(generateCode('script')).modules`);
+    assert.deepStrictEqual(Array.from(imported, module => module.type).sort(), ['eq8', 'lfo', 'mixer', 'oscillator', 'trim']);
+
+    // Broken or clashing plugins are refused without registering anything
+    assert.throws(() => run(`ModulePlugins.load(__source, 'trim.js')`), /already registered: trim/);
+    assert.throws(() => run(`ModulePlugins.register({ type: 'broken', displayName: 'BROKEN', category: 'effects',
+        definition: { nodeConfig: { type: 'Distortion', parameters: {} }, ports: [], toneFactory() {}, renderFunction() {} },
+        sync() {}, generateCode() {} })`), /node type of another module: Distortion/);
+    assert.strictEqual(run(`ModuleRegistry.broken`), undefined);
+});
+
+test('bypassed modules keep the live topology', async () => {
+    await assertExportMatchesLive(starterPatch({
+        parameters: {
+            oscillator: { bypass: true },
+            filter: { bypass: true },
+            lfo: { bypass: true },
+            reverb: { bypass: true },
+            eq8: { bypass: true, band1Gain: 6 },
+            mixer: { bypass: true }
+        }
+    }));
+});
+
+test('VCO exports each mode and imports it back', async () => {
+    const settings = [
+        [{ mode: 'fm', waveform: 'square', harmonicity: 3, modulationIndex: 12, modulationType: 'triangle' }, 'fmsquare'],
+        [{ mode: 'am', waveform: 'sawtooth', harmonicity: 0.5, modulationType: 'square' }, 'amsawtooth'],
+        [{ mode: 'fat', waveform: 'sawtooth', count: 5, spread: 40 }, 'fatsawtooth'],
+        [{ mode: 'pulse', width: 0.2, pwm: 0 }, 'pulse'],
+        [{ mode: 'pulse', pwm: 2.5 }, 'pwm']
+    ];
+    for (const [parameters, type] of settings) {
+        const designer = await assertExportMatchesLive(patch([
+            ['oscillator-1', 'oscillator', parameters],
+            ['mixer-1', 'mixer']
+        ], [
+            ['oscillator-1/audio_out', 'mixer-1/input/1'],
+            ['mixer-1/audio_out', 'destination']
+        ]));
+        const live = vm.runInContext(`getToneObjectById('oscillator-1')`, designer.context);
+        assert.strictEqual(live.options.type, type);
+
+        const imported = vm.runInContext(
+            `importToneCode(generateCode('script')).modules.find(module => module.id === 'oscillator-1').parameters`,
+            designer.context);
+        Object.keys(parameters).forEach(name => {
+            assert.strictEqual(imported[name], parameters[name], `VCO ${name} does not import back`);
+        });
+    }
+
+    // Switching mode changes the type of the playing oscillator in place
+    const designer = loadDesignerPatch(starterPatch());
+    const live = vm.runInContext(`getToneObjectById('oscillator-1')`, designer.context);
+    vm.runInContext(`setModuleParameter('oscillator-1', 'mode', 'fat')`, designer.context);
+    assert.strictEqual(vm.runInContext(`getToneObjectById('oscillator-1')`, designer.context), live);
+    assert.strictEqual(live.type, 'fatsine');
+    assert.strictEqual(live.count, 3);
+});
+
+test('sampler exports its sample URL and region and imports back', async () => {
+    const settings = [
+        [{ url: 'loops/break.wav', mode: 'loop', start: 0.25, end: 1.5, playbackRate: 0.5 }, { noteMode: true }],
+        [{ url: 'https://example.com/kick.wav', start: 0.1, end: 0.4 }, null]
+    ];
+    for (const [parameters, envelope] of settings) {
+        const designer = await assertExportMatchesLive(envelope ? patch([
+            ['sampler-1', 'sampler', parameters],
+            ['envelope-1', 'envelope', envelope]
+        ], [
+            ['sampler-1/audio_out', 'envelope-1/audio_in'],
+            ['envelope-1/audio_out', 'destination']
+        ]) : patch([
+            ['sampler-1', 'sampler', parameters],
+            ['mixer-1', 'mixer']
+        ], [
+            ['sampler-1/audio_out', 'mixer-1/input/1'],
+            ['mixer-1/audio_out', 'destination']
+        ]));
+
+        const code = vm.runInContext(`generateCode('script')`, designer.context);
+        assert.ok(code.includes(`url: "${parameters.url}"`), 'export does not reference the sample URL');
+        const imported = vm.runInContext(
+            `importToneCode(generateCode('script')).modules.find(module => module.id === 'sampler-1').parameters`,
+            designer.context);
+        Object.keys(parameters).forEach(name => {
+            assert.strictEqual(imported[name], parameters[name], `sampler ${name} does not import back`);
+        });
+
+        if (envelope) {
+            // Keys pitch the loop through the NOTE-mode envelope, which also ends it
+            assert.ok(code.includes('sampler1.playbackRate = 0.5 * ratio;'));
+            assert.ok(code.includes('sampler1.start(time, 0.25);'));
+            assert.ok(!code.includes('sampler1.stop(time);'));
+
+            const live = vm.runInContext(`getToneObjectById('sampler-1')`, designer.context);
+            live.loaded = true;
+            vm.runInContext(`noteOn('C5')`, designer.context);
+            assert.strictEqual(live.state, 'started');
+            assert.strictEqual(live.playbackRate, 1);
+        } else {
+            // A one-shot plays its region at RATE on every key
+            assert.ok(code.includes('sampler1.playbackRate = 1;'));
+            assert.ok(code.includes('sampler1.start(time, 0.1, 0.3);'));
+        }
+    }
+});
+
+test('delay exports its mode, synced time and CV input', async () => {
+    const delayPatch = patch([
+        ['oscillator-1', 'oscillator'],
+        ['lfo-1', 'lfo', { min: 20, max: 30 }],
+        ['delay-1', 'delay', { mode: 'pingpong', sync: '8n' }]
+    ], [
+        ['oscillator-1/audio_out', 'delay-1/audio_in'],
+        ['delay-1/audio_out', 'destination'],
+        ['lfo-1/cv_out', 'delay-1/timeCV', 'cv']
+    ]);
+    const designer = await assertExportMatchesLive(delayPatch);
+    const live = getLiveGraph(designer);
+    assert.ok(live.edges.includes('lfo-1:LFO → delay-1:Gain'));
+    assert.ok(live.edges.includes('delay-1:Gain → delay-1:PingPongDelay.delayTime'));
+
+    const result = vm.runInContext(`verifyCodeExport('script')`, designer.context);
+    assert.ok(result.ok, `delay export does not round-trip: ${result.differences.join(', ')}`);
+
+    // Switching mode rebuilds the delay as the other class and keeps its cables
+    vm.runInContext(`setModuleParameter('delay-1', 'mode', 'feedback')`, designer.context);
+    await assertExportMatchesLive(JSON.parse(vm.runInContext('JSON.stringify(serializePatch())', designer.context)));
+    assert.ok(getLiveGraph(designer).edges.includes('delay-1:Gain → delay-1:FeedbackDelay.delayTime'));
+});
+
+test('drive exports every mode as the node the live engine plays', async () => {
+    for (const mode of ['distortion', 'chebyshev', 'bitcrusher', 'waveshaper']) {
+        for (const bypass of [false, true]) {
+            const designer = await assertExportMatchesLive(patch([
+                ['oscillator-1', 'oscillator'],
+                ['drive-1', 'drive', { mode, drive: 0.6, wet: 0.8, bypass }]
+            ], [
+                ['oscillator-1/audio_out', 'drive-1/audio_in'],
+                ['drive-1/audio_out', 'destination']
+            ]));
+
+            const live = vm.runInContext(`getToneObjectById('drive-1')`, designer.context);
+            const { tone } = await getExportGraph(designer, 'script');
+            const exported = tone.created.find(node => node.className === live.className);
+            assert.ok(exported, `${mode} export builds no ${live.className}`);
+            assert.deepStrictEqual(
+                JSON.parse(JSON.stringify(exported.options)),
+                JSON.parse(JSON.stringify(vm.runInContext(`getDriveOptions(getModuleNodeById('drive-1').parameters)`, designer.context))),
+                `${mode} export options differ from the live drive`);
+
+            const result = vm.runInContext(`verifyCodeExport('script')`, designer.context);
+            assert.ok(result.ok, `${mode} export does not round-trip: ${result.differences.join(', ')}`);
+        }
+    }
+});
+
+test('drawing the waveshaper curve reshapes the live node', () => {
+    const designer = loadDesignerPatch(patch([
+        ['drive-1', 'drive', { mode: 'waveshaper' }]
+    ], [
+        ['drive-1/audio_out', 'destination']
+    ]));
+
+    // Top-left pixel: the lowest input now maps to full output
+    vm.runInContext(`drawDriveCurvePoint('drive-1', 0, 0); finishDriveCurveEdit();`, designer.context);
+    const live = vm.runInContext(`getToneObjectById('drive-1')`, designer.context);
+    assert.strictEqual(live.curve[0], 1);
+    assert.strictEqual(vm.runInContext(`getModuleNodeById('drive-1').parameters.curve.length`, designer.context), 16);
+});
+
+test('modulation FX switches mode without dropping its cables', async () => {
+    const designer = await assertExportMatchesLive(patch([
+        ['oscillator-1', 'oscillator'],
+        ['modfx-1', 'modfx', { sync: '4n' }],
+        ['mixer-1', 'mixer']
+    ], [
+        ['oscillator-1/audio_out', 'modfx-1/audio_in'],
+        ['modfx-1/audio_out', 'mixer-1/input/2'],
+        ['mixer-1/audio_out', 'destination']
+    ]));
+    const connectionCount = vm.runInContext('currentPatchConnections.length', designer.context);
+
+    for (const mode of ['phaser', 'tremolo', 'vibrato', 'autopanner', 'chorus']) {
+        vm.runInContext(`setModuleParameter('modfx-1', 'mode', '${mode}')`, designer.context);
+        const live = getLiveGraph(designer);
+        const exported = await getExportGraph(designer, 'script');
+        assert.deepStrictEqual(diffGraphs(live, exported), [], `${mode} export differs from the live graph`);
+        assert.ok(live.edges.some(edge => edge.startsWith('oscillator-1:OmniOscillator → modfx-1:')), `${mode} lost its input cable`);
+        assert.strictEqual(vm.runInContext('currentPatchConnections.length', designer.context), connectionCount);
+
+        const modfx = exported.tone.created.find(node => node.className !== 'OmniOscillator' && node.options?.frequency === '4n');
+        assert.ok(modfx, `${mode} export does not keep the synced rate`);
+    }
+
+    const result = vm.runInContext(`verifyCodeExport('script')`, designer.context);
+    assert.ok(result.ok, `modfx export does not round-trip: ${result.differences.join(', ')}`);
+});
+
+test('compressor exports its sidechain key and imports back', async () => {
+    const settings = [
+        { key: 'sidechain', threshold: -30, ratio: 8, makeup: 6 },
+        { mode: 'limiter', threshold: -6 },
+        { key: 'sidechain', bypass: true }
+    ];
+    for (const parameters of settings) {
+        const designer = await assertExportMatchesLive(patch([
+            ['oscillator-1', 'oscillator'],
+            ['noise-1', 'noise'],
+            ['compressor-1', 'compressor', parameters]
+        ], [
+            ['oscillator-1/audio_out', 'compressor-1/audio_in'],
+            ['noise-1/audio_out', 'compressor-1/sidechain_in'],
+            ['compressor-1/audio_out', 'destination']
+        ]));
+        const live = getLiveGraph(designer);
+        assert.ok(live.edges.includes('noise-1:Noise → compressor-1:Follower'));
+        assert.ok(live.edges.includes('compressor-1:WaveShaper → compressor-1:Gain.gain'));
+
+        const result = vm.runInContext(`verifyCodeExport('script')`, designer.context);
+        assert.ok(result.ok, `compressor export does not round-trip: ${result.differences.join(', ')}`);
+        if (parameters.bypass) continue;
+
+        const imported = vm.runInContext(
+            `importToneCode(generateCode('script')).modules.find(module => module.id === 'compressor-1').parameters`,
+            designer.context);
+        Object.keys(parameters).forEach(name => {
+            assert.strictEqual(imported[name], parameters[name], `compressor ${name} does not import back`);
+        });
+    }
+});
+
+test('EQ8 exports its eight bands and imports them back', async () => {
+    const eq8 = { band1Gain: 6, band3Gain: -9, band3Frequency: 420, band3Q: 4, band8Gain: 3, masterGain: 0.8 };
+    const designer = await assertExportMatchesLive(patch([
+        ['oscillator-1', 'oscillator'],
+        ['eq8-1', 'eq8', eq8]
+    ], [
+        ['oscillator-1/audio_out', 'eq8-1/audio_in'],
+        ['eq8-1/audio_out', 'destination']
+    ]));
+    const live = getLiveGraph(designer);
+    assert.ok(live.edges.includes('oscillator-1:OmniOscillator → eq8-1:Filter'));
+    assert.ok(live.edges.includes('eq8-1:Filter#7 → eq8-1:Gain'));
+
+    const bands = vm.runInContext(`getToneObjectById('eq8-1').bands.map(band => band.options.type)`, designer.context);
+    assert.deepStrictEqual([...bands], ['lowshelf', 'peaking', 'peaking', 'peaking', 'peaking', 'peaking', 'peaking', 'highshelf']);
+
+    // Neighbouring bands no longer act alike - each one shapes its own region
+    const response = (frequency) => vm.runInContext(
+        `getEQ8Response(getModuleNodeById('eq8-1').parameters, ${frequency})`, designer.context);
+    assert.ok(response(30) > 5, 'low shelf does not lift the lows');
+    assert.ok(response(420) < -8, 'band 3 does not cut at its frequency');
+    assert.ok(Math.abs(response(2800)) < 1, 'untouched bands are not flat');
+
+    const imported = vm.runInContext(
+        `importToneCode(generateCode('script')).modules.find(module => module.id === 'eq8-1').parameters`,
+        designer.context);
+    Object.keys(eq8).forEach(name => {
+        assert.strictEqual(imported[name], eq8[name], `EQ8 ${name} does not import back`);
+    });
+});
+
+test('sequencer exports its steps, pitch CV and gates', async () => {
+    const steps = Array(16).fill(false).map((_, step) => step % 4 === 0);
+    for (const bypass of [false, true]) {
+        const designer = await assertExportMatchesLive(patch([
+            ['sequencer-1', 'sequencer', { rate: '8n', steps, bypass }],
+            ['oscillator-1', 'oscillator'],
+            ['envelope-1', 'envelope']
+        ], [
+            ['sequencer-1/cv_out', 'oscillator-1/frequency', 'cv'],
+            ['sequencer-1/gate_out', 'envelope-1/gate_in', 'gate'],
+            ['oscillator-1/audio_out', 'envelope-1/audio_in'],
+            ['envelope-1/audio_out', 'destination']
+        ]));
+        const live = getLiveGraph(designer);
+        assert.ok(live.edges.includes('sequencer-1:Signal → oscillator-1:OmniOscillator.frequency'));
+        assert.ok(live.edges.includes('sequencer-1:Signal → envelope-1:AmplitudeEnvelope (gates)'));
+
+        const result = vm.runInContext(`verifyCodeExport('script')`, designer.context);
+        assert.ok(result.ok, `sequencer export does not round-trip: ${result.differences.join(', ')}`);
+
+        const code = vm.runInContext(`generateCode('script')`, designer.context);
+        assert.ok(code.includes('Tone.getTransport().start();'));
+        assert.strictEqual(code.includes('.sequence.mute = true'), bypass);
+
+        const imported = vm.runInContext(
+            `importToneCode(generateCode('script')).modules.find(module => module.id === 'sequencer-1').parameters`,
+            designer.context);
+        assert.strictEqual(imported.rate, '8n');
+        assert.deepStrictEqual([...imported.steps], steps);
+        assert.strictEqual(imported.bypass, bypass || undefined);
+    }
+});
+
+test('clock sets the transport tempo and gates envelopes per division', async () => {
+    const clock = { bpm: 90, swing: 0.3, swingSubdivision: '16n' };
+    const designer = await assertExportMatchesLive(patch([
+        ['delay-1', 'delay', { sync: '8n' }],
+        ['oscillator-1', 'oscillator'],
+        ['noise-1', 'noise'],
+        ['envelope-1', 'envelope'],
+        ['envelope-2', 'envelope'],
+        ['clock-1', 'clock', clock]
+    ], [
+        ['clock-1/8n_out', 'envelope-1/gate_in', 'gate'],
+        ['clock-1/16t_out', 'envelope-2/gate_in', 'gate'],
+        ['oscillator-1/audio_out', 'envelope-1/audio_in'],
+        ['noise-1/audio_out', 'envelope-2/audio_in'],
+        ['envelope-1/audio_out', 'delay-1/audio_in'],
+        ['envelope-2/audio_out', 'delay-1/audio_in'],
+        ['delay-1/audio_out', 'destination']
+    ]));
+    const live = getLiveGraph(designer);
+    assert.ok(live.edges.includes('clock-1:Loop → envelope-1:AmplitudeEnvelope (gates.8n)'));
+    assert.ok(live.edges.includes('clock-1:Loop → envelope-2:AmplitudeEnvelope (gates.16t)'));
+
+    // The tempo is set before the synced delay resolves its note value
+    const code = vm.runInContext(`generateCode('script')`, designer.context);
+    assert.ok(code.indexOf('Tone.getTransport().set') < code.indexOf('new Tone.FeedbackDelay'));
+    const { tone } = await getExportGraph(designer, 'script');
+    assert.strictEqual(tone.Transport.bpm.value, 90);
+    assert.strictEqual(tone.Transport.swing, 0.3);
+
+    const result = vm.runInContext(`verifyCodeExport('script')`, designer.context);
+    assert.ok(result.ok, `clock export does not round-trip: ${result.differences.join(', ')}`);
+
+    const imported = vm.runInContext(
+        `importToneCode(generateCode('script')).modules.find(module => module.id === 'clock-1').parameters`,
+        designer.context);
+    Object.keys(clock).forEach(name => {
+        assert.strictEqual(imported[name], clock[name], `clock ${name} does not import back`);
+    });
+
+    // Exports from before Tone.getTransport() still import their tempo
+    const legacy = vm.runInContext(
+        `importToneCode(generateCode('script').replace('Tone.getTransport().set', 'Tone.Transport.set')).modules[0].parameters`,
+        designer.context);
+    assert.strictEqual(legacy.bpm, 90);
+});
+
+test('LFOs sync to the clock tempo, and a patch has one clock', async () => {
+    const designer = await assertExportMatchesLive(patch([
+        ['clock-1', 'clock', { bpm: 90 }],
+        ['lfo-1', 'lfo', { frequency: 7, multiplier: 10, sync: '4n' }],
+        ['oscillator-1', 'oscillator'],
+        ['filter-1', 'filter']
+    ], [
+        ['oscillator-1/audio_out', 'filter-1/audio_in'],
+        ['filter-1/audio_out', 'destination'],
+        ['lfo-1/cv_out', 'filter-1/frequency', 'cv']
+    ]));
+    const run = (code) => vm.runInContext(code, designer.context);
+
+    // SYNC replaces FREQ and the multiplier with one cycle per note value
+    assert.strictEqual(run(`getToneObjectById('lfo-1')`).frequency.value, run(`1 / Tone.Time('4n').toSeconds()`));
+    assert.ok(run(`generateCode('script')`).includes('frequency: "4n",'));
+    const imported = run(`importToneCode(generateCode('script')).modules.find(module => module.id === 'lfo-1').parameters`);
+    assert.strictEqual(imported.sync, '4n');
+    run(`patchModel.setParameter('lfo-1', 'sync', 'free')`);
+    assert.strictEqual(run(`getToneObjectById('lfo-1')`).frequency.value, 70);
+
+    // Only one clock sets the transport tempo
+    assert.throws(() => run(`instantiateModule('clock', 'clock-2')`), /at most 1 clock module/);
+    assert.strictEqual(run(`synthNodes.filter(node => node.type === 'Loop').length`), 1);
+    designer.context.__twoClocks = patch([['clock-1', 'clock'], ['clock-2', 'clock']], []);
+    assert.throws(() => run('migratePatchDocument(__twoClocks)'), /more than 1 clock module/);
+});
+
+test('arpeggiator steps through held keys and exports with the patch', async () => {
+    const arpeggiator = { enabled: true, mode: 'updown', octaves: 2, rate: '8n', latch: true };
+    const designer = await assertExportMatchesLive({ ...starterPatch(), schemaVersion: 4, arpeggiator });
+
+    const pattern = vm.runInContext(`(() => {
+        const arp = new Arpeggiator({ mode: 'updown', octaves: 2 });
+        arp.noteOn('E3');
+        arp.noteOn('C3');
+        return Array.from({ length: 7 }, () => arp.next().note);
+    })()`, designer.context);
+    assert.deepStrictEqual([...pattern], ['C3', 'E3', 'C4', 'E4', 'C4', 'E3', 'C3']);
+
+    // Latched notes keep playing until a new chord starts
+    const latched = vm.runInContext(`(() => {
+        const arp = new Arpeggiator({ latch: true });
+        arp.noteOn('C3');
+        arp.noteOff('C3');
+        const held = arp.getPattern().map(step => step.note);
+        arp.noteOn('G3');
+        return [held, arp.getPattern().map(step => step.note)];
+    })()`, designer.context);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(latched)), [['C3'], ['G3']]);
+
+    const code = vm.runInContext(`generateCode('script')`, designer.context);
+    assert.ok(code.includes('new Arpeggiator('));
+    assert.ok(code.includes('Tone.getTransport().start();'));
+
+    const imported = vm.runInContext(`importToneCode(generateCode('script')).arpeggiator`, designer.context);
+    assert.deepStrictEqual({ ...imported }, arpeggiator);
+
+    const { api, tone } = await getExportGraph(designer, 'module');
+    assert.strictEqual(typeof api.keyDown, 'function');
+    assert.strictEqual(typeof api.keyUp, 'function');
+    api.dispose();
+    assert.ok(tone.created.every(node => node.disposed), 'dispose() left the arpeggiator loop behind');
+});
+
+test('module exports run their clock, sequencer and arpeggiator on their own context\'s transport', async () => {
+    const arpeggiator = { enabled: true, mode: 'up', octaves: 1, rate: '8n', latch: false };
+    const designer = loadDesignerPatch({
+        ...patch([
+            ['clock-1', 'clock', { bpm: 90, swing: 0.2 }],
+            ['sequencer-1', 'sequencer'],
+            ['oscillator-1', 'oscillator'],
+            ['envelope-1', 'envelope']
+        ], [
+            ['clock-1/4n_out', 'envelope-1/gate_in', 'gate'],
+            ['oscillator-1/audio_out', 'envelope-1/audio_in'],
+            ['envelope-1/audio_out', 'destination']
+        ]),
+        schemaVersion: 4,
+        arpeggiator
+    });
+    const { api, createPatch, tone } = await getExportGraph(designer, 'module');
+    assert.strictEqual(tone.Transport.bpm.value, 90);
+    api.dispose();
+
+    // A patch on another context sets that context's tempo, and its loops run there
+    tone.Transport.set({ bpm: 120, swing: 0 });
+    const otherContext = createFakeContext(new tone.FakeNode('OtherDestination'));
+    const builtBefore = tone.created.length;
+    const other = createPatch(otherContext);
+    assert.strictEqual(otherContext.transport.bpm.value, 90);
+    assert.strictEqual(otherContext.transport.swing, 0.2);
+    assert.strictEqual(tone.Transport.bpm.value, 120);
+
+    // Six clock divisions, the sequence and the arpeggiator loop
+    const loops = tone.created.slice(builtBefore).filter(node => node.className === 'Loop' || node.className === 'Sequence');
+    assert.strictEqual(loops.length, 8);
+    assert.ok(loops.every(loop => loop.context === otherContext));
+
+    // start()/stop() drive that transport, not Tone.Transport
+    other.start();
+    assert.strictEqual(otherContext.transport.state, 'started');
+    assert.strictEqual(tone.Transport.state, 'stopped');
+    other.stop();
+    assert.strictEqual(otherContext.transport.state, 'stopped');
+    other.dispose();
+});
+
+test('exported code imports back into the same patch', () => {
+    const designer = loadDesignerPatch(starterPatch({ voices: { voiceCount: 2, stealPolicy: 'newest' } }));
+    for (const format of ['script', 'module']) {
+        const result = vm.runInContext(`verifyCodeExport('${format}')`, designer.context);
+        assert.ok(result.ok, `${format} export does not round-trip: ${result.differences.join(', ')}`);
+    }
+});
+
+test('module export exposes the patch API', async () => {
+    const designer = loadDesignerPatch(starterPatch());
+    const { api, createPatch, tone } = await getExportGraph(designer, 'module');
+
+    api.setParam('filter1', 'frequency', 800);
+    assert.strictEqual(api.modules.filter1.frequency.value, 800);
+    api.setParam('filter1', 'type', 'highpass');
+    assert.strictEqual(api.modules.filter1.type, 'highpass');
+    assert.throws(() => api.setParam('missing1', 'frequency', 1), /Unknown module/);
+    // Designer parameters without a Tone.js property of the same name are not silently set
+    assert.throws(() => api.setParam('eq81', 'band3Gain', 0.5), /Unsupported parameter/);
+
+    // A second copy on its own context plays there and leaves the global context alone
+    const globalContext = tone.getContext();
+    const otherContext = createFakeContext(new tone.FakeNode('OtherDestination'));
+    const other = createPatch(otherContext);
+    assert.strictEqual(tone.getContext(), globalContext);
+    other.connect();
+    assert.ok(tone.created.some(node => node.destinations.includes(otherContext.destination)));
+    assert.ok(!other.modules.filter1.destinations.includes(tone.Destination));
+
+    api.dispose();
+    other.dispose();
+    otherContext.destination.dispose();
+    assert.ok(tone.created.every(node => node.disposed), 'dispose() left nodes behind');
+});